@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+/**
+ * Explain why an article was kept or dropped by the relevance pipeline
+ *
+ * Usage:
+ *   node scripts/explain.js --url=https://example.com/article
+ *   node scripts/explain.js --title="Ocado deploys new robots" --description="..."
+ *
+ * Options:
+ *   --source=<name>  Publisher name (with --title)
+ *   --date=<date>    Publication date (with --title)
+ *   --profile=<id>   Use a specific digest profile's relevance settings
+ *   --fetch          Fetch today's news first so duplicates can be checked
+ *   --json           Print the full explanation as JSON
+ */
+
+require('dotenv').config();
+const NewsService = require('../src/newsService');
+const ProfileManager = require('../src/profiles/ProfileManager');
+
+// Parse CLI args
+const args = process.argv.slice(2);
+const getFlag = (name) => {
+  const arg = args.find(a => a === `--${name}` || a.startsWith(`--${name}=`));
+  if (!arg) return undefined;
+  return arg.includes('=') ? arg.split('=').slice(1).join('=') : true;
+};
+const getString = (name) => typeof getFlag(name) === 'string' ? getFlag(name) : undefined;
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+/**
+ * Print the explanation in a readable form
+ * @param {Object} explanation - NewsService.explainArticle() result
+ */
+function printExplanation(explanation) {
+  const { article, filters, scorers } = explanation;
+
+  console.log(`\n📰 ${article.title}`);
+  if (article.link) console.log(`   ${article.link}`);
+  console.log(`   Resolved from: ${explanation.resolvedFrom}, compared against ${explanation.comparedAgainst} fetched articles`);
+
+  console.log(`\nVerdict: ${explanation.verdict === 'kept' ? '✅ kept' : `❌ dropped by ${explanation.droppedBy} filter`}`);
+
+  console.log('\nFilters:');
+  explanation.stages.forEach(({ stage, passed }) => console.log(`  ${passed ? '✓' : '✗'} ${stage}`));
+
+  const spamReasons = Object.keys(filters.spam.reasons).filter(reason => filters.spam.reasons[reason]);
+  if (spamReasons.length > 0) console.log(`    spam: ${spamReasons.join(', ')}`);
+  filters.duplicate.matches.forEach(match => {
+    console.log(`    duplicate (${match.reason}, ${percent(match.similarity)}${match.preferred ? ', kept instead' : ''}): ${match.title}`);
+  });
+  console.log(`    age: ${filters.age.reason}${filters.age.hoursAgo !== null ? ` (${filters.age.hoursAgo.toFixed(1)}h old)` : ''}`);
+  const quality = filters.quality.details;
+  console.log(`    quality: ${quality.wordCount} words, language ${quality.language}${quality.acceptedLanguage ? '' : ' (not accepted)'}`);
+
+  console.log('\nScores:');
+  Object.entries(scorers).forEach(([name, scorer]) => {
+    console.log(`  ${name.padEnd(11)} ${percent(scorer.score).padStart(6)} × ${scorer.weight} = ${scorer.weighted.toFixed(3)}`);
+  });
+
+  const matches = scorers.thematic.matches;
+  console.log(`    keywords: ${[...matches.tier1, ...matches.tier2, ...matches.tier3].join(', ') || 'none'}`);
+  console.log(`    topics: ${scorers.semantic.details.matches.slice(0, 3).map(m => `${m.topic} (${m.similarity.toFixed(2)})`).join(', ') || 'none'}`);
+
+  console.log(`\nWeighted total: ${explanation.weightedTotal.toFixed(3)}`);
+  if (explanation.feedback) console.log(`Reader feedback: ${explanation.feedback > 0 ? '+' : ''}${explanation.feedback.toFixed(3)}`);
+  console.log(`Final score: ${explanation.score.toFixed(3)} (threshold ${explanation.threshold})`);
+  console.log(`Reasoning: ${explanation.reasoning}\n`);
+}
+
+(async () => {
+  try {
+    const url = getString('url');
+    const title = getString('title');
+    if (!url && !title) {
+      throw new Error('Provide --url=<url> or --title=<title> [--description=<text>]');
+    }
+
+    const profileManager = new ProfileManager();
+    const profileId = getString('profile');
+    const profile = profileId ? profileManager.getProfile(profileId) : profileManager.getDefaultProfile();
+    if (!profile) {
+      throw new Error(`Unknown profile: ${profileId}`);
+    }
+
+    const newsService = new NewsService(profileManager);
+    if (getFlag('fetch')) {
+      await newsService.fetchSharedNews();
+    }
+
+    const explanation = await newsService.explainArticle({
+      url,
+      title,
+      description: getString('description'),
+      source: getString('source'),
+      pubDate: getString('date')
+    }, profile);
+
+    if (getFlag('json')) {
+      console.log(JSON.stringify(explanation, null, 2));
+    } else {
+      printExplanation(explanation);
+    }
+
+    process.exit(0);
+  } catch (err) {
+    console.error(`✗ ${err.message}`);
+    process.exit(1);
+  }
+})();
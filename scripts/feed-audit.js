@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+/**
+ * Audit all configured RSS and X feeds (including disabled sources)
+ *
+ * Usage:
+ *   node scripts/feed-audit.js
+ *   node scripts/feed-audit.js --source=wired,chain-store-age
+ *   node scripts/feed-audit.js --stale-days=30
+ *   node scripts/feed-audit.js --slack      # warn in Slack about feeds that got worse
+ *   node scripts/feed-audit.js --json       # print the full report
+ *
+ * The report is written to data/feed-audit.json (also served by GET /sources/audit)
+ */
+
+require('dotenv').config();
+const SourceManager = require('../src/sources/SourceManager');
+const SlackService = require('../src/slackService');
+const { FeedAuditor } = require('../src/audit/FeedAuditor');
+
+// Parse CLI args
+const args = process.argv.slice(2);
+const getFlag = (name) => {
+  const arg = args.find(a => a === `--${name}` || a.startsWith(`--${name}=`));
+  if (!arg) return undefined;
+  return arg.includes('=') ? arg.split('=').slice(1).join('=') : true;
+};
+
+const ICONS = { ok: '✓', warning: '⚠', error: '✗' };
+
+async function main() {
+  const sourceManager = new SourceManager();
+  const auditor = new FeedAuditor({
+    sourceManager,
+    staleAfterDays: parseFloat(getFlag('stale-days')) || undefined
+  });
+  const sourceIds = typeof getFlag('source') === 'string' ? getFlag('source').split(',') : null;
+  const report = await auditor.audit({ sourceIds });
+
+  if (getFlag('json')) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log('');
+    report.feeds.forEach(feed => {
+      const label = feed.label !== feed.sourceName ? ` ${feed.label}` : '';
+      const details = [
+        feed.httpStatus ? `HTTP ${feed.httpStatus}` : null,
+        feed.itemCount !== null ? `${feed.itemCount} items` : null,
+        feed.error
+      ].filter(Boolean).join(', ');
+
+      console.log(`  ${ICONS[feed.severity]} ${feed.status.padEnd(11)} ${feed.sourceId}${label}${feed.enabled ? '' : ' (disabled)'}`);
+      console.log(`      ${feed.url}${details ? ` - ${details}` : ''}`);
+      if (feed.degraded) {
+        console.log(`      ↓ degraded (was ${feed.previousStatus})`);
+      }
+    });
+
+    const { summary } = report;
+    console.log(`\n${summary.total} feeds: ${summary.ok} ok, ${summary.warning} warning(s), ${summary.error} error(s), ${report.degraded.length} degraded`);
+    console.log(`Report written to ${auditor.filePath}`);
+  }
+
+  if (getFlag('slack') === true && report.degraded.length > 0) {
+    const slackService = new SlackService(process.env.SLACK_WEBHOOK_URL);
+    await slackService.sendFeedAuditWarning(report.degraded);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error(`✗ ${err.message}`);
+    process.exit(1);
+  });
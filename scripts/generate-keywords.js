@@ -41,7 +41,7 @@ async function main() {
     const parser = new CSVParser();
     const { keywords, stats } = parser.parse(CSV_PATH);
     success(`Loaded ${stats.total} keywords from config/keywords.csv`);
-    verbose(`Tier 1: ${stats.tier1}, Tier 2: ${stats.tier2}, Tier 3: ${stats.tier3}`);
+    verbose(`Tier 1: ${stats.tier1}, Tier 2: ${stats.tier2}, Tier 3: ${stats.tier3}, Search-only: ${stats.searchOnly}, Expressions: ${stats.expressions}`);
     log('');
 
     // STEP 2: Generate variations
@@ -101,6 +101,7 @@ async function main() {
     const tier3Count = newConfig.keywords.tier3.length;
     const variationsCount = Object.keys(newConfig.keywords.variations).length;
     const synonymsCount = Object.keys(newConfig.keywords.synonyms['en-de']).length;
+    const expressionsCount = Object.keys(newConfig.keywords.expressions).length;
 
     success('Built relevance.json with:');
     verbose(`Tier 1: ${tier1Count} keywords`);
@@ -108,6 +109,7 @@ async function main() {
     verbose(`Tier 3: ${tier3Count} keywords`);
     verbose(`Variations: ${variationsCount} keywords with variations`);
     verbose(`Synonyms: ${synonymsCount} word translations`);
+    verbose(`Expressions: ${expressionsCount} keywords with boolean expressions`);
     log('');
 
     // STEP 5: Write file (or preview)
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+/**
+ * Inspect and purge the posted-articles ledger
+ *
+ * Usage:
+ *   node scripts/ledger.js list [--limit=20]
+ *   node scripts/ledger.js stats
+ *   node scripts/ledger.js purge --all
+ *   node scripts/ledger.js purge --older-than=7
+ *   node scripts/ledger.js purge --link=https://example.com/article
+ *
+ * Add --profile=<id> to work on a specific digest profile's ledger
+ */
+
+require('dotenv').config();
+const { getArticleLedger } = require('../src/ledger/ArticleLedger');
+
+// Parse CLI args
+const args = process.argv.slice(2);
+const command = args[0] || 'list';
+const getFlag = (name) => {
+  const arg = args.find(a => a === `--${name}` || a.startsWith(`--${name}=`));
+  if (!arg) return undefined;
+  return arg.includes('=') ? arg.split('=').slice(1).join('=') : true;
+};
+
+try {
+  const profileId = typeof getFlag('profile') === 'string' ? getFlag('profile') : 'default';
+  const ledger = getArticleLedger(profileId);
+
+  switch (command) {
+    case 'list': {
+      const limit = parseInt(getFlag('limit')) || 20;
+      const entries = ledger.getEntries(limit);
+
+      console.log(`\nLast ${entries.length} posted articles:\n`);
+      entries.forEach(entry => {
+        console.log(`  ${entry.postedAt}  ${entry.title}`);
+        console.log(`    ${entry.link}`);
+      });
+      break;
+    }
+
+    case 'stats': {
+      console.log(JSON.stringify(ledger.getStats(), null, 2));
+      break;
+    }
+
+    case 'purge': {
+      const options = {
+        all: getFlag('all') === true,
+        link: typeof getFlag('link') === 'string' ? getFlag('link') : undefined,
+        olderThanDays: getFlag('older-than') !== undefined ? parseFloat(getFlag('older-than')) : undefined
+      };
+
+      if (!options.all && !options.link && options.olderThanDays === undefined) {
+        throw new Error('purge requires --all, --link=<url> or --older-than=<days>');
+      }
+
+      const removed = ledger.purge(options);
+      ledger.save();
+      console.log(`✓ Removed ${removed} entries (${ledger.entries.size} remaining)`);
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown command: ${command} (expected list, stats or purge)`);
+  }
+
+  process.exit(0);
+} catch (err) {
+  console.error(`✗ ${err.message}`);
+  process.exit(1);
+}
@@ -1,5 +1,6 @@
 const fs = require('fs');
 const path = require('path');
+const { parseKeywordExpression } = require('../../src/utils/keywordExpression');
 
 /**
  * CSV Parser for keyword management
@@ -75,6 +76,7 @@ class CSVParser {
 
   /**
    * Parse a single CSV line, handling quoted values
+   * ("" inside a quoted value is a literal quote, e.g. for phrases in expressions)
    * @param {string} line - CSV line
    * @returns {array} - Array of values
    */
@@ -86,7 +88,10 @@ class CSVParser {
     for (let i = 0; i < line.length; i++) {
       const char = line[i];
 
-      if (char === '"') {
+      if (char === '"' && inQuotes && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
         inQuotes = !inQuotes;
       } else if (char === ',' && !inQuotes) {
         values.push(current.trim());
@@ -126,8 +131,8 @@ class CSVParser {
       obj[header] = values[i] || '';
     });
 
-    // Convert tier to number
-    obj.tier = parseInt(obj.tier, 10);
+    // Convert tier to number (search-only rows have none)
+    obj.tier = obj.tier === '' ? null : parseInt(obj.tier, 10);
 
     return obj;
   }
@@ -143,8 +148,21 @@ class CSVParser {
       throw new Error(`Empty keyword at line ${lineNum}`);
     }
 
-    // Valid tier
-    if (![1, 2, 3].includes(row.tier)) {
+    // Valid scope: search-only rows are searched (Google News editions) but not scored
+    if (!['', 'scoring', 'search'].includes(row.scope || '')) {
+      throw new Error(
+        `Invalid scope '${row.scope}' for keyword '${row.keyword}' at line ${lineNum} (must be 'scoring' or 'search')`
+      );
+    }
+
+    // Valid tier (none for search-only rows)
+    if (row.scope === 'search') {
+      if (row.tier !== null) {
+        throw new Error(
+          `Search-only keyword '${row.keyword}' at line ${lineNum} must not have a tier`
+        );
+      }
+    } else if (![1, 2, 3].includes(row.tier)) {
       throw new Error(
         `Invalid tier '${row.tier}' for keyword '${row.keyword}' at line ${lineNum} (must be 1, 2, or 3)`
       );
@@ -156,6 +174,17 @@ class CSVParser {
         `Invalid language '${row.language}' for keyword '${row.keyword}' at line ${lineNum} (must be 'en' or 'de')`
       );
     }
+
+    // Optional boolean expression (compiled by generate-keywords)
+    if (row.expression) {
+      try {
+        parseKeywordExpression(row.expression);
+      } catch (err) {
+        throw new Error(
+          `Invalid expression for keyword '${row.keyword}' at line ${lineNum}: ${err.message}`
+        );
+      }
+    }
   }
 
   /**
@@ -168,7 +197,9 @@ class CSVParser {
       total: keywords.length,
       tier1: keywords.filter(k => k.tier === 1).length,
       tier2: keywords.filter(k => k.tier === 2).length,
-      tier3: keywords.filter(k => k.tier === 3).length
+      tier3: keywords.filter(k => k.tier === 3).length,
+      expressions: keywords.filter(k => k.expression).length,
+      searchOnly: keywords.filter(k => k.scope === 'search').length
     };
   }
 }
@@ -1,5 +1,6 @@
 const fs = require('fs');
 const path = require('path');
+const { parseKeywordExpression } = require('../../src/utils/keywordExpression');
 
 /**
  * Relevance JSON Builder
@@ -33,19 +34,38 @@ class RelevanceJsonBuilder {
    * @returns {object} - Complete relevance.json config
    */
   build(keywords, variationsMap, translationsMap) {
+    // Search-only rows (scope "search") never reach the scoring tiers
+    const scoring = keywords.filter(k => k.scope !== 'search');
+    const scoringNames = new Set(scoring.map(k => k.keyword));
+
     // Group keywords by tier
-    const tier1 = keywords.filter(k => k.tier === 1).map(k => k.keyword);
-    const tier2 = keywords.filter(k => k.tier === 2).map(k => k.keyword);
-    const tier3 = keywords.filter(k => k.tier === 3).map(k => k.keyword);
+    const tier1 = scoring.filter(k => k.tier === 1).map(k => k.keyword);
+    const tier2 = scoring.filter(k => k.tier === 2).map(k => k.keyword);
+    const tier3 = scoring.filter(k => k.tier === 3).map(k => k.keyword);
 
-    // Build variations object (only non-empty variations)
+    // Build variations object (only non-empty variations of scoring keywords)
     const variations = {};
     for (const [keyword, vars] of Object.entries(variationsMap)) {
-      if (vars.length > 0) {
+      if (vars.length > 0 && scoringNames.has(keyword)) {
         variations[keyword] = vars;
       }
     }
 
+    // Group keywords by language, search-only rows included (Google News editions)
+    const byLanguage = {};
+    for (const k of keywords) {
+      (byLanguage[k.language] = byLanguage[k.language] || []).push(k.keyword);
+    }
+
+    // Compile boolean expressions (keyword column stays the display name)
+    const expressions = {};
+    for (const k of keywords.filter(k => k.expression)) {
+      expressions[k.keyword] = {
+        expression: k.expression,
+        tree: parseKeywordExpression(k.expression)
+      };
+    }
+
     // Build synonyms object (en-de mappings)
     const synonyms = {
       'en-de': translationsMap
@@ -56,6 +76,8 @@ class RelevanceJsonBuilder {
       tier1,
       tier2,
       tier3,
+      byLanguage,
+      expressions,
       variations,
       synonyms,
       matchingOptions: {
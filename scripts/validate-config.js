@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+/**
+ * Validate sources.json, relevance.json and topics.json against their JSON Schemas
+ *
+ * Usage:
+ *   node scripts/validate-config.js
+ *   node scripts/validate-config.js --config=sources                 # only one config
+ *   node scripts/validate-config.js --config=sources --file=new.json # check a draft before copying it over
+ *   node scripts/validate-config.js --json
+ *
+ * Exits with 1 if any config is invalid (usable as a pre-deploy check)
+ */
+
+require('dotenv').config();
+const { CONFIG_NAMES, validateConfigFile, formatError } = require('../src/utils/configValidator');
+
+// Parse CLI args
+const args = process.argv.slice(2);
+const getFlag = (name) => {
+  const arg = args.find(a => a === `--${name}` || a.startsWith(`--${name}=`));
+  if (!arg) return undefined;
+  return arg.includes('=') ? arg.split('=').slice(1).join('=') : true;
+};
+
+const config = getFlag('config');
+const file = getFlag('file');
+
+if (config !== undefined && !CONFIG_NAMES.includes(config)) {
+  console.error(`✗ Unknown config: ${config} (expected ${CONFIG_NAMES.join(', ')})`);
+  process.exit(1);
+}
+if (typeof file === 'string' && !config) {
+  console.error('✗ --file requires --config');
+  process.exit(1);
+}
+
+const results = (config ? [config] : CONFIG_NAMES).map(name =>
+  validateConfigFile(name, typeof file === 'string' ? file : undefined)
+);
+
+if (getFlag('json')) {
+  console.log(JSON.stringify(results.map(({ data, ...result }) => result), null, 2));
+} else {
+  results.forEach(result => {
+    if (result.valid) {
+      console.log(`✓ ${result.name}: ${result.filePath}`);
+      return;
+    }
+
+    console.log(`✗ ${result.name}: ${result.filePath}`);
+    result.errors.forEach(error => console.log(`  - ${formatError(error)}`));
+  });
+}
+
+process.exit(results.every(result => result.valid) ? 0 : 1);
@@ -16,6 +16,7 @@ try {
   console.log(`  Tier 1: ${stats.tier1}`);
   console.log(`  Tier 2: ${stats.tier2}`);
   console.log(`  Tier 3: ${stats.tier3}`);
+  console.log(`  Expressions: ${stats.expressions}`);
 
   process.exit(0);
 } catch (err) {
@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+
+/**
+ * Admin API Authentication
+ * Protects the endpoints that change the bot's configuration with a shared token
+ * sent as "Authorization: Bearer <ADMIN_API_TOKEN>"
+ */
+
+/**
+ * Compares a presented token with the configured one in constant time
+ * @param {string} expected - Configured token
+ * @param {string} presented - Token from the request
+ * @returns {boolean}
+ */
+function isValidAdminToken(expected, presented) {
+  if (!expected || !presented) {
+    return false;
+  }
+
+  // Hash both so the comparison does not leak the token length
+  const expectedHash = crypto.createHash('sha256').update(expected).digest();
+  const presentedHash = crypto.createHash('sha256').update(presented).digest();
+
+  return crypto.timingSafeEqual(expectedHash, presentedHash);
+}
+
+/**
+ * Express middleware: rejects requests without a valid admin token
+ * @param {string} token - Admin token (defaults to ADMIN_API_TOKEN)
+ * @returns {Function} - Middleware
+ */
+function requireAdminToken(token = process.env.ADMIN_API_TOKEN) {
+  return (req, res, next) => {
+    if (!token) {
+      console.warn('⚠️  Admin request rejected: ADMIN_API_TOKEN is not configured');
+      return res.status(503).json({
+        status: 'error',
+        message: 'Admin API disabled (ADMIN_API_TOKEN not configured)',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    if (!isValidAdminToken(token, match?.[1]?.trim())) {
+      console.warn(`⚠️  Admin request rejected: invalid token (${req.method} ${req.path})`);
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or missing admin token',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  isValidAdminToken,
+  requireAdminToken
+};
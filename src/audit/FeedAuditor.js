@@ -0,0 +1,292 @@
+const axios = require('axios');
+const { parseFeed } = require('../utils/feedParser');
+const { getDataPath, readJSON, writeJSONAtomic } = require('../utils/jsonStore');
+
+/**
+ * Feed Auditor
+ * Probes every configured RSS and X (Nitter) feed URL - including disabled sources -
+ * classifies the outcome and writes a report to data/feed-audit.json.
+ *
+ * Feeds that were healthy in the previous report and got worse are listed as
+ * `degraded` so the scheduler can warn in Slack.
+ */
+
+// Outcome → severity ('ok' | 'warning' | 'error')
+const FEED_STATUSES = {
+  ok: 'ok',
+  redirect: 'warning',     // Feed works, but the configured URL moved
+  stale: 'warning',        // Newest item is older than staleAfterDays
+  empty: 'error',          // Valid feed without items
+  forbidden: 'error',      // 401/403 (blocked, e.g. by Cloudflare)
+  'http-error': 'error',   // Any other non-2xx status
+  'not-feed': 'error',     // HTML page instead of a feed
+  'parse-error': 'error',  // Not parseable as RSS, Atom, RDF or JSON Feed
+  unreachable: 'error'     // DNS, connection or timeout error
+};
+
+const SEVERITY_RANK = { ok: 0, warning: 1, error: 2 };
+
+class FeedAuditor {
+  /**
+   * @param {Object} options
+   * @param {SourceManager} options.sourceManager - Provides the source configuration
+   * @param {string} options.filePath - Report path (default: data/feed-audit.json)
+   * @param {number} options.staleAfterDays - Age of the newest item that counts as stale (default: FEED_AUDIT_STALE_DAYS or 14)
+   * @param {number} options.timeout - Request timeout in ms (default: 15000)
+   * @param {number} options.concurrency - Parallel requests (default: 4)
+   */
+  constructor(options = {}) {
+    if (!options.sourceManager) {
+      throw new Error('FeedAuditor requires a sourceManager');
+    }
+
+    this.sourceManager = options.sourceManager;
+    this.filePath = options.filePath || getDataPath('feed-audit.json');
+    this.staleAfterDays = options.staleAfterDays || parseFloat(process.env.FEED_AUDIT_STALE_DAYS) || 14;
+    this.timeout = options.timeout || 15000;
+    this.concurrency = options.concurrency || 4;
+  }
+
+  /**
+   * Lists the feed URLs of all configured sources that read feeds (RSS and X)
+   * @param {Array<string>} sourceIds - Only audit these sources (default: all)
+   * @returns {Array<Object>} - [{ sourceId, sourceName, type, enabled, note, label, url }]
+   */
+  getTargets(sourceIds = null) {
+    const targets = [];
+
+    for (const sourceConfig of this.sourceManager.config.sources) {
+      if (sourceIds && !sourceIds.includes(sourceConfig.id)) continue;
+
+      let source;
+      try {
+        source = this.sourceManager.createSourceInstance(sourceConfig);
+      } catch (error) {
+        console.warn(`⚠ Cannot audit source ${sourceConfig.id}: ${error.message}`);
+        continue;
+      }
+
+      if (typeof source.getFeedUrls !== 'function') continue;
+
+      for (const feed of source.getFeedUrls()) {
+        targets.push({
+          sourceId: source.id,
+          sourceName: source.name,
+          type: source.type,
+          enabled: source.enabled,
+          note: sourceConfig.note || null,
+          label: feed.label,
+          url: feed.url
+        });
+      }
+    }
+
+    return targets;
+  }
+
+  /**
+   * Audits all feeds, compares against the previous report and saves the new one
+   * @param {Object} options - { sourceIds }
+   * @returns {Promise<Object>} - Report { auditedAt, durationMs, staleAfterDays, summary, degraded, feeds }
+   */
+  async audit(options = {}) {
+    const startTime = Date.now();
+    const targets = this.getTargets(options.sourceIds);
+    const previous = this.getLastReport();
+    const previousByUrl = new Map((previous?.feeds || []).map(feed => [feed.url, feed]));
+
+    console.log(`→ Auditing ${targets.length} feeds`);
+
+    // Probe in small batches
+    const feeds = [];
+    for (let i = 0; i < targets.length; i += this.concurrency) {
+      const batch = targets.slice(i, i + this.concurrency);
+      feeds.push(...await Promise.all(batch.map(target => this.probe(target))));
+    }
+
+    for (const feed of feeds) {
+      const before = previousByUrl.get(feed.url);
+      feed.previousStatus = before ? before.status : null;
+      feed.degraded = !!before && SEVERITY_RANK[feed.severity] > SEVERITY_RANK[before.severity];
+    }
+
+    const report = {
+      auditedAt: new Date().toISOString(),
+      durationMs: Date.now() - startTime,
+      staleAfterDays: this.staleAfterDays,
+      summary: this.summarize(feeds),
+      degraded: feeds.filter(feed => feed.degraded),
+      feeds
+    };
+
+    // A partial audit keeps the other feeds' last results
+    if (options.sourceIds && previous) {
+      const audited = new Set(feeds.map(feed => feed.url));
+      report.feeds = [...previous.feeds.filter(feed => !audited.has(feed.url)), ...feeds];
+      report.summary = this.summarize(report.feeds);
+    }
+
+    this.save(report);
+    console.log(`✓ Feed audit finished: ${report.summary.ok} ok, ${report.summary.warning} warning(s), ${report.summary.error} error(s), ${report.degraded.length} degraded`);
+
+    return report;
+  }
+
+  /**
+   * Requests a feed URL and classifies the response
+   * @param {Object} target - Entry from getTargets()
+   * @returns {Promise<Object>} - Target with status, severity and details
+   */
+  async probe(target) {
+    const startTime = Date.now();
+    const result = {
+      ...target,
+      status: null,
+      severity: null,
+      httpStatus: null,
+      finalUrl: null,
+      contentType: null,
+      format: null,
+      itemCount: null,
+      newestItemDate: null,
+      error: null,
+      durationMs: null
+    };
+
+    const finish = (status, error = null) => {
+      result.status = status;
+      result.severity = FEED_STATUSES[status];
+      result.error = error;
+      result.durationMs = Date.now() - startTime;
+      return result;
+    };
+
+    let response;
+    try {
+      response = await axios.get(target.url, {
+        timeout: this.timeout,
+        maxRedirects: 5,
+        maxContentLength: 10 * 1024 * 1024,
+        responseType: 'text',
+        validateStatus: () => true,
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (compatible; NewsBot/1.0)',
+          Accept: 'application/rss+xml, application/atom+xml, application/feed+json, application/xml;q=0.9, text/xml;q=0.9, */*;q=0.8'
+        },
+        'axios-retry': {
+          retries: 0
+        }
+      });
+    } catch (error) {
+      return finish('unreachable', error.message);
+    }
+
+    const body = typeof response.data === 'string' ? response.data : String(response.data ?? '');
+    result.httpStatus = response.status;
+    result.contentType = response.headers['content-type'] || null;
+    result.finalUrl = response.request?.res?.responseUrl || target.url;
+    const redirected = result.finalUrl !== target.url;
+
+    if (response.status === 401 || response.status === 403) {
+      return finish('forbidden', `HTTP ${response.status}`);
+    }
+    if (response.status < 200 || response.status >= 300) {
+      return finish('http-error', `HTTP ${response.status}`);
+    }
+
+    if (this.isHtml(body, result.contentType)) {
+      return finish('not-feed', redirected
+        ? `HTML page instead of a feed (redirected to ${result.finalUrl})`
+        : 'HTML page instead of a feed');
+    }
+
+    let feed;
+    try {
+      feed = await parseFeed(body, { contentType: result.contentType });
+    } catch (error) {
+      return finish('parse-error', error.message);
+    }
+
+    const items = feed.items || [];
+    result.format = feed.format;
+    result.itemCount = items.length;
+    if (items.length === 0) {
+      return finish('empty', 'Feed has no items');
+    }
+
+    const newest = items
+      .map(item => new Date(item.pubDate).getTime())
+      .filter(time => !isNaN(time))
+      .sort((a, b) => b - a)[0];
+
+    if (newest) {
+      result.newestItemDate = new Date(newest).toISOString();
+      const ageDays = (Date.now() - newest) / (24 * 60 * 60 * 1000);
+      if (ageDays > this.staleAfterDays) {
+        return finish('stale', `Newest item is ${Math.floor(ageDays)} days old`);
+      }
+    }
+
+    if (redirected) {
+      return finish('redirect', `Redirects to ${result.finalUrl}`);
+    }
+
+    return finish('ok');
+  }
+
+  /**
+   * Detects HTML pages served in place of a feed
+   * @param {string} body - Response body
+   * @param {string|null} contentType - Content-Type header
+   * @returns {boolean}
+   */
+  isHtml(body, contentType) {
+    const start = body.trimStart().substring(0, 200).toLowerCase();
+    if (start.startsWith('<!doctype html') || start.startsWith('<html')) {
+      return true;
+    }
+    // XHTML is served as XML, so only trust the header when the body is not XML
+    return !!contentType && contentType.includes('text/html') && !start.startsWith('<?xml') && !/^<(rss|feed|rdf:rdf)\b/.test(start);
+  }
+
+  /**
+   * Counts feeds by severity and status
+   * @param {Array<Object>} feeds - Probed feeds
+   * @returns {Object} - { total, ok, warning, error, byStatus }
+   */
+  summarize(feeds) {
+    const summary = { total: feeds.length, ok: 0, warning: 0, error: 0, byStatus: {} };
+
+    for (const feed of feeds) {
+      summary[feed.severity]++;
+      summary.byStatus[feed.status] = (summary.byStatus[feed.status] || 0) + 1;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Reads the last saved report
+   * @returns {Object|null}
+   */
+  getLastReport() {
+    return readJSON(this.filePath, null);
+  }
+
+  /**
+   * Writes the report to disk
+   * @param {Object} report - Audit report
+   */
+  save(report) {
+    try {
+      writeJSONAtomic(this.filePath, report);
+    } catch (error) {
+      console.error('⚠️  Could not save feed audit report:', error.message);
+    }
+  }
+}
+
+module.exports = {
+  FeedAuditor,
+  FEED_STATUSES
+};
@@ -1,11 +1,19 @@
 const NodeCache = require('node-cache');
 const crypto = require('crypto');
+const FileCacheStore = require('./stores/FileCacheStore');
+const RedisCacheStore = require('./stores/RedisCacheStore');
 
 /**
  * Cache Manager
  * Provides multi-layer caching with configurable TTLs for news sources
+ *
+ * Lookups are served from in-memory node-cache instances. An opt-in persistent
+ * store (CACHE_BACKEND=file|redis) receives every write and restores unexpired
+ * entries on startup, so a restart does not refetch the day's sources.
  */
 
+const CACHE_TYPES = ['rss', 'newsapi', 'processed', 'links'];
+
 class CacheManager {
   constructor(options = {}) {
     this.enabled = process.env.ENABLE_CACHE === 'true' || options.enabled !== false;
@@ -14,7 +22,8 @@ class CacheManager {
     this.ttls = {
       rss: parseInt(process.env.CACHE_TTL_RSS || options.ttlRSS || '21600'), // 6 hours
       newsapi: parseInt(process.env.CACHE_TTL_NEWSAPI || options.ttlNewsAPI || '86400'), // 24 hours
-      processed: parseInt(process.env.CACHE_TTL_PROCESSED || options.ttlProcessed || '86400') // 24 hours
+      processed: parseInt(process.env.CACHE_TTL_PROCESSED || options.ttlProcessed || '86400'), // 24 hours
+      links: parseInt(process.env.CACHE_TTL_LINKS || options.ttlLinks || '604800') // 7 days
     };
 
     // Initialize cache instances
@@ -36,6 +45,14 @@ class CacheManager {
       useClones: false
     });
 
+    // Resolved links (Google News id → publisher URL) do not depend on the config,
+    // so they live apart from 'processed', which config reloads flush
+    this.linksCache = new NodeCache({
+      stdTTL: this.ttls.links,
+      checkperiod: 600,
+      useClones: false
+    });
+
     // Statistics
     this.stats = {
       hits: 0,
@@ -48,17 +65,126 @@ class CacheManager {
     // Setup event listeners for monitoring
     this.setupEventListeners();
 
+    // Persistent store behind the in-memory caches (null = memory only)
+    this.store = this.enabled ? this.createStore(options) : null;
+    this.pendingWrites = new Set();
+    this.ready = this.restore();
+
     if (this.enabled) {
-      console.log('✅ Cache enabled with TTLs:', {
+      console.log(`✅ Cache enabled (${this.store ? `${this.store.name} store` : 'memory only'}) with TTLs:`, {
         rss: `${this.ttls.rss}s (${this.ttls.rss / 3600}h)`,
         newsapi: `${this.ttls.newsapi}s (${this.ttls.newsapi / 3600}h)`,
-        processed: `${this.ttls.processed}s (${this.ttls.processed / 3600}h)`
+        processed: `${this.ttls.processed}s (${this.ttls.processed / 3600}h)`,
+        links: `${this.ttls.links}s (${this.ttls.links / 3600}h)`
       });
     } else {
       console.log('⚠️  Cache disabled');
     }
   }
 
+  /**
+   * Creates the persistent store for CACHE_BACKEND
+   * @param {Object} options - { backend, store, cacheDir, redisUrl }
+   * @returns {FileCacheStore|RedisCacheStore|null}
+   */
+  createStore(options) {
+    if (options.store !== undefined) {
+      return options.store;
+    }
+
+    const backend = options.backend || process.env.CACHE_BACKEND || 'memory';
+    switch (backend) {
+      case 'memory':
+        return null;
+      case 'file':
+        return new FileCacheStore({ dir: options.cacheDir });
+      case 'redis':
+        return new RedisCacheStore({ url: options.redisUrl });
+      default:
+        throw new Error(`Unknown CACHE_BACKEND: ${backend} (expected memory, file or redis)`);
+    }
+  }
+
+  /**
+   * Loads unexpired entries from the persistent store into memory
+   * The file store loads synchronously, so its entries are available right after construction
+   * @returns {Promise<number>} - Number of restored entries
+   */
+  restore() {
+    if (!this.store) {
+      return Promise.resolve(0);
+    }
+
+    const hydrate = (entries) => {
+      const now = Date.now();
+      let restored = 0;
+
+      for (const entry of entries) {
+        if (!CACHE_TYPES.includes(entry.type)) continue;
+
+        // Remaining TTL in seconds; 0 means no expiry in node-cache
+        const ttl = entry.expiresAt ? Math.ceil((entry.expiresAt - now) / 1000) : 0;
+        if (entry.expiresAt && ttl <= 0) continue;
+
+        this.getCacheByType(entry.type).set(entry.key, entry.value, ttl);
+        restored++;
+      }
+
+      if (restored > 0) {
+        console.log(`💾 Restored ${restored} cache entries from ${this.store.name} store`);
+      }
+      return restored;
+    };
+
+    const onError = (error) => {
+      this.stats.errors++;
+      console.error(`⚠️  Could not restore cache from ${this.store.name} store:`, error.message);
+      return 0;
+    };
+
+    try {
+      const loaded = this.store.load();
+      return loaded instanceof Promise ? loaded.then(hydrate, onError) : Promise.resolve(hydrate(loaded));
+    } catch (error) {
+      return Promise.resolve(onError(error));
+    }
+  }
+
+  /**
+   * Runs a write against the persistent store without blocking the caller
+   * Failures are counted as cache errors; the in-memory cache stays authoritative
+   * @param {string} action - Action name for logging
+   * @param {Function} operation - Store operation (sync or async)
+   */
+  persist(action, operation) {
+    if (!this.store) return;
+
+    const onError = (error) => {
+      this.stats.errors++;
+      console.error(`⚠️  Cache store ${action} error [${this.store.name}]:`, error.message);
+    };
+
+    let write;
+    try {
+      write = Promise.resolve(operation()).catch(onError);
+    } catch (error) {
+      onError(error);
+      return;
+    }
+
+    this.pendingWrites.add(write);
+    write.finally(() => this.pendingWrites.delete(write));
+  }
+
+  /**
+   * Waits for pending store writes and closes the store (call on shutdown)
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await Promise.all(this.pendingWrites);
+    this.store?.close();
+  }
+
   /**
    * Setup event listeners for cache monitoring
    */
@@ -66,12 +192,14 @@ class CacheManager {
     const caches = [
       { name: 'RSS', cache: this.rssCache },
       { name: 'NewsAPI', cache: this.newsapiCache },
-      { name: 'Processed', cache: this.processedCache }
+      { name: 'Processed', cache: this.processedCache },
+      { name: 'Links', cache: this.linksCache }
     ];
 
     caches.forEach(({ name, cache }) => {
       cache.on('expired', (key, value) => {
         console.log(`🕐 ${name} cache key expired: ${key}`);
+        this.persist('expire', () => this.store.delete(name.toLowerCase(), key));
       });
 
       cache.on('del', (key, value) => {
@@ -95,7 +223,7 @@ class CacheManager {
 
   /**
    * Gets a value from the appropriate cache
-   * @param {string} type - Cache type ('rss', 'newsapi', 'processed')
+   * @param {string} type - Cache type ('rss', 'newsapi', 'processed', 'links')
    * @param {string} key - Cache key
    * @returns {any|null} - Cached value or null
    */
@@ -126,7 +254,7 @@ class CacheManager {
 
   /**
    * Sets a value in the appropriate cache
-   * @param {string} type - Cache type ('rss', 'newsapi', 'processed')
+   * @param {string} type - Cache type ('rss', 'newsapi', 'processed', 'links')
    * @param {string} key - Cache key
    * @param {any} value - Value to cache
    * @param {number} ttl - Optional custom TTL in seconds
@@ -139,11 +267,15 @@ class CacheManager {
 
     try {
       const cache = this.getCacheByType(type);
-      const success = cache.set(key, value, ttl || this.ttls[type]);
+      const effectiveTtl = ttl || this.ttls[type];
+      const success = cache.set(key, value, effectiveTtl);
 
       if (success) {
         this.stats.sets++;
-        console.log(`💾 Cache SET [${type}]: ${key} (TTL: ${ttl || this.ttls[type]}s)`);
+        console.log(`💾 Cache SET [${type}]: ${key} (TTL: ${effectiveTtl}s)`);
+
+        const expiresAt = effectiveTtl > 0 ? Date.now() + effectiveTtl * 1000 : null;
+        this.persist('set', () => this.store.set(type, key, value, expiresAt));
       }
 
       return success;
@@ -169,6 +301,7 @@ class CacheManager {
       const cache = this.getCacheByType(type);
       const deleted = cache.del(key);
       console.log(`🗑️  Cache DELETE [${type}]: ${key}`);
+      this.persist('delete', () => this.store.delete(type, key));
       return deleted;
     } catch (error) {
       this.stats.errors++;
@@ -205,6 +338,8 @@ class CacheManager {
         return this.newsapiCache;
       case 'processed':
         return this.processedCache;
+      case 'links':
+        return this.linksCache;
       default:
         throw new Error(`Unknown cache type: ${type}`);
     }
@@ -217,6 +352,8 @@ class CacheManager {
     this.rssCache.flushAll();
     this.newsapiCache.flushAll();
     this.processedCache.flushAll();
+    this.linksCache.flushAll();
+    CACHE_TYPES.forEach(type => this.persist('flush', () => this.store.flush(type)));
     console.log('🗑️  All caches flushed');
   }
 
@@ -227,6 +364,7 @@ class CacheManager {
   flushType(type) {
     const cache = this.getCacheByType(type);
     cache.flushAll();
+    this.persist('flush', () => this.store.flush(type));
     console.log(`🗑️  ${type} cache flushed`);
   }
 
@@ -241,6 +379,7 @@ class CacheManager {
 
     return {
       enabled: this.enabled,
+      backend: this.store ? this.store.name : 'memory',
       hits: this.stats.hits,
       misses: this.stats.misses,
       sets: this.stats.sets,
@@ -251,7 +390,9 @@ class CacheManager {
         rss: this.rssCache.keys().length,
         newsapi: this.newsapiCache.keys().length,
         processed: this.processedCache.keys().length,
-        total: this.rssCache.keys().length + this.newsapiCache.keys().length + this.processedCache.keys().length
+        links: this.linksCache.keys().length,
+        total: this.rssCache.keys().length + this.newsapiCache.keys().length + this.processedCache.keys().length +
+          this.linksCache.keys().length
       },
       ttls: this.ttls
     };
@@ -263,10 +404,10 @@ class CacheManager {
   logStats() {
     const stats = this.getStats();
     console.log('\n📊 Cache Statistics:');
-    console.log(`   Enabled: ${stats.enabled}`);
+    console.log(`   Enabled: ${stats.enabled} (${stats.backend})`);
     console.log(`   Hit Rate: ${stats.hitRate} (${stats.hits} hits / ${stats.misses} misses)`);
     console.log(`   Sets: ${stats.sets}, Deletes: ${stats.deletes}, Errors: ${stats.errors}`);
-    console.log(`   Cache Sizes: RSS=${stats.sizes.rss}, NewsAPI=${stats.sizes.newsapi}, Processed=${stats.sizes.processed} (Total: ${stats.sizes.total})`);
+    console.log(`   Cache Sizes: RSS=${stats.sizes.rss}, NewsAPI=${stats.sizes.newsapi}, Processed=${stats.sizes.processed}, Links=${stats.sizes.links} (Total: ${stats.sizes.total})`);
   }
 
   /**
@@ -277,7 +418,8 @@ class CacheManager {
     return {
       rss: this.rssCache.keys(),
       newsapi: this.newsapiCache.keys(),
-      processed: this.processedCache.keys()
+      processed: this.processedCache.keys(),
+      links: this.linksCache.keys()
     };
   }
 
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getDataPath, readJSON, writeJSONAtomic } = require('../../utils/jsonStore');
+
+/**
+ * File Cache Store
+ * Persists cache entries on disk (one JSON file per entry, one directory per cache type)
+ * so fetched results survive restarts. Opt-in with CACHE_BACKEND=file; CacheManager
+ * keeps entries in memory only by default.
+ *
+ * Layout: <dir>/<type>/<sha1(key)>.json → { key, value, expiresAt }
+ */
+
+class FileCacheStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Cache directory (default: CACHE_DIR or <DATA_DIR>/cache)
+   */
+  constructor(options = {}) {
+    this.name = 'file';
+    this.dir = options.dir || process.env.CACHE_DIR || getDataPath('cache');
+  }
+
+  /**
+   * Path of the file holding an entry
+   * @param {string} type - Cache type
+   * @param {string} key - Cache key
+   * @returns {string}
+   */
+  entryPath(type, key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.dir, type, `${hash}.json`);
+  }
+
+  /**
+   * Reads all unexpired entries (expired files are removed)
+   * Synchronous so the cache is populated before the first lookup
+   * @returns {Array<Object>} - [{ type, key, value, expiresAt }]
+   */
+  load() {
+    const entries = [];
+    const now = Date.now();
+
+    if (!fs.existsSync(this.dir)) {
+      return entries;
+    }
+
+    for (const type of fs.readdirSync(this.dir)) {
+      const typeDir = path.join(this.dir, type);
+      if (!fs.statSync(typeDir).isDirectory()) continue;
+
+      for (const file of fs.readdirSync(typeDir).filter(name => name.endsWith('.json'))) {
+        const filePath = path.join(typeDir, file);
+        const entry = readJSON(filePath);
+
+        if (!entry || (entry.expiresAt && entry.expiresAt <= now)) {
+          fs.rmSync(filePath, { force: true });
+          continue;
+        }
+
+        entries.push({ type, key: entry.key, value: entry.value, expiresAt: entry.expiresAt });
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Stores an entry
+   * @param {string} type - Cache type
+   * @param {string} key - Cache key
+   * @param {any} value - JSON-serializable value
+   * @param {number|null} expiresAt - Expiry timestamp in ms (null = no expiry)
+   */
+  set(type, key, value, expiresAt) {
+    writeJSONAtomic(this.entryPath(type, key), { key, value, expiresAt });
+  }
+
+  /**
+   * Removes an entry
+   * @param {string} type - Cache type
+   * @param {string} key - Cache key
+   */
+  delete(type, key) {
+    fs.rmSync(this.entryPath(type, key), { force: true });
+  }
+
+  /**
+   * Removes all entries of a cache type
+   * @param {string} type - Cache type
+   */
+  flush(type) {
+    fs.rmSync(path.join(this.dir, type), { recursive: true, force: true });
+  }
+
+  /**
+   * Nothing to release for files
+   */
+  close() {}
+}
+
+module.exports = FileCacheStore;
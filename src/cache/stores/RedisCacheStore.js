@@ -0,0 +1,137 @@
+const Redis = require('ioredis');
+
+/**
+ * Redis Cache Store
+ * Persists cache entries in Redis (or any server speaking the Redis protocol,
+ * e.g. KeyDB, Valkey, Dragonfly) so several instances and restarts share one cache.
+ *
+ * Entries are stored as JSON strings under <prefix><type>:<key> with a PX expiry,
+ * so Redis enforces the TTL itself. The connection (AUTH, SELECT, reconnects with
+ * backoff) is handled by ioredis.
+ */
+
+class RedisCacheStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - redis://[[user]:password@]host:port[/db] (default: REDIS_URL)
+   * @param {string} options.prefix - Key prefix (default: REDIS_KEY_PREFIX or 'newsbot:cache:')
+   * @param {number} options.timeout - Connect timeout in ms (default: 5000)
+   */
+  constructor(options = {}) {
+    this.name = 'redis';
+    this.url = options.url || process.env.REDIS_URL || 'redis://localhost:6379';
+    this.prefix = options.prefix || process.env.REDIS_KEY_PREFIX || 'newsbot:cache:';
+
+    this.client = new Redis(this.url, {
+      lazyConnect: true,
+      connectTimeout: options.timeout || 5000,
+      // Fail a command after one reconnect attempt instead of queueing it while Redis is down;
+      // the in-memory cache keeps serving in the meantime
+      maxRetriesPerRequest: 1,
+      retryStrategy: (attempt) => Math.min(attempt * 500, 30000)
+    });
+
+    // Connection errors also reject the pending commands; log each outage once
+    this.client.on('error', (error) => {
+      if (!this.connectionError) {
+        console.error(`⚠️  Redis cache store connection error:`, error.message);
+      }
+      this.connectionError = error;
+    });
+    this.client.on('ready', () => { this.connectionError = null; });
+  }
+
+  /**
+   * Lists all keys matching a pattern
+   * @param {string} pattern - SCAN MATCH pattern
+   * @returns {Promise<Array<string>>}
+   */
+  scanKeys(pattern) {
+    return new Promise((resolve, reject) => {
+      const keys = [];
+      this.client.scanStream({ match: pattern, count: 200 })
+        .on('data', (batch) => keys.push(...batch))
+        .on('end', () => resolve(keys))
+        .on('error', reject);
+    });
+  }
+
+  /**
+   * Reads all unexpired entries
+   * @returns {Promise<Array<Object>>} - [{ type, key, value, expiresAt }]
+   */
+  async load() {
+    const entries = [];
+
+    for (const redisKey of await this.scanKeys(`${this.prefix}*`)) {
+      const [[, raw], [, ttl]] = await this.client.pipeline().get(redisKey).pttl(redisKey).exec();
+      if (raw === null || ttl === -2) continue;
+
+      const rest = redisKey.substring(this.prefix.length);
+      const separator = rest.indexOf(':');
+
+      try {
+        entries.push({
+          type: rest.substring(0, separator),
+          key: rest.substring(separator + 1),
+          value: JSON.parse(raw),
+          expiresAt: ttl > 0 ? Date.now() + ttl : null
+        });
+      } catch (error) {
+        console.warn(`⚠️  Skipping unreadable Redis cache entry ${redisKey}:`, error.message);
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Stores an entry
+   * @param {string} type - Cache type
+   * @param {string} key - Cache key
+   * @param {any} value - JSON-serializable value
+   * @param {number|null} expiresAt - Expiry timestamp in ms (null = no expiry)
+   * @returns {Promise<void>}
+   */
+  async set(type, key, value, expiresAt) {
+    const redisKey = `${this.prefix}${type}:${key}`;
+    const payload = JSON.stringify(value);
+
+    if (expiresAt) {
+      await this.client.set(redisKey, payload, 'PX', Math.max(1, expiresAt - Date.now()));
+    } else {
+      await this.client.set(redisKey, payload);
+    }
+  }
+
+  /**
+   * Removes an entry
+   * @param {string} type - Cache type
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async delete(type, key) {
+    await this.client.del(`${this.prefix}${type}:${key}`);
+  }
+
+  /**
+   * Removes all entries of a cache type
+   * @param {string} type - Cache type
+   * @returns {Promise<void>}
+   */
+  async flush(type) {
+    const keys = await this.scanKeys(`${this.prefix}${type}:*`);
+    for (let i = 0; i < keys.length; i += 100) {
+      await this.client.del(...keys.slice(i, i + 100));
+    }
+  }
+
+  /**
+   * Closes the connection (stops reconnecting)
+   */
+  close() {
+    this.client.disconnect();
+  }
+}
+
+module.exports = RedisCacheStore;
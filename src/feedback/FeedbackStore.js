@@ -0,0 +1,202 @@
+const { getDataPath, readJSON, writeJSONAtomic } = require('../utils/jsonStore');
+
+/**
+ * Feedback Store
+ * Persists reader votes from the Slack feedback buttons and turns them into a
+ * score adjustment for sources, topics and keywords
+ */
+
+// Vote values (a "not relevant" vote counts more than a thumbs down)
+const VOTE_VALUES = {
+  up: 1,
+  down: -1,
+  not_relevant: -2
+};
+
+// Share of the adjustment taken from each dimension
+const DIMENSION_WEIGHTS = {
+  source: 0.4,
+  topic: 0.3,
+  keywords: 0.3
+};
+
+class FeedbackStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || getDataPath('feedback.json');
+    // Votes needed before a source/topic/keyword reaches half its possible bias
+    this.priorVotes = options.priorVotes ?? 3;
+
+    // Map of `${link}|${user}` to vote (one vote per reader and article, latest wins)
+    this.votes = new Map();
+
+    this.load();
+  }
+
+  /**
+   * Loads votes from disk and rebuilds the aggregates
+   */
+  load() {
+    const data = readJSON(this.filePath, { votes: [] });
+
+    this.votes.clear();
+    for (const vote of data.votes || []) {
+      this.votes.set(this.getKey(vote), vote);
+    }
+
+    this.aggregate();
+  }
+
+  /**
+   * Writes votes to disk
+   */
+  save() {
+    try {
+      writeJSONAtomic(this.filePath, {
+        updatedAt: new Date().toISOString(),
+        votes: Array.from(this.votes.values())
+      });
+    } catch (error) {
+      console.error(`⚠️  Could not write feedback store to ${this.filePath}:`, error.message);
+    }
+  }
+
+  getKey(vote) {
+    return `${vote.link}|${vote.user || 'anonymous'}`;
+  }
+
+  /**
+   * Records a vote
+   * @param {Object} vote - { vote: 'up'|'down'|'not_relevant', link, title, source, topic, keywords, user }
+   * @returns {Object} Stored vote
+   */
+  record(vote) {
+    if (!VOTE_VALUES[vote.vote]) {
+      throw new Error(`Unknown feedback vote: ${vote.vote}`);
+    }
+    if (!vote.link) {
+      throw new Error('Feedback vote requires an article link');
+    }
+
+    const entry = {
+      vote: vote.vote,
+      link: vote.link,
+      title: vote.title || null,
+      source: vote.source || null,
+      topic: vote.topic || null,
+      keywords: vote.keywords || [],
+      user: vote.user || 'anonymous',
+      votedAt: new Date().toISOString()
+    };
+
+    this.votes.set(this.getKey(entry), entry);
+    this.aggregate();
+    this.save();
+
+    return entry;
+  }
+
+  /**
+   * Rebuilds per-source, per-topic and per-keyword tallies
+   */
+  aggregate() {
+    this.tallies = { source: {}, topic: {}, keywords: {} };
+
+    const add = (dimension, key, value) => {
+      if (!key) return;
+      const tally = this.tallies[dimension][key] || (this.tallies[dimension][key] = { net: 0, votes: 0 });
+      tally.net += value;
+      tally.votes++;
+    };
+
+    for (const vote of this.votes.values()) {
+      const value = VOTE_VALUES[vote.vote];
+      add('source', vote.source, value);
+      add('topic', vote.topic, value);
+      (vote.keywords || []).forEach(keyword => add('keywords', keyword.toLowerCase(), value));
+    }
+  }
+
+  /**
+   * Bias for a single source/topic/keyword, shrunk towards 0 while votes are few
+   * @returns {number|null} Bias between -1 and 1, null if there is no feedback
+   */
+  getBias(dimension, key) {
+    const tally = key && this.tallies[dimension][dimension === 'keywords' ? key.toLowerCase() : key];
+    if (!tally) return null;
+
+    const bias = tally.net / (tally.votes + this.priorVotes);
+    return Math.max(-1, Math.min(1, bias));
+  }
+
+  /**
+   * Calculates the combined feedback bias for an article
+   * @param {Object} context - { source, topic, keywords }
+   * @returns {number} Bias between -1 (penalize) and 1 (boost), 0 without feedback
+   */
+  getArticleBias({ source, topic, keywords = [] }) {
+    if (this.votes.size === 0) return 0;
+
+    const keywordBiases = keywords
+      .map(keyword => this.getBias('keywords', keyword))
+      .filter(bias => bias !== null);
+
+    const biases = {
+      source: this.getBias('source', source) || 0,
+      topic: this.getBias('topic', topic) || 0,
+      keywords: keywordBiases.length > 0
+        ? keywordBiases.reduce((sum, bias) => sum + bias, 0) / keywordBiases.length
+        : 0
+    };
+
+    return Object.entries(DIMENSION_WEIGHTS)
+      .reduce((sum, [dimension, weight]) => sum + biases[dimension] * weight, 0);
+  }
+
+  /**
+   * Gets feedback statistics
+   * @returns {Object} Vote counts and the most boosted/penalized sources, topics and keywords
+   */
+  getStats() {
+    const counts = { up: 0, down: 0, not_relevant: 0 };
+    for (const vote of this.votes.values()) {
+      counts[vote.vote]++;
+    }
+
+    const ranked = (dimension) => Object.keys(this.tallies[dimension])
+      .map(key => ({ key, bias: Number(this.getBias(dimension, key).toFixed(3)), votes: this.tallies[dimension][key].votes }))
+      .sort((a, b) => b.bias - a.bias);
+
+    return {
+      votes: this.votes.size,
+      counts,
+      sources: ranked('source'),
+      topics: ranked('topic'),
+      keywords: ranked('keywords'),
+      filePath: this.filePath
+    };
+  }
+}
+
+// Feedback store instances per digest profile
+const feedbackStoreInstances = new Map();
+
+/**
+ * Gets the feedback store for a digest profile
+ * @param {string} profileId - Profile id ('default' uses feedback.json)
+ * @returns {FeedbackStore}
+ */
+function getFeedbackStore(profileId = 'default') {
+  if (!feedbackStoreInstances.has(profileId)) {
+    const options = profileId === 'default'
+      ? {}
+      : { filePath: getDataPath(`feedback-${profileId}.json`) };
+    feedbackStoreInstances.set(profileId, new FeedbackStore(options));
+  }
+  return feedbackStoreInstances.get(profileId);
+}
+
+module.exports = {
+  FeedbackStore,
+  getFeedbackStore,
+  VOTE_VALUES
+};
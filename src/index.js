@@ -1,9 +1,28 @@
 require('dotenv').config({ override: true });
 const express = require('express');
 const Scheduler = require('./scheduler');
+const ProfileManager = require('./profiles/ProfileManager');
+const { getArticleLedger } = require('./ledger/ArticleLedger');
+const { getFeedbackStore } = require('./feedback/FeedbackStore');
+const { getRunHistory } = require('./runs/RunHistory');
+const { getDigestMessageStore } = require('./slack/DigestMessageStore');
+const { getCacheManager } = require('./cache/CacheManager');
+const { getMetricsRegistry } = require('./metrics/MetricsRegistry');
+require('./metrics/metrics');
+const { verifySlackRequest } = require('./slack/slackSignature');
+const { requireAdminToken } = require('./admin/adminAuth');
+const SlackService = require('./slackService');
+const SlashCommandHandler = require('./slack/SlashCommandHandler');
+const axios = require('axios');
+const { CONFIG_NAMES, validateConfigFile, formatError } = require('./utils/configValidator');
 
-// Validate environment variables
-const requiredEnvVars = ['SLACK_WEBHOOK_URL'];
+// Validate environment variables (webhooks come from the profiles file when PROFILES_CONFIG is set)
+let requiredEnvVars = ['SLACK_WEBHOOK_URL'];
+if (process.env.PROFILES_CONFIG) {
+  requiredEnvVars = [];
+} else if (process.env.SLACK_DELIVERY_MODE === 'webapi') {
+  requiredEnvVars = ['SLACK_BOT_TOKEN', 'SLACK_CHANNEL_ID'];
+}
 const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
 
 if (missingEnvVars.length > 0) {
@@ -13,6 +32,19 @@ if (missingEnvVars.length > 0) {
   process.exit(1);
 }
 
+// Validate sources.json, relevance.json and topics.json (same report as npm run config:validate)
+const invalidConfigs = CONFIG_NAMES.map(name => validateConfigFile(name)).filter(result => !result.valid);
+
+if (invalidConfigs.length > 0) {
+  console.error('❌ Invalid configuration:');
+  invalidConfigs.forEach(result => {
+    console.error(`   ${result.filePath}`);
+    result.errors.forEach(error => console.error(`   - ${formatError(error)}`));
+  });
+  console.error('\nRun npm run config:validate after fixing the files');
+  process.exit(1);
+}
+
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -20,8 +52,23 @@ const PORT = process.env.PORT || 3000;
 // Middleware
 app.use(express.json());
 
-// Initialize scheduler
-const scheduler = new Scheduler(process.env.SLACK_WEBHOOK_URL);
+// Routes that change bot state require Authorization: Bearer ADMIN_API_TOKEN
+const adminAuth = requireAdminToken();
+
+// Initialize digest profiles and scheduler
+const profileManager = new ProfileManager();
+const scheduler = new Scheduler(profileManager);
+const slashCommandHandler = new SlashCommandHandler(scheduler);
+
+/**
+ * Resolve the profile requested via ?profile= / body.profile
+ * @returns {Object|null} Profile, null if unknown; undefined when none requested
+ */
+function getRequestedProfile(req) {
+  const profileId = req.query.profile || req.body?.profile;
+  if (!profileId) return undefined;
+  return profileManager.getProfile(profileId);
+}
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -30,7 +77,8 @@ app.get('/health', (req, res) => {
     service: 'NewsBot Slack',
     timestamp: new Date().toISOString(),
     timezone: process.env.TIMEZONE || 'Europe/Berlin',
-    schedule: process.env.CRON_SCHEDULE || '0 8 * * *'
+    schedule: process.env.CRON_SCHEDULE || '0 8 * * *',
+    profiles: profileManager.getProfiles().map(p => p.id)
   });
 });
 
@@ -39,14 +87,37 @@ app.post('/trigger', async (req, res) => {
   console.log('Manual trigger received via API');
 
   try {
-    // Execute the job asynchronously
-    scheduler.executeNow().catch(error => {
+    const profile = getRequestedProfile(req);
+    if (profile === null) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Unknown profile: ${req.query.profile || req.body.profile}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Execute the job asynchronously (all profiles unless one was requested)
+    const job = req.query.job || req.body?.job || 'daily';
+    if (!['daily', 'weekly'].includes(job)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Unknown job: ${job} (expected daily or weekly)`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const execution = job === 'weekly'
+      ? scheduler.executeWeeklyNow(profile?.id)
+      : scheduler.executeNow(profile?.id);
+    execution.catch(error => {
       console.error('Error in manual execution:', error);
     });
 
     res.json({
       status: 'triggered',
-      message: 'News job has been triggered and is running in the background',
+      message: `${job === 'weekly' ? 'Weekly roundup' : 'News job'} has been triggered and is running in the background`,
+      job,
+      profiles: profile ? [profile.id] : profileManager.getProfiles().map(p => p.id),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -63,8 +134,8 @@ app.post('/test-slack', async (req, res) => {
   console.log('Slack connection test triggered');
 
   try {
-    const SlackService = require('./slackService');
-    const slackService = new SlackService(process.env.SLACK_WEBHOOK_URL);
+    const profile = getRequestedProfile(req) || profileManager.getDefaultProfile();
+    const slackService = scheduler.slackServices.get(profile.id);
     await slackService.sendTestMessage();
 
     res.json({
@@ -88,19 +159,385 @@ app.get('/status', (req, res) => {
     version: '1.0.0',
     status: 'running',
     schedule: {
-      cron: process.env.CRON_SCHEDULE || '0 8 * * *',
-      timezone: process.env.TIMEZONE || 'Europe/Berlin',
+      cron: scheduler.cronSchedule,
+      timezone: scheduler.timezone,
       nextRun: scheduler.getNextRunTime()
     },
     config: {
-      keywords: process.env.NEWS_KEYWORDS?.split(',').map(k => k.trim()) || [
-        'retail innovation',
-        'autonomous delivery',
-        'last mile delivery',
-        'retail technology'
-      ],
-      maxItems: parseInt(process.env.MAX_NEWS_ITEMS) || 10
+      keywords: profileManager.getDefaultProfile().keywords,
+      maxItems: profileManager.getDefaultProfile().maxItems
     },
+    profiles: profileManager.getProfiles().map(profile => ({
+      id: profile.id,
+      name: profile.name,
+      keywords: profile.keywords,
+      topics: profile.topics,
+      maxItems: profile.maxItems,
+      schedule: {
+        cron: profile.cronSchedule,
+        timezone: profile.timezone,
+        nextRun: scheduler.getNextRunTime(profile)
+      },
+      weeklyRoundup: profile.weeklyRoundup ? { cron: profile.weeklyCronSchedule } : null
+    })),
+    quota: scheduler.newsService.sourceManager.getQuotaUsage(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Prometheus metrics (sources, circuit breakers, cache, embedding model, runs)
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4; charset=utf-8').send(getMetricsRegistry().render());
+});
+
+// Source health (circuit breaker state, failure rate and last error per source)
+// ?check=true also runs the healthCheck() of sources that implement one
+app.get('/sources/health', async (req, res) => {
+  const sourceManager = scheduler.newsService.sourceManager;
+  const sources = sourceManager.getSourceHealth();
+
+  if (req.query.check === 'true') {
+    const checks = await sourceManager.runHealthChecks();
+    sources.forEach(source => {
+      source.check = checks[source.id] || null;
+    });
+  }
+
+  res.json({
+    count: sources.length,
+    unhealthy: sources.filter(source => !source.healthy).length,
+    sources,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Manually open, close or reset a source's circuit breaker (id "all" with action "reset" resets every circuit)
+app.post('/sources/:id/circuit', adminAuth, (req, res) => {
+  const sourceManager = scheduler.newsService.sourceManager;
+  const circuitBreaker = sourceManager.circuitBreaker;
+  const action = req.body?.action || req.query.action;
+  const actions = { open: 'forceOpen', close: 'forceClose', reset: 'reset' };
+
+  if (!actions[action]) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Unknown action: ${action} (expected open, close or reset)`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (req.params.id === 'all' && action === 'reset') {
+    circuitBreaker.resetAll();
+    return res.json({
+      status: 'success',
+      action,
+      sources: sourceManager.getSourceHealth(),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (!sourceManager.getSource(req.params.id)) {
+    return res.status(404).json({
+      status: 'error',
+      message: `Unknown source: ${req.params.id}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  circuitBreaker[actions[action]](req.params.id);
+
+  res.json({
+    status: 'success',
+    action,
+    source: sourceManager.getSourceHealth().find(source => source.id === req.params.id),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Last feed audit report (npm run feeds:audit or the scheduled audit)
+app.get('/sources/audit', (req, res) => {
+  const report = scheduler.feedAuditor.getLastReport();
+
+  if (!report) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'No feed audit has run yet',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.json(report);
+});
+
+// Admin API: manage the sources in sources.json at runtime
+/**
+ * Send the error of a source change (validation errors list their config paths)
+ * @param {Object} res - Express response
+ * @param {Error} error - Error from SourceManager.addSource/updateSource/removeSource
+ */
+function sendSourceError(res, error) {
+  const statusCode = error.statusCode ||
+    (error.name === 'ConfigValidationError' || error.name === 'SourceValidationError' ? 400 : 500);
+
+  res.status(statusCode).json({
+    status: 'error',
+    message: error.name === 'ConfigValidationError' ? 'Invalid source configuration' : error.message,
+    errors: error.errors?.map(formatError),
+    timestamp: new Date().toISOString()
+  });
+}
+
+app.get('/sources', adminAuth, (req, res) => {
+  const sources = scheduler.newsService.sourceManager.getSourceEntries();
+
+  res.json({
+    count: sources.length,
+    loaded: sources.filter(source => source.loaded).length,
+    sources,
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/sources/:id', adminAuth, (req, res) => {
+  const source = scheduler.newsService.sourceManager.getSourceEntries().find(entry => entry.id === req.params.id);
+
+  if (!source) {
+    return res.status(404).json({
+      status: 'error',
+      message: `Unknown source: ${req.params.id}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.json({ source, timestamp: new Date().toISOString() });
+});
+
+app.post('/sources', adminAuth, (req, res) => {
+  try {
+    const source = scheduler.newsService.applySourceChange(sourceManager => sourceManager.addSource(req.body));
+    res.status(201).json({ status: 'success', source, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendSourceError(res, error);
+  }
+});
+
+app.patch('/sources/:id', adminAuth, (req, res) => {
+  try {
+    const source = scheduler.newsService.applySourceChange(sourceManager => sourceManager.updateSource(req.params.id, req.body));
+    res.json({ status: 'success', source, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendSourceError(res, error);
+  }
+});
+
+app.delete('/sources/:id', adminAuth, (req, res) => {
+  try {
+    const source = scheduler.newsService.applySourceChange(sourceManager => sourceManager.removeSource(req.params.id));
+    res.json({ status: 'success', removed: source, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendSourceError(res, error);
+  }
+});
+
+// Posted articles ledger
+app.get('/ledger', (req, res) => {
+  const ledger = getArticleLedger(getRequestedProfile(req)?.id);
+  const limit = parseInt(req.query.limit) || 50;
+
+  res.json({
+    stats: ledger.getStats(),
+    entries: ledger.getEntries(limit),
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.delete('/ledger', adminAuth, (req, res) => {
+  const ledger = getArticleLedger(getRequestedProfile(req)?.id);
+  const { all, link, olderThanDays } = { ...req.query, ...req.body };
+
+  if (!all && !link && olderThanDays === undefined) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Specify one of: all, link, olderThanDays',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const removed = ledger.purge({
+    all: all === true || all === 'true',
+    link,
+    olderThanDays: olderThanDays !== undefined ? parseFloat(olderThanDays) : undefined
+  });
+  ledger.save();
+
+  res.json({
+    status: 'success',
+    removed,
+    remaining: ledger.getStats().entries,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Run history (per-stage pipeline metrics)
+app.get('/runs', (req, res) => {
+  const runs = getRunHistory().getRuns({
+    limit: parseInt(req.query.limit) || 20,
+    profileId: req.query.profile,
+    job: req.query.job
+  });
+
+  res.json({
+    count: runs.length,
+    runs,
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/runs/:id', (req, res) => {
+  const run = getRunHistory().getRun(req.params.id);
+
+  if (!run) {
+    return res.status(404).json({
+      status: 'error',
+      message: `Run not found: ${req.params.id}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.json(run);
+});
+
+// Explain why an article was kept or dropped by the relevance pipeline
+app.post('/explain', async (req, res) => {
+  const profile = getRequestedProfile(req);
+  if (profile === null) {
+    return res.status(404).json({
+      status: 'error',
+      message: `Unknown profile: ${req.query.profile || req.body.profile}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const { url, title, description, source, pubDate } = req.body || {};
+  if (!url && !title) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Provide a url or a title (with optional description)',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    const explanation = await scheduler.newsService.explainArticle(
+      { url, title, description, source, pubDate },
+      profile || profileManager.getDefaultProfile()
+    );
+
+    res.json({ ...explanation, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Latest Slack digest (message timestamps for Web API delivery)
+app.get('/digest', (req, res) => {
+  const profile = getRequestedProfile(req) || profileManager.getDefaultProfile();
+  const digest = getDigestMessageStore().getLatest(profile.id);
+
+  if (!digest) {
+    return res.status(404).json({
+      status: 'error',
+      message: `No Web API digest recorded for profile "${profile.id}"`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.json({
+    profile: profile.id,
+    digest,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Slack interactivity (feedback buttons); requests are verified with SLACK_SIGNING_SECRET
+app.post('/slack/interactions', verifySlackRequest(), (req, res) => {
+  let payload;
+  try {
+    payload = JSON.parse(req.body.payload);
+  } catch (error) {
+    return res.status(400).json({ status: 'error', message: 'Invalid interaction payload' });
+  }
+
+  if (payload.type !== 'block_actions') {
+    return res.status(200).send();
+  }
+
+  const user = payload.user?.id || 'anonymous';
+  const recorded = [];
+
+  for (const action of payload.actions || []) {
+    const feedback = SlackService.parseFeedbackAction(action);
+    if (!feedback || !profileManager.getProfile(feedback.profileId)) continue;
+
+    try {
+      const ledger = getArticleLedger(feedback.profileId);
+      const ledgerEntry = ledger.entries.get(ledger.normalizeLink(feedback.link));
+      getFeedbackStore(feedback.profileId).record({
+        ...feedback,
+        title: ledgerEntry?.title,
+        user
+      });
+      recorded.push(feedback);
+      console.log(`✓ Feedback "${feedback.vote}" from ${user} on ${feedback.link}`);
+    } catch (error) {
+      console.warn('⚠️  Could not record feedback:', error.message);
+    }
+  }
+
+  // Acknowledge within Slack's 3 second window, confirm to the user via response_url
+  res.status(200).send();
+
+  if (recorded.length > 0 && payload.response_url) {
+    const labels = { up: '👍', down: '👎', not_relevant: '"not relevant"' };
+    axios.post(payload.response_url, {
+      response_type: 'ephemeral',
+      replace_original: false,
+      text: `Thanks! Your ${labels[recorded[0].vote]} feedback will tune future digests.`
+    }).catch(error => console.warn('⚠️  Could not confirm feedback to Slack:', error.message));
+  }
+});
+
+// /newsbot slash command; slow subcommands are answered later via response_url
+app.post('/slack/commands', verifySlackRequest(), async (req, res) => {
+  const { text = '', user_id: userId, channel_id: channelId, response_url: responseUrl } = req.body;
+  console.log(`/newsbot "${text}" from ${userId}`);
+
+  if (!slashCommandHandler.isDeferred(text) || !responseUrl) {
+    return res.json(await slashCommandHandler.handle(text, { channelId }));
+  }
+
+  // Acknowledge within Slack's 3 second window
+  res.json({ response_type: 'ephemeral', text: '⏳ Fetching news, results will appear here shortly...' });
+
+  try {
+    const response = await slashCommandHandler.handle(text, { channelId });
+    await axios.post(responseUrl, { ...response, replace_original: true });
+  } catch (error) {
+    console.error('✗ Could not deliver /newsbot response:', error.message);
+  }
+});
+
+// Reader feedback statistics
+app.get('/feedback', (req, res) => {
+  const profile = getRequestedProfile(req) || profileManager.getDefaultProfile();
+
+  res.json({
+    profile: profile.id,
+    stats: getFeedbackStore(profile.id).getStats(),
     timestamp: new Date().toISOString()
   });
 });
@@ -113,8 +550,26 @@ app.use((req, res) => {
     availableEndpoints: [
       'GET /health',
       'GET /status',
+      'GET /metrics',
+      'GET /sources/health',
+      'POST /sources/:id/circuit',
+      'GET /sources/audit',
+      'GET /sources',
+      'GET /sources/:id',
+      'POST /sources',
+      'PATCH /sources/:id',
+      'DELETE /sources/:id',
       'POST /trigger',
-      'POST /test-slack'
+      'POST /test-slack',
+      'GET /ledger',
+      'DELETE /ledger',
+      'GET /digest',
+      'GET /runs',
+      'GET /runs/:id',
+      'POST /explain',
+      'POST /slack/interactions',
+      'POST /slack/commands',
+      'GET /feedback'
     ]
   });
 });
@@ -157,16 +612,21 @@ if (isTestMode) {
   // Start the scheduler
   scheduler.start();
 
+  // Apply valid changes to sources.json, relevance.json and topics.json without a restart
+  const configWatcher = process.env.CONFIG_HOT_RELOAD !== 'false' ? scheduler.newsService.watchConfig() : null;
+
   // Graceful shutdown
   process.on('SIGTERM', () => {
     console.log('\nReceived SIGTERM signal, shutting down gracefully...');
+    configWatcher?.close();
     scheduler.stop();
-    process.exit(0);
+    getCacheManager().close().finally(() => process.exit(0));
   });
 
   process.on('SIGINT', () => {
     console.log('\nReceived SIGINT signal, shutting down gracefully...');
+    configWatcher?.close();
     scheduler.stop();
-    process.exit(0);
+    getCacheManager().close().finally(() => process.exit(0));
   });
 }
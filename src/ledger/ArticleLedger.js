@@ -0,0 +1,287 @@
+const { getDataPath, readJSON, writeJSONAtomic } = require('../utils/jsonStore');
+
+/**
+ * Article Ledger
+ * Durable record of every article delivered to Slack, so the digest never
+ * repeats a story across days while it is still inside the age window
+ */
+
+class ArticleLedger {
+  constructor(options = {}) {
+    this.enabled = process.env.ENABLE_LEDGER !== 'false' && options.enabled !== false;
+    this.filePath = options.filePath || process.env.LEDGER_PATH || getDataPath('posted-articles.json');
+    this.retentionDays = parseInt(process.env.LEDGER_RETENTION_DAYS || options.retentionDays || '14');
+
+    // Map of normalized link to ledger entry
+    this.entries = new Map();
+    // Map of normalized title to postedAt for cross-source matching
+    this.titles = new Map();
+
+    this.load();
+  }
+
+  /**
+   * Loads ledger entries from disk and drops expired ones
+   */
+  load() {
+    const data = readJSON(this.filePath, { entries: [] });
+
+    this.entries.clear();
+    this.titles.clear();
+
+    for (const entry of data.entries || []) {
+      this.entries.set(entry.key, entry);
+      if (entry.normalizedTitle) {
+        this.titles.set(entry.normalizedTitle, entry.postedAt);
+      }
+    }
+
+    const pruned = this.prune();
+    if (this.enabled) {
+      console.log(`✓ ArticleLedger loaded ${this.entries.size} entries (retention: ${this.retentionDays} days${pruned > 0 ? `, ${pruned} expired` : ''})`);
+    }
+  }
+
+  /**
+   * Writes ledger entries to disk
+   */
+  save() {
+    try {
+      writeJSONAtomic(this.filePath, {
+        retentionDays: this.retentionDays,
+        updatedAt: new Date().toISOString(),
+        entries: Array.from(this.entries.values())
+      });
+    } catch (error) {
+      console.error(`⚠️  Could not write article ledger to ${this.filePath}:`, error.message);
+    }
+  }
+
+  /**
+   * Normalizes a link for comparison (drops hash, tracking params, trailing slash)
+   * @param {string} link - Article URL
+   * @returns {string} - Normalized link
+   */
+  normalizeLink(link) {
+    if (!link) return '';
+
+    try {
+      const url = new URL(link);
+      url.hash = '';
+      for (const param of [...url.searchParams.keys()]) {
+        if (param.startsWith('utm_') || param === 'fbclid') {
+          url.searchParams.delete(param);
+        }
+      }
+      url.hostname = url.hostname.replace(/^www\./, '');
+      return url.toString().replace(/\/$/, '').toLowerCase();
+    } catch (error) {
+      return link.trim().toLowerCase();
+    }
+  }
+
+  /**
+   * Normalizes a title for comparison (same rules as DuplicateFilter)
+   * @param {string} title - Article title
+   * @returns {string} - Normalized title
+   */
+  normalizeTitle(title) {
+    if (!title) return '';
+
+    return title
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .substring(0, 100);
+  }
+
+  /**
+   * Checks if an article has already been posted
+   * @param {Object} article - Article with link and title
+   * @param {Object} options - Optional settings
+   * @param {Date} options.before - Only consider entries posted before this time
+   * @returns {boolean} - True if link or normalized title is in the ledger
+   */
+  has(article, options = {}) {
+    if (!this.enabled) {
+      return false;
+    }
+
+    const isBefore = (postedAt) => !options.before || new Date(postedAt) < options.before;
+
+    const key = this.normalizeLink(article.link);
+    if (key && this.entries.has(key) && isBefore(this.entries.get(key).postedAt)) {
+      return true;
+    }
+
+    const normalizedTitle = this.normalizeTitle(article.title);
+    return !!normalizedTitle && this.titles.has(normalizedTitle) && isBefore(this.titles.get(normalizedTitle));
+  }
+
+  /**
+   * Records delivered articles
+   * @param {Array<Object>} articles - Articles sent to Slack
+   * @returns {number} - Number of new entries
+   */
+  record(articles) {
+    if (!this.enabled || !articles || articles.length === 0) {
+      return 0;
+    }
+
+    const postedAt = new Date().toISOString();
+    let added = 0;
+
+    for (const article of articles) {
+      const key = this.normalizeLink(article.link);
+      if (!key) continue;
+
+      if (!this.entries.has(key)) {
+        added++;
+      }
+
+      const normalizedTitle = this.normalizeTitle(article.title);
+      this.entries.set(key, {
+        key,
+        link: article.link,
+        title: article.title,
+        normalizedTitle,
+        source: article.source,
+        // Kept for the weekly roundup
+        description: (article.summary || article.description || '').substring(0, 300),
+        score: article.relevance?.score ?? null,
+        postedAt
+      });
+
+      if (normalizedTitle) {
+        this.titles.set(normalizedTitle, postedAt);
+      }
+    }
+
+    this.prune();
+    this.save();
+
+    console.log(`📒 ArticleLedger recorded ${added} new article(s) (${this.entries.size} total)`);
+    return added;
+  }
+
+  /**
+   * Removes entries older than the retention period
+   * @returns {number} - Number of removed entries
+   */
+  prune() {
+    return this.purge({ olderThanDays: this.retentionDays });
+  }
+
+  /**
+   * Removes entries from the ledger
+   * @param {Object} options - Purge options
+   * @param {boolean} options.all - Remove every entry
+   * @param {number} options.olderThanDays - Remove entries posted before this many days ago
+   * @param {string} options.link - Remove a single entry by link
+   * @returns {number} - Number of removed entries
+   */
+  purge(options = {}) {
+    const before = this.entries.size;
+
+    if (options.all) {
+      this.entries.clear();
+    } else if (options.link) {
+      this.entries.delete(this.normalizeLink(options.link));
+    } else if (options.olderThanDays !== undefined) {
+      const cutoff = Date.now() - options.olderThanDays * 24 * 60 * 60 * 1000;
+      for (const [key, entry] of this.entries) {
+        if (new Date(entry.postedAt).getTime() < cutoff) {
+          this.entries.delete(key);
+        }
+      }
+    }
+
+    const removed = before - this.entries.size;
+    if (removed > 0) {
+      this.titles = new Map(
+        Array.from(this.entries.values())
+          .filter(entry => entry.normalizedTitle)
+          .map(entry => [entry.normalizedTitle, entry.postedAt])
+      );
+    }
+
+    return removed;
+  }
+
+  /**
+   * Gets the entry of a delivered article
+   * @param {string} link - Article link
+   * @returns {Object|null} - Ledger entry
+   */
+  getEntry(link) {
+    return this.entries.get(this.normalizeLink(link)) || null;
+  }
+
+  /**
+   * Gets ledger entries, newest first
+   * @param {number} limit - Maximum number of entries
+   * @returns {Array<Object>} - Ledger entries
+   */
+  getEntries(limit = null) {
+    const entries = Array.from(this.entries.values())
+      .sort((a, b) => new Date(b.postedAt) - new Date(a.postedAt));
+
+    return limit ? entries.slice(0, limit) : entries;
+  }
+
+  /**
+   * Gets entries posted within a time range, newest first
+   * @param {Date} from - Range start (inclusive)
+   * @param {Date} to - Range end (exclusive)
+   * @returns {Array<Object>} - Ledger entries
+   */
+  getEntriesBetween(from, to) {
+    return this.getEntries().filter(entry => {
+      const postedAt = new Date(entry.postedAt);
+      return postedAt >= from && postedAt < to;
+    });
+  }
+
+  /**
+   * Gets ledger statistics
+   * @returns {Object} - Ledger statistics
+   */
+  getStats() {
+    const entries = this.getEntries();
+
+    return {
+      enabled: this.enabled,
+      filePath: this.filePath,
+      retentionDays: this.retentionDays,
+      entries: entries.length,
+      newest: entries[0]?.postedAt || null,
+      oldest: entries[entries.length - 1]?.postedAt || null
+    };
+  }
+}
+
+// One ledger instance per digest profile
+const articleLedgerInstances = new Map();
+
+/**
+ * Gets the article ledger instance for a profile
+ * Each profile (channel) has its own ledger so a story posted to one team
+ * can still be delivered to another
+ * @param {string} profileId - Profile id (default: 'default')
+ * @returns {ArticleLedger}
+ */
+function getArticleLedger(profileId = 'default') {
+  if (!articleLedgerInstances.has(profileId)) {
+    const options = profileId === 'default'
+      ? {}
+      : { filePath: getDataPath(`posted-articles-${profileId}.json`) };
+    articleLedgerInstances.set(profileId, new ArticleLedger(options));
+  }
+  return articleLedgerInstances.get(profileId);
+}
+
+module.exports = {
+  ArticleLedger,
+  getArticleLedger
+};
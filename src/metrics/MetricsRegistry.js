@@ -0,0 +1,228 @@
+/**
+ * Metrics Registry
+ * Minimal Prometheus registry (counters, gauges, histograms) rendered in the
+ * text exposition format for GET /metrics
+ *
+ * Event metrics (source fetches, embedding inference, runs) are recorded where
+ * they happen; state metrics (cache, circuit breakers) are read from the existing
+ * getStats() methods by collectors when the endpoint is scraped
+ */
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+class Metric {
+  /**
+   * @param {string} name - Metric name (e.g., newsbot_runs_total)
+   * @param {string} type - counter, gauge or histogram
+   * @param {string} help - Help text
+   * @param {Array<number>} buckets - Histogram bucket upper bounds
+   */
+  constructor(name, type, help, buckets = null) {
+    this.name = name;
+    this.type = type;
+    this.help = help;
+    this.buckets = buckets;
+    // Map of serialized labels to { labels, value } (histograms: { labels, counts, sum, count })
+    this.values = new Map();
+  }
+
+  /**
+   * Gets (or creates) the series for a label set
+   * @param {Object} labels - Label names and values
+   * @returns {Object} - Series
+   */
+  series(labels = {}) {
+    const key = JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+    if (!this.values.has(key)) {
+      this.values.set(key, this.type === 'histogram'
+        ? { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 }
+        : { labels, value: 0 });
+    }
+    return this.values.get(key);
+  }
+
+  /**
+   * Increments a counter or gauge
+   * @param {Object} labels - Label set
+   * @param {number} value - Increment (default 1)
+   */
+  inc(labels = {}, value = 1) {
+    this.series(labels).value += value;
+  }
+
+  /**
+   * Sets a gauge (or a counter read from an existing total)
+   * @param {Object} labels - Label set
+   * @param {number} value - Value
+   */
+  set(labels = {}, value) {
+    this.series(labels).value = value;
+  }
+
+  /**
+   * Records a histogram observation
+   * @param {Object} labels - Label set
+   * @param {number} value - Observed value (seconds for durations)
+   */
+  observe(labels = {}, value) {
+    const series = this.series(labels);
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Drops all series (collectors call this so removed sources disappear)
+   */
+  reset() {
+    this.values.clear();
+  }
+
+  /**
+   * Renders the metric in Prometheus text format
+   * @returns {string}
+   */
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+
+    for (const series of this.values.values()) {
+      if (this.type !== 'histogram') {
+        lines.push(`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+        continue;
+      }
+
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: String(bound) })} ${series.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+
+    return lines.join('\n');
+  }
+}
+
+/**
+ * Formats a label set as {name="value",...}
+ * @param {Object} labels - Label names and values
+ * @returns {string}
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+  if (entries.length === 0) return '';
+
+  const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+}
+
+/**
+ * Formats a sample value (Prometheus spells out special floats)
+ * @param {number} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (Number.isNaN(value)) return 'NaN';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+    this.collectors = [];
+  }
+
+  /**
+   * Gets or creates a metric (repeated calls with the same name return the same metric)
+   * @private
+   */
+  getOrCreate(name, type, help, buckets = null) {
+    if (!this.metrics.has(name)) {
+      this.metrics.set(name, new Metric(name, type, help, buckets));
+    }
+
+    const metric = this.metrics.get(name);
+    if (metric.type !== type) {
+      throw new Error(`Metric ${name} is already registered as ${metric.type}`);
+    }
+    return metric;
+  }
+
+  /**
+   * @param {string} name - Metric name (should end in _total)
+   * @param {string} help - Help text
+   * @returns {Metric}
+   */
+  counter(name, help) {
+    return this.getOrCreate(name, 'counter', help);
+  }
+
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - Help text
+   * @returns {Metric}
+   */
+  gauge(name, help) {
+    return this.getOrCreate(name, 'gauge', help);
+  }
+
+  /**
+   * @param {string} name - Metric name (durations in seconds)
+   * @param {string} help - Help text
+   * @param {Array<number>} buckets - Bucket upper bounds
+   * @returns {Metric}
+   */
+  histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    return this.getOrCreate(name, 'histogram', help, buckets);
+  }
+
+  /**
+   * Registers a function that updates state metrics before each render
+   * @param {Function} collector - Called with the registry
+   */
+  registerCollector(collector) {
+    this.collectors.push(collector);
+  }
+
+  /**
+   * Renders all metrics in Prometheus text format (version 0.0.4)
+   * @returns {string}
+   */
+  render() {
+    for (const collector of this.collectors) {
+      try {
+        collector(this);
+      } catch (error) {
+        console.error('⚠️  Metrics collector failed:', error.message);
+      }
+    }
+
+    return Array.from(this.metrics.values())
+      .map(metric => metric.render())
+      .join('\n') + '\n';
+  }
+}
+
+// Singleton instance
+let metricsRegistryInstance = null;
+
+/**
+ * Gets the singleton metrics registry
+ * @returns {MetricsRegistry}
+ */
+function getMetricsRegistry() {
+  if (!metricsRegistryInstance) {
+    metricsRegistryInstance = new MetricsRegistry();
+  }
+  return metricsRegistryInstance;
+}
+
+module.exports = {
+  MetricsRegistry,
+  getMetricsRegistry
+};
@@ -0,0 +1,113 @@
+const { getMetricsRegistry } = require('./MetricsRegistry');
+const { getCacheManager } = require('../cache/CacheManager');
+const { getCircuitBreaker } = require('../utils/circuitBreaker');
+const { getModelCache } = require('../utils/modelCache');
+const { getKeywordMatcher } = require('../utils/keywordMatcher');
+
+/**
+ * NewsBot metrics
+ * All metric names live here; modules report events through the record*() helpers
+ */
+
+const CIRCUIT_STATES = { CLOSED: 0, HALF_OPEN: 1, OPEN: 2 };
+
+const registry = getMetricsRegistry();
+
+const sourceFetchDuration = registry.histogram(
+  'newsbot_source_fetch_duration_seconds',
+  'Time to fetch a news source',
+  [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]
+);
+const sourceFetches = registry.counter('newsbot_source_fetches_total', 'Source fetches by result (success, error, skipped)');
+const sourceItems = registry.counter('newsbot_source_items_total', 'News items returned by a source');
+
+const runDuration = registry.histogram(
+  'newsbot_run_duration_seconds',
+  'Duration of digest and roundup runs',
+  [1, 5, 10, 30, 60, 120, 300, 600, 1200]
+);
+const runs = registry.counter('newsbot_runs_total', 'Finished runs by status');
+const articlesDelivered = registry.counter('newsbot_articles_delivered_total', 'Articles delivered to Slack');
+const lastRunTimestamp = registry.gauge('newsbot_last_run_timestamp_seconds', 'Finish time of the last run');
+
+/**
+ * Records a source fetch
+ * @param {Object} fetch - { source, type, status, durationMs, items }
+ */
+function recordSourceFetch({ source, type, status, durationMs, items }) {
+  sourceFetches.inc({ source, type, status });
+
+  // Skipped fetches (circuit open) never hit the network
+  if (status !== 'skipped') {
+    sourceFetchDuration.observe({ source, type }, durationMs / 1000);
+    sourceItems.inc({ source, type }, items);
+  }
+}
+
+/**
+ * Records a finished run (RunHistory record)
+ * @param {Object} run - Run record
+ */
+function recordRun(run) {
+  const labels = { profile: run.profileId, job: run.job };
+
+  runDuration.observe(labels, run.durationMs / 1000);
+  runs.inc({ ...labels, status: run.status });
+  lastRunTimestamp.set({ ...labels, status: run.status }, Math.floor(new Date(run.finishedAt).getTime() / 1000));
+
+  if (run.delivery?.sent) {
+    articlesDelivered.inc(labels, run.items.length);
+  }
+}
+
+// State metrics, read from the components' own statistics on every scrape
+const circuitState = registry.gauge('newsbot_circuit_state', 'Circuit breaker state per source (0 = closed, 1 = half-open, 2 = open)');
+const circuitFailureRate = registry.gauge('newsbot_circuit_failure_rate', 'Failure rate within the circuit breaker window');
+const cacheHits = registry.counter('newsbot_cache_hits_total', 'Cache hits');
+const cacheMisses = registry.counter('newsbot_cache_misses_total', 'Cache misses');
+const cacheSets = registry.counter('newsbot_cache_sets_total', 'Cache writes');
+const cacheErrors = registry.counter('newsbot_cache_errors_total', 'Cache errors');
+const cacheEntries = registry.gauge('newsbot_cache_entries', 'Cached entries per cache type');
+const keywordCacheHits = registry.counter('newsbot_keyword_cache_hits_total', 'KeywordMatcher match cache hits');
+const keywordCacheMisses = registry.counter('newsbot_keyword_cache_misses_total', 'KeywordMatcher match cache misses');
+const keywordCacheEntries = registry.gauge('newsbot_keyword_cache_entries', 'KeywordMatcher match cache size');
+const modelsLoaded = registry.gauge('newsbot_models_loaded', 'Embedding models loaded in memory');
+const modelLoadSeconds = registry.gauge('newsbot_model_load_seconds', 'Time it took to load an embedding model');
+const embeddingInferences = registry.counter('newsbot_embedding_inferences_total', 'Embedding model inferences');
+const embeddingInferenceSeconds = registry.counter('newsbot_embedding_inference_seconds_total', 'Time spent in embedding model inference');
+
+registry.registerCollector(() => {
+  circuitState.reset();
+  circuitFailureRate.reset();
+  for (const [source, stats] of Object.entries(getCircuitBreaker().getAllStats())) {
+    circuitState.set({ source }, CIRCUIT_STATES[stats.state] ?? -1);
+    circuitFailureRate.set({ source }, stats.failureRate);
+  }
+
+  const cacheStats = getCacheManager().getStats();
+  cacheHits.set({}, cacheStats.hits);
+  cacheMisses.set({}, cacheStats.misses);
+  cacheSets.set({}, cacheStats.sets);
+  cacheErrors.set({}, cacheStats.errors);
+  for (const type of ['rss', 'newsapi', 'processed', 'links']) {
+    cacheEntries.set({ cache: type }, cacheStats.sizes[type]);
+  }
+
+  const keywordStats = getKeywordMatcher().getCacheStats();
+  keywordCacheHits.set({}, keywordStats.hits);
+  keywordCacheMisses.set({}, keywordStats.misses);
+  keywordCacheEntries.set({}, keywordStats.size);
+
+  const modelStats = getModelCache().getStats();
+  modelsLoaded.set({}, modelStats.cachedModels);
+  for (const [model, timing] of Object.entries(modelStats.timings)) {
+    modelLoadSeconds.set({ model }, timing.loadMs / 1000);
+    embeddingInferences.set({ model }, timing.inferences);
+    embeddingInferenceSeconds.set({ model }, timing.inferenceMs / 1000);
+  }
+});
+
+module.exports = {
+  recordSourceFetch,
+  recordRun
+};
@@ -1,59 +1,227 @@
+const cheerio = require('cheerio');
 const SourceManager = require('./sources/SourceManager');
 const RelevanceEngine = require('./relevance/RelevanceEngine');
+const ProfileManager = require('./profiles/ProfileManager');
 const { getCacheManager } = require('./cache/CacheManager');
+const { getKeywordMatcher, reloadKeywordMatcher } = require('./utils/keywordMatcher');
+const ArticleSummarizer = require('./summarization/ArticleSummarizer');
+const { getArticleLedger } = require('./ledger/ArticleLedger');
+const ConfigWatcher = require('./utils/configWatcher');
+const { getConfigPath } = require('./utils/configValidator');
+const { canonicalizeUrl } = require('./utils/linkResolver');
 
 class NewsService {
-  constructor() {
-    // Initialize SourceManager for multi-source aggregation
+  /**
+   * @param {ProfileManager} profileManager - Optional profile manager (defaults to env-based profile)
+   */
+  constructor(profileManager = null) {
+    this.profileManager = profileManager || new ProfileManager();
+
+    // Initialize SourceManager for multi-source aggregation (shared by all profiles)
     this.sourceManager = new SourceManager();
 
-    // Initialize RelevanceEngine for intelligent filtering
-    try {
-      this.relevanceEngine = new RelevanceEngine();
-      console.log('✓ RelevanceEngine loaded successfully');
-    } catch (error) {
-      console.error('✗ Failed to initialize RelevanceEngine:', error.message);
-      console.log('→ Will fall back to basic scoring from SourceManager');
-      this.relevanceEngine = null;
-    }
+    // RelevanceEngine per profile (weights, topics and max items differ per profile)
+    this.relevanceEngines = new Map();
 
     // Initialize cache manager
     this.cacheManager = getCacheManager();
 
-    this.keywords = process.env.NEWS_KEYWORDS?.split(',').map(k => k.trim()) || [
-      'retail innovation',
-      'autonomous delivery',
-      'last mile delivery',
-      'retail technology'
-    ];
-    this.maxItems = parseInt(process.env.MAX_NEWS_ITEMS) || 10;
+    // Optional extractive summaries of the final items (ENABLE_SUMMARIZATION=true)
+    this.summarizer = new ArticleSummarizer();
+
+    // Stage metrics of the last computed pipeline per cache key (for run history on cache hits)
+    this.pipelineReports = new Map();
+    this.sharedFetchReport = null;
+
+    const defaultProfile = this.profileManager.getDefaultProfile();
+    this.keywords = defaultProfile.keywords;
+    this.maxItems = defaultProfile.maxItems;
+
+    // Eagerly create the default engine so configuration errors surface at startup
+    this.relevanceEngine = this.getRelevanceEngine(defaultProfile);
+  }
+
+  /**
+   * Get (or lazily create) the RelevanceEngine for a profile
+   * @param {Object} profile - Digest profile
+   * @returns {RelevanceEngine|null} Engine, or null if it could not be initialized
+   */
+  getRelevanceEngine(profile) {
+    if (!this.relevanceEngines.has(profile.id)) {
+      try {
+        this.relevanceEngines.set(profile.id, new RelevanceEngine(null, profile));
+        console.log(`✓ RelevanceEngine loaded successfully for profile "${profile.id}"`);
+      } catch (error) {
+        console.error(`✗ Failed to initialize RelevanceEngine for profile "${profile.id}":`, error.message);
+        console.log('→ Will fall back to basic scoring from SourceManager');
+        this.relevanceEngines.set(profile.id, null);
+      }
+    }
+
+    return this.relevanceEngines.get(profile.id);
+  }
+
+  /**
+   * Rebuild the RelevanceEngines after relevance.json or topics.json changed
+   * New engines read the changed files; their topic embeddings are computed again.
+   * The shared KeywordMatcher and the sources' keyword data (Google News expressions)
+   * are reloaded as well.
+   * @param {Object} options
+   * @param {boolean} options.embedTopics - Compute the topic embeddings now instead of on the next run
+   */
+  async reloadRelevance({ embedTopics = false } = {}) {
+    reloadKeywordMatcher();
+    this.sourceManager.sources
+      .filter(source => typeof source.reloadKeywords === 'function')
+      .forEach(source => source.reloadKeywords());
+
+    const profileIds = [...this.relevanceEngines.keys()];
+    this.relevanceEngines.clear();
+
+    const defaultProfile = this.profileManager.getDefaultProfile();
+    this.relevanceEngine = this.getRelevanceEngine(defaultProfile);
+
+    const engines = profileIds
+      .map(profileId => this.profileManager.getProfile(profileId))
+      .filter(Boolean)
+      .map(profile => this.getRelevanceEngine(profile))
+      .filter(Boolean);
+
+    // Cached digests were scored, and source results filtered, with the old settings
+    this.cacheManager.flushType('processed');
+    this.cacheManager.flushType('rss');
+
+    if (embedTopics) {
+      for (const engine of new Set(engines)) {
+        try {
+          await engine.semanticScorer.initialize();
+        } catch (error) {
+          console.warn(`⚠️  Topic embeddings will be computed on the next run: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Reload sources.json (new, removed or changed sources) without a restart
+   */
+  reloadSources() {
+    this.sourceManager.reloadConfig();
+    this.cacheManager.flushType('processed');
+  }
+
+  /**
+   * Run a change to the sources config made through the admin API
+   * The watcher is told about the write so the change is not applied twice
+   * @param {Function} change - (sourceManager) => result, e.g. sm => sm.addSource(entry)
+   * @returns {any} Result of the change
+   */
+  applySourceChange(change) {
+    const result = change(this.sourceManager);
+
+    this.configWatcher?.acknowledge(this.sourceManager.configPath);
+    this.cacheManager.flushType('processed');
+
+    return result;
+  }
+
+  /**
+   * Watch sources.json, relevance.json and topics.json and apply valid changes
+   * @returns {ConfigWatcher} Watcher (close() stops it)
+   */
+  watchConfig() {
+    this.configWatcher = new ConfigWatcher();
+    this.configWatcher.watch('sources', this.sourceManager.configPath, () => this.reloadSources());
+    this.configWatcher.watch('relevance', getConfigPath('relevance'), () => this.reloadRelevance());
+    this.configWatcher.watch('topics', getConfigPath('topics'), () => this.reloadRelevance({ embedTopics: true }));
+    return this.configWatcher;
+  }
+
+  /**
+   * Fetch raw news from all sources once for all profiles
+   * Uses the union of all profile keywords so every profile shares one fetch and cache entry
+   * @returns {Promise<Array>} Aggregated news items
+   */
+  async fetchSharedNews() {
+    const keywords = this.profileManager.getAllKeywords();
+    const cacheKey = this.getSharedCacheKey();
+
+    return await this.cacheManager.wrap('processed', cacheKey, async () => {
+      const allNews = await this.sourceManager.fetchAllNews(keywords, {
+        profileIds: this.profileManager.getProfiles().map(profile => profile.id)
+      });
+      this.sharedFetchReport = this.sourceManager.lastFetchReport;
+      console.log(`→ Fetched ${allNews.length} items from multiple sources`);
+      return allNews;
+    }, this.cacheManager.ttls.rss);
+  }
+
+  /**
+   * Cache key of today's shared fetch
+   * @returns {string}
+   */
+  getSharedCacheKey() {
+    return this.cacheManager.generateKey('shared', { keywords: this.profileManager.getAllKeywords() });
+  }
+
+  /**
+   * Narrow the shared fetch down to items matching a profile's keywords
+   * Only applied when several profiles share the fetch (the union is broader than the profile)
+   * @param {Array} items - Shared news items
+   * @param {Object} profile - Digest profile
+   * @returns {Array} Items relevant to the profile
+   */
+  filterForProfile(items, profile) {
+    if (this.profileManager.getProfiles().length <= 1) {
+      return items;
+    }
+
+    const keywordMatcher = getKeywordMatcher();
+    const filtered = items.filter(item => {
+      const text = `${item.title} ${item.description || ''}`;
+      return profile.keywords.some(keyword => keywordMatcher.matches(text, keyword).matched);
+    });
+
+    console.log(`→ Profile "${profile.id}": ${filtered.length}/${items.length} items match profile keywords`);
+    return filtered;
   }
 
   /**
    * Fetch and aggregate news from all configured sources with intelligent relevance filtering
    * Combines SourceManager (multi-source) with RelevanceEngine (intelligent scoring)
+   * @param {Object} profile - Digest profile (defaults to the first configured profile)
+   * @param {Object} run - Optional run record (RunHistory) that receives fetch and filter metrics
    * @returns {Promise<Array>} Aggregated, scored, filtered, and ranked news items
    */
-  async fetchRetailInnovationNews() {
-    const cacheKey = this.cacheManager.generateKey('processed', { keywords: this.keywords, maxItems: this.maxItems });
+  async fetchRetailInnovationNews(profile = this.profileManager.getDefaultProfile(), run = null) {
+    const cacheKey = this.cacheManager.generateKey('processed', {
+      profile: profile.id,
+      keywords: profile.keywords,
+      maxItems: profile.maxItems
+    });
 
     try {
-      console.log(`→ Fetching news for keywords: ${this.keywords.join(', ')}`);
+      console.log(`→ Fetching news for profile "${profile.id}" with keywords: ${profile.keywords.join(', ')}`);
 
       // Use cache wrapper for processed results
-      return await this.cacheManager.wrap('processed', cacheKey, async () => {
-        // Step 1: Fetch from all sources using SourceManager
-        const allNews = await this.sourceManager.fetchAllNews(this.keywords);
-        console.log(`→ Fetched ${allNews.length} items from multiple sources`);
+      let computed = false;
+      const news = await this.cacheManager.wrap('processed', cacheKey, async () => {
+        computed = true;
+        const filterReport = {};
+
+        // Step 1: Fetch from all sources using SourceManager (shared across profiles)
+        const sharedNews = await this.fetchSharedNews();
+        const allNews = this.filterForProfile(sharedNews, profile);
 
         // Step 2: Apply RelevanceEngine if available for advanced filtering
+        const relevanceEngine = this.getRelevanceEngine(profile);
         let finalNews;
-        if (this.relevanceEngine) {
+        if (relevanceEngine) {
           console.log('→ Applying RelevanceEngine for intelligent filtering...');
-          finalNews = await this.relevanceEngine.scoreAndFilter(allNews);
+          finalNews = await relevanceEngine.scoreAndFilter(allNews, filterReport);
 
           // Log filtering stats
-          const stats = this.relevanceEngine.getFilteringStats(allNews, finalNews);
+          const stats = relevanceEngine.getFilteringStats(allNews, finalNews);
           console.log(`→ Filtered: ${stats.filteredCount}/${stats.originalCount} items (${stats.filterRate} removed)`);
           console.log(`→ Average relevance: ${stats.averageScore}, Top score: ${stats.topScore}`);
         } else {
@@ -62,8 +230,8 @@ class NewsService {
           finalNews = allNews;
         }
 
-        // Step 3: Limit to max items
-        const limitedNews = finalNews.slice(0, this.maxItems);
+        // Step 3: Limit to max items, then summarize only what will be delivered
+        const limitedNews = await this.summarizer.summarizeAll(finalNews.slice(0, profile.maxItems));
 
         // Step 4: Log final statistics
         const sourceStats = this.sourceManager.getStats(limitedNews);
@@ -76,22 +244,172 @@ class NewsService {
 
         console.log(`✓ Returning ${limitedNews.length} top news items`);
 
+        this.pipelineReports.set(cacheKey, {
+          computedAt: new Date().toISOString(),
+          fetch: this.sharedFetchReport,
+          profileFilter: { before: sharedNews.length, after: allNews.length },
+          filters: filterReport.stages || null,
+          minRelevanceScore: filterReport.minRelevanceScore ?? null
+        });
+
         return limitedNews;
       });
 
+      if (run) {
+        const report = this.pipelineReports.get(cacheKey) || {};
+        run.cached = !computed;
+        run.fetch = report.fetch || null;
+        run.filters = report.filters ? {
+          computedAt: report.computedAt,
+          profileFilter: report.profileFilter,
+          minRelevanceScore: report.minRelevanceScore,
+          stages: report.filters
+        } : null;
+      }
+
+      return news;
+
     } catch (error) {
       console.error('✗ Error fetching retail innovation news:', error);
       throw error;
     }
   }
 
+  /**
+   * Search all sources for an ad-hoc query (e.g., from the /newsbot slash command)
+   * Runs the same fetch + RelevanceEngine pipeline as the digest, cached per query
+   * @param {string} query - Search query
+   * @param {Object} profile - Digest profile whose relevance settings are used
+   * @returns {Promise<Array>} Scored and ranked news items
+   */
+  async searchNews(query, profile = this.profileManager.getDefaultProfile()) {
+    const cacheKey = this.cacheManager.generateKey('search', { query: query.toLowerCase(), profile: profile.id });
+
+    return await this.cacheManager.wrap('processed', cacheKey, async () => {
+      console.log(`→ Searching news for "${query}" (profile "${profile.id}")`);
+      // Searches cover whole feeds, not only the items added since the last digest
+      const allNews = await this.sourceManager.fetchAllNews([query], { incremental: false });
+
+      const relevanceEngine = this.getRelevanceEngine(profile);
+      const results = relevanceEngine ? await relevanceEngine.scoreAndFilter(allNews) : allNews;
+
+      console.log(`✓ Search "${query}" returned ${results.length} items`);
+      return results.slice(0, profile.maxItems);
+    }, this.cacheManager.ttls.rss);
+  }
+
+  /**
+   * Explain why an article made it into (or was dropped from) a profile's digest
+   * The article is looked up by URL in today's fetch, then in the ledger, and finally
+   * fetched from the web; duplicates are checked against today's fetch (if cached)
+   * @param {Object} input - { url } or { title, description } (plus optional source, pubDate)
+   * @param {Object} profile - Digest profile whose relevance settings are used
+   * @returns {Promise<Object>} { article, resolvedFrom, ...RelevanceEngine.explainArticle() }
+   */
+  async explainArticle(input, profile = this.profileManager.getDefaultProfile()) {
+    const relevanceEngine = this.getRelevanceEngine(profile);
+    if (!relevanceEngine) {
+      throw new Error(`RelevanceEngine unavailable for profile "${profile.id}"`);
+    }
+
+    // Only use a fetch that already happened today; never trigger one just to explain
+    const candidates = this.cacheManager.get('processed', this.getSharedCacheKey()) || [];
+    const { article, resolvedFrom } = await this.resolveArticle(input, candidates, profile);
+
+    const explanation = await relevanceEngine.explainArticle(article, candidates);
+
+    return {
+      article: {
+        title: article.title,
+        link: article.link || null,
+        source: article.source || null,
+        sourceId: article.sourceId || null,
+        pubDate: article.pubDate || null,
+        description: article.description || ''
+      },
+      resolvedFrom,
+      comparedAgainst: candidates.length,
+      ...explanation
+    };
+  }
+
+  /**
+   * Build the article to explain from the request
+   * @param {Object} input - { url, title, description, source, pubDate }
+   * @param {Array} candidates - Today's fetched articles
+   * @param {Object} profile - Digest profile (whose ledger is searched)
+   * @returns {Promise<Object>} { article, resolvedFrom: 'request'|'fetch'|'ledger'|'page' }
+   */
+  async resolveArticle(input, candidates, profile) {
+    const { url, title, description, source, pubDate } = input;
+
+    if (title) {
+      return {
+        article: { title, description: description || '', link: url || '', source, pubDate },
+        resolvedFrom: 'request'
+      };
+    }
+
+    if (!url) {
+      throw new Error('Provide a url or a title (with optional description)');
+    }
+
+    const ledger = getArticleLedger(profile.id);
+    const normalizedUrl = ledger.normalizeLink(canonicalizeUrl(url));
+
+    // Fetched items link to the canonical URL; the Google News link they came from is kept as originalUrl
+    const fetched = candidates.find(item =>
+      [item.link, item.originalUrl].some(link => link && ledger.normalizeLink(link) === normalizedUrl)
+    );
+    if (fetched) {
+      return { article: fetched, resolvedFrom: 'fetch' };
+    }
+
+    const posted = ledger.entries.get(normalizedUrl);
+    if (posted) {
+      return {
+        article: { title: posted.title, description: posted.description || '', link: posted.link, source: posted.source },
+        resolvedFrom: 'ledger'
+      };
+    }
+
+    return { article: await this.fetchArticleMetadata(url), resolvedFrom: 'page' };
+  }
+
+  /**
+   * Read title, description, publisher and date from an article page (Open Graph / meta tags)
+   * @param {string} url - Article URL
+   * @returns {Promise<Object>} Article object
+   */
+  async fetchArticleMetadata(url) {
+    const html = await this.summarizer.fetchHtml(url);
+    const $ = cheerio.load(html);
+    const meta = (...names) => names
+      .map(name => $(`meta[property="${name}"], meta[name="${name}"]`).attr('content'))
+      .find(Boolean);
+
+    const title = meta('og:title', 'twitter:title') || $('title').first().text().trim();
+    if (!title) {
+      throw new Error(`Could not read a title from ${url}`);
+    }
+
+    return {
+      title,
+      description: meta('og:description', 'description', 'twitter:description') || '',
+      link: url,
+      source: meta('og:site_name') || undefined,
+      pubDate: meta('article:published_time', 'date', 'pubdate') || undefined
+    };
+  }
+
   /**
    * Get a summary of news for a specific time period
    * @param {number} hoursAgo - Number of hours to look back
+   * @param {Object} profile - Digest profile (optional)
    * @returns {Promise<Array>} Recent news items
    */
-  async getRecentNews(hoursAgo = 24) {
-    const allNews = await this.fetchRetailInnovationNews();
+  async getRecentNews(hoursAgo = 24, profile = undefined) {
+    const allNews = await this.fetchRetailInnovationNews(profile);
     const cutoffTime = new Date(Date.now() - hoursAgo * 60 * 60 * 1000);
 
     return allNews.filter(item => {
@@ -0,0 +1,202 @@
+const fs = require('fs');
+
+/**
+ * ProfileManager - Loads digest profiles (one per channel / team)
+ *
+ * Each profile has its own webhook (or bot token + channel), keywords, topic subset, relevance weights,
+ * max items, daily cron schedule and weekly roundup schedule. Without a profiles file, a single "default"
+ * profile is built from the environment (SLACK_WEBHOOK_URL, NEWS_KEYWORDS, ...).
+ */
+
+const DEFAULT_KEYWORDS = [
+  'retail innovation',
+  'autonomous delivery',
+  'last mile delivery',
+  'retail technology'
+];
+
+class ProfileManager {
+  constructor(configPath = null) {
+    const configFile = configPath || process.env.PROFILES_CONFIG || null;
+
+    this.profiles = configFile
+      ? this.loadConfig(configFile)
+      : [this.buildDefaultProfile()];
+
+    const invalid = this.profiles.filter(p => !this.hasDeliveryTarget(p));
+    if (invalid.length > 0) {
+      throw new Error(`Profile(s) missing webhookUrl (or botToken + channel for webapi mode): ${invalid.map(p => p.id).join(', ')}`);
+    }
+
+    console.log(`✓ ProfileManager loaded ${this.profiles.length} profile(s): ${this.profiles.map(p => p.id).join(', ')}`);
+  }
+
+  /**
+   * Build the default profile from environment variables
+   *
+   * @returns {Object} Profile
+   */
+  buildDefaultProfile() {
+    return {
+      id: 'default',
+      name: 'Default',
+      webhookUrl: process.env.SLACK_WEBHOOK_URL,
+      deliveryMode: process.env.SLACK_DELIVERY_MODE || 'webhook',
+      botToken: process.env.SLACK_BOT_TOKEN,
+      channel: process.env.SLACK_CHANNEL_ID,
+      apiUrl: process.env.SLACK_API_URL,
+      keywords: process.env.NEWS_KEYWORDS?.split(',').map(k => k.trim()) || DEFAULT_KEYWORDS,
+      topics: null,
+      weights: null,
+      maxItems: parseInt(process.env.MAX_NEWS_ITEMS) || 10,
+      cronSchedule: process.env.CRON_SCHEDULE || '0 8 * * *',
+      weeklyRoundup: process.env.ENABLE_WEEKLY_ROUNDUP === 'true',
+      weeklyCronSchedule: process.env.WEEKLY_CRON_SCHEDULE || '0 16 * * 5',
+      timezone: process.env.TIMEZONE || 'Europe/Berlin'
+    };
+  }
+
+  /**
+   * Check that a profile can deliver to Slack
+   * Webhook mode needs webhookUrl, webapi mode needs botToken and channel
+   *
+   * @param {Object} profile - Profile
+   * @returns {boolean} True if a delivery target is configured
+   */
+  hasDeliveryTarget(profile) {
+    const isSet = (value) => !!value && !value.startsWith('${');
+
+    if (profile.deliveryMode === 'webapi') {
+      return isSet(profile.botToken) && isSet(profile.channel);
+    }
+    return isSet(profile.webhookUrl);
+  }
+
+  /**
+   * Where a profile's digest is posted: its channel in webapi mode, else its webhook
+   *
+   * @param {Object} profile - Profile
+   * @returns {string|null} Target, null if not configured
+   */
+  getDeliveryTarget(profile) {
+    const target = profile.deliveryMode === 'webapi' ? profile.channel : profile.webhookUrl;
+    return target && !target.startsWith('${') ? `${profile.deliveryMode === 'webapi' ? 'channel' : 'webhook'}:${target}` : null;
+  }
+
+  /**
+   * Load profiles from JSON file
+   * Missing fields fall back to the default (environment) profile, except the delivery target:
+   * SLACK_WEBHOOK_URL / SLACK_CHANNEL_ID would send every profile to the same channel, so each
+   * profile sets its own webhookUrl (or channel) and two profiles cannot share one
+   *
+   * @param {string} configPath - Path to profiles config
+   * @returns {Array<Object>} Enabled profiles
+   */
+  loadConfig(configPath) {
+    try {
+      const configData = fs.readFileSync(configPath, 'utf8');
+      const config = this.replaceEnvVars(JSON.parse(configData));
+      const { webhookUrl, channel, ...defaults } = this.buildDefaultProfile();
+
+      const profiles = (config.profiles || [])
+        .filter(p => p.enabled !== false)
+        .map(p => ({
+          ...defaults,
+          ...p,
+          name: p.name || p.id
+        }));
+
+      if (profiles.length === 0) {
+        throw new Error('No enabled profiles configured');
+      }
+
+      const ids = new Set();
+      const targets = new Map();
+      for (const profile of profiles) {
+        if (!profile.id) {
+          throw new Error('Every profile requires an id');
+        }
+        if (ids.has(profile.id)) {
+          throw new Error(`Duplicate profile id: ${profile.id}`);
+        }
+        ids.add(profile.id);
+
+        const target = this.getDeliveryTarget(profile);
+        if (target && targets.has(target)) {
+          const field = profile.deliveryMode === 'webapi' ? 'channel' : 'webhookUrl';
+          throw new Error(`Profiles ${targets.get(target)} and ${profile.id} share the same ${field}`);
+        }
+        if (target) targets.set(target, profile.id);
+      }
+
+      return profiles;
+    } catch (error) {
+      console.error(`Error loading profiles from ${configPath}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace ${VAR_NAME} placeholders with environment variables
+   *
+   * @param {Object} obj - Configuration object
+   * @returns {Object} Config with env vars replaced
+   */
+  replaceEnvVars(obj) {
+    if (typeof obj === 'string') {
+      return obj.replace(/\$\{([^}]+)\}/g, (match, varName) => process.env[varName] || match);
+    }
+    if (Array.isArray(obj)) {
+      return obj.map(item => this.replaceEnvVars(item));
+    }
+    if (typeof obj === 'object' && obj !== null) {
+      const result = {};
+      for (const key in obj) {
+        result[key] = this.replaceEnvVars(obj[key]);
+      }
+      return result;
+    }
+    return obj;
+  }
+
+  /**
+   * Get all profiles
+   *
+   * @returns {Array<Object>} Profiles
+   */
+  getProfiles() {
+    return this.profiles;
+  }
+
+  /**
+   * Get a profile by id
+   *
+   * @param {string} profileId - Profile id
+   * @returns {Object|null} Profile or null
+   */
+  getProfile(profileId) {
+    return this.profiles.find(p => p.id === profileId) || null;
+  }
+
+  /**
+   * Get the first (default) profile
+   *
+   * @returns {Object} Profile
+   */
+  getDefaultProfile() {
+    return this.profiles[0];
+  }
+
+  /**
+   * Get the union of all profile keywords (used for the shared source fetch)
+   *
+   * @returns {Array<string>} Unique keywords
+   */
+  getAllKeywords() {
+    const keywords = new Set();
+    this.profiles.forEach(p => p.keywords.forEach(k => keywords.add(k)));
+    return Array.from(keywords);
+  }
+}
+
+module.exports = ProfileManager;
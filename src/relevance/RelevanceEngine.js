@@ -2,7 +2,7 @@
  * RelevanceEngine - Main orchestrator for news relevance scoring and filtering
  *
  * Pipeline:
- * 1. Hard Filters: Remove spam, duplicates, low-quality articles
+ * 1. Hard Filters: Remove spam, already-posted, duplicates, low-quality articles
  * 2. Scoring: Score each article on multiple dimensions
  * 3. Soft Filters: Remove articles below relevance threshold
  * 4. Ranking: Sort by relevance score
@@ -10,7 +10,7 @@
  */
 
 const path = require('path');
-const fs = require('fs');
+const { loadConfigFile } = require('../utils/configValidator');
 
 // Import scorers
 const ThematicScorer = require('./scorers/ThematicScorer');
@@ -24,22 +24,37 @@ const SpamFilter = require('./filters/SpamFilter');
 const DuplicateFilter = require('./filters/DuplicateFilter');
 const QualityFilter = require('./filters/QualityFilter');
 const AgeFilter = require('./filters/AgeFilter');
+const PostedFilter = require('./filters/PostedFilter');
+const { getArticleLedger } = require('../ledger/ArticleLedger');
+const { getFeedbackStore } = require('../feedback/FeedbackStore');
 
 class RelevanceEngine {
-  constructor(configPath = null) {
+  /**
+   * @param {string} configPath - Optional path to relevance.json
+   * @param {Object} profile - Optional digest profile (weights, topics, maxItems overrides)
+   */
+  constructor(configPath = null, profile = null) {
     // Load configuration
     if (!configPath) {
       configPath = path.join(__dirname, 'config', 'relevance.json');
     }
 
     try {
-      const configData = fs.readFileSync(configPath, 'utf8');
-      this.config = JSON.parse(configData);
+      this.config = loadConfigFile('relevance', configPath);
     } catch (error) {
       console.error('Failed to load relevance config:', error.message);
       throw new Error('RelevanceEngine requires valid configuration');
     }
 
+    // Apply profile overrides (per-channel weights and topic subset)
+    this.profileId = profile?.id || 'default';
+    if (profile?.weights) {
+      this.config.scoring.weights = { ...this.config.scoring.weights, ...profile.weights };
+    }
+    if (profile?.topics) {
+      this.config.topics = profile.topics;
+    }
+
     // Initialize scorers
     this.thematicScorer = new ThematicScorer(this.config);
     this.authorityScorer = new AuthorityScorer(this.config);
@@ -52,39 +67,86 @@ class RelevanceEngine {
     this.duplicateFilter = new DuplicateFilter(this.config);
     this.qualityFilter = new QualityFilter(this.config);
     this.ageFilter = new AgeFilter(this.config);
+    this.postedFilter = new PostedFilter(this.config, getArticleLedger(this.profileId), {
+      profileId: this.profileId,
+      timezone: profile?.timezone,
+      threadedDigest: (profile?.deliveryMode || process.env.SLACK_DELIVERY_MODE) === 'webapi'
+    });
+
+    // Reader feedback from the Slack buttons (boosts/penalizes sources, topics, keywords)
+    this.feedbackConfig = this.config.scoring.feedback || {};
+    this.feedbackStore = this.feedbackConfig.enabled !== false ? getFeedbackStore(this.profileId) : null;
 
     // Extract config values
     this.weights = this.config.scoring.weights;
     this.minRelevanceScore = this.config.scoring.thresholds.minRelevanceScore;
-    // Respect MAX_NEWS_ITEMS env variable, fallback to config, then default to 10
-    this.maxArticles = parseInt(process.env.MAX_NEWS_ITEMS) || this.config.filtering.maxArticles || 10;
+    // Respect profile maxItems / MAX_NEWS_ITEMS env variable, fallback to config, then default to 10
+    this.maxArticles = profile?.maxItems || parseInt(process.env.MAX_NEWS_ITEMS) || this.config.filtering.maxArticles || 10;
 
-    console.log('RelevanceEngine initialized with weights:', this.weights);
+    console.log(`RelevanceEngine [${this.profileId}] initialized with weights:`, this.weights);
   }
 
   /**
    * Main method: Score and filter articles
    * @param {Array} articles - Array of raw article objects
+   * @param {Object} report - Optional object that receives per-stage counts ({ stages: [{ stage, before, after, dropped }] })
    * @returns {Array} Filtered and scored articles, sorted by relevance
    */
-  async scoreAndFilter(articles) {
+  async scoreAndFilter(articles, report = null) {
     console.log(`\n=== RelevanceEngine Processing ${articles.length} articles ===`);
 
+    const stages = [];
+    const recordStage = (stage, before, after) => stages.push({ stage, before, after, dropped: before - after });
+
+    let filtered = await this.filterAndRank(articles, recordStage);
+
+    // Stage 5: Limit to top N
+    console.log('\n--- Stage 5: Limiting ---');
+    const beforeLimit = filtered.length;
+    filtered = filtered.slice(0, this.maxArticles);
+    console.log(`Limit to top ${this.maxArticles}: ${beforeLimit} → ${filtered.length}`);
+    recordStage('limit', beforeLimit, filtered.length);
+
+    if (report) {
+      report.stages = stages;
+      report.minRelevanceScore = this.minRelevanceScore;
+    }
+
+    console.log(`\n=== Final: ${filtered.length} high-relevance articles ===\n`);
+
+    return filtered;
+  }
+
+  /**
+   * Filter, score and rank articles (every stage of scoreAndFilter() except the limit)
+   * @param {Array} articles - Array of raw article objects
+   * @param {Function} recordStage - Optional (stage, before, after) callback per filter stage
+   * @returns {Promise<Array>} Scored articles that passed all filters, sorted by relevance
+   */
+  async filterAndRank(articles, recordStage = () => {}) {
     let filtered = [...articles];
 
-    // Stage 1: Hard Filters (Spam, Duplicates, Age)
+    // Stage 1: Hard Filters (Spam, Already Posted, Duplicates, Age)
     console.log('\n--- Stage 1: Hard Filters ---');
     const beforeSpam = filtered.length;
     filtered = this.spamFilter.filter(filtered);
     console.log(`Spam filter: ${beforeSpam} → ${filtered.length}`);
+    recordStage('spam', beforeSpam, filtered.length);
+
+    const beforePosted = filtered.length;
+    filtered = this.postedFilter.filter(filtered);
+    console.log(`Posted filter: ${beforePosted} → ${filtered.length}`);
+    recordStage('posted', beforePosted, filtered.length);
 
     const beforeDuplicates = filtered.length;
     filtered = this.duplicateFilter.filter(filtered);
     console.log(`Duplicate filter: ${beforeDuplicates} → ${filtered.length}`);
+    recordStage('duplicate', beforeDuplicates, filtered.length);
 
     const beforeAge = filtered.length;
     filtered = this.ageFilter.filter(filtered);
     console.log(`Age filter: ${beforeAge} → ${filtered.length}`);
+    recordStage('age', beforeAge, filtered.length);
 
     // Stage 2: Score each article
     console.log('\n--- Stage 2: Scoring ---');
@@ -102,10 +164,12 @@ class RelevanceEngine {
     const beforeQuality = filtered.length;
     filtered = this.qualityFilter.filter(filtered);
     console.log(`Quality filter: ${beforeQuality} → ${filtered.length}`);
+    recordStage('quality', beforeQuality, filtered.length);
 
     const beforeThreshold = filtered.length;
     filtered = filtered.filter(a => a.relevance.score >= this.minRelevanceScore);
     console.log(`Threshold filter (>=${this.minRelevanceScore}): ${beforeThreshold} → ${filtered.length}`);
+    recordStage('threshold', beforeThreshold, filtered.length);
 
     // Stage 4: Rank by score
     console.log('\n--- Stage 4: Ranking ---');
@@ -119,14 +183,6 @@ class RelevanceEngine {
       });
     }
 
-    // Stage 5: Limit to top N
-    console.log('\n--- Stage 5: Limiting ---');
-    const beforeLimit = filtered.length;
-    filtered = filtered.slice(0, this.maxArticles);
-    console.log(`Limit to top ${this.maxArticles}: ${beforeLimit} → ${filtered.length}`);
-
-    console.log(`\n=== Final: ${filtered.length} high-relevance articles ===\n`);
-
     return filtered;
   }
 
@@ -136,25 +192,39 @@ class RelevanceEngine {
    * @returns {Object} Relevance object with score and breakdown
    */
   async scoreArticle(article) {
+    const semantic = await this.semanticScorer.scoreWithTopic(article);
+
     // Get individual scores
     const scores = {
       thematic: this.thematicScorer.score(article),
       authority: this.authorityScorer.score(article),
       timeliness: this.timelinessScorer.score(article),
       innovation: this.innovationScorer.score(article),
-      semantic: await this.semanticScorer.score(article)
+      semantic: semantic.score
     };
 
     // Calculate weighted final score
-    const finalScore =
+    const weightedScore =
       scores.thematic * this.weights.thematic +
       scores.authority * this.weights.authority +
       scores.timeliness * this.weights.timeliness +
       scores.innovation * this.weights.innovation +
       scores.semantic * this.weights.semantic;
 
+    // What the article is about (also carried by the Slack feedback buttons)
+    const matches = this.thematicScorer.getMatchBreakdown(article);
+    const source = this.authorityScorer.getSourceName(article);
+    const publisher = article.source || source;
+    const keywords = [...matches.tier1, ...matches.tier2, ...matches.tier3];
+
+    // Apply reader feedback as a bounded boost/penalty
+    const feedback = this.feedbackStore
+      ? this.feedbackStore.getArticleBias({ source: publisher, topic: semantic.topic, keywords }) * (this.feedbackConfig.maxAdjustment ?? 0.15)
+      : 0;
+    const finalScore = Math.max(0, Math.min(1, weightedScore + feedback));
+
     // Generate reasoning
-    const reasoning = this.generateReasoning(scores, article);
+    const reasoning = this.generateReasoning(scores, article, feedback);
 
     // Calculate confidence
     const confidence = this.calculateConfidence(scores);
@@ -162,22 +232,133 @@ class RelevanceEngine {
     return {
       score: finalScore,
       breakdown: scores,
+      feedback: feedback,
       metadata: {
         confidence: confidence,
         reasoning: reasoning,
-        source: this.authorityScorer.getSourceName(article),
+        source: source,
+        publisher: publisher,
+        topic: semantic.topic,
+        keywords: keywords,
         age: this.timelinessScorer.getFormattedAge(article)
       }
     };
   }
 
+  /**
+   * Explain why an article is kept or dropped
+   * Evaluates every pipeline stage for the single article (instead of stopping at the
+   * first filter that drops it) so the full picture is visible
+   * @param {Object} article - Article object (title, description, link, source, pubDate)
+   * @param {Array} candidates - Other articles of the same fetch (for duplicate matches and the rank)
+   * @returns {Promise<Object>} Filter verdicts, scorer breakdowns, weighted total, threshold and rank
+   */
+  async explainArticle(article, candidates = []) {
+    const relevance = await this.scoreArticle(article);
+    const semanticDetails = await this.semanticScorer.getDetailedScore(article);
+    const duplicates = this.duplicateFilter.findDuplicates(article, candidates);
+
+    const filters = {
+      spam: this.spamFilter.getSpamDetails(article),
+      posted: { isPosted: this.postedFilter.isPosted(article), enabled: this.postedFilter.enabled },
+      duplicate: {
+        // The pipeline keeps one version per story; the article is dropped if another version is preferred
+        isDuplicate: duplicates.some(match => match.preferred),
+        similarityThreshold: this.duplicateFilter.similarityThreshold,
+        matches: duplicates
+      },
+      age: { ...this.ageFilter.getAgeDetails(article), maxAgeHours: this.ageFilter.maxAgeHours },
+      quality: this.qualityFilter.getQualityAssessment(article)
+    };
+
+    const weighted = (dimension) => ({
+      score: relevance.breakdown[dimension],
+      weight: this.weights[dimension],
+      weighted: relevance.breakdown[dimension] * this.weights[dimension]
+    });
+
+    const scorers = {
+      thematic: { ...weighted('thematic'), matches: this.thematicScorer.getMatchBreakdown(article) },
+      authority: {
+        ...weighted('authority'),
+        source: relevance.metadata.source,
+        tier: this.authorityScorer.getAuthorityTier(article)
+      },
+      timeliness: {
+        ...weighted('timeliness'),
+        age: relevance.metadata.age,
+        category: this.timelinessScorer.getAgeCategory(article)
+      },
+      innovation: {
+        ...weighted('innovation'),
+        signals: this.innovationScorer.getSignals(article),
+        category: this.innovationScorer.getInnovationCategory(article)
+      },
+      semantic: { ...weighted('semantic'), topic: relevance.metadata.topic, details: semanticDetails }
+    };
+
+    const weightedTotal = Object.values(scorers).reduce((sum, scorer) => sum + scorer.weighted, 0);
+
+    // Same order as scoreAndFilter(); the first failing stage is the one that drops the article
+    const stages = [
+      { stage: 'spam', passed: !filters.spam.isSpam },
+      { stage: 'posted', passed: !filters.posted.isPosted },
+      { stage: 'duplicate', passed: !filters.duplicate.isDuplicate },
+      { stage: 'age', passed: filters.age.withinThreshold },
+      { stage: 'quality', passed: filters.quality.meetsQuality && filters.quality.details.acceptedLanguage },
+      { stage: 'threshold', passed: relevance.score >= this.minRelevanceScore }
+    ];
+
+    // Rank among the candidates that survive the pipeline; only the top maxArticles are delivered
+    let rank = null;
+    if (stages.every(stage => stage.passed)) {
+      rank = await this.getRank(article, relevance.score, candidates);
+      stages.push({ stage: 'limit', passed: rank <= this.maxArticles, rank });
+    }
+    const droppedBy = stages.find(stage => !stage.passed)?.stage || null;
+
+    return {
+      profileId: this.profileId,
+      verdict: droppedBy ? 'dropped' : 'kept',
+      droppedBy,
+      stages,
+      filters,
+      scorers,
+      weightedTotal,
+      feedback: relevance.feedback,
+      score: relevance.score,
+      threshold: this.minRelevanceScore,
+      maxArticles: this.maxArticles,
+      rank,
+      reasoning: relevance.metadata.reasoning
+    };
+  }
+
+  /**
+   * Rank position an article would get in scoreAndFilter()
+   * @param {Object} article - Article that passed every filter
+   * @param {number} score - Its relevance score
+   * @param {Array} candidates - Other articles of the same fetch (may contain the article itself)
+   * @returns {Promise<number>} 1-based rank
+   */
+  async getRank(article, score, candidates) {
+    const others = candidates.filter(candidate =>
+      candidate !== article && !(article.link && candidate.link === article.link)
+    );
+    if (others.length === 0) return 1;
+
+    const ranked = await this.filterAndRank(others);
+    return ranked.filter(other => other.relevance.score > score).length + 1;
+  }
+
   /**
    * Generate human-readable reasoning for the score
    * @param {Object} scores - Breakdown of individual scores
    * @param {Object} article - Article object
+   * @param {number} feedback - Reader feedback adjustment
    * @returns {string} Reasoning text
    */
-  generateReasoning(scores, article) {
+  generateReasoning(scores, article, feedback = 0) {
     const reasons = [];
 
     // Thematic
@@ -210,6 +391,13 @@ class RelevanceEngine {
       reasons.push('innovation-related');
     }
 
+    // Reader feedback
+    if (feedback >= 0.03) {
+      reasons.push('liked by readers');
+    } else if (feedback <= -0.03) {
+      reasons.push('downvoted by readers');
+    }
+
     if (reasons.length === 0) {
       return 'meets basic relevance criteria';
     }
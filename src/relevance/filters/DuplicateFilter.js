@@ -141,6 +141,25 @@ class DuplicateFilter {
     return false;
   }
 
+  /**
+   * Find the articles an article would be merged with
+   * @param {Object} article - Article to check
+   * @param {Array} candidates - Other articles of the same run
+   * @returns {Array} Matches with similarity and whether the other version would be kept
+   */
+  findDuplicates(article, candidates) {
+    return candidates
+      .filter(candidate => candidate !== article && this.areDuplicates(article, candidate))
+      .map(candidate => ({
+        title: candidate.title,
+        link: candidate.link,
+        source: candidate.source || null,
+        reason: candidate.link === article.link ? 'same link' : 'similar title',
+        similarity: this.calculateSimilarity(article.title || '', candidate.title || ''),
+        preferred: !this.isBetterVersion(article, candidate)
+      }));
+  }
+
   /**
    * Get duplicate groups from articles
    * @param {Array} articles - Array of articles
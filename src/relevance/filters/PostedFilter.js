@@ -0,0 +1,72 @@
+const { getArticleLedger } = require('../../ledger/ArticleLedger');
+const { getDigestMessageStore } = require('../../slack/DigestMessageStore');
+const { getDigestDayStart } = require('../../utils/digestDay');
+
+/**
+ * PostedFilter - Filters out articles that were already delivered to Slack
+ *
+ * Consults the persistent ArticleLedger (link + normalized title), so a story
+ * is not posted twice while it is still within maxAgeHours. Only when today's
+ * threaded digest exists (webapi delivery) are today's entries ignored, so the
+ * re-run reproduces (and corrects) that thread in place. Webhook messages cannot
+ * be corrected, so a same-day re-run there only posts stories not yet delivered.
+ * "Today" is the digest day in the profile's timezone.
+ */
+class PostedFilter {
+  /**
+   * @param {Object} config - Relevance config
+   * @param {ArticleLedger} ledger - Ledger of the profile
+   * @param {Object} options - { profileId, timezone, threadedDigest, digestStore }
+   */
+  constructor(config, ledger = null, options = {}) {
+    this.enabled = config.filtering.postedLedger?.enabled !== false;
+    this.ledger = ledger || getArticleLedger();
+    this.profileId = options.profileId || 'default';
+    this.timezone = options.timezone;
+    this.digestStore = options.threadedDigest ? (options.digestStore || getDigestMessageStore()) : null;
+  }
+
+  /**
+   * Start of today's digest day if today's threaded digest will be updated in place
+   * @returns {Date|undefined} Ledger entries from this time on are ignored
+   */
+  getUpdateWindowStart() {
+    if (!this.digestStore?.getToday(this.profileId, this.timezone)) {
+      return undefined;
+    }
+    return getDigestDayStart(this.timezone);
+  }
+
+  /**
+   * Check if article was already posted
+   * @param {Object} article - Article object with link and title
+   * @param {Date} before - Only count ledger entries before this time (default: getUpdateWindowStart())
+   * @returns {boolean} True if already posted
+   */
+  isPosted(article, before = this.getUpdateWindowStart()) {
+    return this.enabled && this.ledger.has(article, { before });
+  }
+
+  /**
+   * Filter out already-posted articles
+   * @param {Array} articles - Array of article objects
+   * @returns {Array} Filtered articles (not yet posted)
+   */
+  filter(articles) {
+    if (!this.enabled) {
+      return articles;
+    }
+
+    const before = this.getUpdateWindowStart();
+    const filtered = articles.filter(article => !this.isPosted(article, before));
+
+    const removedCount = articles.length - filtered.length;
+    if (removedCount > 0) {
+      console.log(`PostedFilter: Removed ${removedCount} article(s) already posted in a previous digest`);
+    }
+
+    return filtered;
+  }
+}
+
+module.exports = PostedFilter;
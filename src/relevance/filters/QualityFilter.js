@@ -124,7 +124,8 @@ class QualityFilter {
    */
   isAcceptedLanguage(article) {
     const text = `${article.title} ${article.description || ''}`;
-    const language = this.detectLanguage(text);
+    // Items from a source edition (e.g. Google News de-DE) carry their language
+    const language = article.language || this.detectLanguage(text);
 
     // If language unknown, allow through (don't be too restrictive)
     if (language === 'unknown') return true;
@@ -5,19 +5,19 @@
  * using multilingual sentence embeddings (EN + DE support)
  */
 
-const path = require('path');
-const fs = require('fs');
 const { getModelCache } = require('../../utils/modelCache');
+const { loadConfigFile } = require('../../utils/configValidator');
 
 class SemanticScorer {
   constructor(config = null) {
-    // Load topics configuration
-    const topicsPath = path.join(__dirname, '../../../config/topics.json');
-
+    // Load topics configuration (config/topics.json, validated against its schema)
     try {
-      const topicsData = fs.readFileSync(topicsPath, 'utf8');
-      const topicsConfig = JSON.parse(topicsData);
-      this.topics = topicsConfig.topics;
+      this.topics = loadConfigFile('topics').topics;
+
+      // Restrict to a profile's topic subset (list of topic ids)
+      if (Array.isArray(config?.topics) && config.topics.length > 0) {
+        this.topics = this.topics.filter(topic => config.topics.includes(topic.id));
+      }
     } catch (error) {
       console.error('Failed to load topics.json:', error.message);
       this.topics = [];
@@ -79,6 +79,16 @@ class SemanticScorer {
    * @returns {Promise<number>} Score between 0 and 1
    */
   async score(article) {
+    const result = await this.scoreWithTopic(article);
+    return result.score;
+  }
+
+  /**
+   * Score an article and report the best matching topic
+   * @param {Object} article - Article object with title and description
+   * @returns {Promise<Object>} { score, topic } (topic id, null if nothing matched)
+   */
+  async scoreWithTopic(article) {
     try {
       // Lazy initialization
       if (!this.initialized) {
@@ -89,7 +99,7 @@ class SemanticScorer {
       const articleText = `${article.title || ''} ${article.description || ''}`.trim();
 
       if (!articleText) {
-        return 0;
+        return { score: 0, topic: null };
       }
 
       // Get embedding for article
@@ -106,6 +116,7 @@ class SemanticScorer {
 
         return {
           topic: topic.name,
+          id: topic.id,
           similarity: similarity,
           weightedSimilarity: weightedSimilarity,
           tier: topic.tier
@@ -123,10 +134,10 @@ class SemanticScorer {
       const maxExpectedScore = 2.0;
       const normalizedScore = Math.min(1.0, bestMatch.weightedSimilarity / maxExpectedScore);
 
-      return normalizedScore;
+      return { score: normalizedScore, topic: bestMatch.id };
     } catch (error) {
       console.error('Error in SemanticScorer.score():', error.message);
-      return 0;
+      return { score: 0, topic: null };
     }
   }
 
@@ -14,17 +14,20 @@ const { getKeywordMatcher } = require('../../utils/keywordMatcher');
  * - Multi-language synonyms (EN ↔ DE)
  * - Fuzzy matching
  * - Auto-generated plural/hyphen variations
+ * - Boolean keyword expressions (keywords.expressions)
  */
 class ThematicScorer {
   constructor(config) {
     this.tier1Keywords = config.keywords.tier1;
     this.tier2Keywords = config.keywords.tier2;
     this.tier3Keywords = config.keywords.tier3;
+    this.expressions = config.keywords.expressions || {};
 
     // Initialize KeywordMatcher with config
     this.keywordMatcher = getKeywordMatcher({
       variations: config.keywords.variations || {},
       synonyms: config.keywords.synonyms || { 'en-de': {} },
+      expressions: this.expressions,
       ...(config.keywords.matchingOptions || {})
     });
   }
@@ -38,8 +41,8 @@ class ThematicScorer {
     const text = `${article.title} ${article.description || ''}`;
     let score = 0;
 
-    // Detect language for better synonym matching
-    const language = this._detectLanguage(text);
+    // Detect language for better synonym matching (items from a source edition carry it)
+    const language = article.language || this._detectLanguage(text);
 
     // Calculate actual maximum score based on keyword configuration
     // This ensures proper normalization regardless of keyword counts
@@ -50,7 +53,7 @@ class ThematicScorer {
 
     // Count Tier 1 matches (high priority - 2.0x weight)
     this.tier1Keywords.forEach(keyword => {
-      const matchResult = this.keywordMatcher.matches(text, keyword, { language });
+      const matchResult = this._match(text, keyword, language);
       if (matchResult.matched) {
         // Weight by similarity (exact=1.0, variation=0.95, fuzzy=0.8-1.0)
         score += 2.0 * matchResult.similarity;
@@ -59,7 +62,7 @@ class ThematicScorer {
 
     // Count Tier 2 matches (medium priority - 1.0x weight)
     this.tier2Keywords.forEach(keyword => {
-      const matchResult = this.keywordMatcher.matches(text, keyword, { language });
+      const matchResult = this._match(text, keyword, language);
       if (matchResult.matched) {
         score += 1.0 * matchResult.similarity;
       }
@@ -67,7 +70,7 @@ class ThematicScorer {
 
     // Count Tier 3 matches (context - 0.5x weight)
     this.tier3Keywords.forEach(keyword => {
-      const matchResult = this.keywordMatcher.matches(text, keyword, { language });
+      const matchResult = this._match(text, keyword, language);
       if (matchResult.matched) {
         score += 0.5 * matchResult.similarity;
       }
@@ -79,6 +82,22 @@ class ThematicScorer {
     return normalizedScore;
   }
 
+  /**
+   * Match a keyword, using its boolean expression if it has one
+   * (the matcher is a singleton and may have been created with other expressions)
+   * @param {string} text - Article text
+   * @param {string} keyword - Keyword
+   * @param {string} language - Language code
+   * @returns {Object} Match result { matched, matchType, similarity }
+   */
+  _match(text, keyword, language) {
+    const expression = this.expressions[keyword];
+    if (expression) {
+      return this.keywordMatcher.matchesExpression(text, expression.tree, { language });
+    }
+    return this.keywordMatcher.matches(text, keyword, { language });
+  }
+
   /**
    * Detect article language (simple heuristic)
    * @param {string} text - Article text
@@ -105,17 +124,11 @@ class ThematicScorer {
    */
   getMatchBreakdown(article) {
     const text = `${article.title} ${article.description || ''}`;
-    const language = this._detectLanguage(text);
-
-    const tier1Matches = this.tier1Keywords.filter(kw =>
-      this.keywordMatcher.matches(text, kw, { language }).matched
-    );
-    const tier2Matches = this.tier2Keywords.filter(kw =>
-      this.keywordMatcher.matches(text, kw, { language }).matched
-    );
-    const tier3Matches = this.tier3Keywords.filter(kw =>
-      this.keywordMatcher.matches(text, kw, { language }).matched
-    );
+    const language = article.language || this._detectLanguage(text);
+
+    const tier1Matches = this.tier1Keywords.filter(kw => this._match(text, kw, language).matched);
+    const tier2Matches = this.tier2Keywords.filter(kw => this._match(text, kw, language).matched);
+    const tier3Matches = this.tier3Keywords.filter(kw => this._match(text, kw, language).matched);
 
     return {
       tier1: tier1Matches,
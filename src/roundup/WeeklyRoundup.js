@@ -0,0 +1,181 @@
+const { getArticleLedger } = require('../ledger/ArticleLedger');
+
+/**
+ * WeeklyRoundup - Builds the weekly summary from the articles delivered in the daily digests
+ *
+ * 1. Collect the articles delivered in the past 7 days (and the 7 days before) from the ArticleLedger
+ * 2. Assign each article to its best matching topic (SemanticScorer.getDetailedScore)
+ * 3. Rank topic clusters by volume, then average relevance score
+ * 4. Pick the top story per topic and compare counts with the previous week
+ *    (left out, with a note, if the ledger does not keep two periods)
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Length of the roundup period; the previous period of the same length is used for trends
+const WINDOW_DAYS = 7;
+
+// Articles whose best topic similarity is below this land in the "Other" cluster
+const MIN_TOPIC_SIMILARITY = 0.2;
+
+const OTHER_TOPIC = { id: 'other', name: 'Other News' };
+
+class WeeklyRoundup {
+  /**
+   * @param {Object} options
+   * @param {SemanticScorer} options.semanticScorer - Scorer used for topic assignment
+   * @param {ArticleLedger} options.ledger - Ledger of delivered articles
+   * @param {number} options.maxTopics - Maximum topic sections in the roundup
+   */
+  constructor(options = {}) {
+    this.semanticScorer = options.semanticScorer;
+    this.ledger = options.ledger || getArticleLedger();
+    this.maxTopics = options.maxTopics || parseInt(process.env.WEEKLY_MAX_TOPICS) || 6;
+
+    if (!this.semanticScorer) {
+      throw new Error('WeeklyRoundup requires a SemanticScorer');
+    }
+  }
+
+  /**
+   * Check that a ledger can supply the roundup period
+   * @param {ArticleLedger} ledger - Ledger of delivered articles
+   * @returns {string|null} Why the roundup cannot be built, null if it can
+   */
+  static checkLedger(ledger) {
+    if (!ledger.enabled) {
+      return 'the posted-articles ledger is disabled (ENABLE_LEDGER=false)';
+    }
+    if (ledger.retentionDays < WINDOW_DAYS) {
+      return `LEDGER_RETENTION_DAYS (${ledger.retentionDays}) is shorter than the ${WINDOW_DAYS}-day roundup period`;
+    }
+    return null;
+  }
+
+  /**
+   * Check that a ledger also holds the previous period, needed for week-over-week trends
+   * @param {ArticleLedger} ledger - Ledger of delivered articles
+   * @returns {string|null} Why trends are left out, null if they can be computed
+   */
+  static checkTrends(ledger) {
+    if (ledger.retentionDays < 2 * WINDOW_DAYS) {
+      return `LEDGER_RETENTION_DAYS (${ledger.retentionDays}) is shorter than the ${2 * WINDOW_DAYS} days needed for week-over-week trends`;
+    }
+    return null;
+  }
+
+  /**
+   * Build the roundup for the week ending at `now`
+   * Without two periods of retention previousTotal, previousCount and trend are null
+   * and trendsNote says why
+   * @param {Date} now - End of the period (default: now)
+   * @returns {Promise<Object>} { period, totalArticles, previousTotal, trendsNote, clusters }
+   */
+  async build(now = new Date()) {
+    const weekStart = new Date(now.getTime() - WINDOW_DAYS * DAY_MS);
+    const previousStart = new Date(now.getTime() - 2 * WINDOW_DAYS * DAY_MS);
+    const trendsNote = WeeklyRoundup.checkTrends(this.ledger);
+
+    const thisWeek = this.ledger.getEntriesBetween(weekStart, now);
+    const previousWeek = trendsNote ? null : this.ledger.getEntriesBetween(previousStart, weekStart);
+
+    if (trendsNote) {
+      console.warn(`⚠️  Weekly roundup without trends: ${trendsNote}`);
+      console.log(`→ Weekly roundup: ${thisWeek.length} articles this week`);
+    } else {
+      console.log(`→ Weekly roundup: ${thisWeek.length} articles this week, ${previousWeek.length} the week before`);
+    }
+
+    const clusters = await this.cluster(thisWeek);
+    const previousClusters = previousWeek ? await this.cluster(previousWeek) : null;
+
+    const ranked = Array.from(clusters.values())
+      .map(cluster => {
+        const previousCount = previousClusters ? previousClusters.get(cluster.topicId)?.articles.length || 0 : null;
+        const scores = cluster.articles.filter(a => a.score !== null && a.score !== undefined).map(a => a.score);
+        const avgScore = scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : 0;
+
+        return {
+          topicId: cluster.topicId,
+          topicName: cluster.topicName,
+          count: cluster.articles.length,
+          previousCount,
+          trend: previousCount === null ? null : cluster.articles.length - previousCount,
+          avgScore,
+          topStory: this.pickTopStory(cluster.articles),
+          articles: cluster.articles
+        };
+      })
+      // "Other" is listed last regardless of its size
+      .sort((a, b) =>
+        (a.topicId === OTHER_TOPIC.id) - (b.topicId === OTHER_TOPIC.id) ||
+        b.count - a.count ||
+        b.avgScore - a.avgScore
+      );
+
+    return {
+      period: { from: weekStart.toISOString(), to: now.toISOString() },
+      totalArticles: thisWeek.length,
+      previousTotal: previousWeek ? previousWeek.length : null,
+      trendsNote,
+      clusters: ranked.slice(0, this.maxTopics)
+    };
+  }
+
+  /**
+   * Group ledger entries by their best matching topic
+   * @param {Array<Object>} entries - Ledger entries
+   * @returns {Promise<Map>} topicId → { topicId, topicName, articles }
+   */
+  async cluster(entries) {
+    const clusters = new Map();
+
+    for (const entry of entries) {
+      const topic = await this.assignTopic(entry);
+
+      if (!clusters.has(topic.id)) {
+        clusters.set(topic.id, { topicId: topic.id, topicName: topic.name, articles: [] });
+      }
+      clusters.get(topic.id).articles.push({ ...entry, topicSimilarity: topic.similarity });
+    }
+
+    return clusters;
+  }
+
+  /**
+   * Find the best matching topic for an article
+   * @param {Object} entry - Ledger entry (title, description)
+   * @returns {Promise<Object>} { id, name, similarity }
+   */
+  async assignTopic(entry) {
+    try {
+      const detailed = await this.semanticScorer.getDetailedScore({
+        title: entry.title,
+        description: entry.description
+      });
+      const best = detailed.matches?.[0];
+
+      if (best && best.similarity >= MIN_TOPIC_SIMILARITY) {
+        return { id: best.id, name: best.topic, similarity: best.similarity };
+      }
+    } catch (error) {
+      console.warn(`⚠️  Could not assign topic to "${entry.title}":`, error.message);
+    }
+
+    return { ...OTHER_TOPIC, similarity: 0 };
+  }
+
+  /**
+   * Pick the most representative story of a cluster (relevance score, then topic fit)
+   * @param {Array<Object>} articles - Cluster articles
+   * @returns {Object} Top story
+   */
+  pickTopStory(articles) {
+    return [...articles].sort((a, b) =>
+      (b.score || 0) - (a.score || 0) ||
+      b.topicSimilarity - a.topicSimilarity
+    )[0];
+  }
+}
+
+module.exports = WeeklyRoundup;
@@ -0,0 +1,156 @@
+const { getDataPath, readJSON, writeJSONAtomic } = require('../utils/jsonStore');
+const { recordRun } = require('../metrics/metrics');
+
+/**
+ * Run History
+ * Records every digest run (start/end, per-source fetch metrics, per-filter
+ * drop counts, delivered items, Slack result) for the /runs API
+ */
+
+class RunHistory {
+  constructor(options = {}) {
+    this.filePath = options.filePath || getDataPath('runs.json');
+    this.maxRuns = options.maxRuns || parseInt(process.env.RUN_HISTORY_LIMIT) || 100;
+
+    const data = readJSON(this.filePath, { runs: [] });
+    this.runs = data.runs || [];
+  }
+
+  /**
+   * Starts a run record
+   * The returned object is filled in by the pipeline and persisted by finishRun()
+   * @param {Object} params - { profileId, job: 'daily'|'weekly', trigger: 'schedule'|'manual' }
+   * @returns {Object} - Run record
+   */
+  startRun({ profileId = 'default', job = 'daily', trigger = 'schedule' } = {}) {
+    const startedAt = new Date();
+
+    const run = {
+      id: `${startedAt.toISOString().replace(/[-:.]/g, '').replace('Z', '')}-${profileId}-${job}`,
+      profileId,
+      job,
+      trigger,
+      status: 'running',
+      startedAt: startedAt.toISOString(),
+      finishedAt: null,
+      durationMs: null,
+      cached: false,
+      fetch: null,
+      filters: null,
+      items: [],
+      delivery: null,
+      error: null
+    };
+
+    this.runs.push(run);
+    return run;
+  }
+
+  /**
+   * Marks a run as finished and persists the history
+   * @param {Object} run - Run record from startRun()
+   * @param {Error} error - Error if the run failed
+   * @returns {Object} - Finished run record
+   */
+  finishRun(run, error = null) {
+    const finishedAt = new Date();
+
+    run.finishedAt = finishedAt.toISOString();
+    run.durationMs = finishedAt - new Date(run.startedAt);
+    // A delivery that returned false (unexpected Slack response) also fails the run
+    const undelivered = !error && run.delivery?.sent === false;
+    run.status = error || undelivered ? 'failed' : 'success';
+    run.error = error ? error.message : (undelivered ? 'Slack delivery was not confirmed' : null);
+
+    this.runs = this.runs.slice(-this.maxRuns);
+    this.save();
+    recordRun(run);
+
+    return run;
+  }
+
+  /**
+   * Writes the history to disk
+   */
+  save() {
+    try {
+      writeJSONAtomic(this.filePath, {
+        updatedAt: new Date().toISOString(),
+        runs: this.runs
+      });
+    } catch (error) {
+      console.error(`⚠️  Could not write run history to ${this.filePath}:`, error.message);
+    }
+  }
+
+  /**
+   * Lists runs, newest first, without the per-item details
+   * @param {Object} options - { limit, profileId, job }
+   * @returns {Array<Object>} - Run summaries
+   */
+  getRuns({ limit = 20, profileId, job } = {}) {
+    return this.runs
+      .filter(run => (!profileId || run.profileId === profileId) && (!job || run.job === job))
+      .slice()
+      .reverse()
+      .slice(0, limit)
+      .map(run => ({
+        id: run.id,
+        profileId: run.profileId,
+        job: run.job,
+        trigger: run.trigger,
+        status: run.status,
+        startedAt: run.startedAt,
+        finishedAt: run.finishedAt,
+        durationMs: run.durationMs,
+        fetched: run.fetch?.totalFetched ?? null,
+        delivered: run.items.length,
+        sent: run.delivery?.sent ?? null,
+        error: run.error
+      }));
+  }
+
+  /**
+   * Gets the newest run whose digest was delivered to Slack
+   * @param {string} profileId - Profile id
+   * @param {string} job - 'daily' or 'weekly'
+   * @returns {Object|null} - Run record
+   */
+  getLastDelivered(profileId, job = 'daily') {
+    for (let i = this.runs.length - 1; i >= 0; i--) {
+      const run = this.runs[i];
+      if (run.profileId === profileId && run.job === job && run.delivery?.sent) {
+        return run;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Gets a single run with all stage metrics
+   * @param {string} id - Run id
+   * @returns {Object|null} - Run record
+   */
+  getRun(id) {
+    return this.runs.find(run => run.id === id) || null;
+  }
+}
+
+// Singleton instance
+let runHistoryInstance = null;
+
+/**
+ * Gets the singleton run history
+ * @returns {RunHistory}
+ */
+function getRunHistory() {
+  if (!runHistoryInstance) {
+    runHistoryInstance = new RunHistory();
+  }
+  return runHistoryInstance;
+}
+
+module.exports = {
+  RunHistory,
+  getRunHistory
+};
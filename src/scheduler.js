@@ -1,28 +1,70 @@
 const cron = require('node-cron');
 const NewsService = require('./newsService');
 const SlackService = require('./slackService');
+const ProfileManager = require('./profiles/ProfileManager');
+const WeeklyRoundup = require('./roundup/WeeklyRoundup');
+const SemanticScorer = require('./relevance/scorers/SemanticScorer');
+const { getArticleLedger } = require('./ledger/ArticleLedger');
+const { getRunHistory } = require('./runs/RunHistory');
+const { getFeedStateStore } = require('./sources/FeedStateStore');
+const { FeedAuditor } = require('./audit/FeedAuditor');
 
 class Scheduler {
-  constructor(slackWebhookUrl) {
-    this.newsService = new NewsService();
-    this.slackService = new SlackService(slackWebhookUrl);
-    this.cronSchedule = process.env.CRON_SCHEDULE || '0 8 * * *'; // Default: 8 AM daily
-    this.timezone = process.env.TIMEZONE || 'Europe/Berlin';
-    this.task = null;
+  /**
+   * @param {ProfileManager} profileManager - Digest profiles (defaults to env-based single profile)
+   */
+  constructor(profileManager = null) {
+    this.profileManager = profileManager || new ProfileManager();
+    this.newsService = new NewsService(this.profileManager);
+
+    // One SlackService and cron task per profile
+    this.slackServices = new Map(
+      this.profileManager.getProfiles().map(profile => [
+        profile.id,
+        new SlackService(profile.webhookUrl, {
+          profileId: profile.id,
+          deliveryMode: profile.deliveryMode,
+          botToken: profile.botToken,
+          channel: profile.channel,
+          apiUrl: profile.apiUrl,
+          timezone: profile.timezone
+        })
+      ])
+    );
+    this.tasks = new Map();
+
+    const defaultProfile = this.profileManager.getDefaultProfile();
+    this.slackService = this.slackServices.get(defaultProfile.id);
+    this.cronSchedule = defaultProfile.cronSchedule;
+    this.timezone = defaultProfile.timezone;
+
+    // Background feed audit ('off' disables it)
+    this.feedAuditSchedule = process.env.FEED_AUDIT_CRON || '0 6 * * *';
+    this.feedAuditAlerts = process.env.FEED_AUDIT_ALERTS === 'true';
+    this.feedAuditor = new FeedAuditor({ sourceManager: this.newsService.sourceManager });
   }
 
   /**
-   * Execute the daily news job
+   * Execute the daily news job for a profile
+   * The run (fetch metrics, filter counts, items, delivery result) is recorded in the RunHistory
+   * @param {Object} profile - Digest profile (defaults to the first profile)
+   * @param {string} trigger - 'schedule' or 'manual'
+   * @returns {Promise<Object>} Finished run record
    */
-  async executeDailyJob() {
+  async executeDailyJob(profile = this.profileManager.getDefaultProfile(), trigger = 'schedule') {
+    const slackService = this.slackServices.get(profile.id);
+    const runHistory = getRunHistory();
+    const run = runHistory.startRun({ profileId: profile.id, job: 'daily', trigger });
+
     console.log('\n===========================================');
-    console.log(`📰 Starting daily news job at ${new Date().toLocaleString('de-DE')}`);
+    console.log(`📰 Starting daily news job [${profile.id}] at ${new Date().toLocaleString('de-DE')} (run ${run.id})`);
     console.log('===========================================\n');
 
     try {
       // Fetch news
       console.log('→ Fetching retail innovation news...');
-      const newsItems = await this.newsService.fetchRetailInnovationNews();
+      const newsItems = await this.newsService.fetchRetailInnovationNews(profile, run);
+      run.items = newsItems.map(item => this.summarizeRunItem(item));
 
       if (newsItems.length === 0) {
         console.log('⚠ No news items found');
@@ -32,77 +74,282 @@ class Scheduler {
 
       // Send to Slack
       console.log('→ Sending to Slack...');
-      await this.slackService.sendDailyNews(newsItems);
+      await this.deliver(run, slackService, () => slackService.sendDailyNews(newsItems));
 
       console.log('\n===========================================');
-      console.log('✓ Daily news job completed successfully');
+      console.log(`✓ Daily news job [${profile.id}] completed successfully`);
       console.log('===========================================\n');
+      return runHistory.finishRun(run);
     } catch (error) {
       console.error('\n===========================================');
-      console.error('✗ Error executing daily news job:', error.message);
+      console.error(`✗ Error executing daily news job [${profile.id}]:`, error.message);
       console.error('===========================================\n');
 
       // Try to send error notification to Slack
       try {
-        await this.slackService.sendErrorNotification(error.message);
+        await slackService.sendErrorNotification(error.message);
       } catch (notificationError) {
         console.error('Failed to send error notification:', notificationError.message);
       }
+
+      return runHistory.finishRun(run, error);
     }
   }
 
   /**
-   * Start the scheduled job
+   * Send to Slack and record the delivery result on the run
+   * Once delivered, the feed watermarks staged by the run's fetch are committed
+   * @param {Object} run - Run record
+   * @param {SlackService} slackService - Profile's Slack service
+   * @param {Function} send - Async function performing the delivery
+   */
+  async deliver(run, slackService, send) {
+    const startTime = Date.now();
+
+    try {
+      const sent = await send();
+      run.delivery = {
+        sent,
+        mode: slackService.deliveryMode,
+        durationMs: Date.now() - startTime,
+        ...(slackService.deliveryMode === 'webapi' && slackService.lastDigest
+          ? { channel: slackService.lastDigest.channel, ts: slackService.lastDigest.ts }
+          : {})
+      };
+
+      if (sent && run.fetch?.sources) {
+        getFeedStateStore().commit(run.fetch.sources.map(source => source.id), run.profileId);
+      }
+    } catch (error) {
+      run.delivery = {
+        sent: false,
+        mode: slackService.deliveryMode,
+        durationMs: Date.now() - startTime,
+        error: error.message
+      };
+      throw error;
+    }
+  }
+
+  /**
+   * Reduce a delivered item to what the run history keeps
+   * @param {Object} item - News item
+   * @returns {Object} Item summary with scores
+   */
+  summarizeRunItem(item) {
+    const round = (value) => typeof value === 'number' ? Number(value.toFixed(3)) : value;
+    const breakdown = item.relevance?.breakdown || null;
+
+    return {
+      title: item.title,
+      link: item.link,
+      source: item.source,
+      sourceId: item.sourceId,
+      pubDate: item.pubDate,
+      score: round(item.relevance?.score ?? item.score ?? null),
+      breakdown: breakdown && Object.fromEntries(Object.entries(breakdown).map(([key, value]) => [key, round(value)])),
+      feedback: round(item.relevance?.feedback ?? null)
+    };
+  }
+
+  /**
+   * Execute the weekly roundup job for a profile
+   * Summarizes the articles delivered by the daily job over the past 7 days
+   * @param {Object} profile - Digest profile (defaults to the first profile)
+   * @param {string} trigger - 'schedule' or 'manual'
+   * @returns {Promise<Object|null>} Finished run record, null if skipped
+   */
+  async executeWeeklyJob(profile = this.profileManager.getDefaultProfile(), trigger = 'schedule') {
+    if (!this.canBuildWeeklyRoundup(profile)) {
+      return null;
+    }
+
+    const slackService = this.slackServices.get(profile.id);
+    const runHistory = getRunHistory();
+    const run = runHistory.startRun({ profileId: profile.id, job: 'weekly', trigger });
+
+    console.log('\n===========================================');
+    console.log(`📊 Starting weekly roundup job [${profile.id}] at ${new Date().toLocaleString('de-DE')}`);
+    console.log('===========================================\n');
+
+    try {
+      // Reuse the profile's SemanticScorer (topic subset, embeddings already computed)
+      const semanticScorer = this.newsService.getRelevanceEngine(profile)?.semanticScorer || new SemanticScorer();
+      const roundup = new WeeklyRoundup({
+        semanticScorer,
+        ledger: getArticleLedger(profile.id)
+      });
+
+      const result = await roundup.build();
+      console.log(`✓ Built weekly roundup: ${result.totalArticles} articles in ${result.clusters.length} topics`);
+      run.items = result.clusters.map(cluster => ({
+        topic: cluster.topicId,
+        count: cluster.count,
+        previousCount: cluster.previousCount,
+        topStory: { title: cluster.topStory.title, link: cluster.topStory.link, score: cluster.topStory.score }
+      }));
+
+      console.log('→ Sending to Slack...');
+      await this.deliver(run, slackService, () => slackService.sendWeeklyRoundup(result));
+
+      console.log('\n===========================================');
+      console.log(`✓ Weekly roundup job [${profile.id}] completed successfully`);
+      console.log('===========================================\n');
+      return runHistory.finishRun(run);
+    } catch (error) {
+      console.error('\n===========================================');
+      console.error(`✗ Error executing weekly roundup job [${profile.id}]:`, error.message);
+      console.error('===========================================\n');
+
+      try {
+        await slackService.sendErrorNotification(error.message);
+      } catch (notificationError) {
+        console.error('Failed to send error notification:', notificationError.message);
+      }
+
+      return runHistory.finishRun(run, error);
+    }
+  }
+
+  /**
+   * Check that the profile's ledger holds the roundup period (logs why not)
+   * @param {Object} profile - Digest profile
+   * @returns {boolean} True if the weekly roundup can be built
+   */
+  canBuildWeeklyRoundup(profile) {
+    const problem = WeeklyRoundup.checkLedger(getArticleLedger(profile.id));
+    if (problem) {
+      console.warn(`⚠️  [${profile.id}] Weekly roundup skipped: ${problem}`);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Execute the feed audit
+   * Posts a Slack warning (default profile's channel) for degraded feeds when FEED_AUDIT_ALERTS=true
+   * @param {boolean} alert - Send the Slack warning (default: FEED_AUDIT_ALERTS)
+   * @returns {Promise<Object>} Audit report
+   */
+  async executeFeedAudit(alert = this.feedAuditAlerts) {
+    console.log(`\n🩺 Starting feed audit at ${new Date().toLocaleString('de-DE')}`);
+
+    try {
+      const report = await this.feedAuditor.audit();
+
+      if (alert && report.degraded.length > 0) {
+        console.log(`→ Sending feed health warning for ${report.degraded.length} feed(s)...`);
+        await this.slackService.sendFeedAuditWarning(report.degraded);
+      }
+
+      return report;
+    } catch (error) {
+      console.error('✗ Error executing feed audit:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Start the scheduled jobs (daily digest and weekly roundup per profile, feed audit)
    */
   start() {
-    // Validate cron schedule
-    if (!cron.validate(this.cronSchedule)) {
-      throw new Error(`Invalid cron schedule: ${this.cronSchedule}`);
+    const profiles = this.profileManager.getProfiles();
+
+    // Validate cron schedules
+    for (const profile of profiles) {
+      if (!cron.validate(profile.cronSchedule)) {
+        throw new Error(`Invalid cron schedule for profile "${profile.id}": ${profile.cronSchedule}`);
+      }
+      if (profile.weeklyRoundup && !cron.validate(profile.weeklyCronSchedule)) {
+        throw new Error(`Invalid weekly cron schedule for profile "${profile.id}": ${profile.weeklyCronSchedule}`);
+      }
+    }
+    const feedAuditEnabled = this.feedAuditSchedule !== 'off';
+    if (feedAuditEnabled && !cron.validate(this.feedAuditSchedule)) {
+      throw new Error(`Invalid feed audit cron schedule: ${this.feedAuditSchedule}`);
     }
 
     console.log('\n===========================================');
     console.log('🚀 Starting NewsBot Scheduler');
     console.log('===========================================');
-    console.log(`Schedule: ${this.cronSchedule}`);
-    console.log(`Timezone: ${this.timezone}`);
-    console.log(`Next run: ${this.getNextRunTime()}`);
+    profiles.forEach(profile => {
+      console.log(`[${profile.id}] Schedule: ${profile.cronSchedule} (${profile.timezone})`);
+      console.log(`[${profile.id}] Next run: ${this.getNextRunTime(profile)}`);
+      if (profile.weeklyRoundup && this.canBuildWeeklyRoundup(profile)) {
+        console.log(`[${profile.id}] Weekly roundup: ${profile.weeklyCronSchedule}`);
+      }
+    });
+    console.log(`Feed audit: ${feedAuditEnabled ? `${this.feedAuditSchedule}${this.feedAuditAlerts ? ' (Slack alerts)' : ''}` : 'off'}`);
     console.log('===========================================\n');
 
-    this.task = cron.schedule(
-      this.cronSchedule,
-      async () => {
-        await this.executeDailyJob();
-      },
-      {
-        scheduled: true,
-        timezone: this.timezone
+    for (const profile of profiles) {
+      const task = cron.schedule(
+        profile.cronSchedule,
+        async () => {
+          await this.executeDailyJob(profile);
+        },
+        {
+          scheduled: true,
+          timezone: profile.timezone
+        }
+      );
+      this.tasks.set(profile.id, task);
+
+      if (profile.weeklyRoundup && WeeklyRoundup.checkLedger(getArticleLedger(profile.id)) === null) {
+        const weeklyTask = cron.schedule(
+          profile.weeklyCronSchedule,
+          async () => {
+            await this.executeWeeklyJob(profile);
+          },
+          {
+            scheduled: true,
+            timezone: profile.timezone
+          }
+        );
+        this.tasks.set(`${profile.id}:weekly`, weeklyTask);
       }
-    );
+    }
 
-    console.log('✓ Scheduler started successfully\n');
+    if (feedAuditEnabled) {
+      const auditTask = cron.schedule(
+        this.feedAuditSchedule,
+        async () => {
+          await this.executeFeedAudit();
+        },
+        {
+          scheduled: true,
+          timezone: this.timezone
+        }
+      );
+      this.tasks.set('feed-audit', auditTask);
+    }
+
+    console.log(`✓ Scheduler started successfully (${profiles.length} profile(s))\n`);
   }
 
   /**
-   * Stop the scheduled job
+   * Stop the scheduled jobs
    */
   stop() {
-    if (this.task) {
-      this.task.stop();
+    if (this.tasks.size > 0) {
+      this.tasks.forEach(task => task.stop());
+      this.tasks.clear();
       console.log('✓ Scheduler stopped');
     }
   }
 
   /**
    * Get the next scheduled run time
+   * @param {Object} profile - Digest profile (defaults to the first profile)
    * @returns {string} Next run time
    */
-  getNextRunTime() {
+  getNextRunTime(profile = this.profileManager.getDefaultProfile()) {
     // Simple calculation for next run time based on cron schedule
     // For "0 8 * * *" (8 AM daily)
     const now = new Date();
     const next = new Date(now);
 
-    if (this.cronSchedule === '0 8 * * *') {
+    if (profile.cronSchedule === '0 8 * * *') {
       next.setHours(8, 0, 0, 0);
       if (next <= now) {
         next.setDate(next.getDate() + 1);
@@ -121,10 +368,44 @@ class Scheduler {
 
   /**
    * Execute the job immediately (for testing)
+   * @param {string} profileId - Optional profile id; runs all profiles when omitted
    */
-  async executeNow() {
+  async executeNow(profileId = null) {
     console.log('→ Manual execution triggered');
-    await this.executeDailyJob();
+
+    if (profileId) {
+      const profile = this.profileManager.getProfile(profileId);
+      if (!profile) {
+        throw new Error(`Unknown profile: ${profileId}`);
+      }
+      await this.executeDailyJob(profile, 'manual');
+      return;
+    }
+
+    for (const profile of this.profileManager.getProfiles()) {
+      await this.executeDailyJob(profile, 'manual');
+    }
+  }
+
+  /**
+   * Execute the weekly roundup immediately
+   * @param {string} profileId - Optional profile id; runs all profiles when omitted
+   */
+  async executeWeeklyNow(profileId = null) {
+    console.log('→ Manual weekly roundup triggered');
+
+    if (profileId) {
+      const profile = this.profileManager.getProfile(profileId);
+      if (!profile) {
+        throw new Error(`Unknown profile: ${profileId}`);
+      }
+      await this.executeWeeklyJob(profile, 'manual');
+      return;
+    }
+
+    for (const profile of this.profileManager.getProfiles()) {
+      await this.executeWeeklyJob(profile, 'manual');
+    }
   }
 }
 
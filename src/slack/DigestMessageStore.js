@@ -0,0 +1,99 @@
+const { getDataPath, readJSON, writeJSONAtomic } = require('../utils/jsonStore');
+const { getDigestDay } = require('../utils/digestDay');
+
+/**
+ * Digest Message Store
+ * Remembers the Slack message timestamps (ts) of each posted digest so a
+ * re-run can update the existing thread instead of posting a new one
+ */
+
+class DigestMessageStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || getDataPath('slack-digests.json');
+    this.retentionDays = options.retentionDays || 30;
+    this.digests = readJSON(this.filePath, {});
+  }
+
+  /**
+   * Builds the store key for a profile and digest day
+   * @param {string} profileId - Profile id
+   * @param {string} timezone - Profile timezone (the digest day is local to it)
+   * @param {Date} date - Digest date
+   * @returns {string} - Key (e.g., 'default:2025-01-31')
+   */
+  getKey(profileId, timezone, date = new Date()) {
+    return `${profileId}:${getDigestDay(timezone, date)}`;
+  }
+
+  /**
+   * Gets today's digest record for a profile
+   * @param {string} profileId - Profile id
+   * @param {string} timezone - Profile timezone
+   * @returns {Object|null} - { channel, ts, replies: [{ link, ts }], postedAt, updatedAt }
+   */
+  getToday(profileId, timezone) {
+    return this.digests[this.getKey(profileId, timezone)] || null;
+  }
+
+  /**
+   * Gets the most recent digest record for a profile
+   * @param {string} profileId - Profile id
+   * @returns {Object|null} - Digest record
+   */
+  getLatest(profileId) {
+    const keys = Object.keys(this.digests)
+      .filter(key => key.startsWith(`${profileId}:`))
+      .sort();
+
+    return keys.length > 0 ? this.digests[keys[keys.length - 1]] : null;
+  }
+
+  /**
+   * Saves today's digest record for a profile
+   * @param {string} profileId - Profile id
+   * @param {Object} record - Digest record
+   * @param {string} timezone - Profile timezone
+   */
+  saveToday(profileId, record, timezone) {
+    this.digests[this.getKey(profileId, timezone)] = record;
+    this.prune();
+
+    try {
+      writeJSONAtomic(this.filePath, this.digests);
+    } catch (error) {
+      console.error(`⚠️  Could not write digest message store to ${this.filePath}:`, error.message);
+    }
+  }
+
+  /**
+   * Removes records older than the retention period
+   */
+  prune() {
+    const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+
+    for (const [key, record] of Object.entries(this.digests)) {
+      if (new Date(record.postedAt).getTime() < cutoff) {
+        delete this.digests[key];
+      }
+    }
+  }
+}
+
+// Singleton instance
+let digestMessageStoreInstance = null;
+
+/**
+ * Gets the singleton digest message store
+ * @returns {DigestMessageStore}
+ */
+function getDigestMessageStore() {
+  if (!digestMessageStoreInstance) {
+    digestMessageStoreInstance = new DigestMessageStore();
+  }
+  return digestMessageStoreInstance;
+}
+
+module.exports = {
+  DigestMessageStore,
+  getDigestMessageStore
+};
@@ -0,0 +1,88 @@
+const axios = require('axios');
+
+/**
+ * SlackWebApiClient - Minimal Slack Web API client (bot token)
+ *
+ * Supports the calls needed for threaded digests:
+ * - chat.postMessage (parent message and threaded replies)
+ * - chat.update (correct a digest after a re-run)
+ * - chat.delete (remove surplus replies)
+ *
+ * The base URL is configurable so a local mock server can stand in for slack.com
+ */
+class SlackWebApiClient {
+  constructor(options = {}) {
+    this.token = options.token;
+    this.apiUrl = (options.apiUrl || 'https://slack.com/api').replace(/\/$/, '');
+    this.timeout = options.timeout || 15000;
+
+    if (!this.token) {
+      throw new Error('Slack bot token is required for Web API delivery');
+    }
+  }
+
+  /**
+   * Call a Slack Web API method
+   *
+   * @param {string} method - API method (e.g., 'chat.postMessage')
+   * @param {Object} payload - JSON body
+   * @returns {Promise<Object>} API response body
+   */
+  async call(method, payload) {
+    const response = await axios.post(`${this.apiUrl}/${method}`, payload, {
+      headers: {
+        'Content-Type': 'application/json; charset=utf-8',
+        Authorization: `Bearer ${this.token}`
+      },
+      timeout: this.timeout
+    });
+
+    // Slack returns HTTP 200 with ok=false for API-level errors
+    if (!response.data || response.data.ok !== true) {
+      const error = new Error(`Slack API ${method} failed: ${response.data?.error || 'unknown_error'}`);
+      error.slackError = response.data?.error;
+      throw error;
+    }
+
+    return response.data;
+  }
+
+  /**
+   * Post a message (optionally as a threaded reply)
+   *
+   * @param {Object} params - { channel, text, blocks, thread_ts }
+   * @returns {Promise<Object>} Response with channel and ts
+   */
+  async postMessage({ channel, text, blocks, thread_ts }) {
+    return this.call('chat.postMessage', {
+      channel,
+      text,
+      blocks,
+      ...(thread_ts ? { thread_ts } : {}),
+      unfurl_links: false,
+      unfurl_media: false
+    });
+  }
+
+  /**
+   * Update an existing message
+   *
+   * @param {Object} params - { channel, ts, text, blocks }
+   * @returns {Promise<Object>} Response with channel and ts
+   */
+  async updateMessage({ channel, ts, text, blocks }) {
+    return this.call('chat.update', { channel, ts, text, blocks });
+  }
+
+  /**
+   * Delete a message
+   *
+   * @param {Object} params - { channel, ts }
+   * @returns {Promise<Object>} Response
+   */
+  async deleteMessage({ channel, ts }) {
+    return this.call('chat.delete', { channel, ts });
+  }
+}
+
+module.exports = SlackWebApiClient;
@@ -0,0 +1,233 @@
+const { getCircuitBreaker } = require('../utils/circuitBreaker');
+const { getCacheManager } = require('../cache/CacheManager');
+const { getArticleLedger } = require('../ledger/ArticleLedger');
+const { getRunHistory } = require('../runs/RunHistory');
+
+/**
+ * SlashCommandHandler - Handles the /newsbot slash command
+ *
+ * Subcommands:
+ * - search <query>  Search all sources and rank the results
+ * - top [N]         Top N stories of the last delivered digest (from the run history)
+ * - sources         Enabled sources and their circuit breaker state
+ * - status          Schedule, last digest and cache statistics
+ * - help            Usage
+ *
+ * All replies are ephemeral (only visible to the requesting user)
+ */
+
+const MAX_TOP_ITEMS = 10;
+
+class SlashCommandHandler {
+  /**
+   * @param {Scheduler} scheduler - Scheduler (provides news service, Slack formatting and profiles)
+   */
+  constructor(scheduler) {
+    this.scheduler = scheduler;
+    this.newsService = scheduler.newsService;
+    this.profileManager = scheduler.profileManager;
+  }
+
+  /**
+   * Parse the command text into subcommand and argument
+   * @param {string} text - Text after /newsbot
+   * @returns {Object} { subcommand, argument }
+   */
+  parse(text = '') {
+    const [subcommand = 'help', ...rest] = text.trim().split(/\s+/).filter(Boolean);
+    return {
+      subcommand: subcommand.toLowerCase(),
+      argument: rest.join(' ')
+    };
+  }
+
+  /**
+   * Whether a subcommand has to run the news pipeline (too slow for Slack's 3 second window)
+   * @param {string} text - Text after /newsbot
+   * @returns {boolean}
+   */
+  isDeferred(text) {
+    const { subcommand, argument } = this.parse(text);
+    return subcommand === 'search' && argument.length > 0;
+  }
+
+  /**
+   * Resolve the profile for the channel the command was used in
+   * @param {string} channelId - Slack channel id
+   * @returns {Object} Digest profile (default profile if no profile posts to this channel)
+   */
+  getProfileForChannel(channelId) {
+    return this.profileManager.getProfiles().find(profile => channelId && profile.channel === channelId) ||
+      this.profileManager.getDefaultProfile();
+  }
+
+  /**
+   * Handle a slash command
+   * @param {string} text - Text after /newsbot
+   * @param {Object} context - { channelId }
+   * @returns {Promise<Object>} Ephemeral Slack response
+   */
+  async handle(text, context = {}) {
+    const { subcommand, argument } = this.parse(text);
+    const profile = this.getProfileForChannel(context.channelId);
+
+    try {
+      switch (subcommand) {
+        case 'search':
+          if (!argument) {
+            return this.reply('Usage: `/newsbot search <query>`');
+          }
+          return this.formatArticles(
+            `🔎 Results for "${argument.substring(0, 100)}"`,
+            await this.newsService.searchNews(argument, profile),
+            profile
+          );
+
+        case 'top':
+          return this.formatTop(profile, Math.min(parseInt(argument) || 5, MAX_TOP_ITEMS));
+
+        case 'sources':
+          return this.formatSources();
+
+        case 'status':
+          return this.formatStatus(profile);
+
+        case 'help':
+          return this.formatHelp();
+
+        default:
+          return this.formatHelp(`Unknown command: \`${subcommand}\``);
+      }
+    } catch (error) {
+      console.error(`✗ /newsbot ${subcommand} failed:`, error.message);
+      return this.reply(`❌ Sorry, \`/newsbot ${subcommand}\` failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build an ephemeral response
+   * @param {string} text - Fallback text
+   * @param {Array} blocks - Optional Block Kit blocks
+   * @returns {Object} Slack response
+   */
+  reply(text, blocks = null) {
+    return {
+      response_type: 'ephemeral',
+      text,
+      ...(blocks ? { blocks } : {})
+    };
+  }
+
+  /**
+   * Format articles using the profile's digest formatting
+   * @param {string} title - Header text
+   * @param {Array} items - News items
+   * @param {Object} profile - Digest profile
+   * @returns {Object} Slack response
+   */
+  formatArticles(title, items, profile) {
+    if (items.length === 0) {
+      return this.reply(`${title}\n_No relevant articles found._`);
+    }
+
+    const slackService = this.scheduler.slackServices.get(profile.id);
+    const blocks = [
+      { type: 'header', text: { type: 'plain_text', text: title, emoji: true } }
+    ];
+
+    items.forEach((item, index) => {
+      blocks.push({ type: 'divider' }, ...slackService.formatArticleBlocks(item, index));
+    });
+
+    return this.reply(title, blocks);
+  }
+
+  /**
+   * Format the top stories of the last delivered digest
+   * Reads the run history instead of re-running the pipeline, so the answer
+   * matches what was posted and does not touch caches or feed state
+   * @param {Object} profile - Digest profile
+   * @param {number} count - Number of stories
+   * @returns {Object} Slack response
+   */
+  formatTop(profile, count) {
+    const run = getRunHistory().getLastDelivered(profile.id);
+    if (!run) {
+      return this.reply('📰 No digest has been delivered yet.');
+    }
+
+    // Run items keep title, link, source and score; the description comes from the ledger
+    const ledger = getArticleLedger(profile.id);
+    const items = run.items.slice(0, count).map(item => ({
+      ...item,
+      description: ledger.getEntry(item.link)?.description || ''
+    }));
+    const postedAt = new Date(run.finishedAt || run.startedAt).toLocaleString('de-DE');
+
+    return this.formatArticles(`📰 Top ${count} stories (digest of ${postedAt})`, items, profile);
+  }
+
+  /**
+   * Format the enabled sources with their circuit breaker state
+   * @returns {Object} Slack response
+   */
+  formatSources() {
+    const circuitBreaker = getCircuitBreaker();
+    const sources = this.newsService.sourceManager.getEnabledSources();
+    const stateIcons = { CLOSED: '🟢', HALF_OPEN: '🟡', OPEN: '🔴' };
+
+    const lines = sources.map(source => {
+      const stats = circuitBreaker.getStats(source.id);
+      return `${stateIcons[stats.state] || '⚪'} *${source.name}* (\`${source.type}\`) – ${stats.state.toLowerCase()}, failure rate ${stats.failureRatePercent}%`;
+    });
+
+    return this.reply(`${sources.length} enabled sources`, [
+      { type: 'header', text: { type: 'plain_text', text: `📡 ${sources.length} enabled sources`, emoji: true } },
+      { type: 'section', text: { type: 'mrkdwn', text: lines.join('\n') || '_No sources enabled_' } }
+    ]);
+  }
+
+  /**
+   * Format schedule, last digest and cache statistics
+   * @param {Object} profile - Digest profile
+   * @returns {Object} Slack response
+   */
+  formatStatus(profile) {
+    const cacheStats = getCacheManager().getStats();
+    const ledgerStats = getArticleLedger(profile.id).getStats();
+
+    const fields = [
+      `*Profile:*\n${profile.name || profile.id}`,
+      `*Schedule:*\n\`${profile.cronSchedule}\` (${profile.timezone})`,
+      `*Next run:*\n${this.scheduler.getNextRunTime(profile)}`,
+      `*Last digest:*\n${ledgerStats.newest ? new Date(ledgerStats.newest).toLocaleString('de-DE') : 'never'}`,
+      `*Articles remembered:*\n${ledgerStats.entries}`,
+      `*Cache hit rate:*\n${cacheStats.hitRate}`
+    ];
+
+    return this.reply('NewsBot status', [
+      { type: 'header', text: { type: 'plain_text', text: '🤖 NewsBot status', emoji: true } },
+      { type: 'section', fields: fields.map(text => ({ type: 'mrkdwn', text })) }
+    ]);
+  }
+
+  /**
+   * Format usage help
+   * @param {string} prefix - Optional line shown above the usage (e.g., unknown command)
+   * @returns {Object} Slack response
+   */
+  formatHelp(prefix = null) {
+    const usage = [
+      '`/newsbot search <query>` – search all sources',
+      '`/newsbot top [N]` – top N stories of the last digest (max 10)',
+      '`/newsbot sources` – enabled sources and their health',
+      '`/newsbot status` – schedule and bot status'
+    ].join('\n');
+
+    return this.reply(prefix ? `${prefix}\n${usage}` : usage, [
+      { type: 'section', text: { type: 'mrkdwn', text: prefix ? `${prefix}\n\n${usage}` : usage } }
+    ]);
+  }
+}
+
+module.exports = SlashCommandHandler;
@@ -1,5 +1,8 @@
 const axios = require('axios');
 const axiosRetry = require('axios-retry').default;
+const { getArticleLedger } = require('./ledger/ArticleLedger');
+const SlackWebApiClient = require('./slack/SlackWebApiClient');
+const { getDigestMessageStore } = require('./slack/DigestMessageStore');
 
 // Configure axios-retry for Slack webhook
 axiosRetry(axios, {
@@ -19,11 +22,39 @@ axiosRetry(axios, {
 });
 
 class SlackService {
-  constructor(webhookUrl) {
-    if (!webhookUrl) {
-      throw new Error('Slack webhook URL is required');
+  /**
+   * @param {string} webhookUrl - Slack incoming webhook URL (webhook mode)
+   * @param {Object} options - Optional settings
+   * @param {string} options.profileId - Digest profile id (selects the article ledger)
+   * @param {string} options.deliveryMode - 'webhook' (default) or 'webapi'
+   * @param {string} options.botToken - Bot token (webapi mode)
+   * @param {string} options.channel - Channel id (webapi mode)
+   * @param {string} options.apiUrl - Slack Web API base URL (webapi mode, e.g., a local mock)
+   * @param {boolean} options.feedbackButtons - Add 👍/👎/not relevant buttons (default: when SLACK_SIGNING_SECRET is set)
+   */
+  constructor(webhookUrl, options = {}) {
+    this.profileId = options.profileId || 'default';
+    this.timezone = options.timezone || process.env.TIMEZONE || 'Europe/Berlin';
+    // Buttons only work when the interaction endpoint can verify Slack's requests
+    this.feedbackButtons = options.feedbackButtons ?? (!!process.env.SLACK_SIGNING_SECRET && process.env.ENABLE_FEEDBACK_BUTTONS !== 'false');
+    this.deliveryMode = options.deliveryMode || process.env.SLACK_DELIVERY_MODE || 'webhook';
+
+    if (this.deliveryMode === 'webapi') {
+      this.channel = options.channel || process.env.SLACK_CHANNEL_ID;
+      if (!this.channel) {
+        throw new Error('Slack channel id is required for Web API delivery');
+      }
+      this.client = new SlackWebApiClient({
+        token: options.botToken || process.env.SLACK_BOT_TOKEN,
+        apiUrl: options.apiUrl || process.env.SLACK_API_URL
+      });
+      this.digestStore = getDigestMessageStore();
+    } else {
+      if (!webhookUrl) {
+        throw new Error('Slack webhook URL is required');
+      }
+      this.webhookUrl = webhookUrl;
     }
-    this.webhookUrl = webhookUrl;
   }
 
   /**
@@ -42,6 +73,182 @@ class SlackService {
     return filled + empty;
   }
 
+  /**
+   * Format the generated-on footer
+   * @param {boolean} withTopics - Include the topics line
+   * @returns {Object} Slack context block
+   */
+  formatFooterBlock(withTopics = true) {
+    if (!withTopics) {
+      return {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: `_Generated on ${new Date().toLocaleDateString('de-DE', {
+              weekday: 'long',
+              year: 'numeric',
+              month: 'long',
+              day: 'numeric'
+            })}_`
+          }
+        ]
+      };
+    }
+
+    return {
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: `_Generated on ${new Date().toLocaleDateString('de-DE', {
+            weekday: 'long',
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+          })} • Topics: Retail Innovation, Autonomous Delivery, Last Mile Technology_`
+        }
+      ]
+    };
+  }
+
+  /**
+   * Format the digest header (title + intro)
+   * @param {Array} newsItems - Array of news items
+   * @returns {Array} Slack blocks
+   */
+  formatHeaderBlocks(newsItems) {
+    // Check if articles have relevance scores
+    const hasRelevanceScores = newsItems.length > 0 && newsItems[0].relevance;
+
+    return [
+      {
+        type: 'header',
+        text: {
+          type: 'plain_text',
+          text: '📰 Daily Retail Innovation News',
+          emoji: true
+        }
+      },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: hasRelevanceScores
+            ? `Good morning! Here are *${newsItems.length} top stories* about retail innovation, autonomous delivery, and last mile technology (relevance-filtered):`
+            : `Good morning! Here are *${newsItems.length} top stories* about retail innovation, autonomous delivery, and last mile technology:`
+        }
+      }
+    ];
+  }
+
+  /**
+   * Format a single news item as Slack blocks
+   * @param {Object} item - News item
+   * @param {number} index - Position in the digest (0-based)
+   * @returns {Array} Slack blocks
+   */
+  formatArticleBlocks(item, index) {
+    const date = new Date(item.pubDate);
+    const formattedDate = date.toLocaleDateString('de-DE', {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+
+    // Build the text content
+    // Prefer the extractive summary over the (truncated) feed description
+    let text = `*${index + 1}. <${item.link}|${item.title}>*\n${item.summary || item.description}`;
+
+    // Add source and date
+    text += `\n_${item.source} • ${formattedDate}_`;
+
+    const blocks = [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: text
+        }
+      }
+    ];
+
+    if (this.feedbackButtons) {
+      blocks.push(this.formatFeedbackBlock(item));
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Format the feedback buttons for a news item
+   * The button value carries what the vote applies to (source, topic, keywords)
+   * @param {Object} item - News item
+   * @returns {Object} Slack actions block
+   */
+  formatFeedbackBlock(item) {
+    const metadata = item.relevance?.metadata || {};
+    const context = {
+      p: this.profileId,
+      l: item.link,
+      s: metadata.publisher || item.source,
+      t: metadata.topic || null,
+      k: (metadata.keywords || []).slice(0, 5)
+    };
+
+    // Slack limits button values to 2000 characters
+    let value = JSON.stringify(context);
+    if (value.length > 2000) {
+      value = JSON.stringify({ ...context, k: [] });
+    }
+
+    const button = (text, vote, style) => ({
+      type: 'button',
+      text: { type: 'plain_text', text, emoji: true },
+      action_id: `feedback_${vote}`,
+      value,
+      ...(style ? { style } : {})
+    });
+
+    return {
+      type: 'actions',
+      elements: [
+        button('👍', 'up'),
+        button('👎', 'down'),
+        button('Not relevant', 'not_relevant', 'danger')
+      ]
+    };
+  }
+
+  /**
+   * Parse a feedback button action from a Slack interaction payload
+   * @param {Object} action - Block action ({ action_id, value })
+   * @returns {Object|null} { profileId, vote, link, source, topic, keywords }, null if not a feedback action
+   */
+  static parseFeedbackAction(action) {
+    if (!action?.action_id?.startsWith('feedback_')) {
+      return null;
+    }
+
+    try {
+      const context = JSON.parse(action.value);
+      return {
+        profileId: context.p || 'default',
+        vote: action.action_id.replace('feedback_', ''),
+        link: context.l,
+        source: context.s,
+        topic: context.t,
+        keywords: context.k || []
+      };
+    } catch (error) {
+      console.warn('Could not parse feedback action value:', error.message);
+      return null;
+    }
+  }
+
   /**
    * Format news items into Slack message blocks
    * @param {Array} newsItems - Array of news items
@@ -70,45 +277,13 @@ class SlackService {
           {
             type: 'divider'
           },
-          {
-            type: 'context',
-            elements: [
-              {
-                type: 'mrkdwn',
-                text: `_Generated on ${new Date().toLocaleDateString('de-DE', {
-                  weekday: 'long',
-                  year: 'numeric',
-                  month: 'long',
-                  day: 'numeric'
-                })}_`
-              }
-            ]
-          }
+          this.formatFooterBlock(false)
         ]
       };
     }
 
-    // Check if articles have relevance scores
-    const hasRelevanceScores = newsItems.length > 0 && newsItems[0].relevance;
-
     const blocks = [
-      {
-        type: 'header',
-        text: {
-          type: 'plain_text',
-          text: '📰 Daily Retail Innovation News',
-          emoji: true
-        }
-      },
-      {
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: hasRelevanceScores
-            ? `Good morning! Here are *${newsItems.length} top stories* about retail innovation, autonomous delivery, and last mile technology (relevance-filtered):`
-            : `Good morning! Here are *${newsItems.length} top stories* about retail innovation, autonomous delivery, and last mile technology:`
-        }
-      },
+      ...this.formatHeaderBlocks(newsItems),
       {
         type: 'divider'
       }
@@ -116,27 +291,7 @@ class SlackService {
 
     // Add each news item as a section
     newsItems.forEach((item, index) => {
-      const date = new Date(item.pubDate);
-      const formattedDate = date.toLocaleDateString('de-DE', {
-        month: 'short',
-        day: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit'
-      });
-
-      // Build the text content
-      let text = `*${index + 1}. <${item.link}|${item.title}>*\n${item.description}`;
-
-      // Add source and date
-      text += `\n_${item.source} • ${formattedDate}_`;
-
-      blocks.push({
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: text
-        }
-      });
+      blocks.push(...this.formatArticleBlocks(item, index));
 
       // Add divider between items (except after the last one)
       if (index < newsItems.length - 1) {
@@ -151,22 +306,7 @@ class SlackService {
       {
         type: 'divider'
       },
-      {
-        type: 'context',
-        elements: [
-          {
-            type: 'mrkdwn',
-            text: `_Generated on ${new Date().toLocaleDateString('de-DE', {
-              weekday: 'long',
-              year: 'numeric',
-              month: 'long',
-              day: 'numeric',
-              hour: '2-digit',
-              minute: '2-digit'
-            })} • Topics: Retail Innovation, Autonomous Delivery, Last Mile Technology_`
-          }
-        ]
-      }
+      this.formatFooterBlock()
     );
 
     return {
@@ -176,11 +316,50 @@ class SlackService {
   }
 
   /**
-   * Send message to Slack via webhook
+   * Format the parent message of a threaded digest (header + footer, articles go in the thread)
+   * @param {Array} newsItems - Array of news items
+   * @returns {Object} Slack message payload
+   */
+  formatThreadParentMessage(newsItems) {
+    if (!newsItems || newsItems.length === 0) {
+      return this.formatNewsMessage(newsItems);
+    }
+
+    return {
+      text: '📰 Daily Retail Innovation News',
+      blocks: [
+        ...this.formatHeaderBlocks(newsItems),
+        {
+          type: 'context',
+          elements: [
+            {
+              type: 'mrkdwn',
+              text: '_Articles are posted as replies in this thread_ 🧵'
+            }
+          ]
+        },
+        this.formatFooterBlock()
+      ]
+    };
+  }
+
+  /**
+   * Send message to Slack via webhook (or chat.postMessage in webapi mode)
    * @param {Object} message - Slack message payload
    * @returns {Promise<boolean>} Success status
    */
   async sendMessage(message) {
+    if (this.deliveryMode === 'webapi') {
+      try {
+        const response = await this.client.postMessage({ channel: this.channel, ...message });
+        console.log(`✓ Message posted to Slack channel ${response.channel} (ts: ${response.ts})`);
+        return true;
+      } catch (error) {
+        console.error('✗ Error posting message to Slack:', error.message);
+        throw error;
+      }
+    }
+
     try {
       const response = await axios.post(this.webhookUrl, message, {
         headers: {
@@ -213,14 +392,202 @@ class SlackService {
 
   /**
    * Send daily news summary to Slack
+   * Delivered articles are recorded in the ArticleLedger so they are not repeated
    * @param {Array} newsItems - Array of news items
    * @returns {Promise<boolean>} Success status
    */
   async sendDailyNews(newsItems) {
     console.log(`Preparing to send ${newsItems.length} news items to Slack...`);
 
-    const message = this.formatNewsMessage(newsItems);
-    return await this.sendMessage(message);
+    const sent = this.deliveryMode === 'webapi'
+      ? await this.sendThreadedDigest(newsItems)
+      : await this.sendMessage(this.formatNewsMessage(newsItems));
+
+    if (sent) {
+      getArticleLedger(this.profileId).record(newsItems);
+    }
+
+    return sent;
+  }
+
+  /**
+   * Send daily news as a threaded digest via the Web API
+   * The header is the parent message and each article is a threaded reply.
+   * If today's digest already exists (re-run), the parent and replies are
+   * updated in place, surplus replies are deleted and new ones appended.
+   * The record is saved after every change, so a run that fails partway is
+   * continued in the same thread by the next run.
+   * @param {Array} newsItems - Array of news items
+   * @returns {Promise<boolean>} Success status
+   */
+  async sendThreadedDigest(newsItems) {
+    const existing = this.digestStore.getToday(this.profileId, this.timezone);
+    const parentMessage = this.formatThreadParentMessage(newsItems);
+    const now = new Date().toISOString();
+    const previousReplies = existing?.replies || [];
+
+    try {
+      let record;
+
+      if (existing) {
+        record = { ...existing, replies: [...previousReplies], updatedAt: now };
+        await this.client.updateMessage({ channel: record.channel, ts: record.ts, ...parentMessage });
+        console.log(`✓ Updated today's Slack digest (ts: ${record.ts})`);
+      } else {
+        const response = await this.client.postMessage({ channel: this.channel, ...parentMessage });
+        record = { channel: response.channel, ts: response.ts, replies: [], postedAt: now, updatedAt: now };
+        console.log(`✓ Posted Slack digest parent message (ts: ${record.ts})`);
+      }
+
+      const { channel, ts: parentTs } = record;
+      const saveRecord = () => this.digestStore.saveToday(this.profileId, record, this.timezone);
+      saveRecord();
+
+      for (const [index, item] of newsItems.entries()) {
+        const reply = {
+          text: `${index + 1}. ${item.title}`,
+          blocks: this.formatArticleBlocks(item, index)
+        };
+        const previous = previousReplies[index];
+
+        if (previous) {
+          await this.client.updateMessage({ channel, ts: previous.ts, ...reply });
+          record.replies[index] = { link: item.link, ts: previous.ts };
+        } else {
+          const response = await this.client.postMessage({ channel, thread_ts: parentTs, ...reply });
+          record.replies[index] = { link: item.link, ts: response.ts };
+        }
+        saveRecord();
+      }
+
+      // Remove replies that are no longer part of the corrected digest (last first, so the record stays a prefix)
+      for (let index = previousReplies.length - 1; index >= newsItems.length; index--) {
+        await this.client.deleteMessage({ channel, ts: previousReplies[index].ts });
+        record.replies.splice(index, 1);
+        saveRecord();
+      }
+
+      // Articles dropped by the correction were never really delivered
+      const currentLinks = new Set(newsItems.map(item => item.link));
+      const ledger = getArticleLedger(this.profileId);
+      previousReplies
+        .filter(previous => !currentLinks.has(previous.link))
+        .forEach(previous => ledger.purge({ link: previous.link }));
+
+      this.lastDigest = record;
+
+      console.log(`✓ Slack digest thread ${existing ? 'updated' : 'posted'} with ${record.replies.length} article(s)`);
+      return true;
+    } catch (error) {
+      console.error('✗ Error sending threaded digest to Slack:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Format a week-over-week trend (e.g., "▲ +3 vs last week")
+   * @param {number} count - Articles this week
+   * @param {number|null} previousCount - Articles the week before (null: no trend)
+   * @returns {string} Trend text, empty without a previous count
+   */
+  formatTrend(count, previousCount) {
+    if (previousCount === null || previousCount === undefined) {
+      return '';
+    }
+    if (previousCount === 0) {
+      return '🆕 new this week';
+    }
+
+    const diff = count - previousCount;
+    if (diff > 0) return `▲ +${diff} vs last week`;
+    if (diff < 0) return `▼ ${diff} vs last week`;
+    return '＝ same as last week';
+  }
+
+  /**
+   * Format the weekly roundup into Slack message blocks
+   * @param {Object} roundup - Result of WeeklyRoundup.build()
+   * @returns {Object} Slack message payload
+   */
+  formatWeeklyRoundupMessage(roundup) {
+    const formatDay = (iso) => new Date(iso).toLocaleDateString('de-DE', { day: 'numeric', month: 'short' });
+    const period = `${formatDay(roundup.period.from)} – ${formatDay(roundup.period.to)}`;
+    const withTrend = (trend, separator) => (trend ? `${separator}${trend}` : '');
+
+    const blocks = [
+      {
+        type: 'header',
+        text: {
+          type: 'plain_text',
+          text: '📊 Weekly Retail Innovation Roundup',
+          emoji: true
+        }
+      }
+    ];
+
+    if (roundup.totalArticles === 0) {
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `_No articles were delivered this week (${period})._`
+        }
+      });
+    } else {
+      blocks.push(
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: `*${roundup.totalArticles} stories* were shared this week (${period})${withTrend(this.formatTrend(roundup.totalArticles, roundup.previousTotal), ', ')}. Top story per topic:`
+          }
+        },
+        {
+          type: 'divider'
+        }
+      );
+
+      roundup.clusters.forEach(cluster => {
+        const story = cluster.topStory;
+        blocks.push({
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: `*${cluster.topicName}* • ${cluster.count} ${cluster.count === 1 ? 'story' : 'stories'}${withTrend(this.formatTrend(cluster.count, cluster.previousCount), ' • ')}\n⭐ <${story.link}|${story.title}>\n_${story.source || ''}_`
+          }
+        });
+      });
+
+      if (roundup.trendsNote) {
+        blocks.push({
+          type: 'context',
+          elements: [{ type: 'mrkdwn', text: `_No week-over-week trends: ${roundup.trendsNote}._` }]
+        });
+      }
+    }
+
+    blocks.push(
+      {
+        type: 'divider'
+      },
+      this.formatFooterBlock(false)
+    );
+
+    return {
+      text: '📊 Weekly Retail Innovation Roundup',
+      blocks: blocks
+    };
+  }
+
+  /**
+   * Send the weekly roundup to Slack
+   * Not recorded in the ArticleLedger (every story was already delivered daily)
+   * @param {Object} roundup - Result of WeeklyRoundup.build()
+   * @returns {Promise<boolean>} Success status
+   */
+  async sendWeeklyRoundup(roundup) {
+    console.log(`Preparing to send weekly roundup (${roundup.clusters.length} topics) to Slack...`);
+    return await this.sendMessage(this.formatWeeklyRoundupMessage(roundup));
   }
 
   /**
@@ -267,6 +634,57 @@ class SlackService {
     }
   }
 
+  /**
+   * Warn about feeds that got worse since the previous feed audit
+   * @param {Array<Object>} degraded - Degraded feeds from FeedAuditor.audit()
+   * @returns {Promise<boolean>} Success status
+   */
+  async sendFeedAuditWarning(degraded) {
+    const lines = degraded.slice(0, 20).map(feed =>
+      `• *${feed.sourceName}* (\`${feed.sourceId}\`${feed.label !== feed.sourceName ? `, ${feed.label}` : ''}): ${feed.previousStatus} → *${feed.status}*${feed.error ? ` - ${feed.error}` : ''}`
+    );
+    if (degraded.length > lines.length) {
+      lines.push(`_…and ${degraded.length - lines.length} more_`);
+    }
+
+    const message = {
+      text: `⚠️ ${degraded.length} news feed(s) degraded`,
+      blocks: [
+        {
+          type: 'header',
+          text: {
+            type: 'plain_text',
+            text: '⚠️ News Feed Health Warning',
+            emoji: true
+          }
+        },
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: `${degraded.length} feed(s) got worse since the last audit:\n${lines.join('\n')}`
+          }
+        },
+        {
+          type: 'context',
+          elements: [
+            {
+              type: 'mrkdwn',
+              text: `_${new Date().toLocaleString('de-DE')} · run \`npm run feeds:audit\` for the full report_`
+            }
+          ]
+        }
+      ]
+    };
+
+    try {
+      return await this.sendMessage(message);
+    } catch (error) {
+      console.error('Failed to send feed audit warning:', error.message);
+      return false;
+    }
+  }
+
   /**
    * Send test message to verify webhook is working
    * @returns {Promise<boolean>} Success status
@@ -0,0 +1,246 @@
+const { getDataPath, readJSON, writeJSONAtomic } = require('../utils/jsonStore');
+
+/**
+ * Feed State Store
+ * Per-profile, per-source state for incremental feed fetching, persisted across
+ * restarts (data/feed-state.json):
+ *
+ * - etag / lastModified: validators of the last 200 response, sent back as
+ *   If-None-Match / If-Modified-Since so unchanged feeds answer 304
+ * - watermark: GUIDs seen so far and the newest item date, so a changed feed
+ *   only yields the items that were added since the last delivered fetch
+ *
+ * Profiles share one fetch but deliver on their own schedules, so each profile keeps
+ * its own watermark. A fetch yields the items that any of its profiles has not seen,
+ * and only sends validators when all of them agree.
+ *
+ * A 200 response is only staged. The scheduler commits the staged response for a
+ * profile once that profile's digest is delivered, so if delivery fails the next run
+ * sends the old validators and gets the same items again. The staged response stays
+ * available to the other profiles of the fetch until the next fetch replaces it.
+ */
+
+const MAX_SEEN_IDS = 500; // More than any feed lists at once
+const DEFAULT_PROFILE_IDS = ['default'];
+
+class FeedStateStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || getDataPath('feed-state.json');
+
+    // Map of profile ID to Map of source ID to feed state
+    this.profiles = new Map();
+
+    // Map of source ID to the last 200 response, not yet delivered everywhere (memory only)
+    this.pending = new Map();
+
+    this.load();
+  }
+
+  /**
+   * Loads persisted feed state
+   * State written before profiles were tracked (top-level "feeds") belongs to the default profile
+   */
+  load() {
+    const data = readJSON(this.filePath, { profiles: {} });
+    const profiles = data.profiles || (data.feeds ? { default: data.feeds } : {});
+
+    this.profiles.clear();
+    for (const [profileId, feeds] of Object.entries(profiles)) {
+      this.profiles.set(profileId, new Map(Object.entries(feeds || {})));
+    }
+  }
+
+  /**
+   * Writes feed state to disk
+   */
+  save() {
+    try {
+      writeJSONAtomic(this.filePath, {
+        updatedAt: new Date().toISOString(),
+        profiles: Object.fromEntries(
+          [...this.profiles].map(([profileId, feeds]) => [profileId, Object.fromEntries(feeds)])
+        )
+      });
+    } catch (error) {
+      console.error(`⚠️  Could not write feed state to ${this.filePath}:`, error.message);
+    }
+  }
+
+  /**
+   * Gets a profile's state of a source's feed
+   * @param {string} sourceId - Source ID
+   * @param {string} feedUrl - Feed URL; state recorded for another URL is ignored
+   * @param {string} profileId - Profile ID (default: 'default')
+   * @returns {Object|null} - { feedUrl, etag, lastModified, seenIds, latestDate, checkedAt, modifiedAt }
+   */
+  get(sourceId, feedUrl, profileId = DEFAULT_PROFILE_IDS[0]) {
+    const state = this.profiles.get(profileId)?.get(sourceId);
+    return state && state.feedUrl === feedUrl ? state : null;
+  }
+
+  /**
+   * Conditional request headers for a source's feed
+   * Only sent when every profile has state with the same validators: a 304 must mean
+   * that none of them is missing items.
+   * @param {string} sourceId - Source ID
+   * @param {string} feedUrl - Feed URL
+   * @param {Array<string>} profileIds - Profiles sharing the fetch
+   * @returns {Object} - If-None-Match / If-Modified-Since headers (empty otherwise)
+   */
+  getConditionalHeaders(sourceId, feedUrl, profileIds = DEFAULT_PROFILE_IDS) {
+    const states = profileIds.map(profileId => this.get(sourceId, feedUrl, profileId));
+    const [first] = states;
+    const headers = {};
+
+    if (!first || states.some(state => !state ||
+      state.etag !== first.etag || state.lastModified !== first.lastModified)) {
+      return headers;
+    }
+
+    if (first.etag) headers['If-None-Match'] = first.etag;
+    if (first.lastModified) headers['If-Modified-Since'] = first.lastModified;
+
+    return headers;
+  }
+
+  /**
+   * Picks the items added since the last fetch delivered to any of the profiles
+   * An item is new for a profile if its GUID (or link) was not seen before, whatever
+   * its date (feeds share timestamps across a batch, give only the day or backdate
+   * items). Items without GUID and link fall back to the date watermark: they are new
+   * if not older than the newest item seen so far. Without state every item is new.
+   * @param {string} sourceId - Source ID
+   * @param {string} feedUrl - Feed URL
+   * @param {Array<Object>} items - Parsed feed items ({ id, link, pubDate })
+   * @param {Array<string>} profileIds - Profiles sharing the fetch
+   * @returns {Array<Object>} - Items new to at least one profile
+   */
+  filterNew(sourceId, feedUrl, items, profileIds = DEFAULT_PROFILE_IDS) {
+    const watermarks = [];
+
+    for (const profileId of profileIds) {
+      const state = this.get(sourceId, feedUrl, profileId);
+      if (!state) return items;
+
+      watermarks.push({
+        seenIds: new Set(state.seenIds || []),
+        latestDate: state.latestDate ? new Date(state.latestDate).getTime() : null
+      });
+    }
+
+    return items.filter(item => watermarks.some(({ seenIds, latestDate }) => {
+      const id = getItemId(item);
+      if (id) return !seenIds.has(id);
+
+      const date = item.pubDate ? new Date(item.pubDate).getTime() : NaN;
+      return latestDate === null || isNaN(date) || date >= latestDate;
+    }));
+  }
+
+  /**
+   * Stages a 200 response: new validators and the items it listed
+   * Takes effect per profile with commit(); until then fetches keep using the delivered state
+   * @param {string} sourceId - Source ID
+   * @param {string} feedUrl - Feed URL
+   * @param {Object} response - { etag, lastModified, items }
+   */
+  stage(sourceId, feedUrl, { etag, lastModified, items }) {
+    this.pending.set(sourceId, {
+      feedUrl,
+      etag: etag || null,
+      lastModified: lastModified || null,
+      ids: items.map(getItemId).filter(Boolean),
+      dates: items
+        .map(item => (item.pubDate ? new Date(item.pubDate).getTime() : NaN))
+        .filter(date => !isNaN(date) && date <= Date.now())
+    });
+  }
+
+  /**
+   * Commits the staged responses of sources whose items were delivered to a profile
+   * @param {Array<string>} sourceIds - Sources of the delivered run (default: all staged)
+   * @param {string} profileId - Profile the digest was delivered to (default: 'default')
+   * @returns {number} - Number of committed feeds
+   */
+  commit(sourceIds = [...this.pending.keys()], profileId = DEFAULT_PROFILE_IDS[0]) {
+    if (!this.profiles.has(profileId)) {
+      this.profiles.set(profileId, new Map());
+    }
+    const feeds = this.profiles.get(profileId);
+    let committed = 0;
+
+    for (const sourceId of sourceIds) {
+      const response = this.pending.get(sourceId);
+      if (!response) continue;
+
+      const previous = this.get(sourceId, response.feedUrl, profileId);
+      const seenIds = [...new Set([...response.ids, ...(previous?.seenIds || [])])].slice(0, MAX_SEEN_IDS);
+      const dates = [...response.dates];
+      if (previous?.latestDate) dates.push(new Date(previous.latestDate).getTime());
+
+      const now = new Date().toISOString();
+      feeds.set(sourceId, {
+        feedUrl: response.feedUrl,
+        etag: response.etag,
+        lastModified: response.lastModified,
+        seenIds,
+        latestDate: dates.length > 0 ? new Date(Math.max(...dates)).toISOString() : null,
+        checkedAt: now,
+        modifiedAt: now
+      });
+      committed++;
+    }
+
+    if (committed > 0) {
+      this.save();
+    }
+    return committed;
+  }
+
+  /**
+   * Records a 304 response
+   * @param {string} sourceId - Source ID
+   * @param {string} feedUrl - Feed URL
+   * @param {Array<string>} profileIds - Profiles sharing the fetch
+   */
+  recordNotModified(sourceId, feedUrl, profileIds = DEFAULT_PROFILE_IDS) {
+    const states = profileIds
+      .map(profileId => this.get(sourceId, feedUrl, profileId))
+      .filter(Boolean);
+    if (states.length === 0) return;
+
+    const now = new Date().toISOString();
+    for (const state of states) {
+      state.checkedAt = now;
+    }
+    this.save();
+  }
+}
+
+/**
+ * Identity of a feed item for the watermark
+ * @param {Object} item - Parsed feed item
+ * @returns {string|null}
+ */
+function getItemId(item) {
+  return item.id || item.link || null;
+}
+
+// Singleton instance
+let feedStateStoreInstance = null;
+
+/**
+ * Gets the singleton feed state store
+ * @returns {FeedStateStore}
+ */
+function getFeedStateStore() {
+  if (!feedStateStoreInstance) {
+    feedStateStoreInstance = new FeedStateStore();
+  }
+  return feedStateStoreInstance;
+}
+
+module.exports = {
+  FeedStateStore,
+  getFeedStateStore
+};
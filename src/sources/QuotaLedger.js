@@ -0,0 +1,143 @@
+const { getDataPath, readJSON, writeJSONAtomic } = require('../utils/jsonStore');
+
+/**
+ * Quota Ledger
+ * Counts API requests per source and day (UTC, when NewsAPI resets its quota) and
+ * refuses requests once the daily budget is used. Persisted in data/api-quota.json,
+ * so restarts and repeated manual runs do not start a fresh budget.
+ */
+
+class QuotaLedger {
+  constructor(options = {}) {
+    this.filePath = options.filePath || getDataPath('api-quota.json');
+
+    // Map of source ID to today's usage { date, used, refused, exhausted }
+    this.usage = new Map();
+
+    this.load();
+  }
+
+  /**
+   * Loads persisted usage
+   */
+  load() {
+    const data = readJSON(this.filePath, { sources: {} });
+
+    this.usage.clear();
+    for (const [sourceId, usage] of Object.entries(data.sources || {})) {
+      this.usage.set(sourceId, usage);
+    }
+  }
+
+  /**
+   * Writes usage to disk
+   */
+  save() {
+    try {
+      writeJSONAtomic(this.filePath, {
+        updatedAt: new Date().toISOString(),
+        sources: Object.fromEntries(this.usage)
+      });
+    } catch (error) {
+      console.error(`⚠️  Could not write API quota ledger to ${this.filePath}:`, error.message);
+    }
+  }
+
+  /**
+   * Current UTC day
+   * @returns {string} - YYYY-MM-DD
+   */
+  today() {
+    return new Date().toISOString().split('T')[0];
+  }
+
+  /**
+   * Gets today's usage record of a source (reset when the day changed)
+   * @param {string} sourceId - Source ID
+   * @returns {Object} - { date, used, refused, exhausted }
+   */
+  getRecord(sourceId) {
+    const today = this.today();
+    let record = this.usage.get(sourceId);
+
+    if (!record || record.date !== today) {
+      record = { date: today, used: 0, refused: 0, exhausted: false };
+      this.usage.set(sourceId, record);
+    }
+
+    return record;
+  }
+
+  /**
+   * Counts a request against the daily budget
+   * @param {string} sourceId - Source ID
+   * @param {number} dailyLimit - Requests allowed per day
+   * @returns {boolean} - False if the budget is used (the request must not be sent)
+   */
+  consume(sourceId, dailyLimit) {
+    const record = this.getRecord(sourceId);
+
+    if (record.exhausted || record.used >= dailyLimit) {
+      record.refused++;
+      this.save();
+      return false;
+    }
+
+    record.used++;
+    this.save();
+    return true;
+  }
+
+  /**
+   * Marks today's budget as used, e.g. when the API answered 429
+   * @param {string} sourceId - Source ID
+   */
+  markExhausted(sourceId) {
+    this.getRecord(sourceId).exhausted = true;
+    this.save();
+  }
+
+  /**
+   * Gets today's usage of a source
+   * @param {string} sourceId - Source ID
+   * @param {number} dailyLimit - Requests allowed per day
+   * @returns {Object} - { date, used, limit, remaining, refused, exhausted, resetsAt }
+   */
+  getUsage(sourceId, dailyLimit) {
+    const record = this.usage.get(sourceId);
+    const today = record?.date === this.today() ? record : { used: 0, refused: 0, exhausted: false };
+    const exhausted = today.exhausted || today.used >= dailyLimit;
+
+    const resetsAt = new Date();
+    resetsAt.setUTCHours(24, 0, 0, 0);
+
+    return {
+      date: this.today(),
+      used: today.used,
+      limit: dailyLimit,
+      remaining: exhausted ? 0 : dailyLimit - today.used,
+      refused: today.refused,
+      exhausted,
+      resetsAt: resetsAt.toISOString()
+    };
+  }
+}
+
+// Singleton instance
+let quotaLedgerInstance = null;
+
+/**
+ * Gets the singleton quota ledger
+ * @returns {QuotaLedger}
+ */
+function getQuotaLedger() {
+  if (!quotaLedgerInstance) {
+    quotaLedgerInstance = new QuotaLedger();
+  }
+  return quotaLedgerInstance;
+}
+
+module.exports = {
+  QuotaLedger,
+  getQuotaLedger
+};
@@ -2,11 +2,12 @@ const fs = require('fs');
 const path = require('path');
 const NewsAggregator = require('./aggregator');
 const RelevanceScorer = require('./scorer');
-const GoogleNewsSource = require('./sources/GoogleNewsSource');
-const RSSSource = require('./sources/RSSSource');
-const NewsAPISource = require('./sources/NewsAPISource');
-const XSource = require('./sources/XSource');
+const { getSourceRegistry } = require('./SourceRegistry');
+const { assertValidConfig } = require('../utils/configValidator');
+const { writeJSONAtomic } = require('../utils/jsonStore');
+const { LinkResolver } = require('../utils/linkResolver');
 const { getCircuitBreaker } = require('../utils/circuitBreaker');
+const { recordSourceFetch } = require('../metrics/metrics');
 
 /**
  * SourceManager - Manages all news sources
@@ -19,6 +20,7 @@ class SourceManager {
     const defaultConfigPath = path.join(__dirname, '../config/sources.json');
     const configFile = configPath || process.env.NEWS_SOURCES_CONFIG || defaultConfigPath;
 
+    this.configPath = configFile;
     this.config = this.loadConfig(configFile);
 
     // Initialize components
@@ -31,20 +33,30 @@ class SourceManager {
       this.config.sourceAuthority
     );
 
+    // Google News redirects → publisher URLs, tracking params and AMP removed
+    this.linkResolver = new LinkResolver(this.config.linkResolution);
+
     // Initialize circuit breaker
     this.circuitBreaker = getCircuitBreaker();
 
+    // Built-in source types and plugins
+    this.registry = getSourceRegistry();
+
     // Initialize sources
     this.sources = this.loadSources();
 
+    // Metrics of the most recent fetchAllNews() call
+    this.lastFetchReport = null;
+
     console.log(`✓ SourceManager initialized with ${this.sources.length} sources`);
   }
 
   /**
-   * Load configuration from JSON file
+   * Load configuration from JSON file and validate it against the sources schema
    *
    * @param {string} configPath - Path to config file
    * @returns {Object} Configuration object
+   * @throws {ConfigValidationError} With the path of every invalid value
    */
   loadConfig(configPath) {
     try {
@@ -52,13 +64,172 @@ class SourceManager {
       const config = JSON.parse(configData);
 
       // Replace environment variables in config
-      return this.replaceEnvVars(config);
+      return assertValidConfig('sources', this.replaceEnvVars(config), configPath);
     } catch (error) {
       console.error(`Error loading config from ${configPath}:`, error.message);
       throw error;
     }
   }
 
+  /**
+   * Re-read the config file and rebuild the sources and the scorer
+   * The running sources are kept if the file is invalid
+   *
+   * @returns {Array<BaseSource>} Enabled sources after the reload
+   * @throws {ConfigValidationError} If the file is invalid
+   */
+  reloadConfig() {
+    this.applyConfig(this.loadConfig(this.configPath));
+
+    console.log(`✓ SourceManager reloaded with ${this.sources.length} sources`);
+    return this.sources;
+  }
+
+  /**
+   * Switch to a new (validated) configuration in place
+   * Rebuilds the sources and link resolver and updates the scorer's weights and authority map
+   *
+   * @param {Object} config - Configuration with env vars replaced
+   */
+  applyConfig(config) {
+    this.config = config;
+    this.linkResolver = new LinkResolver(config.linkResolution);
+
+    this.scorer.setWeights(config.scoring || {});
+    // Removed sources lose their rating
+    Object.keys(this.scorer.authorityMap).forEach(sourceId => delete this.scorer.authorityMap[sourceId]);
+    Object.entries(config.sourceAuthority || {}).forEach(([sourceId, authority]) =>
+      this.scorer.setSourceAuthority(sourceId, authority)
+    );
+
+    this.sources = this.loadSources();
+  }
+
+  /**
+   * Source entries as written in the config file (env placeholders are not resolved)
+   *
+   * @returns {Array<Object>} Entries with their authority rating and whether they are loaded
+   */
+  getSourceEntries() {
+    const raw = this.readRawConfig();
+
+    return raw.sources.map(entry => ({
+      ...entry,
+      authority: raw.sourceAuthority?.[entry.id] ?? null,
+      loaded: !!this.getSource(entry.id)
+    }));
+  }
+
+  /**
+   * Add a source to the config file and load it
+   *
+   * @param {Object} input - Source entry, optionally with `authority` (0-1)
+   * @returns {Object} Saved entry
+   * @throws {Error} statusCode 409 if the id exists, 400 if the entry is invalid
+   */
+  addSource(input) {
+    const raw = this.readRawConfig();
+    const { authority, ...entry } = input || {};
+
+    if (raw.sources.some(source => source.id === entry.id)) {
+      throw sourceError(`Source ${entry.id} already exists`, 409);
+    }
+
+    raw.sources.push(entry);
+    setAuthority(raw, entry.id, authority);
+    this.saveConfig(raw, entry.id);
+
+    console.log(`✓ Source ${entry.id} added`);
+    return this.getSourceEntries().find(source => source.id === entry.id);
+  }
+
+  /**
+   * Change a source in the config file (fields and `config` are merged, null removes a config key)
+   *
+   * @param {string} sourceId - Source id
+   * @param {Object} changes - Changed fields, optionally `authority` (null removes the rating)
+   * @returns {Object} Saved entry
+   * @throws {Error} statusCode 404 if the source does not exist, 400 if the result is invalid
+   */
+  updateSource(sourceId, changes) {
+    const raw = this.readRawConfig();
+    const index = raw.sources.findIndex(source => source.id === sourceId);
+    if (index === -1) {
+      throw sourceError(`Unknown source: ${sourceId}`, 404);
+    }
+
+    const { authority, config, ...fields } = changes || {};
+    if (fields.id !== undefined && fields.id !== sourceId) {
+      throw sourceError('The id of a source cannot be changed', 400);
+    }
+
+    const current = raw.sources[index];
+    const updated = { ...current, ...fields };
+    if (config !== undefined) {
+      updated.config = Object.fromEntries(
+        Object.entries({ ...current.config, ...config }).filter(([, value]) => value !== null)
+      );
+    }
+
+    raw.sources[index] = updated;
+    if (authority !== undefined) {
+      setAuthority(raw, sourceId, authority);
+    }
+    this.saveConfig(raw, sourceId);
+
+    console.log(`✓ Source ${sourceId} updated`);
+    return this.getSourceEntries().find(source => source.id === sourceId);
+  }
+
+  /**
+   * Remove a source and its authority rating from the config file
+   *
+   * @param {string} sourceId - Source id
+   * @returns {Object} Removed entry
+   * @throws {Error} statusCode 404 if the source does not exist
+   */
+  removeSource(sourceId) {
+    const raw = this.readRawConfig();
+    const entry = raw.sources.find(source => source.id === sourceId);
+    if (!entry) {
+      throw sourceError(`Unknown source: ${sourceId}`, 404);
+    }
+
+    raw.sources = raw.sources.filter(source => source.id !== sourceId);
+    setAuthority(raw, sourceId, null);
+    this.saveConfig(raw, null);
+
+    console.log(`✓ Source ${sourceId} removed`);
+    return entry;
+  }
+
+  /**
+   * Validate a changed config, write it atomically and apply it
+   *
+   * @param {Object} raw - Config as written to the file
+   * @param {string|null} changedId - Source to validate with its class (BaseSource.validate)
+   * @throws {ConfigValidationError|SourceValidationError} If invalid (nothing is written)
+   */
+  saveConfig(raw, changedId) {
+    const config = assertValidConfig('sources', this.replaceEnvVars(raw), this.configPath);
+
+    if (changedId) {
+      this.registry.create(config.sources.find(source => source.id === changedId));
+    }
+
+    writeJSONAtomic(this.configPath, raw);
+    this.applyConfig(config);
+  }
+
+  /**
+   * Read the config file without resolving env placeholders
+   *
+   * @returns {Object} Raw configuration
+   */
+  readRawConfig() {
+    return JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+  }
+
   /**
    * Replace environment variable placeholders in config
    *
@@ -101,11 +272,6 @@ class SourceManager {
       try {
         const source = this.createSourceInstance(sourceConfig);
 
-        if (!source.validate()) {
-          console.warn(`⚠ Source ${sourceConfig.id} failed validation, skipping`);
-          continue;
-        }
-
         if (!source.enabled) {
           console.log(`⊗ Source ${sourceConfig.id} is disabled`);
           continue;
@@ -114,7 +280,12 @@ class SourceManager {
         sources.push(source);
         console.log(`✓ Loaded source: ${source.name} (${source.type})`);
       } catch (error) {
-        console.error(`✗ Error loading source ${sourceConfig.id}:`, error.message);
+        if (error.code === 'INVALID_CONFIG') {
+          // Usually an optional source without its API key
+          console.warn(`⚠ ${error.message}, skipping`);
+        } else {
+          console.error(`✗ Error loading source: ${error.message}, skipping`);
+        }
       }
     }
 
@@ -122,45 +293,39 @@ class SourceManager {
   }
 
   /**
-   * Create source instance based on type
+   * Create source instance based on type (built-in or plugin, see SourceRegistry)
    *
    * @param {Object} config - Source configuration
-   * @returns {BaseSource} Source instance
+   * @returns {BaseSource} Validated source instance
+   * @throws {SourceValidationError} If the type is unknown or the config is invalid
    */
   createSourceInstance(config) {
-    switch (config.type) {
-      case 'google-news':
-        return new GoogleNewsSource(config);
-
-      case 'newsapi':
-        return new NewsAPISource(config);
-
-      case 'rss':
-        return new RSSSource(config);
-
-      case 'x':
-      case 'twitter':
-        return new XSource(config);
-
-      default:
-        throw new Error(`Unknown source type: ${config.type}`);
-    }
+    return this.registry.create(config);
   }
 
   /**
    * Fetch news from all enabled sources
    *
    * @param {Array<string>} keywords - Search keywords
+   * @param {Object} options - Fetch options passed to every source
+   * @param {boolean} options.incremental - false: feeds return all items, not only new ones (ad-hoc searches)
+   * @param {Array<string>} options.profileIds - Profiles sharing the fetch (feed watermarks are per profile)
    * @returns {Promise<Array<Object>>} Aggregated, scored, and diversified news
    */
-  async fetchAllNews(keywords) {
+  async fetchAllNews(keywords, options = {}) {
     console.log(`\n→ Fetching news for keywords: ${keywords.join(', ')}`);
     console.log(`→ Using ${this.sources.length} enabled sources\n`);
 
+    // Per-source metrics of this fetch (kept in lastFetchReport for run history)
+    const report = {
+      startedAt: new Date().toISOString(),
+      sources: []
+    };
+
     try {
       // Fetch from all sources in parallel (Promise.allSettled for graceful degradation)
       const promises = this.sources.map(source =>
-        this.fetchFromSource(source, keywords)
+        this.fetchFromSource(source, keywords, report, options)
       );
 
       const results = await Promise.allSettled(promises);
@@ -175,9 +340,15 @@ class SourceManager {
         console.warn(`⚠ ${failedCount} source(s) failed to fetch`);
       }
 
+      // Resolve links before deduplication so the same story from Google News
+      // and from the publisher's own feed share a URL
+      const resolvedResults = await Promise.all(
+        successfulResults.map(items => this.linkResolver.resolveAll(items))
+      );
+
       // Aggregate and deduplicate
       console.log(`\n→ Aggregating results from ${successfulResults.length} sources`);
-      const aggregated = this.aggregator.aggregate(successfulResults);
+      const aggregated = this.aggregator.aggregate(resolvedResults);
 
       // Score all items
       console.log(`→ Scoring ${aggregated.length} items`);
@@ -192,6 +363,12 @@ class SourceManager {
 
       console.log(`✓ Final result: ${diversified.length} news items\n`);
 
+      report.finishedAt = new Date().toISOString();
+      report.totalFetched = report.sources.reduce((sum, source) => sum + source.items, 0);
+      report.afterDeduplication = aggregated.length;
+      report.afterDiversification = diversified.length;
+      this.lastFetchReport = report;
+
       return diversified;
     } catch (error) {
       console.error('✗ Error fetching news:', error);
@@ -204,24 +381,42 @@ class SourceManager {
    *
    * @param {BaseSource} source - Source instance
    * @param {Array<string>} keywords - Search keywords
+   * @param {Object} report - Optional fetch report to append this source's metrics to
+   * @param {Object} options - Fetch options (see fetchAllNews)
    * @returns {Promise<Array<Object>>} News items from source
    */
-  async fetchFromSource(source, keywords) {
+  async fetchFromSource(source, keywords, report = null, options = {}) {
     const sourceId = source.id || source.name;
+    const startTime = Date.now();
+    const record = (status, items, error = null) => {
+      const durationMs = Date.now() - startTime;
+      recordSourceFetch({ source: sourceId, type: source.type, status, durationMs, items });
+      report?.sources.push({
+        id: sourceId,
+        name: source.name,
+        type: source.type,
+        status,
+        items,
+        durationMs,
+        error
+      });
+    };
 
     // Check circuit breaker - skip if circuit is open
     if (!this.circuitBreaker.allowRequest(sourceId)) {
       const stats = this.circuitBreaker.getStats(sourceId);
       console.warn(`⚠️  Skipping ${source.name} - circuit breaker OPEN (failure rate: ${stats.failureRatePercent}%)`);
+      record('skipped', 0, 'circuit breaker open');
       return [];
     }
 
     try {
-      const items = await source.fetch(keywords);
+      const items = await source.fetch(keywords, options);
 
-      // Record success with circuit breaker
+      // Record success with circuit breaker (including unchanged feeds answering 304)
       this.circuitBreaker.recordSuccess(sourceId);
 
+      record('success', (items || []).length);
       return items || [];
     } catch (error) {
       console.error(`✗ Error fetching from ${source.name}:`, error.message);
@@ -229,6 +424,7 @@ class SourceManager {
       // Record failure with circuit breaker
       this.circuitBreaker.recordFailure(sourceId, error);
 
+      record('error', 0, error.message);
       return []; // Graceful degradation
     }
   }
@@ -383,6 +579,127 @@ class SourceManager {
       priority: s.priority
     }));
   }
+
+  /**
+   * Find an enabled source by id
+   *
+   * @param {string} sourceId - Source id
+   * @returns {BaseSource|null} Source instance
+   */
+  getSource(sourceId) {
+    return this.sources.find(source => (source.id || source.name) === sourceId) || null;
+  }
+
+  /**
+   * Health of all enabled sources: circuit breaker state and the result of the last fetch
+   *
+   * @returns {Array<Object>} Source health, unhealthy sources first
+   */
+  getSourceHealth() {
+    const lastFetch = new Map((this.lastFetchReport?.sources || []).map(entry => [entry.id, entry]));
+
+    return this.sources
+      .map(source => {
+        const sourceId = source.id || source.name;
+        const stats = this.circuitBreaker.getStats(sourceId);
+        const fetch = lastFetch.get(sourceId);
+
+        return {
+          id: sourceId,
+          name: source.name,
+          type: source.type,
+          state: stats.state,
+          forced: stats.forced,
+          healthy: stats.isHealthy,
+          failureRate: stats.failureRate,
+          failures: stats.failures,
+          successes: stats.successes,
+          lastError: stats.lastError,
+          lastFailureTime: stats.lastFailureTime ? new Date(stats.lastFailureTime).toISOString() : null,
+          lastSuccessTime: stats.lastSuccessTime ? new Date(stats.lastSuccessTime).toISOString() : null,
+          lastFetch: fetch ? { status: fetch.status, items: fetch.items, durationMs: fetch.durationMs } : null
+        };
+      })
+      .sort((a, b) => a.healthy - b.healthy || b.failureRate - a.failureRate);
+  }
+
+  /**
+   * Today's API request quota of every enabled source that tracks one (e.g. NewsAPI)
+   *
+   * @returns {Object} Usage by source id: { used, limit, remaining, refused, exhausted, resetsAt }
+   */
+  getQuotaUsage() {
+    return Object.fromEntries(this.sources
+      .filter(source => typeof source.getQuotaUsage === 'function')
+      .map(source => [source.id, source.getQuotaUsage()]));
+  }
+
+  /**
+   * Run the optional healthCheck() of every enabled source that implements one
+   *
+   * @param {number} timeout - Max time per check in ms
+   * @returns {Promise<Object>} Results by source id: { healthy, message, durationMs }
+   */
+  async runHealthChecks(timeout = 10000) {
+    const checked = this.sources.filter(source => typeof source.healthCheck === 'function');
+
+    const results = await Promise.all(checked.map(async source => {
+      const startTime = Date.now();
+      let timer;
+
+      try {
+        const result = await Promise.race([
+          source.healthCheck(),
+          new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error(`Health check timed out after ${timeout}ms`)), timeout);
+          })
+        ]);
+
+        return [source.id, {
+          healthy: result?.healthy !== false,
+          message: result?.message || null,
+          durationMs: Date.now() - startTime
+        }];
+      } catch (error) {
+        return [source.id, { healthy: false, message: error.message, durationMs: Date.now() - startTime }];
+      } finally {
+        clearTimeout(timer);
+      }
+    }));
+
+    return Object.fromEntries(results);
+  }
+}
+
+/**
+ * Error with the HTTP status the admin API should answer with
+ *
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status
+ * @returns {Error}
+ */
+function sourceError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Set or remove (null) a source's rating in the raw config
+ *
+ * @param {Object} raw - Raw configuration
+ * @param {string} sourceId - Source id
+ * @param {number|null|undefined} authority - Rating 0-1, null to remove, undefined to keep
+ */
+function setAuthority(raw, sourceId, authority) {
+  if (authority === undefined) return;
+
+  if (authority === null) {
+    if (raw.sourceAuthority) delete raw.sourceAuthority[sourceId];
+    return;
+  }
+
+  raw.sourceAuthority = { ...raw.sourceAuthority, [sourceId]: authority };
 }
 
 module.exports = SourceManager;
@@ -0,0 +1,233 @@
+const fs = require('fs');
+const path = require('path');
+const { isBuiltin } = require('module');
+const BaseSource = require('./sources/BaseSource');
+const GoogleNewsSource = require('./sources/GoogleNewsSource');
+const RSSSource = require('./sources/RSSSource');
+const NewsAPISource = require('./sources/NewsAPISource');
+const XSource = require('./sources/XSource');
+const ScrapeSource = require('./sources/ScrapeSource');
+const HackerNewsSource = require('./sources/HackerNewsSource');
+const RedditSource = require('./sources/RedditSource');
+const MastodonSource = require('./sources/MastodonSource');
+const BlueskySource = require('./sources/BlueskySource');
+
+/**
+ * Source Registry
+ * Maps the `type` of a sources.json entry to the class implementing it.
+ *
+ * Types that are not built in are loaded as plugins, first from the plugins
+ * directory (SOURCE_PLUGINS_DIR, default ./plugins) as `<type>.js` or `<type>/index.js`,
+ * then as an installed npm package named like the type. Since types can come from the
+ * admin API, only packages named `newsbot-source-*` (optionally scoped) or listed in
+ * SOURCE_PLUGIN_PACKAGES are loaded, and never Node built-in modules.
+ *
+ * Plugin contract - the module exports a class (directly, as `Source` or as `default`) whose instances have:
+ * - fetch(keywords)  → Promise<Array<Object>> items from normalize(); throw on failure so the circuit breaker counts it
+ * - normalize(item)  → Object in the common item format
+ * - validate()       → boolean, false if the source config is unusable
+ * - healthCheck()    → optional, Promise<{ healthy, message }> used by GET /sources/health?check=true
+ * - reloadKeywords() → optional, called after relevance.json changed (e.g. to rebuild queries)
+ * Extending BaseSource provides normalize() and validate().
+ */
+
+const DEFAULT_PLUGINS_DIR = path.join(__dirname, '../../plugins');
+const REQUIRED_METHODS = ['fetch', 'normalize', 'validate'];
+const PACKAGE_NAME_PATTERN = /^(@[a-z0-9-~][a-z0-9-._~]*\/)?[a-z0-9-~][a-z0-9-._~]*$/;
+const PLUGIN_PACKAGE_PATTERN = /^(@[a-z0-9-~][a-z0-9-._~]*\/)?newsbot-source-[a-z0-9-._~]+$/;
+
+class SourceValidationError extends Error {
+  constructor(sourceId, message, code = 'LOAD_FAILED') {
+    super(`Source ${sourceId || '(missing id)'}: ${message}`);
+    this.name = 'SourceValidationError';
+    this.sourceId = sourceId;
+    this.code = code; // LOAD_FAILED (entry, type or plugin broken) or INVALID_CONFIG (validate() returned false)
+  }
+}
+
+class SourceRegistry {
+  /**
+   * @param {Object} options
+   * @param {string} options.pluginsDir - Directory with plugin modules (default: SOURCE_PLUGINS_DIR or ./plugins)
+   * @param {Array<string>} options.packagePaths - Directories npm plugins are resolved from (default: the app directory)
+   * @param {Array<string>} options.allowedPackages - npm plugins without the newsbot-source- prefix (default: SOURCE_PLUGIN_PACKAGES)
+   */
+  constructor(options = {}) {
+    this.pluginsDir = path.resolve(options.pluginsDir || process.env.SOURCE_PLUGINS_DIR || DEFAULT_PLUGINS_DIR);
+    this.packagePaths = options.packagePaths || [path.join(__dirname, '../..')];
+    this.allowedPackages = options.allowedPackages ||
+      (process.env.SOURCE_PLUGIN_PACKAGES || '').split(',').map(name => name.trim()).filter(Boolean);
+    this.types = new Map(); // type -> { SourceClass, origin }
+
+    this.register('google-news', GoogleNewsSource);
+    this.register('newsapi', NewsAPISource);
+    this.register('rss', RSSSource);
+    this.register('x', XSource);
+    this.register('twitter', XSource);
+    this.register('scrape', ScrapeSource);
+    this.register('hackernews', HackerNewsSource);
+    this.register('reddit', RedditSource);
+    this.register('mastodon', MastodonSource);
+    this.register('bluesky', BlueskySource);
+  }
+
+  /**
+   * Registers a source class for a type
+   * @param {string} type - Type name used in sources.json
+   * @param {Function} SourceClass - Class implementing the source contract
+   * @param {string} origin - Where the class comes from (shown in errors and logs)
+   */
+  register(type, SourceClass, origin = 'built-in') {
+    if (typeof SourceClass !== 'function') {
+      throw new Error(`Source type ${type} (${origin}) does not export a class`);
+    }
+
+    const missing = REQUIRED_METHODS.filter(method => typeof SourceClass.prototype?.[method] !== 'function');
+    if (SourceClass.prototype?.fetch === BaseSource.prototype.fetch) {
+      missing.unshift('fetch');
+    }
+    if (missing.length > 0) {
+      throw new Error(`Source type ${type} (${origin}) does not implement ${[...new Set(missing)].join(', ')}`);
+    }
+
+    this.types.set(type, { SourceClass, origin });
+  }
+
+  /**
+   * Returns the class for a type, loading a plugin if needed
+   * @param {string} type - Type name used in sources.json
+   * @returns {Function} Source class
+   */
+  resolve(type) {
+    if (!this.types.has(type)) {
+      this.loadPlugin(type);
+    }
+    return this.types.get(type).SourceClass;
+  }
+
+  /**
+   * Loads a plugin from the plugins directory or an npm package
+   * @param {string} type - Type name used in sources.json
+   */
+  loadPlugin(type) {
+    if (!PACKAGE_NAME_PATTERN.test(type)) {
+      throw new Error(`Unknown source type: ${type}`);
+    }
+
+    const modulePath = this.findPlugin(type);
+    if (!modulePath) {
+      const packageHint = this.isAllowedPackage(type)
+        ? `no npm package ${type}`
+        : 'npm plugins must be named newsbot-source-* or listed in SOURCE_PLUGIN_PACKAGES';
+      throw new Error(`Unknown source type: ${type} (no plugin ${type}.js in ${this.pluginsDir}; ${packageHint})`);
+    }
+
+    const exported = require(modulePath);
+    const SourceClass = exported?.Source || exported?.default || exported;
+
+    this.register(type, SourceClass, modulePath);
+    console.log(`✓ Loaded source plugin: ${type} (${modulePath})`);
+  }
+
+  /**
+   * Finds the module file of a plugin
+   * @param {string} type - Type name used in sources.json
+   * @returns {string|null} Module path
+   */
+  findPlugin(type) {
+    const candidates = [
+      path.join(this.pluginsDir, `${type}.js`),
+      path.join(this.pluginsDir, type, 'index.js')
+    ];
+
+    const local = candidates.find(candidate => fs.existsSync(candidate));
+    if (local) {
+      return local;
+    }
+
+    if (!this.isAllowedPackage(type)) {
+      return null;
+    }
+
+    try {
+      return require.resolve(type, { paths: this.packagePaths });
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Checks whether a type may be loaded as an npm package
+   * @param {string} type - Type name used in sources.json
+   * @returns {boolean} True for newsbot-source-* and allowlisted packages, never for Node built-ins
+   */
+  isAllowedPackage(type) {
+    if (isBuiltin(type)) {
+      return false;
+    }
+    return PLUGIN_PACKAGE_PATTERN.test(type) || this.allowedPackages.includes(type);
+  }
+
+  /**
+   * Creates and validates a source instance
+   * @param {Object} config - Source entry from sources.json
+   * @returns {Object} Source instance
+   * @throws {SourceValidationError} - Message names the source id
+   */
+  create(config) {
+    if (!config || typeof config !== 'object') {
+      throw new SourceValidationError(null, 'entry must be an object');
+    }
+    if (!config.id) {
+      throw new SourceValidationError(null, `missing id (name: ${config.name || 'unknown'})`);
+    }
+    if (!config.type) {
+      throw new SourceValidationError(config.id, 'missing type');
+    }
+
+    let source;
+    try {
+      const SourceClass = this.resolve(config.type);
+      source = new SourceClass(config);
+    } catch (error) {
+      throw new SourceValidationError(config.id, error.message);
+    }
+
+    if (!source.validate()) {
+      throw new SourceValidationError(config.id, `invalid configuration for type ${config.type}`, 'INVALID_CONFIG');
+    }
+    if (source.healthCheck !== undefined && typeof source.healthCheck !== 'function') {
+      throw new SourceValidationError(config.id, 'healthCheck must be a function');
+    }
+
+    return source;
+  }
+
+  /**
+   * Lists the registered types
+   * @returns {Array<Object>} - [{ type, origin }]
+   */
+  getTypes() {
+    return [...this.types.entries()].map(([type, { origin }]) => ({ type, origin }));
+  }
+}
+
+// Singleton instance
+let sourceRegistryInstance = null;
+
+/**
+ * Get the shared SourceRegistry instance
+ * @returns {SourceRegistry}
+ */
+function getSourceRegistry() {
+  if (!sourceRegistryInstance) {
+    sourceRegistryInstance = new SourceRegistry();
+  }
+  return sourceRegistryInstance;
+}
+
+module.exports = {
+  SourceRegistry,
+  SourceValidationError,
+  getSourceRegistry
+};
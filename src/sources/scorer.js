@@ -1,5 +1,12 @@
 const { getKeywordMatcher } = require('../utils/keywordMatcher');
 
+// Upvotes/points and comments of a typical story (Hacker News' default minPoints), scored as neutral 0.5
+const ENGAGEMENT_TYPICAL = { score: 10, comments: 5 };
+// Upvotes/points and comments at which the engagement score reaches 1.0
+const ENGAGEMENT_REFERENCE = { score: 200, comments: 100 };
+// Score of a post without any votes or comments
+const ENGAGEMENT_FLOOR = 0.4;
+
 /**
  * RelevanceScorer - Scores news items based on relevance
  *
@@ -7,7 +14,7 @@ const { getKeywordMatcher } = require('../utils/keywordMatcher');
  * - Keyword match quality (enhanced with KeywordMatcher)
  * - Source authority
  * - Freshness (recency)
- * - Engagement (if available)
+ * - Engagement (upvotes and comments, if the source reports them)
  *
  * Enhanced with KeywordMatcher for:
  * - Keyword variations and synonyms
@@ -170,18 +177,32 @@ class RelevanceScorer {
 
   /**
    * Score engagement (0-1)
-   * Currently placeholder - could integrate social shares, etc.
+   * Uses the vote and comment counts that social sources (Hacker News, Reddit,
+   * Mastodon, Bluesky) report in item.engagement. Counts are log-scaled and centred on
+   * ENGAGEMENT_TYPICAL, which scores the same neutral 0.5 as items without engagement data,
+   * so ordinary social items are not ranked below RSS items. No engagement scores
+   * ENGAGEMENT_FLOOR, and ENGAGEMENT_REFERENCE or more scores 1.0.
    *
    * @param {Object} item - News item
    * @returns {number} Score
    */
   scoreEngagement(item) {
-    // Placeholder - could be enhanced with:
-    // - Social media shares
-    // - Comments count
-    // - Click-through rates
-    // For now, return neutral score
-    return 0.5;
+    if (!item.engagement) {
+      return 0.5; // Neutral for sources without engagement data
+    }
+
+    const scale = (count, typical, reference) => {
+      const level = Math.log10(1 + Math.max(0, count || 0));
+      const typicalLevel = Math.log10(1 + typical);
+
+      if (level <= typicalLevel) {
+        return ENGAGEMENT_FLOOR + (0.5 - ENGAGEMENT_FLOOR) * level / typicalLevel;
+      }
+      return Math.min(1, 0.5 + 0.5 * (level - typicalLevel) / (Math.log10(1 + reference) - typicalLevel));
+    };
+
+    return scale(item.engagement.score, ENGAGEMENT_TYPICAL.score, ENGAGEMENT_REFERENCE.score) * 0.7 +
+      scale(item.engagement.comments, ENGAGEMENT_TYPICAL.comments, ENGAGEMENT_REFERENCE.comments) * 0.3;
   }
 
   /**
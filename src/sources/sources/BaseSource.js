@@ -23,9 +23,10 @@ class BaseSource {
    * Must be implemented by subclasses
    *
    * @param {Array<string>} keywords - Search keywords
+   * @param {Object} options - Fetch options, e.g. { incremental: false } for ad-hoc searches
    * @returns {Promise<Array<Object>>} Array of normalized news items
    */
-  async fetch(keywords) {
+  async fetch(keywords, options = {}) {
     throw new Error('fetch() must be implemented by subclass');
   }
 
@@ -43,7 +44,8 @@ class BaseSource {
       description: this.cleanDescription(item.description || item.content || ''),
       source: item.source || this.name,
       sourceId: this.id,
-      image: item.image || item.urlToImage || null
+      image: item.image || item.urlToImage || null,
+      engagement: item.engagement || null // { score, comments, discussionUrl } from social sources
     };
   }
 
@@ -0,0 +1,166 @@
+const axios = require('axios');
+const SocialSource = require('./SocialSource');
+const { retryWithBackoff } = require('../../utils/retry');
+
+/**
+ * BlueskySource - Reads Bluesky posts from the public AppView API (no login needed)
+ *
+ * - accounts: handles such as "retaildive.bsky.social" (author feeds, without replies)
+ * - searchTerms: full-text post search, newest first
+ *
+ * Links come from link cards, quoted posts that share a link, or link facets
+ * in the post text. Docs: https://docs.bsky.app/docs/category/http-reference
+ */
+class BlueskySource extends SocialSource {
+  constructor(config) {
+    super(config);
+
+    this.platformName = 'Bluesky';
+    this.apiUrl = (this.config.apiUrl || 'https://public.api.bsky.app').replace(/\/+$/, '');
+    this.language = this.config.language || null;
+  }
+
+  /**
+   * Fetch the recent posts of an account (reposts are skipped)
+   *
+   * @param {string} account - Handle or DID
+   * @returns {Promise<Array<Object>>} Posts
+   */
+  async fetchAccount(account) {
+    const actor = account.replace(/^@/, '');
+    const data = await this.request('app.bsky.feed.getAuthorFeed', {
+      actor,
+      limit: this.limit,
+      filter: 'posts_no_replies'
+    });
+
+    const posts = (data.feed || [])
+      .filter(entry => !entry.reason) // reason is set for reposts
+      .map(entry => entry.post);
+
+    console.log(`  ✓ Fetched ${posts.length} posts from @${actor}`);
+    return posts.map(post => this.toPostItem(post));
+  }
+
+  /**
+   * Search posts
+   *
+   * @param {string} term - Search term
+   * @returns {Promise<Array<Object>>} Posts
+   */
+  async fetchSearch(term) {
+    const data = await this.request('app.bsky.feed.searchPosts', {
+      q: term,
+      sort: 'latest',
+      limit: this.limit,
+      ...(this.language && { lang: this.language })
+    });
+
+    const posts = data.posts || [];
+    console.log(`  ✓ Found ${posts.length} posts for "${term}"`);
+    return posts.map(post => this.toPostItem(post));
+  }
+
+  /**
+   * GET an XRPC method of the AppView
+   *
+   * @param {string} method - XRPC method id
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Object>} Response data
+   */
+  async request(method, params) {
+    return await retryWithBackoff(
+      async () => {
+        const response = await axios.get(`${this.apiUrl}/xrpc/${method}`, {
+          params,
+          timeout: this.timeout,
+          headers: {
+            'User-Agent': 'Mozilla/5.0 (compatible; NewsBot/1.0)',
+            Accept: 'application/json'
+          },
+          'axios-retry': {
+            retries: 0
+          }
+        });
+
+        return response.data;
+      },
+      {
+        retries: 1,
+        operationName: `${this.name} ${method}`
+      }
+    );
+  }
+
+  /**
+   * Convert a post view to a post item
+   *
+   * @param {Object} post - app.bsky.feed.defs#postView
+   * @returns {Object} Post item
+   */
+  toPostItem(post) {
+    const handle = post.author?.handle;
+    const rkey = (post.uri || '').split('/').pop();
+
+    return this.toItem({
+      text: post.record?.text,
+      url: `https://bsky.app/profile/${handle}/post/${rkey}`,
+      createdAt: post.record?.createdAt || post.indexedAt,
+      author: handle,
+      card: this.getCard(post.embed) || this.getFacetLink(post.record),
+      engagement: {
+        score: (post.likeCount || 0) + (post.repostCount || 0) + (post.quoteCount || 0),
+        comments: post.replyCount || 0
+      }
+    });
+  }
+
+  /**
+   * Shared link of an embed view: a link card, or the link card of a quoted post
+   *
+   * @param {Object} embed - Embed view of a post
+   * @returns {Object|null} { url, title, description, image }
+   */
+  getCard(embed) {
+    if (!embed) return null;
+
+    switch (embed.$type) {
+      case 'app.bsky.embed.external#view':
+        return {
+          url: embed.external.uri,
+          title: embed.external.title,
+          description: embed.external.description,
+          image: embed.external.thumb || null
+        };
+
+      case 'app.bsky.embed.recordWithMedia#view':
+        return this.getCard(embed.media) || this.getCard(embed.record);
+
+      case 'app.bsky.embed.record#view': {
+        // Quoted post: use the article it shares
+        const quoted = embed.record;
+        return (quoted?.embeds || []).map(quotedEmbed => this.getCard(quotedEmbed)).find(Boolean) ||
+          this.getFacetLink(quoted?.value);
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * First link in the rich text facets of a post record
+   *
+   * @param {Object} record - app.bsky.feed.post record
+   * @returns {Object|null} { url }
+   */
+  getFacetLink(record) {
+    for (const facet of record?.facets || []) {
+      const link = (facet.features || []).find(feature => feature.$type === 'app.bsky.richtext.facet#link');
+      if (link) return { url: link.uri };
+    }
+    return null;
+  }
+}
+
+module.exports = BlueskySource;
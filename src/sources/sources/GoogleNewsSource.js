@@ -4,6 +4,7 @@ const { parseRSSWithRetry } = require('../../utils/retry');
 const { getCacheManager } = require('../../cache/CacheManager');
 const { GoogleNewsQueryBuilder } = require('../../utils/googleNewsQueryBuilder');
 const { getKeywordMatcher } = require('../../utils/keywordMatcher');
+const { loadConfigFile } = require('../../utils/configValidator');
 
 /**
  * GoogleNewsSource - Fetches news from Google News RSS feeds
@@ -12,6 +13,8 @@ const { getKeywordMatcher } = require('../../utils/keywordMatcher');
  * - Keyword search with Query Builder (advanced Boolean queries)
  * - Topic feeds (BUSINESS, TECHNOLOGY, SCIENCE)
  * - Dual-mode fetching (keyword + topics)
+ * - Multiple editions (e.g. de-DE, en-GB, en-US) with their own keywords;
+ *   items are tagged with the `edition`, `language` and `market` they came from
  */
 class GoogleNewsSource extends BaseSource {
   constructor(config) {
@@ -28,12 +31,13 @@ class GoogleNewsSource extends BaseSource {
     this.language = this.config.language || 'en-US';
     this.country = this.config.country || 'US';
 
+    // Editions to fan out to; without `editions` the single language/country pair is used
+    this.editions = (this.config.editions || [{ hl: this.language, gl: this.country }])
+      .map(edition => this.normalizeEdition(edition));
+
     // Query Builder for optimized queries (optional)
     // Only initialize if explicitly enabled OR if not configured (defaults to enabled)
-    const queryBuilderEnabled = this.config.queryBuilder?.enabled !== false;
-    if (queryBuilderEnabled && this.config.keywordSearch?.enabled !== false) {
-      this.queryBuilder = new GoogleNewsQueryBuilder(this.config.queryBuilder || {});
-    }
+    this.queryBuilder = this.createQueryBuilder();
 
     // Keyword Matcher for topic filtering
     this.keywordMatcher = getKeywordMatcher();
@@ -56,33 +60,22 @@ class GoogleNewsSource extends BaseSource {
    */
   async fetch(keywords) {
     const cacheManager = getCacheManager();
-    const cacheKey = cacheManager.generateKey(`source:${this.id}`, { keywords });
+    const cacheKey = cacheManager.generateKey(`source:${this.id}`, { keywords, editions: this.editions });
 
     try {
       console.log(`→ Fetching from ${this.name} with keywords: ${keywords.join(', ')}`);
 
       // Use cache wrapper for automatic caching
       return await cacheManager.wrap('rss', cacheKey, async () => {
-        const promises = [];
-
-        // Mode 1: Keyword Search (enhanced with Query Builder)
-        const keywordSearchEnabled = this.config.keywordSearch?.enabled !== false;
-        if (keywordSearchEnabled) {
-          promises.push(this.fetchKeywordMode(keywords));
-        }
-
-        // Mode 2: Topic Feeds (new)
-        if (this.topicsEnabled) {
-          promises.push(this.fetchTopicMode(keywords));
-        }
-
-        // Fetch both modes in parallel
-        const results = await Promise.allSettled(promises);
-
-        // Merge results from both modes
-        const allItems = results
-          .filter(r => r.status === 'fulfilled')
-          .flatMap(r => r.value);
+        const results = await Promise.all(this.editions.map(edition => this.fetchEdition(edition, keywords)));
+
+        // Merge editions; a story listed in several editions keeps the first one
+        const seenLinks = new Set();
+        const allItems = results.flat().filter(item => {
+          if (seenLinks.has(item.link)) return false;
+          seenLinks.add(item.link);
+          return true;
+        });
 
         // Normalize all items
         const normalized = allItems.map(item => this.normalize(item));
@@ -98,13 +91,160 @@ class GoogleNewsSource extends BaseSource {
     }
   }
 
+  /**
+   * Fetch keyword search and topic feeds of one edition
+   *
+   * @param {Object} edition - Normalized edition
+   * @param {Array<string>} keywords - Digest keywords
+   * @returns {Promise<Array<Object>>} Raw news items tagged with the edition
+   */
+  async fetchEdition(edition, keywords) {
+    const editionKeywords = this.getEditionKeywords(edition, keywords);
+    const promises = [];
+
+    if (this.editions.length > 1) {
+      console.log(`  ${edition.id}: ${editionKeywords.length} keywords`);
+    }
+
+    // Mode 1: Keyword Search (enhanced with Query Builder)
+    const keywordSearchEnabled = this.config.keywordSearch?.enabled !== false;
+    if (keywordSearchEnabled && editionKeywords.length > 0) {
+      promises.push(this.fetchKeywordMode(editionKeywords, edition));
+    }
+
+    // Mode 2: Topic Feeds (new)
+    if (this.topicsEnabled) {
+      promises.push(this.fetchTopicMode(editionKeywords, edition));
+    }
+
+    // Fetch both modes in parallel
+    const results = await Promise.allSettled(promises);
+
+    return results
+      .filter(r => r.status === 'fulfilled')
+      .flatMap(r => r.value)
+      .map(item => ({
+        ...item,
+        edition: edition.id,
+        language: edition.language,
+        market: edition.gl
+      }));
+  }
+
+  /**
+   * Keywords searched in an edition
+   * - `keywords`: the edition's own list
+   * - `keywordLanguage`: keywords.csv rows of that language, search-only rows included
+   *   (keywords.byLanguage in relevance.json)
+   * - neither: the digest keywords
+   * Both lists may be combined.
+   *
+   * @param {Object} edition - Normalized edition
+   * @param {Array<string>} keywords - Digest keywords
+   * @returns {Array<string>} Keywords for this edition
+   */
+  getEditionKeywords(edition, keywords) {
+    if (!edition.keywords && !edition.keywordLanguage) {
+      return keywords;
+    }
+
+    const languageKeywords = edition.keywordLanguage ? this.loadLanguageKeywords(edition.keywordLanguage) : [];
+    return [...new Set([...(edition.keywords || []), ...languageKeywords])];
+  }
+
+  /**
+   * Keywords of one language from relevance.json (generated from config/keywords.csv)
+   *
+   * @param {string} language - 'en' or 'de'
+   * @returns {Array<string>} Keywords, empty if relevance.json cannot be read
+   */
+  loadLanguageKeywords(language) {
+    try {
+      return loadConfigFile('relevance').keywords.byLanguage?.[language] || [];
+    } catch (error) {
+      console.warn(`⚠ ${this.name}: could not read ${language} keywords from relevance.json: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Query builder with the current keyword expressions, or null if disabled
+   *
+   * @returns {GoogleNewsQueryBuilder|null}
+   */
+  createQueryBuilder() {
+    const queryBuilderEnabled = this.config.queryBuilder?.enabled !== false;
+    if (!queryBuilderEnabled || this.config.keywordSearch?.enabled === false) {
+      return null;
+    }
+
+    return new GoogleNewsQueryBuilder({
+      ...(this.config.queryBuilder || {}),
+      expressions: this.loadKeywordExpressions()
+    });
+  }
+
+  /**
+   * Rebuild the query builder with the keyword expressions of the changed relevance.json
+   */
+  reloadKeywords() {
+    this.queryBuilder = this.createQueryBuilder();
+  }
+
+  /**
+   * Compiled boolean keyword expressions from relevance.json (generated from config/keywords.csv)
+   *
+   * @returns {Object} Expressions by keyword, empty if relevance.json cannot be read
+   */
+  loadKeywordExpressions() {
+    try {
+      return loadConfigFile('relevance').keywords.expressions || {};
+    } catch (error) {
+      console.warn(`⚠ ${this.name}: could not read keyword expressions from relevance.json: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Fill in the defaults of an edition config
+   * { hl: 'de', gl: 'DE' } → { id: 'de-DE', hl: 'de', gl: 'DE', ceid: 'DE:de', language: 'de' }
+   *
+   * @param {Object} edition - Edition from config
+   * @returns {Object} Normalized edition
+   */
+  normalizeEdition(edition) {
+    const language = edition.hl.split('-')[0].toLowerCase();
+    const gl = edition.gl || (edition.hl.split('-')[1] || language).toUpperCase();
+
+    return {
+      ...edition,
+      id: edition.id || `${language}-${gl}`,
+      gl,
+      ceid: edition.ceid || `${gl}:${language}`,
+      language
+    };
+  }
+
+  /**
+   * Google News RSS URL with the edition parameters
+   *
+   * @param {string} feedPath - Path below baseUrl, optionally with a query string
+   * @param {Object} edition - Normalized edition
+   * @returns {string} Feed URL
+   */
+  buildFeedUrl(feedPath, edition) {
+    const separator = feedPath.includes('?') ? '&' : '?';
+    return `${this.baseUrl}/${feedPath}${separator}hl=${edition.hl}&gl=${edition.gl}&ceid=${edition.ceid}`;
+  }
+
   /**
    * Fetch news using keyword search mode
    *
    * @param {Array<string>} keywords - Search keywords
+   * @param {Object} edition - Normalized edition (default: first edition)
    * @returns {Promise<Array<Object>>} Array of raw news items
    */
-  async fetchKeywordMode(keywords) {
+  async fetchKeywordMode(keywords, edition = this.editions[0]) {
     try {
       // Use Query Builder if enabled
       if (this.queryBuilder) {
@@ -113,23 +253,23 @@ class GoogleNewsSource extends BaseSource {
         // If Query Builder fails, fall back to original method
         if (!queries || queries.length === 0) {
           console.log(`Query Builder returned no queries, falling back to original keyword search`);
-          return await this.fetchKeywordsOriginal(keywords);
+          return await this.fetchKeywordsOriginal(keywords, edition);
         }
 
         console.log(`Using Query Builder: ${keywords.length} keywords → ${queries.length} optimized queries`);
 
         // Fetch for each optimized query
-        const promises = queries.map(query => this.fetchForQuery(query));
+        const promises = queries.map(query => this.fetchForQuery(query, edition));
         const results = await Promise.all(promises);
         return results.flat();
 
       } else {
         // Fallback: Original implementation
-        return await this.fetchKeywordsOriginal(keywords);
+        return await this.fetchKeywordsOriginal(keywords, edition);
       }
     } catch (error) {
       console.error(`Error in keyword mode, falling back to original:`, error.message);
-      return await this.fetchKeywordsOriginal(keywords);
+      return await this.fetchKeywordsOriginal(keywords, edition);
     }
   }
 
@@ -137,10 +277,11 @@ class GoogleNewsSource extends BaseSource {
    * Fetch news using original keyword-by-keyword method
    *
    * @param {Array<string>} keywords - Search keywords
+   * @param {Object} edition - Normalized edition (default: first edition)
    * @returns {Promise<Array<Object>>} Array of raw news items
    */
-  async fetchKeywordsOriginal(keywords) {
-    const promises = keywords.map(keyword => this.fetchForKeyword(keyword));
+  async fetchKeywordsOriginal(keywords, edition = this.editions[0]) {
+    const promises = keywords.map(keyword => this.fetchForKeyword(keyword, edition));
     const results = await Promise.all(promises);
     return results.flat();
   }
@@ -149,18 +290,19 @@ class GoogleNewsSource extends BaseSource {
    * Fetch news for a single keyword
    *
    * @param {string} keyword - Search keyword
+   * @param {Object} edition - Normalized edition (default: first edition)
    * @returns {Promise<Array<Object>>} Array of raw news items
    */
-  async fetchForKeyword(keyword) {
+  async fetchForKeyword(keyword, edition = this.editions[0]) {
     try {
       const encodedQuery = encodeURIComponent(keyword);
-      const rssUrl = `${this.baseUrl}/search?q=${encodedQuery}&hl=${this.language}&gl=${this.country}&ceid=${this.country}:${this.language.split('-')[0]}`;
+      const rssUrl = this.buildFeedUrl(`search?q=${encodedQuery}`, edition);
 
       // Parse RSS with retry and timeout
       const feed = await parseRSSWithRetry(this.parser, rssUrl, {
         timeout: 20000,
         retries: 1,
-        operationName: `${this.name} keyword: ${keyword}`
+        operationName: `${this.name} (${edition.id}) keyword: ${keyword}`
       });
 
       return feed.items.map(item => ({
@@ -180,18 +322,19 @@ class GoogleNewsSource extends BaseSource {
    * Fetch news for an optimized query string
    *
    * @param {string} query - Optimized query string (with OR, exclusions, etc.)
+   * @param {Object} edition - Normalized edition (default: first edition)
    * @returns {Promise<Array<Object>>} Array of raw news items
    */
-  async fetchForQuery(query) {
+  async fetchForQuery(query, edition = this.editions[0]) {
     try {
       const encodedQuery = encodeURIComponent(query);
-      const rssUrl = `${this.baseUrl}/search?q=${encodedQuery}&hl=${this.language}&gl=${this.country}&ceid=${this.country}:${this.language.split('-')[0]}`;
+      const rssUrl = this.buildFeedUrl(`search?q=${encodedQuery}`, edition);
 
       // Parse RSS with retry and timeout
       const feed = await parseRSSWithRetry(this.parser, rssUrl, {
         timeout: 20000,
         retries: 1,
-        operationName: `${this.name} query: ${query.substring(0, 50)}...`
+        operationName: `${this.name} (${edition.id}) query: ${query.substring(0, 50)}...`
       });
 
       return feed.items.map(item => ({
@@ -211,14 +354,15 @@ class GoogleNewsSource extends BaseSource {
    * Fetch news from topic feeds mode
    *
    * @param {Array<string>} keywords - Keywords for filtering topic results
+   * @param {Object} edition - Normalized edition (default: first edition)
    * @returns {Promise<Array<Object>>} Array of raw news items
    */
-  async fetchTopicMode(keywords) {
+  async fetchTopicMode(keywords, edition = this.editions[0]) {
     try {
-      console.log(`Fetching ${this.enabledTopics.length} Google News topic feeds`);
+      console.log(`Fetching ${this.enabledTopics.length} Google News topic feeds (${edition.id})`);
 
       // Fetch all enabled topics in parallel
-      const promises = this.enabledTopics.map(topic => this.fetchTopic(topic));
+      const promises = this.enabledTopics.map(topic => this.fetchTopic(topic, edition));
       const results = await Promise.allSettled(promises);
 
       // Collect all topic articles
@@ -240,17 +384,18 @@ class GoogleNewsSource extends BaseSource {
    * Fetch a single topic feed
    *
    * @param {Object} topic - Topic configuration
+   * @param {Object} edition - Normalized edition (default: first edition)
    * @returns {Promise<Array<Object>>} Array of raw news items
    */
-  async fetchTopic(topic) {
+  async fetchTopic(topic, edition = this.editions[0]) {
     try {
-      const rssUrl = `${this.baseUrl}/${topic.url}?hl=${this.language}&gl=${this.country}&ceid=${this.country}:${this.language.split('-')[0]}`;
+      const rssUrl = this.buildFeedUrl(topic.url, edition);
 
       // Parse RSS with retry and timeout
       const feed = await parseRSSWithRetry(this.parser, rssUrl, {
         timeout: 20000,
         retries: 1,
-        operationName: `${this.name} topic: ${topic.name}`
+        operationName: `${this.name} (${edition.id}) topic: ${topic.name}`
       });
 
       // Limit articles per topic
@@ -328,6 +473,13 @@ class GoogleNewsSource extends BaseSource {
       normalized.source = item.source;
     }
 
+    // Market the item came from, for language-aware filters downstream
+    if (item.edition) {
+      normalized.edition = item.edition;
+      normalized.language = item.language;
+      normalized.market = item.market;
+    }
+
     return normalized;
   }
 }
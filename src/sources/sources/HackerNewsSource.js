@@ -0,0 +1,128 @@
+const axios = require('axios');
+const BaseSource = require('./BaseSource');
+const { retryWithBackoff } = require('../../utils/retry');
+const { getCacheManager } = require('../../cache/CacheManager');
+
+/**
+ * HackerNewsSource - Searches Hacker News stories via the Algolia API
+ *
+ * Runs one search per query (configured `queries`, or the digest keywords)
+ * and keeps stories above `minPoints` from the last `maxAgeHours`.
+ * Points and comment counts are passed on as `engagement`.
+ * Docs: https://hn.algolia.com/api
+ *
+ * Fetch errors are thrown when every query fails so the circuit breaker
+ * in SourceManager sees them.
+ */
+class HackerNewsSource extends BaseSource {
+  constructor(config) {
+    super(config);
+
+    this.apiUrl = (this.config.apiUrl || 'https://hn.algolia.com/api/v1').replace(/\/+$/, '');
+    this.queries = this.config.queries || [];
+    this.maxQueries = this.config.maxQueries || 5;
+    this.minPoints = this.config.minPoints ?? 10;
+    this.maxAgeHours = this.config.maxAgeHours || 72;
+    this.hitsPerPage = this.config.hitsPerPage || 20;
+    this.timeout = this.config.timeout || 15000;
+  }
+
+  /**
+   * Fetch stories matching the queries
+   *
+   * @param {Array<string>} keywords - Search keywords (used when no queries are configured)
+   * @returns {Promise<Array<Object>>} Array of news items
+   */
+  async fetch(keywords = []) {
+    const queries = (this.queries.length > 0 ? this.queries : keywords).slice(0, this.maxQueries);
+    const cacheManager = getCacheManager();
+    const cacheKey = cacheManager.generateKey(`source:${this.id}`, { queries });
+
+    console.log(`→ Fetching from ${this.name} (${queries.length} queries)`);
+
+    return await cacheManager.wrap('rss', cacheKey, async () => {
+      const since = Math.floor(Date.now() / 1000) - this.maxAgeHours * 3600;
+      const results = await Promise.allSettled(queries.map(query => this.search(query, since)));
+
+      const failed = results.filter(result => result.status === 'rejected');
+      failed.forEach(result => console.error(`  ✗ ${this.name} search failed:`, result.reason.message));
+      if (queries.length > 0 && failed.length === queries.length) {
+        throw failed[0].reason;
+      }
+
+      // The same story often matches several queries
+      const stories = new Map();
+      results
+        .filter(result => result.status === 'fulfilled')
+        .flatMap(result => result.value)
+        .forEach(hit => stories.set(hit.objectID, hit));
+
+      const items = [...stories.values()].map(hit => this.normalize(this.toItem(hit)));
+
+      console.log(`✓ ${this.name}: Found ${items.length} items`);
+
+      return items;
+    });
+  }
+
+  /**
+   * Search stories by date
+   *
+   * @param {string} query - Search query
+   * @param {number} since - Unix timestamp of the oldest story
+   * @returns {Promise<Array<Object>>} Algolia hits
+   */
+  async search(query, since) {
+    return await retryWithBackoff(
+      async () => {
+        const response = await axios.get(`${this.apiUrl}/search_by_date`, {
+          params: {
+            query,
+            tags: 'story',
+            numericFilters: `created_at_i>${since},points>=${this.minPoints}`,
+            hitsPerPage: this.hitsPerPage
+          },
+          timeout: this.timeout,
+          headers: {
+            'User-Agent': 'Mozilla/5.0 (compatible; NewsBot/1.0)'
+          },
+          'axios-retry': {
+            retries: 0
+          }
+        });
+
+        return response.data.hits || [];
+      },
+      {
+        retries: 1,
+        operationName: `${this.name} search: ${query}`
+      }
+    );
+  }
+
+  /**
+   * Convert an Algolia hit to a raw item
+   * Ask HN and other text posts link to their discussion
+   *
+   * @param {Object} hit - Algolia hit
+   * @returns {Object} Raw item
+   */
+  toItem(hit) {
+    const discussionUrl = `https://news.ycombinator.com/item?id=${hit.objectID}`;
+
+    return {
+      title: hit.title || hit.story_title || '',
+      link: hit.url || discussionUrl,
+      pubDate: hit.created_at || new Date(hit.created_at_i * 1000).toISOString(),
+      description: hit.story_text || '',
+      source: this.name,
+      engagement: {
+        score: hit.points || 0,
+        comments: hit.num_comments || 0,
+        discussionUrl
+      }
+    };
+  }
+}
+
+module.exports = HackerNewsSource;
@@ -0,0 +1,160 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const SocialSource = require('./SocialSource');
+const { retryWithBackoff } = require('../../utils/retry');
+
+/**
+ * MastodonSource - Reads public Mastodon timelines (no account or token needed)
+ *
+ * - accounts: "user@instance.social" (or "@user@instance.social"); accounts
+ *   without an instance are looked up on the configured `instance` (host or URL)
+ * - searchTerms: read as hashtags ("last mile delivery" → #lastmiledelivery),
+ *   because full-text search needs a login on most instances
+ *
+ * Boosts are read as the boosted post. Docs: https://docs.joinmastodon.org/methods/
+ */
+class MastodonSource extends SocialSource {
+  constructor(config) {
+    super(config);
+
+    this.platformName = 'Mastodon';
+    this.instance = (this.config.instance || 'mastodon.social').replace(/\/+$/, '');
+    this.includeReplies = this.config.includeReplies || false;
+    this.accountIds = new Map(); // "user@instance" -> account id on that instance
+  }
+
+  /**
+   * Fetch the recent public posts of an account
+   *
+   * @param {string} account - "user@instance" or "user"
+   * @returns {Promise<Array<Object>>} Posts
+   */
+  async fetchAccount(account) {
+    const [username, instance = this.instance] = account.replace(/^@/, '').split('@');
+    const accountId = await this.lookupAccount(username, instance);
+
+    const statuses = await this.request(instance, `/api/v1/accounts/${accountId}/statuses`, {
+      limit: this.limit,
+      exclude_replies: !this.includeReplies
+    });
+
+    console.log(`  ✓ Fetched ${statuses.length} posts from @${username}@${instance}`);
+    return statuses.map(status => this.toStatusItem(status)).filter(Boolean);
+  }
+
+  /**
+   * Fetch the public hashtag timeline of a search term
+   *
+   * @param {string} term - Search term or hashtag
+   * @returns {Promise<Array<Object>>} Posts
+   */
+  async fetchSearch(term) {
+    const hashtag = term.replace(/^#/, '').replace(/[^\p{L}\p{N}_]/gu, '').toLowerCase();
+    if (!hashtag) return [];
+
+    const statuses = await this.request(this.instance, `/api/v1/timelines/tag/${encodeURIComponent(hashtag)}`, {
+      limit: this.limit
+    });
+
+    console.log(`  ✓ Found ${statuses.length} posts for #${hashtag}`);
+    return statuses.map(status => this.toStatusItem(status)).filter(Boolean);
+  }
+
+  /**
+   * Resolve an account name to its id on its home instance
+   *
+   * @param {string} username - Account name without instance
+   * @param {string} instance - Home instance
+   * @returns {Promise<string>} Account id
+   */
+  async lookupAccount(username, instance) {
+    const key = `${username}@${instance}`;
+    if (!this.accountIds.has(key)) {
+      const account = await this.request(instance, '/api/v1/accounts/lookup', { acct: username });
+      this.accountIds.set(key, account.id);
+    }
+    return this.accountIds.get(key);
+  }
+
+  /**
+   * GET a Mastodon API endpoint
+   *
+   * @param {string} instance - Instance host or base URL
+   * @param {string} endpoint - API path
+   * @param {Object} params - Query parameters
+   * @returns {Promise<any>} Response data
+   */
+  async request(instance, endpoint, params) {
+    const baseUrl = /^https?:\/\//.test(instance) ? instance : `https://${instance}`;
+
+    return await retryWithBackoff(
+      async () => {
+        const response = await axios.get(`${baseUrl}${endpoint}`, {
+          params,
+          timeout: this.timeout,
+          headers: {
+            'User-Agent': 'Mozilla/5.0 (compatible; NewsBot/1.0)',
+            Accept: 'application/json'
+          },
+          'axios-retry': {
+            retries: 0
+          }
+        });
+
+        return response.data;
+      },
+      {
+        retries: 1,
+        operationName: `${this.name} ${instance}${endpoint}`
+      }
+    );
+  }
+
+  /**
+   * Convert a status to a post item
+   * Sensitive posts (content warnings) are skipped
+   *
+   * @param {Object} status - Mastodon status
+   * @returns {Object|null} Post item
+   */
+  toStatusItem(status) {
+    const post = status.reblog || status;
+    if (post.sensitive || post.spoiler_text) return null;
+
+    return this.toItem({
+      text: this.htmlToText(post.content),
+      url: post.url || post.uri,
+      createdAt: post.created_at,
+      author: post.account?.acct,
+      card: this.getCard(post),
+      engagement: {
+        score: (post.favourites_count || 0) + (post.reblogs_count || 0),
+        comments: post.replies_count || 0
+      }
+    });
+  }
+
+  /**
+   * Shared link of a status: the preview card, or else the first link in the
+   * content that is not a mention or hashtag
+   *
+   * @param {Object} status - Mastodon status
+   * @returns {Object|null} { url, title, description, image }
+   */
+  getCard(status) {
+    if (status.card?.url) {
+      return {
+        url: status.card.url,
+        title: status.card.title,
+        description: status.card.description,
+        image: status.card.image
+      };
+    }
+
+    const $ = cheerio.load(status.content || '');
+    const link = $('a[href]').filter((_, element) => !/\b(mention|hashtag)\b/.test($(element).attr('class') || '')).first();
+    return link.length ? { url: link.attr('href') } : null;
+  }
+}
+
+module.exports = MastodonSource;
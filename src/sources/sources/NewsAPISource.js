@@ -1,6 +1,7 @@
 const BaseSource = require('./BaseSource');
 const { retryWithBackoff, createFetchWithTimeout } = require('../../utils/retry');
 const { getCacheManager } = require('../../cache/CacheManager');
+const { getQuotaLedger } = require('../QuotaLedger');
 
 /**
  * NewsAPISource - Fetches news from NewsAPI.org
@@ -8,6 +9,13 @@ const { getCacheManager } = require('../../cache/CacheManager');
  * Provides access to 80,000+ news sources via NewsAPI
  * Free tier: 100 requests/day
  * Docs: https://newsapi.org/docs
+ *
+ * - endpoint "everything" (default): keyword search, optionally limited to `domains`
+ *   or without `excludeDomains`, from `maxAgeHours` ago
+ * - endpoint "top-headlines": current headlines of a `country` and/or `category`
+ *
+ * Results are paged up to `maxPages`. Every request (including retries) counts against
+ * `dailyLimit` in the QuotaLedger; once it is used, no further requests are sent that day.
  */
 class NewsAPISource extends BaseSource {
   constructor(config) {
@@ -19,13 +27,22 @@ class NewsAPISource extends BaseSource {
     this.sortBy = this.config.sortBy || 'publishedAt';
     this.pageSize = this.config.pageSize || 20;
 
+    this.endpoint = this.config.endpoint || 'everything';
+    this.country = this.config.country || null;
+    this.category = this.config.category || null;
+    this.domains = this.config.domains || [];
+    this.excludeDomains = this.config.excludeDomains || [];
+    this.maxAgeHours = this.config.maxAgeHours || 48;
+    this.maxPages = this.config.maxPages || 1;
+    this.dailyLimit = this.config.dailyLimit || 100;
+
     if (!this.apiKey || this.apiKey === '${NEWS_API_KEY}') {
       console.warn(`⚠ NewsAPI source ${this.id} is not configured (missing API key)`);
       this.enabled = false;
     }
 
     // NewsAPI endpoints
-    this.baseUrl = 'https://newsapi.org/v2';
+    this.baseUrl = (this.config.baseUrl || 'https://newsapi.org/v2').replace(/\/+$/, '');
   }
 
   /**
@@ -44,67 +61,48 @@ class NewsAPISource extends BaseSource {
     const cacheKey = cacheManager.generateKey(`source:${this.id}`, { keywords });
 
     try {
-      console.log(`→ Fetching from ${this.name} with keywords: ${keywords.join(', ')}`);
+      console.log(`→ Fetching from ${this.name} (${this.endpoint}) with keywords: ${keywords.join(', ')}`);
 
       // Use cache wrapper for automatic caching
       return await cacheManager.wrap('newsapi', cacheKey, async () => {
-        // Build query from keywords
-        const query = keywords.join(' OR ');
-
-        const url = `${this.baseUrl}/everything?` + new URLSearchParams({
-          q: query,
-          language: this.language,
-          sortBy: this.sortBy,
-          pageSize: this.pageSize,
-          apiKey: this.apiKey
-        });
+        const params = this.buildParams(keywords);
+        const articles = [];
+
+        for (let page = 1; page <= this.maxPages; page++) {
+          let data;
+          try {
+            data = await this.request({ ...params, page });
+          } catch (error) {
+            // Later pages failing (quota used, plan result limit) keep the pages already fetched
+            if (page === 1) throw error;
+            console.warn(`⚠ ${this.name}: stopped after page ${page - 1}: ${error.message}`);
+            break;
+          }
+
+          articles.push(...data.articles);
 
-        // Fetch with retry and timeout
-        const items = await retryWithBackoff(
-          async () => {
-            const fetchWithTimeout = createFetchWithTimeout(30000); // 30s timeout
-
-            const response = await fetchWithTimeout(url, {
-              headers: {
-                'User-Agent': 'NewsBot/1.0'
-              }
-            });
-
-            if (!response.ok) {
-              const errorData = await response.json().catch(() => ({}));
-              const error = new Error(`NewsAPI error: ${response.status} - ${errorData.message || response.statusText}`);
-              error.statusCode = response.status;
-              throw error;
-            }
-
-            const data = await response.json();
-
-            if (data.status === 'error') {
-              throw new Error(`NewsAPI error: ${data.message}`);
-            }
-
-            // Normalize articles
-            const items = data.articles.map(article => this.normalize({
-              title: article.title,
-              link: article.url,
-              url: article.url,
-              pubDate: article.publishedAt,
-              publishedAt: article.publishedAt,
-              description: article.description || article.content,
-              content: article.content,
-              source: article.source.name,
-              urlToImage: article.urlToImage
-            }));
-
-            return items;
-          },
-          {
-            retries: 2, // Only 2 retries for NewsAPI (rate limit concerns)
-            operationName: `${this.name} fetch`
+          if (data.articles.length < this.pageSize || articles.length >= data.totalResults) {
+            break;
           }
-        );
+        }
 
-        console.log(`✓ ${this.name}: Found ${items.length} items`);
+        // Normalize articles
+        const items = articles
+          .filter(article => this.isWanted(article))
+          .map(article => this.normalize({
+            title: article.title,
+            link: article.url,
+            url: article.url,
+            pubDate: article.publishedAt,
+            publishedAt: article.publishedAt,
+            description: article.description || article.content,
+            content: article.content,
+            source: article.source.name,
+            urlToImage: article.urlToImage
+          }));
+
+        const usage = this.getQuotaUsage();
+        console.log(`✓ ${this.name}: Found ${items.length} items (quota: ${usage.used}/${usage.limit} requests today)`);
         return items;
       });
 
@@ -120,13 +118,139 @@ class NewsAPISource extends BaseSource {
     }
   }
 
+  /**
+   * Query parameters of the configured endpoint (without page)
+   *
+   * @param {Array<string>} keywords - Search keywords
+   * @returns {Object} Query parameters
+   */
+  buildParams(keywords) {
+    if (this.endpoint === 'top-headlines') {
+      // top-headlines has no language, date or domain parameters; those are applied in isWanted()
+      return {
+        ...(this.country && { country: this.country }),
+        ...(this.category && { category: this.category }),
+        pageSize: this.pageSize
+      };
+    }
+
+    return {
+      q: keywords.join(' OR '),
+      language: this.language,
+      sortBy: this.sortBy,
+      from: this.getFromDate().toISOString().split('.')[0],
+      ...(this.domains.length > 0 && { domains: this.domains.join(',') }),
+      ...(this.excludeDomains.length > 0 && { excludeDomains: this.excludeDomains.join(',') }),
+      pageSize: this.pageSize
+    };
+  }
+
+  /**
+   * Oldest publication date to fetch
+   *
+   * @returns {Date}
+   */
+  getFromDate() {
+    return new Date(Date.now() - this.maxAgeHours * 3600 * 1000);
+  }
+
+  /**
+   * Apply the age and domain filters that top-headlines does not support
+   * (everything applies them server-side)
+   *
+   * @param {Object} article - NewsAPI article
+   * @returns {boolean} True if the article is kept
+   */
+  isWanted(article) {
+    if (!article.url || article.title === '[Removed]') return false;
+    if (this.endpoint !== 'top-headlines') return true;
+
+    if (article.publishedAt && new Date(article.publishedAt) < this.getFromDate()) return false;
+
+    let hostname;
+    try {
+      hostname = new URL(article.url).hostname.replace(/^www\./, '');
+    } catch {
+      return false;
+    }
+    const matches = domain => hostname === domain || hostname.endsWith(`.${domain}`);
+
+    if (this.domains.length > 0 && !this.domains.some(matches)) return false;
+    return !this.excludeDomains.some(matches);
+  }
+
+  /**
+   * Send one request to the endpoint with retry, counting every attempt against the daily quota
+   *
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Object>} Response data { totalResults, articles }
+   * @throws {Error} If the quota is used or NewsAPI returns an error
+   */
+  async request(params) {
+    const url = `${this.baseUrl}/${this.endpoint}?` + new URLSearchParams({ ...params, apiKey: this.apiKey });
+    const quotaLedger = getQuotaLedger();
+
+    // Fetch with retry and timeout
+    return await retryWithBackoff(
+      async () => {
+        if (!quotaLedger.consume(this.id, this.dailyLimit)) {
+          const error = new Error(`NewsAPI daily quota of ${this.dailyLimit} requests used`);
+          error.statusCode = 429; // Not retried
+          throw error;
+        }
+
+        const fetchWithTimeout = createFetchWithTimeout(30000); // 30s timeout
+
+        const response = await fetchWithTimeout(url, {
+          headers: {
+            'User-Agent': 'NewsBot/1.0'
+          }
+        });
+
+        if (!response.ok) {
+          const errorData = await response.json().catch(() => ({}));
+          const error = new Error(`NewsAPI error: ${response.status} - ${errorData.message || response.statusText}`);
+          error.statusCode = response.status;
+
+          // NewsAPI's own count disagrees with ours (e.g. other clients share the key)
+          if (response.status === 429) {
+            quotaLedger.markExhausted(this.id);
+          }
+          throw error;
+        }
+
+        const data = await response.json();
+
+        if (data.status === 'error') {
+          throw new Error(`NewsAPI error: ${data.message}`);
+        }
+
+        return data;
+      },
+      {
+        retries: 2, // Only 2 retries for NewsAPI (rate limit concerns)
+        operationName: `${this.name} ${this.endpoint} page ${params.page}`
+      }
+    );
+  }
+
+  /**
+   * Today's request quota of this source
+   *
+   * @returns {Object} { date, used, limit, remaining, refused, exhausted, resetsAt }
+   */
+  getQuotaUsage() {
+    return getQuotaLedger().getUsage(this.id, this.dailyLimit);
+  }
+
   /**
    * Validate NewsAPI source configuration
    *
    * @returns {boolean} True if valid
    */
   validate() {
-    return super.validate() && !!this.apiKey && this.apiKey !== '${NEWS_API_KEY}';
+    return super.validate() && !!this.apiKey && this.apiKey !== '${NEWS_API_KEY}' &&
+      (this.endpoint !== 'top-headlines' || !!(this.country || this.category));
   }
 }
 
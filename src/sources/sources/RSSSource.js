@@ -1,82 +1,100 @@
-const Parser = require('rss-parser');
 const BaseSource = require('./BaseSource');
-const { parseRSSWithRetry } = require('../../utils/retry');
+const { fetchFeedWithRetry } = require('../../utils/retry');
 const { getCacheManager } = require('../../cache/CacheManager');
 const { getKeywordMatcher } = require('../../utils/keywordMatcher');
+const { getFeedStateStore } = require('../FeedStateStore');
 
 /**
- * RSSSource - Generic RSS feed source
+ * RSSSource - Generic feed source
  *
- * Can be used for any standard RSS feed (RetailDive, TechCrunch, etc.)
+ * Can be used for any RSS 2.0, Atom, RSS 1.0/RDF or JSON Feed (RetailDive, TechCrunch, etc.)
+ * The format is auto-detected per fetch (see utils/feedParser)
  * Enhanced with KeywordMatcher for better keyword filtering
+ *
+ * Fetches are incremental (config `incremental`, default true): the feed is requested
+ * with If-None-Match / If-Modified-Since, an unchanged feed (304) yields no items, and
+ * a changed feed only yields the items added since the last delivered fetch (see FeedStateStore).
+ * Fetch errors are thrown so the circuit breaker in SourceManager sees them.
  */
 class RSSSource extends BaseSource {
   constructor(config) {
     super(config);
 
-    this.parser = new Parser({
-      customFields: {
-        item: ['pubDate', 'description', 'link', 'title', 'content:encoded', 'media:content']
-      }
-    });
-
-    // RSS feed URL from config
+    // Feed URL from config
     this.feedUrl = this.config.feedUrl;
 
     if (!this.feedUrl) {
       throw new Error(`RSSSource ${this.id} requires feedUrl in config`);
     }
 
+    this.incremental = this.config.incremental !== false;
+
     // Initialize KeywordMatcher for improved filtering
     this.keywordMatcher = getKeywordMatcher();
   }
 
   /**
-   * Fetch news from RSS feed
+   * Fetch news from the feed
    *
    * @param {Array<string>} keywords - Search keywords (used for filtering)
+   * @param {Object} options
+   * @param {boolean} options.incremental - false: full feed without conditional request or
+   *   watermark, and without updating them (ad-hoc searches)
+   * @param {Array<string>} options.profileIds - Profiles sharing the fetch; items new to any
+   *   of them are returned (default: ['default'])
    * @returns {Promise<Array<Object>>} Array of news items
    */
-  async fetch(keywords) {
+  async fetch(keywords, options = {}) {
+    const incremental = this.incremental && options.incremental !== false;
     const cacheManager = getCacheManager();
-    const cacheKey = cacheManager.generateKey(`source:${this.id}`, { keywords });
-
-    try {
-      console.log(`→ Fetching from ${this.name} (${this.feedUrl})`);
-
-      // Use cache wrapper for automatic caching
-      return await cacheManager.wrap('rss', cacheKey, async () => {
-        // Parse RSS with retry and timeout
-        const feed = await parseRSSWithRetry(this.parser, this.feedUrl, {
-          timeout: 20000, // 20s timeout for RSS parsing
-          retries: 1,     // 1 retry for transient failures
-          operationName: `${this.name} RSS fetch`
-        });
-
-        // Normalize all items
-        const items = feed.items.map(item => this.normalize({
-          title: item.title,
-          link: item.link,
-          pubDate: item.pubDate || item.isoDate,
-          description: item.contentSnippet || item.description || item['content:encoded'] || '',
-          source: this.name,
-          image: this.extractImage(item)
-        }));
-
-        // Filter by keyword relevance if keywords provided
-        const filtered = keywords && keywords.length > 0
-          ? this.filterByKeywords(items, keywords)
-          : items;
-
-        console.log(`✓ ${this.name}: Found ${filtered.length} items`);
-
-        return filtered;
+    const profileIds = options.profileIds || ['default'];
+    const cacheKey = cacheManager.generateKey(`source:${this.id}`, {
+      keywords,
+      incremental,
+      ...(incremental ? { profileIds } : {})
+    });
+
+    console.log(`→ Fetching from ${this.name} (${this.feedUrl})`);
+
+    // Use cache wrapper for automatic caching
+    return await cacheManager.wrap('rss', cacheKey, async () => {
+      const feedState = getFeedStateStore();
+
+      // Fetch and parse the feed with retry and timeout
+      const feed = await fetchFeedWithRetry(this.feedUrl, {
+        timeout: 20000, // 20s timeout for feed fetching
+        retries: 1,     // 1 retry for transient failures
+        operationName: `${this.name} feed fetch`,
+        headers: incremental ? feedState.getConditionalHeaders(this.id, this.feedUrl, profileIds) : {}
       });
 
-    } catch (error) {
-      console.error(`✗ Error fetching from ${this.name}:`, error.message);
-      return [];
-    }
+      if (feed.notModified) {
+        feedState.recordNotModified(this.id, this.feedUrl, profileIds);
+        console.log(`✓ ${this.name}: Not modified since last fetch`);
+        return [];
+      }
+
+      let feedItems = feed.items;
+      if (incremental) {
+        feedItems = feedState.filterNew(this.id, this.feedUrl, feed.items, profileIds);
+        feedState.stage(this.id, this.feedUrl, feed);
+      }
+
+      // Normalize all items
+      const items = feedItems.map(item => this.normalize({
+        ...item,
+        source: this.name
+      }));
+
+      // Filter by keyword relevance if keywords provided
+      const filtered = keywords && keywords.length > 0
+        ? this.filterByKeywords(items, keywords)
+        : items;
+
+      console.log(`✓ ${this.name}: Found ${filtered.length} items${incremental ? ` (${feedItems.length}/${feed.items.length} new)` : ''}`);
+
+      return filtered;
+    });
   }
 
   /**
@@ -108,26 +126,12 @@ class RSSSource extends BaseSource {
   }
 
   /**
-   * Extract image URL from RSS item
+   * Feed URLs requested by this source (used by the FeedAuditor)
    *
-   * @param {Object} item - RSS item
-   * @returns {string|null} Image URL or null
+   * @returns {Array<Object>} [{ label, url }]
    */
-  extractImage(item) {
-    // Try various image fields
-    if (item.enclosure && item.enclosure.url) {
-      return item.enclosure.url;
-    }
-
-    if (item['media:content'] && item['media:content'].$ && item['media:content'].$.url) {
-      return item['media:content'].$.url;
-    }
-
-    if (item.image && item.image.url) {
-      return item.image.url;
-    }
-
-    return null;
+  getFeedUrls() {
+    return [{ label: this.name, url: this.feedUrl }];
   }
 
   /**
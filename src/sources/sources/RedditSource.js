@@ -0,0 +1,154 @@
+const axios = require('axios');
+const BaseSource = require('./BaseSource');
+const { retryWithBackoff } = require('../../utils/retry');
+const { getCacheManager } = require('../../cache/CacheManager');
+const { getKeywordMatcher } = require('../../utils/keywordMatcher');
+
+/**
+ * RedditSource - Reads subreddit listings via Reddit's public JSON endpoints
+ *
+ * Fetches `<baseUrl>/r/<subreddit>/<sort>.json` for each configured subreddit
+ * and keeps posts above `minScore`. Link posts point to the linked article,
+ * text posts to their thread. Upvotes and comment counts are passed on as `engagement`.
+ *
+ * Fetch errors are thrown when every subreddit fails so the circuit breaker
+ * in SourceManager sees them.
+ */
+class RedditSource extends BaseSource {
+  constructor(config) {
+    super(config);
+
+    this.baseUrl = (this.config.baseUrl || 'https://www.reddit.com').replace(/\/+$/, '');
+    this.subreddits = (this.config.subreddits || []).map(name => name.replace(/^\/?r\//, ''));
+    this.sort = this.config.sort || 'hot';
+    this.timeRange = this.config.timeRange || 'week';
+    this.limit = this.config.limit || 25;
+    this.minScore = this.config.minScore ?? 5;
+    this.includeSelfPosts = this.config.includeSelfPosts !== false;
+    this.filterByKeywords = this.config.filterByKeywords !== false;
+    this.timeout = this.config.timeout || 15000;
+
+    if (!this.subreddits.length) {
+      throw new Error(`RedditSource ${this.id} requires subreddits in config`);
+    }
+
+    this.keywordMatcher = getKeywordMatcher();
+  }
+
+  /**
+   * Fetch posts from all subreddits
+   *
+   * @param {Array<string>} keywords - Search keywords (used for filtering)
+   * @returns {Promise<Array<Object>>} Array of news items
+   */
+  async fetch(keywords) {
+    const cacheManager = getCacheManager();
+    const cacheKey = cacheManager.generateKey(`source:${this.id}`, { keywords, subreddits: this.subreddits });
+
+    console.log(`→ Fetching from ${this.name} (r/${this.subreddits.join(', r/')})`);
+
+    return await cacheManager.wrap('rss', cacheKey, async () => {
+      const results = await Promise.allSettled(this.subreddits.map(subreddit => this.fetchListing(subreddit)));
+
+      const failed = results.filter(result => result.status === 'rejected');
+      failed.forEach(result => console.error(`  ✗ ${this.name} listing failed:`, result.reason.message));
+      if (failed.length === results.length) {
+        throw failed[0].reason;
+      }
+
+      const items = results
+        .filter(result => result.status === 'fulfilled')
+        .flatMap(result => result.value)
+        .filter(post => this.isNewsPost(post))
+        .map(post => this.normalize(this.toItem(post)));
+
+      const filtered = this.filterByKeywords && keywords && keywords.length > 0
+        ? items.filter(item => keywords.some(keyword =>
+          this.keywordMatcher.matches(`${item.title} ${item.description}`, keyword, { language: 'en' }).matched
+        ))
+        : items;
+
+      console.log(`✓ ${this.name}: Found ${filtered.length} items`);
+
+      return filtered;
+    });
+  }
+
+  /**
+   * Fetch the posts of one subreddit listing
+   *
+   * @param {string} subreddit - Subreddit name without "r/"
+   * @returns {Promise<Array<Object>>} Post data objects
+   */
+  async fetchListing(subreddit) {
+    return await retryWithBackoff(
+      async () => {
+        const response = await axios.get(`${this.baseUrl}/r/${encodeURIComponent(subreddit)}/${this.sort}.json`, {
+          params: {
+            limit: this.limit,
+            raw_json: 1,
+            ...(this.sort === 'top' && { t: this.timeRange })
+          },
+          timeout: this.timeout,
+          headers: {
+            'User-Agent': 'Mozilla/5.0 (compatible; NewsBot/1.0)'
+          },
+          'axios-retry': {
+            retries: 0
+          }
+        });
+
+        if (!response.data?.data?.children) {
+          throw new Error(`Unexpected listing response for r/${subreddit}`);
+        }
+
+        return response.data.data.children
+          .filter(child => child.kind === 't3')
+          .map(child => child.data);
+      },
+      {
+        retries: 1,
+        operationName: `${this.name} r/${subreddit}`
+      }
+    );
+  }
+
+  /**
+   * Skip pinned, NSFW, low-scoring and (optionally) text posts
+   *
+   * @param {Object} post - Post data
+   * @returns {boolean}
+   */
+  isNewsPost(post) {
+    if (post.stickied || post.over_18) return false;
+    if ((post.score || 0) < this.minScore) return false;
+    return this.includeSelfPosts || !post.is_self;
+  }
+
+  /**
+   * Convert a post to a raw item
+   *
+   * @param {Object} post - Post data
+   * @returns {Object} Raw item
+   */
+  toItem(post) {
+    const discussionUrl = `https://www.reddit.com${post.permalink}`;
+    const preview = post.preview?.images?.[0]?.source?.url;
+
+    return {
+      title: post.title,
+      link: post.is_self ? discussionUrl : (post.url_overridden_by_dest || post.url || discussionUrl),
+      pubDate: new Date(post.created_utc * 1000).toISOString(),
+      description: post.selftext || '',
+      source: `r/${post.subreddit}`,
+      image: preview || null,
+      engagement: {
+        score: post.score || 0,
+        comments: post.num_comments || 0,
+        discussionUrl
+      }
+    };
+  }
+}
+
+module.exports = RedditSource;
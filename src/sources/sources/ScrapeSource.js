@@ -0,0 +1,200 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const BaseSource = require('./BaseSource');
+const { retryWithBackoff } = require('../../utils/retry');
+const { getCacheManager } = require('../../cache/CacheManager');
+const { getKeywordMatcher } = require('../../utils/keywordMatcher');
+const { getRobotsTxt } = require('../../utils/robotsTxt');
+const { parseDate } = require('../../utils/dateParser');
+
+/**
+ * ScrapeSource - HTML listing page source for publishers without a feed
+ *
+ * Reads a news listing page and extracts one item per `selectors.item` element.
+ * Selectors are CSS (cheerio) and may name an attribute with "@", e.g. "time@datetime".
+ * Without a link selector, the first link in the item (or the item itself) is used.
+ *
+ * Unlike the feed sources, fetch errors are thrown so the circuit breaker
+ * in SourceManager sees them.
+ */
+class ScrapeSource extends BaseSource {
+  constructor(config) {
+    super(config);
+
+    this.listUrl = this.config.listUrl;
+    this.selectors = this.config.selectors || {};
+    this.language = this.config.language || 'de';
+    this.maxItems = this.config.maxItems || 30;
+    this.respectRobotsTxt = this.config.respectRobotsTxt !== false;
+    this.timeout = this.config.timeout || 20000;
+
+    if (!this.listUrl) {
+      throw new Error(`ScrapeSource ${this.id} requires listUrl in config`);
+    }
+    if (!this.selectors.item || !this.selectors.title) {
+      throw new Error(`ScrapeSource ${this.id} requires selectors.item and selectors.title in config`);
+    }
+
+    this.keywordMatcher = getKeywordMatcher();
+  }
+
+  /**
+   * Fetch news from the listing page
+   *
+   * @param {Array<string>} keywords - Search keywords (used for filtering)
+   * @returns {Promise<Array<Object>>} Array of news items
+   */
+  async fetch(keywords) {
+    const cacheManager = getCacheManager();
+    const cacheKey = cacheManager.generateKey(`source:${this.id}`, { keywords });
+
+    console.log(`→ Scraping ${this.name} (${this.listUrl})`);
+
+    return await cacheManager.wrap('rss', cacheKey, async () => {
+      if (this.respectRobotsTxt && !await getRobotsTxt().isAllowed(this.listUrl)) {
+        throw new Error(`robots.txt disallows ${this.listUrl}`);
+      }
+
+      const html = await retryWithBackoff(
+        () => this.fetchHtml(),
+        {
+          retries: 1,
+          operationName: `${this.name} scrape`,
+          minTimeout: 2000,
+          maxTimeout: 5000
+        }
+      );
+
+      const items = this.extractItems(html).map(item => this.normalize(item));
+      if (items.length === 0) {
+        // Most likely the page layout changed and the selectors no longer match
+        throw new Error(`No items matched selector "${this.selectors.item}" on ${this.listUrl}`);
+      }
+
+      const filtered = keywords && keywords.length > 0
+        ? items.filter(item => keywords.some(keyword =>
+          this.keywordMatcher.matches(`${item.title} ${item.description}`, keyword, { language: this.language }).matched
+        ))
+        : items;
+
+      console.log(`✓ ${this.name}: Found ${filtered.length} items`);
+
+      return filtered;
+    });
+  }
+
+  /**
+   * Fetch the listing page HTML
+   * @returns {Promise<string>} HTML
+   */
+  async fetchHtml() {
+    const response = await axios.get(this.listUrl, {
+      timeout: this.timeout,
+      maxContentLength: 5 * 1024 * 1024,
+      responseType: 'text',
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; NewsBot/1.0)',
+        Accept: 'text/html,application/xhtml+xml'
+      },
+      'axios-retry': {
+        retries: 0
+      }
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Extract news items from the listing page
+   *
+   * @param {string} html - Listing page HTML
+   * @returns {Array<Object>} Raw items { title, link, pubDate, description, image }
+   */
+  extractItems(html) {
+    const $ = cheerio.load(html);
+    const items = [];
+    const seen = new Set();
+
+    $(this.selectors.item).each((_, element) => {
+      if (items.length >= this.maxItems) return false;
+
+      const $item = $(element);
+      const title = this.select($item, this.selectors.title);
+      const href = this.selectors.link
+        ? this.select($item, this.selectors.link)
+        : ($item.is('a[href]') ? $item : $item.find('a[href]').first()).attr('href');
+      if (!title || !href) return;
+
+      const link = this.resolveUrl(href);
+      if (!link || seen.has(link)) return;
+      seen.add(link);
+
+      // <time datetime> and <meta content> are more reliable than the displayed text
+      const dateText = this.selectors.date ? this.select($item, this.selectors.date, ['datetime', 'content']) : '';
+      const pubDate = parseDate(dateText, { language: this.language });
+      const image = this.selectors.image ? this.select($item, this.selectors.image, ['src', 'data-src']) : '';
+
+      items.push({
+        title,
+        link,
+        // Items without a readable date get the fetch time from normalize()
+        pubDate: pubDate ? pubDate.toISOString() : undefined,
+        description: this.selectors.teaser ? this.select($item, this.selectors.teaser) : '',
+        image: image ? this.resolveUrl(image) : null
+      });
+    });
+
+    return items;
+  }
+
+  /**
+   * Read a value inside an item element
+   * "selector" returns the text, "selector@attr" an attribute, "@attr" an attribute of the item itself
+   *
+   * @param {Cheerio} $item - Item element
+   * @param {string} selector - Selector with optional @attribute
+   * @param {Array<string>} preferredAttributes - Attributes read before the text when no attribute is named
+   * @returns {string} Trimmed value ('' if not found)
+   */
+  select($item, selector, preferredAttributes = []) {
+    const match = selector.match(/^(.*?)@([\w:-]+)$/);
+    const css = (match ? match[1] : selector).trim();
+    const $target = css ? $item.find(css).first() : $item;
+    if ($target.length === 0) return '';
+
+    if (match) {
+      return ($target.attr(match[2]) || '').trim();
+    }
+
+    const attribute = preferredAttributes.find(name => $target.attr(name));
+    return attribute
+      ? $target.attr(attribute).trim()
+      : $target.text().replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Resolve a relative URL against the listing page
+   *
+   * @param {string} href - URL from the page
+   * @returns {string|null} Absolute http(s) URL or null
+   */
+  resolveUrl(href) {
+    try {
+      const url = new URL(href, this.listUrl);
+      return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Validate scrape source configuration
+   *
+   * @returns {boolean} True if valid
+   */
+  validate() {
+    return super.validate() && !!this.listUrl && !!this.selectors.item && !!this.selectors.title;
+  }
+}
+
+module.exports = ScrapeSource;
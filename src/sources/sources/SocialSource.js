@@ -0,0 +1,195 @@
+const cheerio = require('cheerio');
+const BaseSource = require('./BaseSource');
+const { getCacheManager } = require('../../cache/CacheManager');
+
+/**
+ * SocialSource - Shared base for the Mastodon and Bluesky sources
+ *
+ * Configured like XSource: `accounts` (timelines to read) and `searchTerms`
+ * (combined with the digest keywords, at most `maxSearchTerms` per fetch).
+ * Subclasses implement fetchAccount(account) and fetchSearch(term), both
+ * returning posts in the shape of toItem().
+ *
+ * A post that shares a link becomes an item for the linked article: the link
+ * card's title is preferred over the post text, which becomes the description.
+ * Fetch errors are thrown when every account and search fails so the circuit
+ * breaker in SourceManager sees them.
+ */
+class SocialSource extends BaseSource {
+  constructor(config) {
+    super(config);
+
+    this.accounts = this.config.accounts || [];
+    this.searchTerms = this.config.searchTerms || [];
+    this.maxSearchTerms = this.config.maxSearchTerms || 3;
+    this.limit = this.config.limit || 20;
+    this.timeout = this.config.timeout || 15000;
+
+    if (!this.searchTerms.length && !this.accounts.length) {
+      console.warn(`⚠ ${this.constructor.name} ${this.id} has no search terms or accounts configured`);
+    }
+  }
+
+  /**
+   * Fetch posts from the configured accounts and searches
+   *
+   * @param {Array<string>} keywords - Search keywords (combined with searchTerms)
+   * @returns {Promise<Array<Object>>} Array of news items
+   */
+  async fetch(keywords = []) {
+    const searchTerms = [...new Set([...this.searchTerms, ...keywords])].slice(0, this.maxSearchTerms);
+    const cacheManager = getCacheManager();
+    const cacheKey = cacheManager.generateKey(`source:${this.id}`, { searchTerms, accounts: this.accounts });
+
+    console.log(`→ Fetching from ${this.name}`);
+
+    return await cacheManager.wrap('rss', cacheKey, async () => {
+      const requests = [
+        ...this.accounts.map(account => ({ label: account, run: () => this.fetchAccount(account) })),
+        ...searchTerms.map(term => ({ label: `search: ${term}`, run: () => this.fetchSearch(term) }))
+      ];
+      const results = await Promise.allSettled(requests.map(request => request.run()));
+
+      const failed = [];
+      results.forEach((result, index) => {
+        if (result.status === 'rejected') {
+          failed.push(result.reason);
+          console.error(`  ✗ ${this.name} ${requests[index].label}:`, result.reason.message);
+        }
+      });
+      if (requests.length > 0 && failed.length === requests.length) {
+        throw failed[0];
+      }
+
+      // Accounts and searches often return the same post or the same shared article
+      const items = new Map();
+      results
+        .filter(result => result.status === 'fulfilled')
+        .flatMap(result => result.value)
+        .forEach(post => {
+          if (post && post.title && !items.has(post.link)) {
+            items.set(post.link, this.normalize(post));
+          }
+        });
+
+      console.log(`✓ ${this.name}: Found ${items.size} items`);
+
+      return [...items.values()];
+    });
+  }
+
+  /**
+   * Fetch the recent posts of an account
+   * Must be implemented by subclasses
+   *
+   * @param {string} account - Account from config
+   * @returns {Promise<Array<Object>>} Posts from toItem()
+   */
+  async fetchAccount(account) {
+    throw new Error('fetchAccount() must be implemented by subclass');
+  }
+
+  /**
+   * Fetch posts matching a search term
+   * Must be implemented by subclasses
+   *
+   * @param {string} term - Search term
+   * @returns {Promise<Array<Object>>} Posts from toItem()
+   */
+  async fetchSearch(term) {
+    throw new Error('fetchSearch() must be implemented by subclass');
+  }
+
+  /**
+   * Build a raw item from a post
+   *
+   * @param {Object} post
+   * @param {string} post.text - Plain post text
+   * @param {string} post.url - Web URL of the post
+   * @param {string} post.createdAt - Post date
+   * @param {string} post.author - Account handle
+   * @param {Object} post.card - Shared link { url, title, description, image }, if any
+   * @param {Object} post.engagement - { score, comments }
+   * @returns {Object} Raw item
+   */
+  toItem({ text, url, createdAt, author, card, engagement }) {
+    const cleanText = (text || '').replace(/\s+/g, ' ').trim();
+    const engagementWithThread = { ...engagement, discussionUrl: url };
+
+    if (card?.url) {
+      return {
+        title: card.title || this.truncateTitle(cleanText) || card.url,
+        link: card.url,
+        pubDate: createdAt,
+        description: cleanText || card.description || '',
+        image: card.image || null,
+        source: `@${author} on ${this.platformName}`,
+        author,
+        engagement: engagementWithThread
+      };
+    }
+
+    return {
+      title: this.truncateTitle(cleanText),
+      link: url,
+      pubDate: createdAt,
+      description: cleanText,
+      source: `@${author} on ${this.platformName}`,
+      author,
+      engagement: engagementWithThread
+    };
+  }
+
+  /**
+   * Shorten post text to a headline
+   *
+   * @param {string} text - Plain post text
+   * @returns {string} Title (at most 120 characters)
+   */
+  truncateTitle(text) {
+    if (text.length <= 120) return text;
+    const cut = text.substring(0, 117);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${lastSpace > 60 ? cut.substring(0, lastSpace) : cut}...`;
+  }
+
+  /**
+   * Convert post HTML to plain text, keeping line breaks as spaces
+   *
+   * @param {string} html - Post HTML
+   * @returns {string} Plain text
+   */
+  htmlToText(html) {
+    if (!html) return '';
+    const $ = cheerio.load(`<div>${html.replace(/<br\s*\/?>/gi, ' ').replace(/<\/p>/gi, '</p> ')}</div>`);
+    return $('div').first().text().replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Normalize a post to standard format
+   *
+   * @param {Object} item - Raw item from toItem()
+   * @returns {Object} Normalized news item
+   */
+  normalize(item) {
+    const normalized = super.normalize(item);
+
+    if (item.author) {
+      normalized.author = item.author;
+    }
+    normalized.platform = this.type;
+
+    return normalized;
+  }
+
+  /**
+   * Validate social source configuration
+   *
+   * @returns {boolean} True if valid
+   */
+  validate() {
+    return super.validate() && (this.searchTerms.length > 0 || this.accounts.length > 0);
+  }
+}
+
+module.exports = SocialSource;
@@ -158,6 +158,25 @@ class XSource extends BaseSource {
     return items;
   }
 
+  /**
+   * Nitter RSS URLs requested by this source (used by the FeedAuditor)
+   * Covers the configured accounts and search terms (not the per-run keywords)
+   *
+   * @returns {Array<Object>} [{ label, url }]
+   */
+  getFeedUrls() {
+    return [
+      ...this.accounts.map(account => ({
+        label: `@${account}`,
+        url: `https://${this.nitterInstance}/${account}/rss`
+      })),
+      ...this.searchTerms.slice(0, 3).map(term => ({
+        label: `search: ${term}`,
+        url: `https://${this.nitterInstance}/search/rss?f=tweets&q=${encodeURIComponent(term)}`
+      }))
+    ];
+  }
+
   /**
    * Clean tweet text (remove retweet markers, extra whitespace, etc.)
    *
@@ -0,0 +1,251 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { getModelCache } = require('../utils/modelCache');
+const { getCacheManager } = require('../cache/CacheManager');
+
+/**
+ * ArticleSummarizer - Extractive 2-3 sentence summaries of the delivered articles
+ *
+ * 1. Fetch the article HTML and extract the main text (cheerio)
+ * 2. Split into sentences and embed them with the MiniLM model from modelCache
+ * 3. Pick the sentences closest to the article centroid and title, in original order
+ *
+ * Falls back to the feed description when the page cannot be fetched or has too little text
+ */
+
+// Elements that never contain article text
+const BOILERPLATE_SELECTORS = 'script, style, noscript, nav, header, footer, aside, form, iframe, svg, figure, button, [role="navigation"], [aria-hidden="true"], .advertisement, .ad, .newsletter, .related, .comments';
+
+// Candidate containers for the article body, most specific first
+const CONTENT_SELECTORS = ['[itemprop="articleBody"]', 'article', 'main', '[role="main"]', '.article-body', '.post-content', '.entry-content', 'body'];
+
+const MIN_PARAGRAPH_LENGTH = 40;
+const MIN_TEXT_LENGTH = 300;
+const MIN_SENTENCE_LENGTH = 40;
+const MAX_SENTENCE_LENGTH = 400;
+const MAX_SENTENCES = 40;
+
+class ArticleSummarizer {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.enabled - Enable summarization (default: ENABLE_SUMMARIZATION=true)
+   * @param {number} options.sentences - Sentences per summary (default: SUMMARY_SENTENCES or 3)
+   * @param {number} options.timeout - HTTP timeout in ms (default: SUMMARY_FETCH_TIMEOUT or 10000)
+   * @param {number} options.concurrency - Parallel article fetches (default: 3)
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? process.env.ENABLE_SUMMARIZATION === 'true';
+    this.sentences = options.sentences || parseInt(process.env.SUMMARY_SENTENCES) || 3;
+    this.timeout = options.timeout || parseInt(process.env.SUMMARY_FETCH_TIMEOUT) || 10000;
+    this.concurrency = options.concurrency || 3;
+
+    this.modelCache = getModelCache();
+    this.cacheManager = getCacheManager();
+  }
+
+  /**
+   * Add a summary to each news item
+   * Items keep their feed description; `summary` is set when summarization succeeded
+   * @param {Array} items - Scored news items
+   * @returns {Promise<Array>} Items with `summary` where available
+   */
+  async summarizeAll(items) {
+    if (!this.enabled || items.length === 0) {
+      return items;
+    }
+
+    console.log(`→ Summarizing ${items.length} articles...`);
+    const results = [];
+
+    for (let i = 0; i < items.length; i += this.concurrency) {
+      const batch = items.slice(i, i + this.concurrency);
+      results.push(...await Promise.all(batch.map(async item => {
+        const summary = await this.summarize(item);
+        return summary ? { ...item, summary } : item;
+      })));
+    }
+
+    const summarized = results.filter(item => item.summary).length;
+    console.log(`✓ Summarized ${summarized}/${items.length} articles (others keep the feed description)`);
+
+    return results;
+  }
+
+  /**
+   * Summarize a single article (cached per link)
+   * @param {Object} item - News item with link and title
+   * @returns {Promise<string|null>} Summary, or null to fall back to the feed description
+   */
+  async summarize(item) {
+    if (!item.link) return null;
+
+    const cacheKey = this.cacheManager.generateKey('summary', { link: item.link, sentences: this.sentences });
+
+    try {
+      return await this.cacheManager.wrap('processed', cacheKey, async () => {
+        const html = await this.fetchHtml(item.link);
+        const text = this.extractMainText(html);
+
+        if (text.length < MIN_TEXT_LENGTH) {
+          // Cache the miss as empty string so the page is not fetched again
+          return '';
+        }
+
+        return await this.summarizeText(text, item.title);
+      }) || null;
+    } catch (error) {
+      console.warn(`⚠️  Could not summarize ${item.link}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch article HTML
+   * @param {string} url - Article URL
+   * @returns {Promise<string>} HTML
+   */
+  async fetchHtml(url) {
+    const response = await axios.get(url, {
+      timeout: this.timeout,
+      maxContentLength: 5 * 1024 * 1024,
+      responseType: 'text',
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; NewsBot/1.0)',
+        Accept: 'text/html,application/xhtml+xml'
+      },
+      'axios-retry': {
+        retries: 0
+      }
+    });
+
+    const contentType = response.headers['content-type'] || '';
+    if (!contentType.includes('html')) {
+      throw new Error(`Not an HTML page (${contentType || 'unknown content type'})`);
+    }
+
+    return response.data;
+  }
+
+  /**
+   * Extract the main article text from HTML
+   * Uses the first content container with enough paragraph text
+   * @param {string} html - Page HTML
+   * @returns {string} Main text ('' if nothing usable was found)
+   */
+  extractMainText(html) {
+    const $ = cheerio.load(html);
+    $(BOILERPLATE_SELECTORS).remove();
+
+    for (const selector of CONTENT_SELECTORS) {
+      const container = $(selector).first();
+      if (container.length === 0) continue;
+
+      const paragraphs = container.find('p').toArray()
+        .map(p => $(p).text().replace(/\s+/g, ' ').trim())
+        .filter(text => text.length >= MIN_PARAGRAPH_LENGTH);
+
+      const text = paragraphs.join(' ');
+      if (text.length >= MIN_TEXT_LENGTH) {
+        return text;
+      }
+    }
+
+    return '';
+  }
+
+  /**
+   * Split text into sentences (English and German punctuation)
+   * @param {string} text - Plain text
+   * @returns {Array<string>} Sentences of reasonable length
+   */
+  splitSentences(text) {
+    return text
+      .split(/(?<=[.!?])["“”»]?\s+(?=["„“«]?[A-ZÄÖÜ0-9])/)
+      .map(sentence => sentence.trim())
+      .filter(sentence => sentence.length >= MIN_SENTENCE_LENGTH && sentence.length <= MAX_SENTENCE_LENGTH)
+      .slice(0, MAX_SENTENCES);
+  }
+
+  /**
+   * Embed texts with the shared MiniLM model
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<Array<Array<number>>>} Normalized embeddings
+   */
+  async embed(texts) {
+    const model = await this.modelCache.getEmbeddingModel();
+    const embeddings = [];
+
+    for (const text of texts) {
+      const output = await model(text, { pooling: 'mean', normalize: true });
+      embeddings.push(Array.from(output.data));
+    }
+
+    return embeddings;
+  }
+
+  /**
+   * Pick the most representative sentences
+   * Score = similarity to the article centroid (what the text is about) and to the title
+   * (what the article claims to be about), with a small bonus for early sentences
+   * @param {string} text - Main article text
+   * @param {string} title - Article title
+   * @returns {Promise<string>} Summary ('' if the text has too few sentences)
+   */
+  async summarizeText(text, title = '') {
+    const sentences = this.splitSentences(text);
+    if (sentences.length < 2) {
+      return '';
+    }
+
+    const count = sentences.length <= 4 ? Math.min(2, this.sentences) : this.sentences;
+    if (sentences.length <= count) {
+      return sentences.join(' ');
+    }
+
+    const [titleEmbedding, ...sentenceEmbeddings] = await this.embed([title || sentences[0], ...sentences]);
+
+    const dimensions = sentenceEmbeddings[0].length;
+    const centroid = new Array(dimensions).fill(0);
+    sentenceEmbeddings.forEach(embedding => embedding.forEach((value, i) => { centroid[i] += value / sentenceEmbeddings.length; }));
+
+    const ranked = sentences.map((sentence, index) => ({
+      index,
+      score: 0.6 * this.cosineSimilarity(sentenceEmbeddings[index], centroid) +
+        0.4 * this.cosineSimilarity(sentenceEmbeddings[index], titleEmbedding) +
+        0.05 * (1 - index / sentences.length)
+    }));
+
+    return ranked
+      .sort((a, b) => b.score - a.score)
+      .slice(0, count)
+      .sort((a, b) => a.index - b.index)
+      .map(({ index }) => sentences[index])
+      .join(' ');
+  }
+
+  /**
+   * Calculate cosine similarity between two vectors
+   * @param {Array} vecA - First vector
+   * @param {Array} vecB - Second vector
+   * @returns {number} Similarity between -1 and 1
+   */
+  cosineSimilarity(vecA, vecB) {
+    let dotProduct = 0;
+    let normA = 0;
+    let normB = 0;
+
+    for (let i = 0; i < vecA.length; i++) {
+      dotProduct += vecA[i] * vecB[i];
+      normA += vecA[i] * vecA[i];
+      normB += vecB[i] * vecB[i];
+    }
+
+    if (normA === 0 || normB === 0) {
+      return 0;
+    }
+
+    return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+  }
+}
+
+module.exports = ArticleSummarizer;
@@ -1,6 +1,11 @@
+const { getDataPath, readJSON, writeJSONAtomic } = require('./jsonStore');
+
 /**
  * Circuit Breaker
  * Prevents cascading failures by tracking source reliability and temporarily disabling failing sources
+ *
+ * Circuit state is persisted (data/circuit-breakers.json), so a source that kept failing
+ * before a restart stays disabled until its timeout passes instead of being retried fresh
  */
 
 class CircuitBreaker {
@@ -8,9 +13,64 @@ class CircuitBreaker {
     this.threshold = parseFloat(process.env.CIRCUIT_BREAKER_THRESHOLD || options.threshold || 0.5);
     this.timeout = parseInt(process.env.CIRCUIT_BREAKER_TIMEOUT || options.timeout || 900000); // 15 minutes
     this.windowSize = options.windowSize || 10; // Track last N attempts
+    this.filePath = options.filePath || getDataPath('circuit-breakers.json');
+    this.persist = options.persist !== false;
 
     // Map of source ID to circuit state
     this.circuits = new Map();
+
+    if (this.persist) {
+      this.load();
+    }
+  }
+
+  /**
+   * Loads persisted circuit state
+   */
+  load() {
+    const data = readJSON(this.filePath, { circuits: {} });
+
+    for (const [sourceId, circuit] of Object.entries(data.circuits || {})) {
+      this.circuits.set(sourceId, { ...this.createCircuit(), ...circuit });
+    }
+
+    const open = Array.from(this.circuits.values()).filter(circuit => circuit.state !== 'CLOSED').length;
+    if (this.circuits.size > 0) {
+      console.log(`✓ CircuitBreaker restored ${this.circuits.size} circuits (${open} not closed)`);
+    }
+  }
+
+  /**
+   * Writes circuit state to disk
+   */
+  save() {
+    if (!this.persist) return;
+
+    try {
+      writeJSONAtomic(this.filePath, {
+        updatedAt: new Date().toISOString(),
+        circuits: Object.fromEntries(this.circuits)
+      });
+    } catch (error) {
+      console.error(`⚠️  Could not write circuit breaker state to ${this.filePath}:`, error.message);
+    }
+  }
+
+  /**
+   * Creates the initial state of a circuit
+   * @returns {Object} - Circuit state
+   */
+  createCircuit() {
+    return {
+      state: 'CLOSED', // CLOSED, OPEN, HALF_OPEN
+      failures: 0,
+      successes: 0,
+      attempts: [],
+      lastFailureTime: null,
+      lastSuccessTime: null,
+      lastError: null,
+      forced: null // 'open' or 'closed' when set manually
+    };
   }
 
   /**
@@ -20,14 +80,7 @@ class CircuitBreaker {
    */
   getCircuit(sourceId) {
     if (!this.circuits.has(sourceId)) {
-      this.circuits.set(sourceId, {
-        state: 'CLOSED', // CLOSED, OPEN, HALF_OPEN
-        failures: 0,
-        successes: 0,
-        attempts: [],
-        lastFailureTime: null,
-        lastSuccessTime: null
-      });
+      this.circuits.set(sourceId, this.createCircuit());
     }
     return this.circuits.get(sourceId);
   }
@@ -45,14 +98,19 @@ class CircuitBreaker {
       return true;
     }
 
-    // If circuit is OPEN, check if timeout has passed
+    // If circuit is OPEN, check if timeout has passed (a manually opened circuit stays open)
     if (circuit.state === 'OPEN') {
+      if (circuit.forced === 'open') {
+        return false;
+      }
+
       const timeSinceFailure = Date.now() - circuit.lastFailureTime;
 
       if (timeSinceFailure >= this.timeout) {
         // Transition to HALF_OPEN state
         circuit.state = 'HALF_OPEN';
         console.log(`🔄 Circuit breaker for "${sourceId}" entering HALF_OPEN state (attempting recovery)`);
+        this.save();
         return true;
       }
 
@@ -92,13 +150,15 @@ class CircuitBreaker {
     }
 
     // Check if we should close an OPEN circuit based on success pattern
-    if (circuit.state === 'OPEN') {
+    if (circuit.state === 'OPEN' && circuit.forced !== 'open') {
       const failureRate = this.calculateFailureRate(sourceId);
       if (failureRate < this.threshold) {
         circuit.state = 'CLOSED';
         console.log(`✅ Circuit breaker for "${sourceId}" CLOSED (failure rate normalized)`);
       }
     }
+
+    this.save();
   }
 
   /**
@@ -111,6 +171,7 @@ class CircuitBreaker {
 
     circuit.failures++;
     circuit.lastFailureTime = Date.now();
+    circuit.lastError = error?.message || null;
     circuit.attempts.push({ success: false, timestamp: Date.now(), error: error?.message });
 
     // Trim attempts to window size
@@ -124,15 +185,18 @@ class CircuitBreaker {
     if (circuit.state === 'HALF_OPEN') {
       circuit.state = 'OPEN';
       console.error(`⛔ Circuit breaker for "${sourceId}" reopened OPEN (recovery failed)`);
+      this.save();
       return;
     }
 
-    // Check if we should open the circuit
-    if (circuit.state === 'CLOSED' && failureRate >= this.threshold && circuit.attempts.length >= 3) {
+    // Check if we should open the circuit (a manually closed circuit keeps trying)
+    if (circuit.state === 'CLOSED' && circuit.forced !== 'closed' && failureRate >= this.threshold && circuit.attempts.length >= 3) {
       circuit.state = 'OPEN';
       const timeoutMinutes = Math.round(this.timeout / 60000);
       console.error(`⛔ Circuit breaker for "${sourceId}" OPENED (failure rate: ${(failureRate * 100).toFixed(1)}% >= ${(this.threshold * 100).toFixed(0)}%). Source disabled for ${timeoutMinutes} minutes.`);
     }
+
+    this.save();
   }
 
   /**
@@ -178,6 +242,8 @@ class CircuitBreaker {
       recentAttempts: circuit.attempts.length,
       lastFailureTime: circuit.lastFailureTime,
       lastSuccessTime: circuit.lastSuccessTime,
+      lastError: circuit.lastError,
+      forced: circuit.forced,
       isHealthy: circuit.state === 'CLOSED' && failureRate < this.threshold
     };
   }
@@ -194,6 +260,30 @@ class CircuitBreaker {
     return stats;
   }
 
+  /**
+   * Manually opens a circuit; it stays open until closed or reset
+   * @param {string} sourceId - Unique source identifier
+   */
+  forceOpen(sourceId) {
+    const circuit = this.getCircuit(sourceId);
+    circuit.state = 'OPEN';
+    circuit.forced = 'open';
+    console.log(`⛔ Circuit breaker for "${sourceId}" manually forced OPEN`);
+    this.save();
+  }
+
+  /**
+   * Manually closes a circuit; failures no longer open it until reset
+   * @param {string} sourceId - Unique source identifier
+   */
+  forceClose(sourceId) {
+    const circuit = this.getCircuit(sourceId);
+    circuit.state = 'CLOSED';
+    circuit.forced = 'closed';
+    console.log(`✅ Circuit breaker for "${sourceId}" manually forced CLOSED`);
+    this.save();
+  }
+
   /**
    * Manually resets a circuit to CLOSED state
    * @param {string} sourceId - Unique source identifier
@@ -205,7 +295,10 @@ class CircuitBreaker {
     circuit.successes = 0;
     circuit.attempts = [];
     circuit.lastFailureTime = null;
+    circuit.lastError = null;
+    circuit.forced = null;
     console.log(`🔄 Circuit breaker for "${sourceId}" manually reset to CLOSED`);
+    this.save();
   }
 
   /**
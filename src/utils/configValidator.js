@@ -0,0 +1,237 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+
+/**
+ * Config Validator
+ * Validates sources.json, relevance.json and topics.json against the JSON Schemas
+ * in src/config/schemas, plus the checks a schema cannot express (weights summing
+ * to 1, unique ids).
+ *
+ * Errors carry a JSON pointer to the offending value, e.g.
+ *   /sources/4/config/feedUrl (retaildive): is required
+ */
+
+const SCHEMA_DIR = path.join(__dirname, '../config/schemas');
+const WEIGHT_SUM_TOLERANCE = 0.001;
+
+const CONFIG_FILES = {
+  sources: {
+    schema: 'sources.schema.json',
+    defaultPath: () => process.env.NEWS_SOURCES_CONFIG || path.join(__dirname, '../config/sources.json')
+  },
+  relevance: {
+    schema: 'relevance.schema.json',
+    defaultPath: () => path.join(__dirname, '../relevance/config/relevance.json')
+  },
+  topics: {
+    schema: 'topics.schema.json',
+    defaultPath: () => path.join(__dirname, '../../config/topics.json')
+  }
+};
+
+class ConfigValidationError extends Error {
+  constructor(name, filePath, errors) {
+    const lines = errors.map(error => `  - ${formatError(error)}`).join('\n');
+    super(`Invalid ${name} config (${filePath}):\n${lines}`);
+    this.name = 'ConfigValidationError';
+    this.configName = name;
+    this.filePath = filePath;
+    this.errors = errors;
+  }
+}
+
+const ajv = new Ajv({ allErrors: true, strictTypes: false });
+const validators = {};
+
+/**
+ * Returns the compiled schema validator of a config
+ * @param {string} name - 'sources', 'relevance' or 'topics'
+ * @returns {Function} Ajv validate function
+ */
+function getValidator(name) {
+  if (!CONFIG_FILES[name]) {
+    throw new Error(`Unknown config: ${name} (expected ${Object.keys(CONFIG_FILES).join(', ')})`);
+  }
+
+  if (!validators[name]) {
+    const schema = JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, CONFIG_FILES[name].schema), 'utf8'));
+    validators[name] = ajv.compile(schema);
+  }
+  return validators[name];
+}
+
+/**
+ * Default location of a config file
+ * @param {string} name - 'sources', 'relevance' or 'topics'
+ * @returns {string} Absolute path
+ */
+function getConfigPath(name) {
+  getValidator(name);
+  return path.resolve(CONFIG_FILES[name].defaultPath());
+}
+
+/**
+ * Validates parsed config data
+ * @param {string} name - 'sources', 'relevance' or 'topics'
+ * @param {Object} data - Parsed config
+ * @returns {Array<Object>} - Errors [{ path, message, id }], empty if valid
+ */
+function validateConfig(name, data) {
+  const validate = getValidator(name);
+  const errors = [];
+
+  if (!validate(data)) {
+    for (const error of validate.errors) {
+      // "must match then schema" only repeats the errors reported for the then branch
+      if (error.keyword === 'if') continue;
+
+      let pointer = error.instancePath;
+      let message = error.message;
+
+      if (error.keyword === 'required') {
+        pointer += `/${error.params.missingProperty}`;
+        message = 'is required';
+      } else if (error.keyword === 'additionalProperties') {
+        pointer += `/${error.params.additionalProperty}`;
+        message = 'is not allowed';
+      } else if (error.keyword === 'enum') {
+        message = `must be one of ${error.params.allowedValues.map(value => JSON.stringify(value)).join(', ')}`;
+      }
+
+      errors.push({ path: pointer || '/', message });
+    }
+  }
+
+  // Checks the schema cannot express (only once the structure is valid)
+  if (errors.length === 0) {
+    if (name === 'sources') {
+      errors.push(...findDuplicateIds(data.sources, '/sources'));
+      if (data.scoring) {
+        errors.push(...checkWeightSum(data.scoring, '/scoring'));
+      }
+    } else if (name === 'relevance') {
+      errors.push(...checkWeightSum(data.scoring.weights, '/scoring/weights'));
+    } else if (name === 'topics') {
+      errors.push(...findDuplicateIds(data.topics, '/topics'));
+    }
+  }
+
+  return errors.map(error => ({ ...error, id: entryId(data, error.path) }));
+}
+
+/**
+ * Validates parsed config data and throws on errors
+ * @param {string} name - 'sources', 'relevance' or 'topics'
+ * @param {Object} data - Parsed config
+ * @param {string} filePath - File the data was read from (for the error message)
+ * @returns {Object} The data
+ * @throws {ConfigValidationError}
+ */
+function assertValidConfig(name, data, filePath = getConfigPath(name)) {
+  const errors = validateConfig(name, data);
+  if (errors.length > 0) {
+    throw new ConfigValidationError(name, filePath, errors);
+  }
+  return data;
+}
+
+/**
+ * Reads, parses and validates a config file
+ * @param {string} name - 'sources', 'relevance' or 'topics'
+ * @param {string} filePath - Optional path (default: the file the bot uses)
+ * @returns {Object} Parsed config
+ * @throws {ConfigValidationError} - Also for unreadable files and invalid JSON
+ */
+function loadConfigFile(name, filePath = getConfigPath(name)) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new ConfigValidationError(name, filePath, [{ path: '/', message: error.message }]);
+  }
+  return assertValidConfig(name, data, filePath);
+}
+
+/**
+ * Validates a config file without throwing (for config:validate and the file watcher)
+ * @param {string} name - 'sources', 'relevance' or 'topics'
+ * @param {string} filePath - Optional path (default: the file the bot uses)
+ * @returns {Object} - { name, filePath, valid, errors, data }
+ */
+function validateConfigFile(name, filePath = getConfigPath(name)) {
+  try {
+    const data = loadConfigFile(name, filePath);
+    return { name, filePath, valid: true, errors: [], data };
+  } catch (error) {
+    if (!(error instanceof ConfigValidationError)) throw error;
+    return { name, filePath, valid: false, errors: error.errors, data: null };
+  }
+}
+
+/**
+ * Formats an error as "path (id): message"
+ * @param {Object} error - { path, message, id }
+ * @returns {string}
+ */
+function formatError(error) {
+  return `${error.path}${error.id ? ` (${error.id})` : ''}: ${error.message}`;
+}
+
+/**
+ * Reports ids used by more than one entry
+ * @param {Array<Object>} entries - Sources or topics
+ * @param {string} pointer - JSON pointer of the array
+ * @returns {Array<Object>} Errors
+ */
+function findDuplicateIds(entries, pointer) {
+  const seen = new Map();
+  const errors = [];
+
+  entries.forEach((entry, index) => {
+    if (seen.has(entry.id)) {
+      errors.push({ path: `${pointer}/${index}/id`, message: `duplicates the id of ${pointer}/${seen.get(entry.id)}` });
+    } else {
+      seen.set(entry.id, index);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Reports weights that do not sum to 1
+ * @param {Object} weights - Weight per dimension
+ * @param {string} pointer - JSON pointer of the weights object
+ * @returns {Array<Object>} Errors
+ */
+function checkWeightSum(weights, pointer) {
+  const sum = Object.values(weights).reduce((total, weight) => total + weight, 0);
+  if (Math.abs(sum - 1) <= WEIGHT_SUM_TOLERANCE) {
+    return [];
+  }
+  return [{ path: pointer, message: `weights must sum to 1 (sum is ${Math.round(sum * 1000) / 1000})` }];
+}
+
+/**
+ * Id of the source/topic an error path points into (e.g. /sources/4/... → sources[4].id)
+ * @param {Object} data - Parsed config
+ * @param {string} pointer - JSON pointer
+ * @returns {string|null}
+ */
+function entryId(data, pointer) {
+  const match = pointer.match(/^\/(sources|topics)\/(\d+)(\/|$)/);
+  const entry = match && Array.isArray(data?.[match[1]]) ? data[match[1]][parseInt(match[2])] : null;
+  return typeof entry?.id === 'string' ? entry.id : null;
+}
+
+module.exports = {
+  CONFIG_NAMES: Object.keys(CONFIG_FILES),
+  ConfigValidationError,
+  getConfigPath,
+  validateConfig,
+  assertValidConfig,
+  loadConfigFile,
+  validateConfigFile,
+  formatError
+};
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { validateConfigFile, formatError } = require('./configValidator');
+
+/**
+ * Config Watcher
+ * Watches config files and calls a reload handler when a change passes validation.
+ * Invalid changes are logged with their error paths and the running config is kept.
+ *
+ * The directory is watched instead of the file so editors that save by
+ * replacing the file (write + rename) are picked up as well.
+ */
+class ConfigWatcher {
+  /**
+   * @param {Object} options
+   * @param {number} options.debounceMs - Wait for writes to settle before validating (default: 500)
+   */
+  constructor(options = {}) {
+    this.debounceMs = options.debounceMs ?? 500;
+    this.watchers = [];
+    this.timers = new Map(); // filePath -> debounce timer
+    this.hashes = new Map(); // filePath -> hash of the last loaded content
+  }
+
+  /**
+   * Watch a config file
+   * @param {string} name - 'sources', 'relevance' or 'topics'
+   * @param {string} filePath - Config file
+   * @param {Function} onReload - async (data) => void, called with the validated config
+   */
+  watch(name, filePath, onReload) {
+    const resolved = path.resolve(filePath);
+    const fileName = path.basename(resolved);
+    this.hashes.set(resolved, this.hashFile(resolved));
+
+    const watcher = fs.watch(path.dirname(resolved), (eventType, changed) => {
+      if (changed && changed !== fileName) return;
+
+      clearTimeout(this.timers.get(resolved));
+      this.timers.set(resolved, setTimeout(() => {
+        this.timers.delete(resolved);
+        this.handleChange(name, resolved, onReload);
+      }, this.debounceMs));
+    });
+
+    watcher.on('error', error => {
+      console.error(`✗ Config watcher for ${name} stopped: ${error.message}`);
+    });
+
+    this.watchers.push(watcher);
+    console.log(`👀 Watching ${name} config for changes (${resolved})`);
+  }
+
+  /**
+   * Validate a changed file and reload it if valid
+   * @param {string} name - Config name
+   * @param {string} filePath - Config file
+   * @param {Function} onReload - Reload handler
+   * @returns {Promise<boolean>} True if the config was reloaded
+   */
+  async handleChange(name, filePath, onReload) {
+    const hash = this.hashFile(filePath);
+    if (!hash || hash === this.hashes.get(filePath)) {
+      // Deleted mid-save or touched without changes
+      return false;
+    }
+
+    const result = validateConfigFile(name, filePath);
+    if (!result.valid) {
+      console.error(`✗ ${name} config changed but is invalid - keeping the running config:`);
+      result.errors.forEach(error => console.error(`  - ${formatError(error)}`));
+      return false;
+    }
+
+    this.hashes.set(filePath, hash);
+
+    try {
+      await onReload(result.data);
+      console.log(`🔄 Reloaded ${name} config`);
+      return true;
+    } catch (error) {
+      console.error(`✗ Failed to reload ${name} config:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Mark the current content of a file as loaded (after the bot wrote it itself)
+   * @param {string} filePath - Config file
+   */
+  acknowledge(filePath) {
+    const resolved = path.resolve(filePath);
+    if (this.hashes.has(resolved)) {
+      this.hashes.set(resolved, this.hashFile(resolved));
+    }
+  }
+
+  /**
+   * Hash of a file's content
+   * @param {string} filePath - File
+   * @returns {string|null} Hash, or null if the file cannot be read
+   */
+  hashFile(filePath) {
+    try {
+      return crypto.createHash('sha1').update(fs.readFileSync(filePath)).digest('hex');
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Stop watching all files
+   */
+  close() {
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers = [];
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+}
+
+module.exports = ConfigWatcher;
@@ -0,0 +1,171 @@
+/**
+ * Date Parser
+ * Parses the publication dates found on scraped pages (German and English)
+ *
+ * Supported formats:
+ * - ISO 8601: 2026-10-19, 2026-10-19T08:30:00+02:00
+ * - Numeric: 19.10.2026, 19.10.26 08:30 Uhr, 10/19/2026 (en), 19/10/2026
+ * - Written: 19. Oktober 2026, Mo., 19. Okt. 2026, October 19, 2026, 19 Oct 2026
+ * - Relative: vor 2 Stunden, gestern, heute, 3 days ago, yesterday, today
+ *
+ * Dates without a timezone are interpreted in the process timezone (TZ).
+ */
+
+const MONTHS = {
+  // German
+  januar: 0, jan: 0, jänner: 0, jän: 0, februar: 1, feb: 1, märz: 2, maerz: 2, mär: 2, mrz: 2,
+  april: 3, apr: 3, mai: 4, juni: 5, jun: 5, juli: 6, jul: 6, august: 7, aug: 7,
+  september: 8, sep: 8, sept: 8, oktober: 9, okt: 9, november: 10, nov: 10, dezember: 11, dez: 11,
+  // English
+  january: 0, february: 1, march: 2, mar: 2, may: 4, june: 5, july: 6,
+  october: 9, oct: 9, december: 11, dec: 11
+};
+
+const UNIT_MS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000
+};
+
+const MONTH_PATTERN = Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|');
+const TIME_PATTERN = '(?:[,\\s]+(?:um\\s+|at\\s+|-\\s*)?(\\d{1,2})[:.](\\d{2})(?:\\s*(am|pm))?)?';
+
+/**
+ * Parses a date string
+ * @param {string} text - Date text from the page
+ * @param {Object} options
+ * @param {string} options.language - 'de' or 'en'; decides ambiguous dd/mm vs mm/dd (default: 'en')
+ * @param {Date} options.now - Reference time for relative dates (default: now)
+ * @returns {Date|null} - Parsed date or null if unrecognized
+ */
+function parseDate(text, options = {}) {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+
+  const language = options.language || 'en';
+  const now = options.now || new Date();
+  const input = text.replace(/\s+/g, ' ').trim().toLowerCase();
+
+  // ISO 8601 (also as part of a longer string)
+  const iso = input.match(/\b(\d{4})-(\d{2})-(\d{2})(?:[t ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?(z|[+-]\d{2}:?\d{2})?)?/);
+  if (iso) {
+    const [, year, month, day, hour, minute, second, zone] = iso;
+    if (zone) {
+      const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second || '00'}${zone.toUpperCase().replace(/^([+-]\d{2})(\d{2})$/, '$1:$2')}`);
+      return isNaN(date) ? null : date;
+    }
+    return build(+year, +month - 1, +day, hour, minute);
+  }
+
+  const relative = parseRelative(input, now);
+  if (relative) {
+    return relative;
+  }
+
+  // 19.10.2026 / 19.10.26 (German numeric)
+  const dotted = input.match(new RegExp(`\\b(\\d{1,2})\\.(\\d{1,2})\\.(\\d{4}|\\d{2})\\b${TIME_PATTERN}`));
+  if (dotted) {
+    const [, day, month, year, hour, minute, meridiem] = dotted;
+    return build(fullYear(year), +month - 1, +day, hour, minute, meridiem);
+  }
+
+  // 10/19/2026 (en) or 19/10/2026 (de, or whenever only day-first makes a valid date)
+  const slashed = input.match(new RegExp(`\\b(\\d{1,2})/(\\d{1,2})/(\\d{4}|\\d{2})\\b${TIME_PATTERN}`));
+  if (slashed) {
+    const [, first, second, year, hour, minute, meridiem] = slashed;
+    const dayFirst = +first > 12 || (language === 'de' && +second <= 12);
+    return build(fullYear(year), (dayFirst ? +second : +first) - 1, dayFirst ? +first : +second, hour, minute, meridiem);
+  }
+
+  // 19. Oktober 2026 / 19 Oct 2026
+  const dayMonth = input.match(new RegExp(`\\b(\\d{1,2})\\.?\\s+(${MONTH_PATTERN})\\.?,?\\s+(\\d{4})\\b${TIME_PATTERN}`));
+  if (dayMonth) {
+    const [, day, month, year, hour, minute, meridiem] = dayMonth;
+    return build(+year, MONTHS[month], +day, hour, minute, meridiem);
+  }
+
+  // October 19, 2026 / Oct. 19th 2026
+  const monthDay = input.match(new RegExp(`\\b(${MONTH_PATTERN})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b${TIME_PATTERN}`));
+  if (monthDay) {
+    const [, month, day, year, hour, minute, meridiem] = monthDay;
+    return build(+year, MONTHS[month], +day, hour, minute, meridiem);
+  }
+
+  return null;
+}
+
+/**
+ * Parses relative dates ("vor 2 Stunden", "3 days ago", "gestern", "today")
+ * @param {string} input - Lowercased text
+ * @param {Date} now - Reference time
+ * @returns {Date|null}
+ */
+function parseRelative(input, now) {
+  if (/\b(heute|today|gerade eben|just now)\b/.test(input)) {
+    return withTime(new Date(now), input) || new Date(now);
+  }
+  if (/\b(gestern|yesterday)\b/.test(input)) {
+    const date = new Date(now);
+    date.setDate(date.getDate() - 1);
+    return withTime(date, input) || date;
+  }
+
+  const match = input.match(/\bvor\s+(\d+|einer?|einem)\s+(minuten?|min|stunden?|std|tag(?:en)?|wochen?)\b/) ||
+    input.match(/\b(\d+|an?|one)\s+(minutes?|mins?|hours?|days?|weeks?)\s+ago\b/);
+  if (!match) {
+    return null;
+  }
+
+  const count = /^\d+$/.test(match[1]) ? parseInt(match[1]) : 1;
+  const word = match[2];
+  const unit = word.startsWith('min') ? 'minute'
+    : /^(stunde|std|hour)/.test(word) ? 'hour'
+      : /^(tag|day)/.test(word) ? 'day'
+        : 'week';
+
+  return new Date(now.getTime() - count * UNIT_MS[unit]);
+}
+
+/**
+ * Applies a time of day found in the text ("gestern, 14:30")
+ * @param {Date} date - Date to modify
+ * @param {string} input - Lowercased text
+ * @returns {Date|null} - Date with time, null if the text has no time
+ */
+function withTime(date, input) {
+  const time = input.match(/\b(\d{1,2}):(\d{2})\b/);
+  if (!time) return null;
+  date.setHours(+time[1], +time[2], 0, 0);
+  return date;
+}
+
+/**
+ * Expands two-digit years (26 → 2026)
+ * @param {string} year - Year text
+ * @returns {number}
+ */
+function fullYear(year) {
+  return year.length === 2 ? 2000 + parseInt(year) : parseInt(year);
+}
+
+/**
+ * Builds a local date and rejects impossible values (e.g. 31.02.)
+ * @returns {Date|null}
+ */
+function build(year, month, day, hour, minute, meridiem) {
+  let hours = hour !== undefined ? parseInt(hour) : 0;
+  if (meridiem === 'pm' && hours < 12) hours += 12;
+  if (meridiem === 'am' && hours === 12) hours = 0;
+
+  const date = new Date(year, month, day, hours, minute !== undefined ? parseInt(minute) : 0);
+  if (isNaN(date) || date.getMonth() !== month || date.getDate() !== day) {
+    return null;
+  }
+  return date;
+}
+
+module.exports = {
+  parseDate
+};
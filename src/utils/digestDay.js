@@ -0,0 +1,71 @@
+/**
+ * Digest Day
+ * The calendar day a digest belongs to, in the profile's timezone. The posted
+ * filter and the digest message store both use it, so they agree on "today"
+ * around midnight (e.g. 00:30 in Europe/Berlin is still the previous UTC day).
+ */
+
+const DEFAULT_TIMEZONE = process.env.TIMEZONE || 'Europe/Berlin';
+
+/**
+ * Wall-clock date and time of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} - { year, month, day, hour, minute, second } (month 1-12)
+ */
+function getZonedParts(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const values = {};
+  for (const part of parts) {
+    if (part.type !== 'literal') values[part.type] = parseInt(part.value, 10);
+  }
+  return values;
+}
+
+/**
+ * Gets the digest day of an instant
+ * @param {string} timezone - IANA timezone (default: TIMEZONE)
+ * @param {Date} date - Instant (default: now)
+ * @returns {string} - YYYY-MM-DD
+ */
+function getDigestDay(timezone = DEFAULT_TIMEZONE, date = new Date()) {
+  const { year, month, day } = getZonedParts(date, timezone || DEFAULT_TIMEZONE);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Gets the start (local midnight) of the digest day of an instant
+ * @param {string} timezone - IANA timezone (default: TIMEZONE)
+ * @param {Date} date - Instant (default: now)
+ * @returns {Date} - Start of the day
+ */
+function getDigestDayStart(timezone = DEFAULT_TIMEZONE, date = new Date()) {
+  const zone = timezone || DEFAULT_TIMEZONE;
+  const { year, month, day } = getZonedParts(date, zone);
+  const midnightUtc = Date.UTC(year, month - 1, day);
+
+  // Shift by the zone's offset; a second pass corrects for DST changes between now and midnight
+  let start = midnightUtc;
+  for (let i = 0; i < 2; i++) {
+    const parts = getZonedParts(new Date(start), zone);
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    start -= wallClock - midnightUtc;
+  }
+
+  return new Date(start);
+}
+
+module.exports = {
+  getDigestDay,
+  getDigestDayStart
+};
@@ -0,0 +1,174 @@
+const Parser = require('rss-parser');
+
+/**
+ * Feed Parser
+ * Parses RSS 2.0, Atom, RSS 1.0/RDF and JSON Feed (1.0/1.1) into one item shape.
+ * The format is auto-detected from the document, not from the configured URL.
+ *
+ * Item shape: { id, title, link, pubDate, description, image, author }
+ */
+
+const xmlParser = new Parser({
+  customFields: {
+    item: ['description', 'content:encoded', 'media:content', 'media:thumbnail']
+  }
+});
+
+/**
+ * Detects the feed format from the document root (or the content type for JSON)
+ * @param {string} body - Feed document
+ * @param {string} contentType - Content-Type header (optional)
+ * @returns {string|null} - 'rss', 'atom', 'rdf', 'json' or null if unrecognized
+ */
+function detectFeedFormat(body, contentType = '') {
+  const start = body.replace(/^\uFEFF/, '').trimStart().substring(0, 2000);
+
+  if (start.startsWith('{') || /\bjson\b/.test(contentType)) {
+    return 'json';
+  }
+
+  // First element, skipping the XML prolog, comments and doctype
+  const root = start.match(/<(?![?!])([\w:.-]+)/)?.[1].toLowerCase();
+  switch (root) {
+    case 'rss':
+      return 'rss';
+    case 'feed':
+      return 'atom';
+    case 'rdf:rdf':
+      return 'rdf';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parses a feed document
+ * @param {string} body - Feed document
+ * @param {Object} options - { contentType }
+ * @returns {Promise<Object>} - { format, title, items }
+ */
+async function parseFeed(body, options = {}) {
+  const format = detectFeedFormat(body, options.contentType);
+
+  if (!format) {
+    throw new Error('Unrecognized feed format (expected RSS, Atom, RDF or JSON Feed)');
+  }
+
+  if (format === 'json') {
+    return parseJsonFeed(body);
+  }
+
+  const feed = await xmlParser.parseString(body);
+
+  return {
+    format,
+    title: feed.title || null,
+    items: (feed.items || []).map(item => normalizeXmlItem(item, format))
+  };
+}
+
+/**
+ * Maps an rss-parser item to the common item shape
+ * rss-parser already resolves Atom's link rel="alternate" and published/updated dates,
+ * and copies RDF's dc:date to `date`
+ * @param {Object} item - rss-parser item
+ * @param {string} format - 'rss', 'atom' or 'rdf'
+ * @returns {Object}
+ */
+function normalizeXmlItem(item, format) {
+  // Atom: the summary is the teaser, content is the full article
+  const description = format === 'atom'
+    ? item.summary || item.contentSnippet || item.content
+    : item.contentSnippet || item.description || item['content:encoded'];
+
+  return {
+    id: item.guid || item.id || item['rdf:about'] || item.link || null,
+    title: textOf(item.title),
+    link: item.link || null,
+    pubDate: item.pubDate || item.isoDate || item.date || item['dc:date'] || null,
+    description: textOf(description),
+    image: extractImage(item),
+    author: item.creator || item.author || null
+  };
+}
+
+/**
+ * Parses a JSON Feed (https://jsonfeed.org/version/1.1)
+ * @param {string} body - JSON document
+ * @returns {Object} - { format: 'json', title, items }
+ */
+function parseJsonFeed(body) {
+  let feed;
+  try {
+    feed = JSON.parse(body.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new Error(`Invalid JSON Feed: ${error.message}`);
+  }
+
+  if (!feed || typeof feed.version !== 'string' || !feed.version.startsWith('https://jsonfeed.org/version/')) {
+    throw new Error('Invalid JSON Feed: missing jsonfeed.org version');
+  }
+
+  const items = (Array.isArray(feed.items) ? feed.items : []).map(item => {
+    // 1.1 uses authors[], 1.0 a single author
+    const author = (item.authors || feed.authors || [])[0] || item.author || feed.author;
+    const imageAttachment = (item.attachments || []).find(attachment => (attachment.mime_type || '').startsWith('image/'));
+    const text = item.content_text || (item.content_html || '').replace(/<[^>]*>/g, ' ');
+
+    return {
+      id: item.id != null ? String(item.id) : null,
+      // Microblog-style items may have no title
+      title: item.title || text.replace(/\s+/g, ' ').trim().substring(0, 120),
+      link: item.url || item.external_url || null,
+      pubDate: item.date_published || item.date_modified || null,
+      description: item.summary || text,
+      image: item.image || item.banner_image || imageAttachment?.url || null,
+      author: author?.name || null
+    };
+  });
+
+  return {
+    format: 'json',
+    title: feed.title || null,
+    items
+  };
+}
+
+/**
+ * Extracts an image URL from an rss-parser item
+ * @param {Object} item - rss-parser item
+ * @returns {string|null}
+ */
+function extractImage(item) {
+  if (item.enclosure && item.enclosure.url && (!item.enclosure.type || item.enclosure.type.startsWith('image/'))) {
+    return item.enclosure.url;
+  }
+
+  for (const field of ['media:content', 'media:thumbnail']) {
+    if (item[field] && item[field].$ && item[field].$.url) {
+      return item[field].$.url;
+    }
+  }
+
+  if (item.image && item.image.url) {
+    return item.image.url;
+  }
+
+  return null;
+}
+
+/**
+ * Returns the text of a parsed XML value (xml2js yields { _: text } for elements with attributes)
+ * @param {any} value - Parsed value
+ * @returns {string}
+ */
+function textOf(value) {
+  if (value == null) return '';
+  if (typeof value === 'object') return value._ || '';
+  return String(value);
+}
+
+module.exports = {
+  detectFeedFormat,
+  parseFeed
+};
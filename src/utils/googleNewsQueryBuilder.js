@@ -1,4 +1,5 @@
 const stringSimilarity = require('string-similarity');
+const { toGoogleNewsQuery } = require('./keywordExpression');
 
 /**
  * GoogleNewsQueryBuilder - Builds optimized Google News search queries
@@ -8,6 +9,7 @@ const stringSimilarity = require('string-similarity');
  * - Exact phrase matching for multi-word keywords
  * - Boolean OR combinations
  * - Exclusion terms for noise reduction
+ * - Boolean keyword expressions translated to Google News syntax
  * - Date filtering
  */
 class GoogleNewsQueryBuilder {
@@ -17,6 +19,9 @@ class GoogleNewsQueryBuilder {
     this.exactPhraseMatching = options.exactPhraseMatching !== false; // default true
     this.maxQueriesPerFetch = options.maxQueriesPerFetch || 5;
     this.similarityThreshold = options.similarityThreshold || 0.4;
+
+    // Compiled boolean expressions by keyword (relevance.json keywords.expressions)
+    this.expressions = options.expressions || {};
   }
 
   /**
@@ -167,8 +172,10 @@ class GoogleNewsQueryBuilder {
       return '';
     }
 
-    // Combine keywords with OR operator
-    const keywordPart = keywordGroup.join(' OR ');
+    // Combine keywords with OR operator (keywords with an expression are searched by it)
+    const keywordPart = keywordGroup
+      .map(keyword => this.expandExpression(keyword, keywordGroup.length > 1))
+      .join(' OR ');
 
     // Build query parts
     const parts = [keywordPart];
@@ -186,6 +193,27 @@ class GoogleNewsQueryBuilder {
 
     return parts.join(' ');
   }
+
+  /**
+   * Replace a keyword by its boolean expression in Google News syntax
+   *
+   * @param {string} keyword - Formatted keyword (possibly quoted)
+   * @param {boolean} grouped - Keyword is ORed with others
+   * @returns {string} Query part
+   */
+  expandExpression(keyword, grouped) {
+    const plain = keyword.replace(/"/g, '');
+    const expression = this.expressions[plain] || this.expressions[plain.toLowerCase()];
+
+    if (!expression) {
+      return keyword;
+    }
+
+    return toGoogleNewsQuery(expression.tree, {
+      exactPhraseMatching: this.exactPhraseMatching,
+      grouped
+    });
+  }
 }
 
 /**
@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * JSON Store
+ * Small helpers for persisting bot state (ledgers, history, etc.) as JSON files
+ */
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '../../data');
+
+/**
+ * Resolves a file path inside the data directory
+ * @param {string} fileName - File name (e.g., 'posted-articles.json')
+ * @returns {string} - Absolute path
+ */
+function getDataPath(fileName) {
+  const dataDir = process.env.DATA_DIR || DEFAULT_DATA_DIR;
+  return path.join(dataDir, fileName);
+}
+
+/**
+ * Reads and parses a JSON file
+ * @param {string} filePath - Path to JSON file
+ * @param {any} fallback - Value returned if the file is missing or invalid
+ * @returns {any} - Parsed content or fallback
+ */
+function readJSON(filePath, fallback = null) {
+  try {
+    const content = fs.readFileSync(filePath, 'utf8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`⚠️  Could not read ${filePath}:`, error.message);
+    }
+    return fallback;
+  }
+}
+
+/**
+ * Writes JSON to a file atomically (temp file + rename)
+ * @param {string} filePath - Target path
+ * @param {any} data - Data to serialize
+ */
+function writeJSONAtomic(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), 'utf8');
+  fs.renameSync(tmpPath, filePath);
+}
+
+module.exports = {
+  getDataPath,
+  readJSON,
+  writeJSONAtomic
+};
@@ -0,0 +1,249 @@
+/**
+ * Keyword Expressions
+ * Boolean keyword expressions from the `expression` column of config/keywords.csv,
+ * e.g. `delivery AND (robot OR drone) NOT pizza`
+ *
+ * Syntax:
+ * - Terms are words or "quoted phrases"; each is matched with the keyword's
+ *   variations (plural, hyphen, synonyms)
+ * - AND, OR and NOT (upper case), parentheses for grouping
+ * - Terms next to each other are combined with AND; `a NOT b` means `a AND NOT b`
+ * - `-term` is short for `NOT term`
+ *
+ * Expressions are compiled to a tree by generate-keywords and stored in
+ * relevance.json (keywords.expressions), so the bot never parses them at runtime:
+ *   { type: 'term', value } | { type: 'and'|'or', children: [...] } | { type: 'not', child }
+ */
+
+class KeywordExpressionError extends Error {
+  constructor(message, expression) {
+    super(message);
+    this.name = 'KeywordExpressionError';
+    this.expression = expression;
+  }
+}
+
+const OPERATORS = ['AND', 'OR', 'NOT'];
+
+/**
+ * Splits an expression into tokens
+ * @param {string} source - Expression text
+ * @returns {Array<Object>} - [{ type: 'term'|'AND'|'OR'|'NOT'|'('|')', value }]
+ */
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char });
+      i++;
+    } else if (char === '-') {
+      // Minus starting a token, also right after a phrase or ")": "x y"-z is "x y" NOT z
+      // (a hyphen inside a word like e-grocery is read with the word below)
+      tokens.push({ type: 'NOT' });
+      i++;
+    } else if (char === '"') {
+      const end = source.indexOf('"', i + 1);
+      if (end === -1) {
+        throw new KeywordExpressionError(`Unclosed quote at position ${i + 1}`, source);
+      }
+      const phrase = source.slice(i + 1, end).trim().replace(/\s+/g, ' ');
+      if (!phrase) {
+        throw new KeywordExpressionError(`Empty phrase at position ${i + 1}`, source);
+      }
+      tokens.push({ type: 'term', value: phrase.toLowerCase() });
+      i = end + 1;
+    } else {
+      let end = i;
+      while (end < source.length && !/[\s()"]/.test(source[end])) end++;
+      const word = source.slice(i, end);
+      tokens.push(OPERATORS.includes(word) ? { type: word } : { type: 'term', value: word.toLowerCase() });
+      i = end;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parses an expression into a tree
+ * @param {string} source - Expression text
+ * @returns {Object} - Expression tree
+ * @throws {KeywordExpressionError} - If the expression is invalid
+ */
+function parseKeywordExpression(source) {
+  if (!source || !source.trim()) {
+    throw new KeywordExpressionError('Expression is empty', source);
+  }
+
+  const tokens = tokenize(source);
+  let position = 0;
+  const peek = () => tokens[position];
+  const describe = token => (token ? (token.type === 'term' ? `"${token.value}"` : token.type) : 'end of expression');
+
+  // or := and (OR and)*
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek()?.type === 'OR') {
+      position++;
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  // and := unary ([AND] unary)*  - adjacent terms and NOT are combined with AND
+  const parseAnd = () => {
+    const children = [parseUnary()];
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') position++;
+      children.push(parseUnary());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  // unary := NOT unary | primary
+  const parseUnary = () => {
+    if (peek()?.type === 'NOT') {
+      position++;
+      return { type: 'not', child: parseUnary() };
+    }
+    return parsePrimary();
+  };
+
+  // primary := term | ( or )
+  const parsePrimary = () => {
+    const token = peek();
+
+    if (token?.type === 'term') {
+      position++;
+      return { type: 'term', value: token.value };
+    }
+
+    if (token?.type === '(') {
+      position++;
+      const node = parseOr();
+      if (peek()?.type !== ')') {
+        throw new KeywordExpressionError(`Expected ")" but found ${describe(peek())}`, source);
+      }
+      position++;
+      return node;
+    }
+
+    throw new KeywordExpressionError(`Expected a term or "(" but found ${describe(token)}`, source);
+  };
+
+  const tree = parseOr();
+  if (position < tokens.length) {
+    throw new KeywordExpressionError(`Unexpected ${describe(peek())}`, source);
+  }
+
+  if (!hasPositiveTerm(tree)) {
+    throw new KeywordExpressionError('Expression needs at least one term that is not negated', source);
+  }
+
+  return tree;
+}
+
+/**
+ * Checks whether a tree can match without a negated term (NOT-only expressions would match almost everything)
+ * @param {Object} node - Expression tree
+ * @param {boolean} negated - Inside an odd number of NOTs
+ * @returns {boolean}
+ */
+function hasPositiveTerm(node, negated = false) {
+  switch (node.type) {
+    case 'term':
+      return !negated;
+    case 'not':
+      return hasPositiveTerm(node.child, !negated);
+    default:
+      return node.children.some(child => hasPositiveTerm(child, negated));
+  }
+}
+
+/**
+ * Evaluates an expression tree
+ * @param {Object} node - Expression tree
+ * @param {Function} matchTerm - (term) => boolean, whether the text contains the term
+ * @returns {boolean}
+ */
+function evaluateKeywordExpression(node, matchTerm) {
+  switch (node.type) {
+    case 'term':
+      return matchTerm(node.value);
+    case 'not':
+      return !evaluateKeywordExpression(node.child, matchTerm);
+    case 'and':
+      return node.children.every(child => evaluateKeywordExpression(child, matchTerm));
+    case 'or':
+      return node.children.some(child => evaluateKeywordExpression(child, matchTerm));
+    default:
+      throw new KeywordExpressionError(`Unknown expression node "${node.type}"`);
+  }
+}
+
+/**
+ * Pushes NOT down to the terms (De Morgan), since Google News only negates single terms
+ * @param {Object} node - Expression tree
+ * @param {boolean} negated - Whether the node is negated
+ * @returns {Object} - Tree where `not` only wraps terms
+ */
+function pushNegation(node, negated = false) {
+  switch (node.type) {
+    case 'term':
+      return negated ? { type: 'not', child: node } : node;
+    case 'not':
+      return pushNegation(node.child, !negated);
+    default: {
+      const type = negated ? (node.type === 'and' ? 'or' : 'and') : node.type;
+      return { type, children: node.children.map(child => pushNegation(child, negated)) };
+    }
+  }
+}
+
+/**
+ * Translates an expression tree into Google News search syntax
+ * `delivery AND (robot OR drone) NOT pizza` → `delivery (robot OR drone) -pizza`
+ * @param {Object} tree - Expression tree
+ * @param {Object} options
+ * @param {boolean} options.exactPhraseMatching - Quote multi-word terms (default: true)
+ * @param {boolean} options.grouped - The query is one alternative of an OR (parenthesize ANDs)
+ * @returns {string} - Query
+ */
+function toGoogleNewsQuery(tree, options = {}) {
+  const exactPhraseMatching = options.exactPhraseMatching !== false;
+
+  const render = (node, parent) => {
+    switch (node.type) {
+      case 'term':
+        return exactPhraseMatching && node.value.includes(' ') ? `"${node.value}"` : node.value;
+      case 'not':
+        return `-${render(node.child, node)}`;
+      case 'and': {
+        // Google binds OR tighter than the implicit AND, so an AND inside an OR needs parentheses
+        const query = node.children.map(child => render(child, node)).join(' ');
+        return parent?.type === 'or' ? `(${query})` : query;
+      }
+      case 'or': {
+        const query = node.children.map(child => render(child, node)).join(' OR ');
+        return parent?.type === 'and' ? `(${query})` : query;
+      }
+      default:
+        throw new KeywordExpressionError(`Unknown expression node "${node.type}"`);
+    }
+  };
+
+  return render(pushNegation(tree), options.grouped ? { type: 'or' } : null);
+}
+
+module.exports = {
+  KeywordExpressionError,
+  parseKeywordExpression,
+  evaluateKeywordExpression,
+  toGoogleNewsQuery
+};
@@ -1,4 +1,6 @@
 const { compareTwoStrings } = require('string-similarity');
+const { evaluateKeywordExpression } = require('./keywordExpression');
+const { loadConfigFile } = require('./configValidator');
 
 /**
  * KeywordMatcher - Advanced keyword matching with variations, synonyms, and fuzzy matching
@@ -10,11 +12,26 @@ const { compareTwoStrings } = require('string-similarity');
  * - Multi-language synonym support (EN ↔ DE)
  * - Fuzzy matching with configurable threshold
  * - Hybrid mode (variations first, then fuzzy as fallback)
+ * - Boolean keyword expressions (delivery AND (robot OR drone) NOT pizza)
  * - Performance-optimized with balanced caching
  */
 
 class KeywordMatcher {
   constructor(config = {}) {
+    this.cacheHits = 0;
+    this.cacheMisses = 0;
+    this.maxCacheSize = 500; // Balanced: not too large
+
+    this.configure(config);
+  }
+
+  /**
+   * Applies matching options, variations, synonyms and expressions
+   * Also used to reconfigure the shared instance after relevance.json changed, so sources
+   * and scorers holding it see the new keywords; cached matches are dropped
+   * @param {object} config - Matcher config (keywords section of relevance.json)
+   */
+  configure(config = {}) {
     this.config = {
       mode: process.env.KEYWORD_MATCHING_MODE || config.mode || 'hybrid', // exact|variations|fuzzy|hybrid
       fuzzyThreshold: parseFloat(process.env.KEYWORD_FUZZY_THRESHOLD || config.fuzzyThreshold || '0.8'),
@@ -31,11 +48,11 @@ class KeywordMatcher {
       'en-de': {}
     };
 
+    // Compiled boolean expressions by keyword (loaded from relevance.json)
+    this.expressions = config.expressions || {};
+
     // Balanced cache: Only cache frequent matches
     this.matchCache = new Map();
-    this.cacheHits = 0;
-    this.cacheMisses = 0;
-    this.maxCacheSize = 500; // Balanced: not too large
 
     console.log('✓ KeywordMatcher initialized:', {
       mode: this.config.mode,
@@ -43,12 +60,14 @@ class KeywordMatcher {
       autoPlural: this.config.autoPlural,
       autoHyphen: this.config.autoHyphen,
       manualVariations: Object.keys(this.variations).length,
-      synonyms: Object.keys(this.synonyms['en-de']).length
+      synonyms: Object.keys(this.synonyms['en-de']).length,
+      expressions: Object.keys(this.expressions).length
     });
   }
 
   /**
    * Main matching function - checks if text contains keyword (with variations/synonyms)
+   * Keywords with a boolean expression are matched by their expression instead
    * @param {string} text - Text to search in (e.g., article title/description)
    * @param {string} keyword - Keyword to search for
    * @param {object} options - Override options (language, mode)
@@ -74,9 +93,14 @@ class KeywordMatcher {
     this.cacheMisses++;
 
     let result;
+    const expression = this.expressions[keyword] || this.expressions[keywordLower];
 
     // Strategy based on mode
-    switch (mode) {
+    switch (expression ? 'expression' : mode) {
+      case 'expression':
+        result = this.matchesExpression(textLower, expression.tree, { ...options, mode });
+        break;
+
       case 'exact':
         result = this._exactMatch(textLower, keywordLower);
         break;
@@ -110,6 +134,31 @@ class KeywordMatcher {
     return result;
   }
 
+  /**
+   * Boolean expression matching - each term is matched with its variations/synonyms
+   * (fuzzy matching is skipped: a fuzzy hit on a NOT term would drop good articles)
+   * @param {string} text - Text to search in
+   * @param {object} tree - Compiled expression tree (see utils/keywordExpression)
+   * @param {object} options - Override options (language, mode)
+   * @returns {object} - { matched: boolean, matchType: string, similarity: number }
+   */
+  matchesExpression(text, tree, options = {}) {
+    const textLower = (text || '').toLowerCase();
+    const mode = options.mode || this.config.mode;
+
+    const matched = evaluateKeywordExpression(tree, term => (
+      mode === 'exact'
+        ? this._exactMatch(textLower, term).matched
+        : this._variationsMatch(textLower, term, options).matched
+    ));
+
+    return {
+      matched,
+      matchType: matched ? 'expression' : 'none',
+      similarity: matched ? 1.0 : 0
+    };
+  }
+
   /**
    * Exact substring matching (case-insensitive)
    */
@@ -350,6 +399,25 @@ class KeywordMatcher {
 // Singleton instance
 let keywordMatcherInstance = null;
 
+/**
+ * Matcher config from the keywords section of relevance.json
+ * @returns {object|null} - null if relevance.json cannot be read
+ */
+function loadMatcherConfig() {
+  try {
+    const keywords = loadConfigFile('relevance').keywords || {};
+    return {
+      variations: keywords.variations || {},
+      synonyms: keywords.synonyms || { 'en-de': {} },
+      expressions: keywords.expressions || {},
+      ...keywords.matchingOptions || {}
+    };
+  } catch (error) {
+    console.warn(`⚠️  Could not load relevance.json: ${error.message}`);
+    return null;
+  }
+}
+
 /**
  * Get singleton KeywordMatcher instance
  * @param {object} config - Configuration object (only used on first call)
@@ -360,23 +428,35 @@ function getKeywordMatcher(config = null) {
     keywordMatcherInstance = new KeywordMatcher(config);
   } else if (!keywordMatcherInstance) {
     // Load config from relevance.json if not provided
-    try {
-      const relevanceConfig = require('../relevance/config/relevance.json');
-      keywordMatcherInstance = new KeywordMatcher({
-        variations: relevanceConfig.keywords?.variations || {},
-        synonyms: relevanceConfig.keywords?.synonyms || { 'en-de': {} },
-        ...relevanceConfig.keywords?.matchingOptions || {}
-      });
-    } catch (error) {
-      console.warn('⚠️  Could not load relevance.json, using default KeywordMatcher config');
-      keywordMatcherInstance = new KeywordMatcher();
+    const relevanceConfig = loadMatcherConfig();
+    if (!relevanceConfig) {
+      console.warn('⚠️  Using default KeywordMatcher config');
     }
+    keywordMatcherInstance = new KeywordMatcher(relevanceConfig || {});
+  }
+
+  return keywordMatcherInstance;
+}
+
+/**
+ * Reconfigure the singleton from relevance.json after it changed
+ * Keeps the current config if relevance.json cannot be read
+ * @returns {KeywordMatcher}
+ */
+function reloadKeywordMatcher() {
+  if (!keywordMatcherInstance) {
+    return getKeywordMatcher();
   }
 
+  const relevanceConfig = loadMatcherConfig();
+  if (relevanceConfig) {
+    keywordMatcherInstance.configure(relevanceConfig);
+  }
   return keywordMatcherInstance;
 }
 
 module.exports = {
   KeywordMatcher,
-  getKeywordMatcher
+  getKeywordMatcher,
+  reloadKeywordMatcher
 };
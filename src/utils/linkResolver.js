@@ -0,0 +1,290 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { getCacheManager } = require('../cache/CacheManager');
+
+/**
+ * Link Resolver
+ * Turns fetched links into canonical publisher URLs before deduplication and scoring:
+ *
+ * 1. Google News article links (news.google.com/rss/articles/<id>) are decoded to
+ *    the publisher URL. Older ids contain the URL and are decoded offline; newer
+ *    ids are resolved through Google News' own decoding endpoint (cached for a week in the
+ *    'links' cache, which config reloads do not flush)
+ * 2. Tracking parameters (utm_*, fbclid, gclid, ...) and fragments are removed
+ * 3. AMP variants (Google AMP cache, /amp paths, ?amp=1, amp. hosts) collapse to the regular page
+ *
+ * Items keep the fetched link as `originalUrl`; `link` and `canonicalUrl` hold the result.
+ * A link that cannot be resolved stays as it is.
+ */
+
+const TRACKING_PARAMS = /^(utm_.+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|igshid|_hsenc|_hsmi|ocid|cmpid)$/i;
+const AMP_PARAMS = /^(amp|outputType)$/i;
+const GOOGLE_NEWS_PATH = /^\/(?:rss\/)?(?:articles|read)\/([A-Za-z0-9_-]+)/;
+
+class LinkResolver {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.enabled - Resolve Google News links over the network (default: true)
+   * @param {number} options.concurrency - Parallel Google News lookups (default: 5)
+   * @param {number} options.timeout - HTTP timeout in ms (default: 10000)
+   * @param {string} options.googleNewsUrl - Google News base URL (default: https://news.google.com)
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.concurrency = options.concurrency || 5;
+    this.timeout = options.timeout || 10000;
+    this.googleNewsUrl = (options.googleNewsUrl || 'https://news.google.com').replace(/\/+$/, '');
+    this.cacheManager = getCacheManager();
+  }
+
+  /**
+   * Resolve the links of news items
+   * @param {Array<Object>} items - Normalized news items
+   * @returns {Promise<Array<Object>>} Items with canonical `link`, `canonicalUrl` and `originalUrl`
+   */
+  async resolveAll(items) {
+    const results = [];
+    let resolvedCount = 0;
+
+    for (let i = 0; i < items.length; i += this.concurrency) {
+      const batch = items.slice(i, i + this.concurrency);
+      results.push(...await Promise.all(batch.map(async item => {
+        if (!item.link) return item;
+
+        const originalUrl = item.originalUrl || item.link;
+        const resolved = await this.resolve(originalUrl);
+        if (resolved !== originalUrl && isGoogleNewsUrl(originalUrl)) {
+          resolvedCount++;
+        }
+
+        return { ...item, link: resolved, canonicalUrl: resolved, originalUrl };
+      })));
+    }
+
+    const googleCount = items.filter(item => isGoogleNewsUrl(item.originalUrl || item.link)).length;
+    if (googleCount > 0) {
+      console.log(`✓ Resolved ${resolvedCount}/${googleCount} Google News links to publisher URLs`);
+    }
+
+    return results;
+  }
+
+  /**
+   * Resolve a single link
+   * @param {string} url - Fetched link
+   * @returns {Promise<string>} Canonical URL
+   */
+  async resolve(url) {
+    if (!isGoogleNewsUrl(url)) {
+      return canonicalizeUrl(url);
+    }
+
+    const publisherUrl = decodeGoogleNewsUrl(url) || (this.enabled ? await this.lookupGoogleNewsUrl(url) : null);
+    return canonicalizeUrl(publisherUrl || url);
+  }
+
+  /**
+   * Resolve a Google News link whose id does not contain the URL (cached per link)
+   * @param {string} url - Google News article link
+   * @returns {Promise<string|null>} Publisher URL, or null if it could not be resolved
+   */
+  async lookupGoogleNewsUrl(url) {
+    const articleId = new URL(url).pathname.match(GOOGLE_NEWS_PATH)[1];
+    // Publisher URLs of an article never change, so the key has no date
+    const cacheKey = `link:${articleId}`;
+
+    try {
+      return await this.cacheManager.wrap('links', cacheKey, () => this.fetchGoogleNewsUrl(articleId));
+    } catch (error) {
+      console.warn(`⚠️  Could not resolve Google News link ${articleId.substring(0, 24)}...: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Ask Google News for the publisher URL of an article id
+   * The article page carries a signature and timestamp that the decoding endpoint requires
+   * @param {string} articleId - Article id from the link
+   * @returns {Promise<string>} Publisher URL
+   */
+  async fetchGoogleNewsUrl(articleId) {
+    const page = await axios.get(`${this.googleNewsUrl}/rss/articles/${articleId}`, {
+      timeout: this.timeout,
+      responseType: 'text',
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; NewsBot/1.0)'
+      },
+      'axios-retry': {
+        retries: 0
+      }
+    });
+
+    // Some links still redirect straight to the publisher
+    const finalUrl = page.request?.res?.responseUrl;
+    if (finalUrl && !isGoogleNewsUrl(finalUrl) && !finalUrl.startsWith(this.googleNewsUrl)) {
+      return finalUrl;
+    }
+
+    const $ = cheerio.load(page.data);
+    const element = $('[data-n-a-sg][data-n-a-ts]').first();
+    if (!element.length) {
+      throw new Error('article page has no decoding parameters');
+    }
+
+    const request = JSON.stringify([[[
+      'Fbv4je',
+      JSON.stringify([
+        'garturlreq',
+        [['X', 'X', ['X', 'X'], null, null, 1, 1, 'US:en', null, 1, null, null, null, null, null, 0, 1], 'X', 'X', 1, [1, 1, 1], 1, 1, null, 0, 0, null, 0],
+        articleId,
+        Number(element.attr('data-n-a-ts')),
+        element.attr('data-n-a-sg')
+      ]),
+      null,
+      'generic'
+    ]]]);
+
+    const response = await axios.post(
+      `${this.googleNewsUrl}/_/DotsSplashUi/data/batchexecute`,
+      new URLSearchParams({ 'f.req': request }).toString(),
+      {
+        timeout: this.timeout,
+        responseType: 'text',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8',
+          'User-Agent': 'Mozilla/5.0 (compatible; NewsBot/1.0)'
+        },
+        'axios-retry': {
+          retries: 0
+        }
+      }
+    );
+
+    // Response: )]}'\n\n[["wrb.fr","Fbv4je","[\"garturlres\",\"<url>\",1]",...]]
+    const body = String(response.data).replace(/^\)\]\}'\s*/, '');
+    const envelope = JSON.parse(body).find(entry => entry[0] === 'wrb.fr' && entry[1] === 'Fbv4je');
+    const publisherUrl = envelope && JSON.parse(envelope[2])[1];
+
+    if (!publisherUrl || !/^https?:\/\//.test(publisherUrl)) {
+      throw new Error('decoding endpoint returned no URL');
+    }
+
+    return publisherUrl;
+  }
+}
+
+/**
+ * Check whether a link is a Google News article redirect
+ * @param {string} url - Link
+ * @returns {boolean}
+ */
+function isGoogleNewsUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.hostname === 'news.google.com' && GOOGLE_NEWS_PATH.test(parsed.pathname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Decode the publisher URL from an older Google News article id (base64 protobuf
+ * with the URL in field 4 and the AMP URL in field 26)
+ * @param {string} url - Google News article link
+ * @returns {string|null} Publisher URL, or null if the id needs an online lookup
+ */
+function decodeGoogleNewsUrl(url) {
+  const match = isGoogleNewsUrl(url) && new URL(url).pathname.match(GOOGLE_NEWS_PATH);
+  if (!match) return null;
+
+  const bytes = Buffer.from(match[1], 'base64url');
+  let offset = 0;
+
+  const readVarint = () => {
+    let value = 0;
+    let shift = 0;
+    while (offset < bytes.length) {
+      const byte = bytes[offset++];
+      value += (byte & 0x7f) * 2 ** shift;
+      if (!(byte & 0x80)) return value;
+      shift += 7;
+    }
+    return null;
+  };
+
+  while (offset < bytes.length) {
+    const tag = readVarint();
+    if (tag === null) return null;
+
+    const field = Math.floor(tag / 8);
+    const wireType = tag % 8;
+
+    if (wireType === 0) {
+      if (readVarint() === null) return null;
+    } else if (wireType === 2) {
+      const length = readVarint();
+      if (length === null || offset + length > bytes.length) return null;
+      const value = bytes.subarray(offset, offset + length).toString('utf8');
+      offset += length;
+      if (field === 4) {
+        return /^https?:\/\//.test(value) ? value : null; // Newer ids ("AU_yqL...") need the online lookup
+      }
+    } else {
+      return null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Canonical form of a publisher URL: no tracking parameters, fragment or AMP variant
+ * @param {string} url - URL
+ * @returns {string} Canonical URL (the input if it is not a valid http(s) URL)
+ */
+function canonicalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url;
+  }
+  if (!/^https?:$/.test(parsed.protocol)) return url;
+
+  // Google AMP cache: https://www-example-com.cdn.ampproject.org/c/s/www.example.com/path
+  // and Google AMP viewer: https://www.google.com/amp/s/www.example.com/path
+  const ampCache = parsed.hostname.endsWith('.cdn.ampproject.org')
+    ? parsed.pathname.match(/^\/[a-z]+\/(s\/)?(.+)$/)
+    : (/^(www\.)?google\.[a-z.]+$/.test(parsed.hostname) ? parsed.pathname.match(/^\/amp\/(s\/)?(.+)$/) : null);
+  if (ampCache) {
+    try {
+      parsed = new URL(`${ampCache[1] ? 'https' : 'http'}://${ampCache[2]}${parsed.search}`);
+    } catch {
+      return url;
+    }
+  }
+
+  parsed.hash = '';
+  for (const param of [...parsed.searchParams.keys()]) {
+    if (TRACKING_PARAMS.test(param) || (AMP_PARAMS.test(param) && /^(1|true|amp)?$/i.test(parsed.searchParams.get(param)))) {
+      parsed.searchParams.delete(param);
+    }
+  }
+
+  if (parsed.hostname.startsWith('amp.')) {
+    parsed.hostname = parsed.hostname.slice('amp.'.length);
+  }
+  parsed.pathname = parsed.pathname
+    .replace(/\/amp\/?$/i, '/')
+    .replace(/^\/amp\//i, '/')
+    .replace(/\.amp(\.html?)?$/i, (_, extension) => extension || '');
+
+  return parsed.toString();
+}
+
+module.exports = {
+  LinkResolver,
+  isGoogleNewsUrl,
+  decodeGoogleNewsUrl,
+  canonicalizeUrl
+};
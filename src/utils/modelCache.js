@@ -17,6 +17,9 @@ class ModelCache {
     this.loading = new Map();
     this.transformers = null;
 
+    // Load time and inference timing per model (for GET /metrics)
+    this.timings = new Map();
+
     modelCacheInstance = this;
   }
 
@@ -90,7 +93,19 @@ class ModelCache {
       const loadTime = ((Date.now() - startTime) / 1000).toFixed(2);
       console.log(`✓ Model loaded in ${loadTime}s`);
 
-      return extractor;
+      const timing = { loadMs: Date.now() - startTime, inferences: 0, inferenceMs: 0 };
+      this.timings.set(modelName, timing);
+
+      // Same call signature as the pipeline, timed
+      return async (...args) => {
+        const inferenceStart = Date.now();
+        try {
+          return await extractor(...args);
+        } finally {
+          timing.inferences++;
+          timing.inferenceMs += Date.now() - inferenceStart;
+        }
+      };
     } catch (error) {
       console.error(`Failed to load model ${modelName}:`, error.message);
       throw error;
@@ -114,7 +129,8 @@ class ModelCache {
     return {
       cachedModels: this.cache.size,
       loadingModels: this.loading.size,
-      models: Array.from(this.cache.keys())
+      models: Array.from(this.cache.keys()),
+      timings: Object.fromEntries(this.timings)
     };
   }
 }
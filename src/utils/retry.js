@@ -1,4 +1,7 @@
+const axios = require('axios');
 const pRetry = require('p-retry').default || require('p-retry');
+const { AbortError } = require('p-retry');
+const { parseFeed } = require('./feedParser');
 
 /**
  * Retry Utility
@@ -95,7 +98,7 @@ async function retryWithBackoff(fn, options = {}) {
         if (!retryable) {
           // Permanent error - don't retry
           console.error(`❌ ${operationName} failed with permanent error (status: ${statusCode}):`, error.message);
-          throw new pRetry.AbortError(error);
+          throw new AbortError(error);
         }
 
         // Transient error - will retry
@@ -187,10 +190,64 @@ async function parseRSSWithRetry(parser, url, options = {}) {
   );
 }
 
+/**
+ * Fetches a feed (RSS, Atom, RDF or JSON Feed, auto-detected) with retry and timeout
+ * Unlike parseRSSWithRetry, HTTP errors keep their status code, so 4xx are not retried
+ * @param {string} url - Feed URL
+ * @param {Object} options - Retry options
+ * @param {Object} options.headers - Extra request headers (e.g., If-None-Match / If-Modified-Since)
+ * @returns {Promise<Object>} - Parsed feed { format, title, items, etag, lastModified },
+ *   or { notModified: true, items: [] } if the server answered 304
+ */
+async function fetchFeedWithRetry(url, options = {}) {
+  const {
+    timeout = 20000,
+    retries = 1,
+    operationName = `Feed: ${url}`,
+    headers = {}
+  } = options;
+
+  return retryWithBackoff(
+    async () => {
+      const response = await axios.get(url, {
+        timeout,
+        maxContentLength: 10 * 1024 * 1024,
+        responseType: 'text',
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (compatible; NewsBot/1.0)',
+          Accept: 'application/rss+xml, application/atom+xml, application/feed+json, application/xml;q=0.9, text/xml;q=0.9, */*;q=0.8',
+          ...headers
+        },
+        validateStatus: status => (status >= 200 && status < 300) || status === 304,
+        'axios-retry': {
+          retries: 0
+        }
+      });
+
+      if (response.status === 304) {
+        return { notModified: true, items: [] };
+      }
+
+      return {
+        ...await parseFeed(response.data, { contentType: response.headers['content-type'] }),
+        etag: response.headers.etag || null,
+        lastModified: response.headers['last-modified'] || null
+      };
+    },
+    {
+      retries,
+      operationName,
+      minTimeout: 2000, // 2s delay between feed retries
+      maxTimeout: 5000
+    }
+  );
+}
+
 module.exports = {
   retryWithBackoff,
   isRetryableError,
   createFetchWithTimeout,
   parseRSSWithRetry,
+  fetchFeedWithRetry,
   RetryError
 };
@@ -0,0 +1,187 @@
+const axios = require('axios');
+
+/**
+ * robots.txt
+ * Checks whether a URL may be fetched by the bot (RFC 9309).
+ *
+ * - Rules of the group naming the bot's product token win over the `*` group
+ * - The longest matching rule decides; on a tie, Allow wins
+ * - `*` and `$` wildcards are supported
+ * - Missing robots.txt (4xx) allows everything; server errors and unreachable hosts
+ *   disallow everything until the next check
+ */
+
+const DEFAULT_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const ERROR_TTL = 10 * 60 * 1000;        // Retry failed robots.txt requests after 10 minutes
+
+class RobotsTxt {
+  /**
+   * @param {Object} options
+   * @param {string} options.userAgent - Product token matched against User-agent lines (default: 'NewsBot')
+   * @param {number} options.ttl - How long a robots.txt is cached in ms (default: 24h)
+   * @param {number} options.timeout - Request timeout in ms (default: 10000)
+   */
+  constructor(options = {}) {
+    this.userAgent = options.userAgent || 'NewsBot';
+    this.ttl = options.ttl || DEFAULT_TTL;
+    this.timeout = options.timeout || 10000;
+    this.cache = new Map(); // origin -> { rules, expiresAt }
+  }
+
+  /**
+   * Checks whether a URL may be fetched
+   * @param {string} url - Page URL
+   * @returns {Promise<boolean>}
+   */
+  async isAllowed(url) {
+    const { origin, pathname, search } = new URL(url);
+    const rules = await this.getRules(origin);
+    return isPathAllowed(rules, `${pathname}${search}`);
+  }
+
+  /**
+   * Returns the rules that apply to the bot for an origin (cached)
+   * @param {string} origin - e.g. https://www.example.com
+   * @returns {Promise<Array<Object>>} - [{ allow, pattern }]
+   */
+  async getRules(origin) {
+    const cached = this.cache.get(origin);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.rules;
+    }
+
+    let rules;
+    let ttl = this.ttl;
+
+    try {
+      const response = await axios.get(`${origin}/robots.txt`, {
+        timeout: this.timeout,
+        maxRedirects: 5,
+        maxContentLength: 500 * 1024,
+        responseType: 'text',
+        validateStatus: () => true,
+        headers: {
+          'User-Agent': `Mozilla/5.0 (compatible; ${this.userAgent}/1.0)`
+        },
+        'axios-retry': {
+          retries: 0
+        }
+      });
+
+      if (response.status >= 200 && response.status < 300) {
+        rules = parseRobotsTxt(String(response.data || ''), this.userAgent);
+      } else if (response.status >= 400 && response.status < 500) {
+        rules = [];
+      } else {
+        console.warn(`⚠️  robots.txt of ${origin} returned ${response.status} - treating as disallowed`);
+        rules = [{ allow: false, pattern: '/' }];
+        ttl = ERROR_TTL;
+      }
+    } catch (error) {
+      console.warn(`⚠️  Could not fetch robots.txt of ${origin} (${error.message}) - treating as disallowed`);
+      rules = [{ allow: false, pattern: '/' }];
+      ttl = ERROR_TTL;
+    }
+
+    this.cache.set(origin, { rules, expiresAt: Date.now() + ttl });
+    return rules;
+  }
+}
+
+/**
+ * Parses robots.txt and returns the rules for a user agent
+ * @param {string} text - robots.txt content
+ * @param {string} userAgent - Product token (e.g. 'NewsBot')
+ * @returns {Array<Object>} - [{ allow, pattern }]
+ */
+function parseRobotsTxt(text, userAgent) {
+  const token = userAgent.toLowerCase();
+  const groups = [];
+  let current = null;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.substring(0, separator).trim().toLowerCase();
+    const value = line.substring(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!current || current.rules.length > 0) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+    } else if ((field === 'allow' || field === 'disallow') && current) {
+      // An empty Disallow allows everything
+      if (value) {
+        current.rules.push({ allow: field === 'allow', pattern: value });
+      }
+    }
+  }
+
+  const own = groups.filter(group => group.agents.some(agent => agent !== '*' && token.includes(agent)));
+  const selected = own.length > 0 ? own : groups.filter(group => group.agents.includes('*'));
+
+  return selected.flatMap(group => group.rules);
+}
+
+/**
+ * Applies the rules to a path (longest match wins, Allow wins ties)
+ * @param {Array<Object>} rules - From parseRobotsTxt()
+ * @param {string} path - Path with query string
+ * @returns {boolean}
+ */
+function isPathAllowed(rules, path) {
+  let best = null;
+
+  for (const rule of rules) {
+    if (!patternToRegExp(rule.pattern).test(path)) continue;
+
+    if (!best ||
+        rule.pattern.length > best.pattern.length ||
+        (rule.pattern.length === best.pattern.length && rule.allow)) {
+      best = rule;
+    }
+  }
+
+  return best ? best.allow : true;
+}
+
+/**
+ * Converts a robots.txt path pattern to a RegExp
+ * @param {string} pattern - e.g. /news/*.pdf$
+ * @returns {RegExp}
+ */
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// Singleton instance
+let robotsTxtInstance = null;
+
+/**
+ * Get the shared RobotsTxt instance
+ * @returns {RobotsTxt}
+ */
+function getRobotsTxt() {
+  if (!robotsTxtInstance) {
+    robotsTxtInstance = new RobotsTxt();
+  }
+  return robotsTxtInstance;
+}
+
+module.exports = {
+  RobotsTxt,
+  getRobotsTxt,
+  parseRobotsTxt,
+  isPathAllowed
+};
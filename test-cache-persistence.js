@@ -46,7 +46,9 @@ async function runTest() {
   if (hitRate > 0) {
     console.log('\n✅ SUCCESS: Cache is working! HIT rate > 0%');
     console.log('   ℹ️  In production (Docker), cache persists between daily jobs');
-    console.log('   ℹ️  In npm test, cache resets because each test starts new process');
+    if (stats.backend !== 'memory') {
+      console.log(`   ℹ️  With the ${stats.backend} backend, entries also survive restarts`);
+    }
   } else {
     console.log('\n❌ PROBLEM: No cache hits detected!');
   }
@@ -0,0 +1,138 @@
+/**
+ * Admin Sources Test
+ *
+ * Checks the runtime source management behind GET/POST/PATCH/DELETE /sources:
+ * 1. Admin token middleware
+ * 2. Adding, changing and removing sources (persisted, env placeholders kept)
+ * 3. Validation errors (schema paths, BaseSource.validate) leave the file and running sources untouched
+ * 4. Sources and the scorer's authority map are rebuilt in place
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'newsbot-admin-'));
+process.env.DATA_DIR = tmpDir;
+process.env.CACHE_BACKEND = 'memory';
+process.env.NEWSAPI_TEST_KEY = 'secret-key';
+
+const { requireAdminToken } = require('../src/admin/adminAuth');
+const SourceManager = require('../src/sources/SourceManager');
+
+let failures = 0;
+function check(description, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${description}`);
+  if (!condition) failures++;
+}
+
+const attempt = (fn) => {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+};
+
+async function request(port, urlPath, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http.get({ port, path: urlPath, headers }, res => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    }).on('error', reject);
+  });
+}
+
+async function run() {
+  console.log('🧪 Testing admin sources API\n');
+
+  // 1. Token middleware
+  const app = express();
+  app.get('/admin', requireAdminToken('s3cret-token'), (req, res) => res.json({ ok: true }));
+  app.get('/disabled', requireAdminToken(''), (req, res) => res.json({ ok: true }));
+  const server = app.listen(0);
+  const port = server.address().port;
+
+  check('valid bearer token is accepted', await request(port, '/admin', { Authorization: 'Bearer s3cret-token' }) === 200);
+  check('missing or wrong token is rejected', await request(port, '/admin') === 401 &&
+    await request(port, '/admin', { Authorization: 'Bearer s3cret' }) === 401);
+  check('admin API is disabled without ADMIN_API_TOKEN', await request(port, '/disabled') === 503);
+  server.close();
+
+  // 2. CRUD
+  const configPath = path.join(tmpDir, 'sources.json');
+  fs.writeFileSync(configPath, JSON.stringify({
+    sources: [
+      { id: 'retail-blog', name: 'Retail Blog', type: 'rss', config: { feedUrl: 'https://retail.example.com/feed.xml' } },
+      { id: 'newsapi', name: 'NewsAPI', type: 'newsapi', config: { apiKey: '${NEWSAPI_TEST_KEY}' } }
+    ],
+    sourceAuthority: { 'retail-blog': 0.8, newsapi: 0.7 }
+  }, null, 2));
+
+  const sourceManager = new SourceManager(configPath);
+  const scorer = sourceManager.scorer;
+  const readFile = () => JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+  const added = sourceManager.addSource({
+    id: 'logistics-blog',
+    name: 'Logistics Blog',
+    type: 'rss',
+    priority: 2,
+    config: { feedUrl: 'https://logistics.example.com/atom.xml' },
+    authority: 0.9
+  });
+  check('added source is loaded and persisted', added.loaded && sourceManager.getSource('logistics-blog') !== null &&
+    readFile().sources.some(source => source.id === 'logistics-blog'));
+  check('authority is rated in place', sourceManager.scorer === scorer && scorer.authorityMap['logistics-blog'] === 0.9 && readFile().sourceAuthority['logistics-blog'] === 0.9);
+  check('env placeholders stay in the file', readFile().sources[1].config.apiKey === '${NEWSAPI_TEST_KEY}' && sourceManager.getSource('newsapi').apiKey === 'secret-key');
+
+  sourceManager.updateSource('retail-blog', { enabled: false, authority: 0.5 });
+  check('disabling unloads the source and keeps it in the file', sourceManager.getSource('retail-blog') === null &&
+    readFile().sources[0].enabled === false && scorer.authorityMap['retail-blog'] === 0.5);
+
+  const updated = sourceManager.updateSource('logistics-blog', { config: { feedUrl: 'https://logistics.example.com/rss' } });
+  check('config changes are merged', updated.config.feedUrl === 'https://logistics.example.com/rss' && updated.priority === 2 &&
+    sourceManager.getSource('logistics-blog').feedUrl === 'https://logistics.example.com/rss');
+
+  const removed = sourceManager.removeSource('logistics-blog');
+  check('removed source and its rating are gone', removed.id === 'logistics-blog' && sourceManager.getSource('logistics-blog') === null &&
+    !('logistics-blog' in readFile().sourceAuthority) && !('logistics-blog' in scorer.authorityMap));
+
+  // 3. Errors
+  const before = fs.readFileSync(configPath, 'utf8');
+  const loadedBefore = sourceManager.sources.length;
+
+  const duplicate = attempt(() => sourceManager.addSource({ id: 'newsapi', name: 'NewsAPI 2', type: 'newsapi' }));
+  check('duplicate id is a 409', duplicate?.statusCode === 409);
+
+  const unknown = attempt(() => sourceManager.updateSource('nope', { enabled: true }));
+  check('unknown source is a 404', unknown?.statusCode === 404 && attempt(() => sourceManager.removeSource('nope'))?.statusCode === 404);
+
+  const schema = attempt(() => sourceManager.addSource({ id: 'broken-feed', name: 'Broken', type: 'rss', config: {}, authority: 3 }));
+  const schemaErrors = (schema?.errors || []).map(error => error.path);
+  check('schema errors list the paths', schema?.name === 'ConfigValidationError' && schemaErrors.includes('/sources/2/config/feedUrl') && schemaErrors.includes('/sourceAuthority/broken-feed'));
+
+  const invalidSource = attempt(() => sourceManager.updateSource('newsapi', { config: { apiKey: null } }));
+  check('BaseSource.validate failure names the source', invalidSource?.name === 'SourceValidationError' && invalidSource.sourceId === 'newsapi');
+
+  check('id cannot be changed', attempt(() => sourceManager.updateSource('newsapi', { id: 'other' }))?.statusCode === 400);
+  check('failed changes leave file and sources untouched', fs.readFileSync(configPath, 'utf8') === before && sourceManager.sources.length === loadedBefore);
+
+  // 4. Listing
+  const entries = sourceManager.getSourceEntries();
+  check('entries include disabled sources with rating and load state', entries.length === 2 &&
+    entries[0].id === 'retail-blog' && entries[0].loaded === false && entries[0].authority === 0.5 && entries[1].loaded === true);
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  console.log(failures === 0 ? '\n✅ All admin sources checks passed' : `\n❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+run().catch(error => {
+  console.error('✗ Test crashed:', error);
+  process.exit(1);
+});
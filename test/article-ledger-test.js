@@ -0,0 +1,90 @@
+/**
+ * Article Ledger Test
+ *
+ * Verifies that delivered articles are remembered across instances (restarts)
+ * and that PostedFilter drops them on the next day's run:
+ * 1. Link matching (ignores www, tracking params, trailing slash)
+ * 2. Normalized title matching (same story from another source)
+ * 3. Retention-based pruning and manual purge
+ * 4. Today's entries only pass when today's threaded digest is corrected in place;
+ *    "today" is the digest day in the profile timezone
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'newsbot-ledger-'));
+
+const { ArticleLedger } = require('../src/ledger/ArticleLedger');
+const PostedFilter = require('../src/relevance/filters/PostedFilter');
+const { DigestMessageStore } = require('../src/slack/DigestMessageStore');
+const { getDigestDay, getDigestDayStart } = require('../src/utils/digestDay');
+
+let failures = 0;
+function check(description, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${description}`);
+  if (!condition) failures++;
+}
+
+const posted = {
+  title: 'Ocado unveils new grocery robot for automated fulfilment',
+  link: 'https://www.retaildive.com/news/ocado-robot/?utm_source=rss',
+  source: 'Retail Dive'
+};
+
+console.log('🧪 Testing ArticleLedger\n');
+
+// Day 1: deliver the article
+const day1 = new ArticleLedger();
+day1.record([posted]);
+
+// Day 2: new process loads the ledger from disk
+const day2 = new ArticleLedger();
+const filter = new PostedFilter({ filtering: {} }, day2);
+
+check('same link is recognised after restart', day2.has({ title: 'x', link: 'https://retaildive.com/news/ocado-robot' }));
+check('same title from another source is recognised', day2.has({ title: 'Ocado Unveils New Grocery Robot for Automated Fulfilment!', link: 'https://news.google.com/abc' }));
+check('unrelated article passes', !day2.has({ title: 'Kroger expands drone delivery', link: 'https://example.com/kroger' }));
+
+check('PostedFilter drops articles posted today on a webhook re-run', filter.filter([{ title: posted.title, link: posted.link }]).length === 0);
+
+const digestStore = new DigestMessageStore();
+const threadedFilter = new PostedFilter({ filtering: {} }, day2, { profileId: 'default', timezone: 'Europe/Berlin', threadedDigest: true, digestStore });
+check('PostedFilter drops articles posted today before a threaded digest exists', threadedFilter.filter([posted]).length === 0);
+
+digestStore.saveToday('default', { channel: 'C1', ts: '1.000001', replies: [], postedAt: new Date().toISOString() }, 'Europe/Berlin');
+check('PostedFilter keeps articles posted today while today\'s threaded digest is corrected', threadedFilter.filter([posted]).length === 1);
+
+// Digest day around midnight: 00:30 in Berlin is still the previous day in UTC
+const afterBerlinMidnight = new Date('2026-10-18T22:30:00Z');
+check('digest day follows the profile timezone', getDigestDay('Europe/Berlin', afterBerlinMidnight) === '2026-10-19' &&
+  getDigestDay('UTC', afterBerlinMidnight) === '2026-10-18' && digestStore.getKey('default', 'Europe/Berlin', afterBerlinMidnight) === 'default:2026-10-19');
+check('digest day starts at local midnight', getDigestDayStart('Europe/Berlin', afterBerlinMidnight).toISOString() === '2026-10-18T22:00:00.000Z' &&
+  getDigestDayStart('America/New_York', afterBerlinMidnight).toISOString() === '2026-10-18T04:00:00.000Z');
+
+// Backdate the entry to yesterday
+for (const entry of day2.entries.values()) {
+  entry.postedAt = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+}
+day2.titles.forEach((postedAt, title) => day2.titles.set(title, new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString()));
+
+const result = filter.filter([
+  { title: posted.title, link: posted.link },
+  { title: 'Kroger expands drone delivery', link: 'https://example.com/kroger' }
+]);
+check('PostedFilter keeps only the new article', result.length === 1 && result[0].link === 'https://example.com/kroger');
+
+// Retention: backdate the entry beyond the retention window
+for (const entry of day2.entries.values()) {
+  entry.postedAt = new Date(Date.now() - (day2.retentionDays + 1) * 24 * 60 * 60 * 1000).toISOString();
+}
+check('prune removes expired entries', day2.prune() === 1 && !day2.has(posted));
+
+day2.record([posted]);
+check('purge --all empties the ledger', day2.purge({ all: true }) === 1 && day2.getEntries().length === 0);
+
+fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+
+console.log(failures === 0 ? '\n✅ All ledger checks passed' : `\n❌ ${failures} check(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,111 @@
+/**
+ * Cache Store Test
+ *
+ * Verifies that cached results survive a restart:
+ * 1. File store: entries are restored by a new CacheManager, TTLs keep counting down,
+ *    expired entries are dropped, flushType/delete remove persisted entries
+ * 2. Redis store against the local mock server (password, key expiry, reconnect)
+ * 3. wrap() and the stats counters behave the same with a store
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'newsbot-cache-'));
+
+const { CacheManager } = require('../src/cache/CacheManager');
+const { startMockRedis } = require('./mock-redis-server');
+
+let failures = 0;
+function check(description, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${description}`);
+  if (!condition) failures++;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const items = [{ title: 'Robots deliver groceries', link: 'https://example.com/robots', pubDate: '2026-10-19T08:00:00.000Z' }];
+
+/**
+ * Runs the same restart scenario against a store
+ * @param {string} label - Store name for the output
+ * @param {Function} createManager - Returns a new CacheManager on the same store
+ */
+async function checkRestart(label, createManager) {
+  const first = createManager();
+  await first.ready;
+  first.set('rss', 'rss:feed:2026-10-19', items);
+  first.set('newsapi', 'newsapi:query:2026-10-19', items, 1);
+  first.set('processed', 'processed:digest:2026-10-19', items);
+  first.set('processed', 'processed:gone:2026-10-19', items);
+  first.delete('processed', 'processed:gone:2026-10-19');
+  await first.close();
+
+  const second = createManager();
+  await second.ready;
+  check(`[${label}] entries are restored after a restart`, JSON.stringify(second.get('rss', 'rss:feed:2026-10-19')) === JSON.stringify(items));
+  check(`[${label}] deleted entries stay deleted`, second.get('processed', 'processed:gone:2026-10-19') === null);
+
+  const ttl = second.getCacheByType('newsapi').getTtl('newsapi:query:2026-10-19');
+  check(`[${label}] restored entries keep their remaining TTL`, ttl && ttl <= Date.now() + 1000);
+
+  let calls = 0;
+  const wrapped = await second.wrap('processed', 'processed:digest:2026-10-19', async () => { calls++; return []; });
+  check(`[${label}] wrap() serves restored entries without refetching`, calls === 0 && wrapped.length === 1);
+  check(`[${label}] stats count hits and misses`, second.getStats().hits === 2 && second.getStats().misses === 1);
+
+  second.flushType('rss');
+  await second.close();
+  await sleep(1100);
+
+  const third = createManager();
+  await third.ready;
+  check(`[${label}] flushType() removes persisted entries`, third.get('rss', 'rss:feed:2026-10-19') === null);
+  check(`[${label}] expired entries are not restored`, third.get('newsapi', 'newsapi:query:2026-10-19') === null);
+  check(`[${label}] other entries survive`, third.get('processed', 'processed:digest:2026-10-19') !== null);
+  await third.close();
+}
+
+async function run() {
+  console.log('🧪 Testing persistent cache stores\n');
+
+  // 1. File store
+  const cacheDir = path.join(process.env.DATA_DIR, 'cache');
+  await checkRestart('file', () => new CacheManager({ backend: 'file', cacheDir }));
+  check('[file] one file per entry', fs.readdirSync(path.join(cacheDir, 'processed')).length === 1);
+
+  const memory = new CacheManager();
+  check('memory is the default backend (persistence is opt-in)', memory.store === null && memory.getStats().backend === 'memory');
+
+  // 2. Redis store
+  const redis = await startMockRedis({ password: 'secret' });
+  await checkRestart('redis', () => new CacheManager({ backend: 'redis', redisUrl: redis.url }));
+  check('[redis] entries carry a Redis expiry', Array.from(redis.data.values()).every(entry => entry.expiresAt));
+  check('[redis] client authenticates', redis.commands.includes('AUTH'));
+
+  const reconnecting = new CacheManager({ backend: 'redis', redisUrl: redis.url });
+  await reconnecting.ready;
+  redis.dropConnections();
+  await sleep(100);
+  reconnecting.set('processed', 'processed:after-restart:2026-10-19', items);
+  await reconnecting.close();
+  check('[redis] client reconnects after the connection drops',
+    redis.data.has('newsbot:cache:processed:processed:after-restart:2026-10-19'));
+
+  const unreachable = new CacheManager({ backend: 'redis', redisUrl: 'redis://localhost:1' });
+  await unreachable.ready;
+  unreachable.set('rss', 'key', items);
+  await unreachable.close();
+  check('[redis] unreachable server degrades to memory cache', unreachable.get('rss', 'key') !== null && unreachable.getStats().errors >= 1);
+
+  await redis.close();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+
+  console.log(failures === 0 ? '\n✅ All cache store checks passed' : `\n❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+run().catch(error => {
+  console.error('✗ Test crashed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,83 @@
+/**
+ * Circuit Breaker Test
+ *
+ * Verifies circuit breaker persistence and the manual controls behind
+ * GET /sources/health and POST /sources/:id/circuit:
+ * 1. An open circuit (and its last error) survives a restart
+ * 2. Force-open ignores the timeout, force-close ignores failures, reset clears both
+ * 3. SourceManager reports state, failure rate and last error per source
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'newsbot-circuit-'));
+
+const { CircuitBreaker } = require('../src/utils/circuitBreaker');
+const SourceManager = require('../src/sources/SourceManager');
+
+let failures = 0;
+function check(description, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${description}`);
+  if (!condition) failures++;
+}
+
+async function run() {
+  console.log('🧪 Testing circuit breaker persistence and controls\n');
+
+  // 1. Persistence
+  const breaker = new CircuitBreaker({ timeout: 60000 });
+  for (let i = 0; i < 3; i++) {
+    breaker.recordFailure('chain-store-age', new Error('Status code 403'));
+  }
+  check('failing source opens its circuit', breaker.getState('chain-store-age') === 'OPEN');
+
+  const restarted = new CircuitBreaker({ timeout: 60000 });
+  check('open circuit survives a restart', restarted.getState('chain-store-age') === 'OPEN' && !restarted.allowRequest('chain-store-age'));
+  check('last error survives a restart', restarted.getStats('chain-store-age').lastError === 'Status code 403');
+
+  // 2. Manual controls
+  const quick = new CircuitBreaker({ timeout: 1, persist: false });
+  quick.forceOpen('wired');
+  await new Promise(resolve => setTimeout(resolve, 5));
+  check('forced-open circuit stays open after the timeout', !quick.allowRequest('wired') && quick.getStats('wired').forced === 'open');
+
+  quick.forceClose('wired');
+  for (let i = 0; i < 5; i++) {
+    quick.recordFailure('wired', new Error('Blocked'));
+  }
+  check('forced-closed circuit keeps trying despite failures', quick.getState('wired') === 'CLOSED' && quick.allowRequest('wired'));
+
+  quick.reset('wired');
+  const resetStats = quick.getStats('wired');
+  check('reset clears the override, counters and last error', resetStats.forced === null && resetStats.failures === 0 && resetStats.lastError === null);
+
+  restarted.resetAll();
+  check('resetAll is persisted', new CircuitBreaker().getState('chain-store-age') === 'CLOSED');
+
+  // 3. Source health
+  const sourceManager = new SourceManager();
+  // No network: every source returns nothing except the two under test
+  sourceManager.sources.forEach(source => { source.fetch = async () => []; });
+  const [first, second] = sourceManager.sources;
+  first.fetch = async () => [{ title: 'ok' }];
+  second.fetch = async () => { throw new Error('Status code 403'); };
+  await sourceManager.fetchAllNews(['retail']).catch(() => {});
+
+  const health = sourceManager.getSourceHealth();
+  const failing = health.find(source => source.id === second.id);
+  check('health lists every enabled source', health.length === sourceManager.sources.length);
+  check('failing source reports failure rate and last error', failing.failureRate > 0 && failing.lastError === 'Status code 403' && failing.lastFetch.status === 'error');
+  check('unhealthy sources are listed first', !health[0].healthy);
+
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+
+  console.log(failures === 0 ? '\n✅ All circuit breaker checks passed' : `\n❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+run().catch(error => {
+  console.error('✗ Test crashed:', error);
+  process.exit(1);
+});
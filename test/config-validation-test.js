@@ -0,0 +1,163 @@
+/**
+ * Config Validation Test
+ *
+ * Checks:
+ * 1. The shipped sources.json, relevance.json and topics.json are valid
+ * 2. Schema and extra checks report precise error paths (missing feedUrl, typos, weight sums, duplicate ids)
+ * 3. ConfigWatcher reloads valid changes only
+ * 4. SourceManager and NewsService rebuild sources and relevance engines on reload; the
+ *    shared KeywordMatcher and the Google News query builder pick up the reloaded keywords
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'newsbot-config-'));
+process.env.DATA_DIR = tmpDir;
+process.env.CACHE_BACKEND = 'memory';
+process.env.SLACK_WEBHOOK_URL = process.env.SLACK_WEBHOOK_URL || 'https://hooks.slack.com/services/test';
+
+const {
+  CONFIG_NAMES,
+  ConfigValidationError,
+  getConfigPath,
+  validateConfig,
+  validateConfigFile,
+  loadConfigFile,
+  formatError
+} = require('../src/utils/configValidator');
+const ConfigWatcher = require('../src/utils/configWatcher');
+const SourceManager = require('../src/sources/SourceManager');
+const NewsService = require('../src/newsService');
+const { getKeywordMatcher } = require('../src/utils/keywordMatcher');
+
+let failures = 0;
+function check(description, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${description}`);
+  if (!condition) failures++;
+}
+
+const readConfig = (name) => JSON.parse(fs.readFileSync(getConfigPath(name), 'utf8'));
+const messages = (name, data) => validateConfig(name, data).map(formatError);
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function run() {
+  console.log('🧪 Testing config validation\n');
+
+  // 1. Shipped configs
+  check('shipped configs are valid', CONFIG_NAMES.every(name => validateConfigFile(name).valid));
+
+  // 2. Error paths
+  const sources = readConfig('sources');
+  const rssIndex = sources.sources.findIndex(source => source.type === 'rss');
+  const rssId = sources.sources[rssIndex].id;
+  delete sources.sources[rssIndex].config.feedUrl;
+  sources.sources[rssIndex + 1].enabeld = true;
+  check('missing feedUrl names path and source id', messages('sources', sources).includes(`/sources/${rssIndex}/config/feedUrl (${rssId}): is required`));
+  check('typos in source keys are reported', messages('sources', sources).includes(`/sources/${rssIndex + 1}/enabeld (${sources.sources[rssIndex + 1].id}): is not allowed`));
+
+  const duplicated = readConfig('sources');
+  duplicated.sources[2].id = duplicated.sources[1].id;
+  check('duplicate source ids are reported', messages('sources', duplicated).includes(`/sources/2/id (${duplicated.sources[1].id}): duplicates the id of /sources/1`));
+
+  const relevance = readConfig('relevance');
+  relevance.scoring.weights.semantic = 0.6;
+  check('relevance weights must sum to 1', messages('relevance', relevance).join() === '/scoring/weights: weights must sum to 1 (sum is 1.2)');
+  relevance.scoring.weights.semantic = 'high';
+  check('wrong types are reported', messages('relevance', relevance).includes('/scoring/weights/semantic: must be number'));
+
+  const topics = readConfig('topics');
+  topics.topics[1].id = topics.topics[0].id;
+  delete topics.topics[2].examples;
+  check('topic errors are reported', messages('topics', topics).includes(`/topics/2/examples (${topics.topics[2].id}): is required`));
+
+  const brokenJson = path.join(tmpDir, 'broken.json');
+  fs.writeFileSync(brokenJson, '{ "topics": [ }');
+  let parseError = null;
+  try {
+    loadConfigFile('topics', brokenJson);
+  } catch (error) {
+    parseError = error;
+  }
+  check('invalid JSON is a ConfigValidationError naming the file', parseError instanceof ConfigValidationError && parseError.message.startsWith(`Invalid topics config (${brokenJson})`));
+
+  // 3. ConfigWatcher
+  const topicsPath = path.join(tmpDir, 'topics.json');
+  const validTopics = readConfig('topics');
+  fs.writeFileSync(topicsPath, JSON.stringify(validTopics, null, 2));
+
+  const reloads = [];
+  const watcher = new ConfigWatcher({ debounceMs: 50 });
+  watcher.watch('topics', topicsPath, data => reloads.push(data));
+
+  fs.writeFileSync(topicsPath, JSON.stringify({ topics: [{ id: 'x' }] }));
+  await wait(300);
+  check('invalid change is not reloaded', reloads.length === 0);
+
+  validTopics.topics[0].name = 'Renamed Topic';
+  fs.writeFileSync(topicsPath, JSON.stringify(validTopics, null, 2));
+  await wait(300);
+  check('valid change is reloaded with the new data', reloads.length === 1 && reloads[0].topics[0].name === 'Renamed Topic');
+
+  fs.writeFileSync(topicsPath, JSON.stringify(validTopics, null, 2));
+  await wait(300);
+  check('rewriting the same content does not reload', reloads.length === 1);
+  watcher.close();
+
+  // 4. Reloading sources and relevance engines
+  const sourcesPath = path.join(tmpDir, 'sources.json');
+  const feed = (id) => ({ id, name: id, type: 'rss', config: { feedUrl: `https://${id}.example.com/feed.xml` } });
+  fs.writeFileSync(sourcesPath, JSON.stringify({ sources: [feed('retail-blog')] }));
+
+  const sourceManager = new SourceManager(sourcesPath);
+  fs.writeFileSync(sourcesPath, JSON.stringify({ sources: [feed('retail-blog'), feed('logistics-blog')], sourceAuthority: { 'logistics-blog': 0.9 } }));
+  sourceManager.reloadConfig();
+  check('reload adds new sources and authority ratings', sourceManager.getSource('logistics-blog') !== null && sourceManager.scorer.authorityMap['logistics-blog'] === 0.9);
+
+  fs.writeFileSync(sourcesPath, JSON.stringify({ sources: [{ id: 'retail-blog', name: 'Retail Blog', type: 'rss', config: {} }] }));
+  let reloadError = null;
+  try {
+    sourceManager.reloadConfig();
+  } catch (error) {
+    reloadError = error;
+  }
+  check('invalid reload throws and keeps the running sources', reloadError instanceof ConfigValidationError && sourceManager.sources.length === 2);
+
+  const newsService = new NewsService();
+  const engineBefore = newsService.relevanceEngine;
+  await newsService.reloadRelevance();
+  check('relevance reload replaces the engine', newsService.relevanceEngine && newsService.relevanceEngine !== engineBefore &&
+    newsService.getRelevanceEngine(newsService.profileManager.getDefaultProfile()) === newsService.relevanceEngine);
+
+  // Keyword data as it was before relevance.json changed
+  const relevanceKeywords = loadConfigFile('relevance').keywords;
+  const matcher = getKeywordMatcher();
+  const googleNews = newsService.sourceManager.getSource('google-news');
+  const queryBuilderBefore = googleNews.queryBuilder;
+  matcher.variations = {};
+  matcher.expressions = {};
+  matcher.config.fuzzyThreshold = 0.5;
+  matcher.matches('Sidewalk delivery robots arrive', 'delivery robots');
+  googleNews.queryBuilder.expressions = {};
+
+  await newsService.reloadRelevance();
+  check('relevance reload reconfigures the shared KeywordMatcher in place', getKeywordMatcher() === matcher &&
+    newsService.sourceManager.getSource('retaildive')?.keywordMatcher === matcher &&
+    JSON.stringify(matcher.variations) === JSON.stringify(relevanceKeywords.variations) &&
+    JSON.stringify(matcher.expressions) === JSON.stringify(relevanceKeywords.expressions) &&
+    matcher.config.fuzzyThreshold === relevanceKeywords.matchingOptions.fuzzyThreshold && matcher.matchCache.size === 0);
+  check('relevance reload rebuilds the Google News query builder with the new expressions',
+    googleNews.queryBuilder !== queryBuilderBefore &&
+    JSON.stringify(googleNews.queryBuilder.expressions) === JSON.stringify(relevanceKeywords.expressions));
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  console.log(failures === 0 ? '\n✅ All config validation checks passed' : `\n❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+run().catch(error => {
+  console.error('✗ Test crashed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,147 @@
+/**
+ * Explain Test
+ *
+ * Checks the /explain building blocks without network access:
+ * 1. Kept article: every stage passes, weighted total matches the scorer breakdown
+ * 2. Dropped articles name the stage that dropped them (spam, age, duplicate, posted, threshold)
+ * 3. URL lookup in today's cached fetch and in the ledger
+ * 4. Rank position: an article ranked just past maxArticles is dropped by the limit stage
+ * The embedding model is replaced by fixed semantic scores (no model download).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'newsbot-explain-'));
+process.env.SLACK_WEBHOOK_URL = 'https://hooks.slack.com/services/test';
+
+// Posted two days ago
+const twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString();
+fs.writeFileSync(path.join(process.env.DATA_DIR, 'posted-articles.json'), JSON.stringify({
+  entries: [{
+    key: 'https://retaildive.com/news/ocado-robots',
+    link: 'https://www.retaildive.com/news/ocado-robots',
+    title: 'Ocado rolls out new warehouse robots',
+    normalizedTitle: 'ocado rolls out new warehouse robots',
+    source: 'Retail Dive',
+    description: 'Ocado said its new robots pick groceries faster in automated warehouses for retail partners.',
+    postedAt: twoDaysAgo
+  }]
+}));
+
+const NewsService = require('../src/newsService');
+
+let failures = 0;
+function check(description, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${description}`);
+  if (!condition) failures++;
+}
+
+const article = (extra = {}) => ({
+  title: 'Autonomous delivery robots expand grocery service across Germany',
+  link: 'https://www.retaildive.com/news/delivery-robots-germany',
+  description: 'Retail innovation: autonomous delivery robots bring groceries to customers on the last mile, the retailer said on Monday.',
+  source: 'Retail Dive',
+  pubDate: new Date().toISOString(),
+  ...extra
+});
+
+async function run() {
+  console.log('🧪 Testing article explanations\n');
+
+  const newsService = new NewsService();
+  const profile = newsService.profileManager.getDefaultProfile();
+  const engine = newsService.getRelevanceEngine(profile);
+
+  let semanticScore = 0.8;
+  const semanticByLink = {};
+  engine.semanticScorer.scoreWithTopic = async (item) => ({ score: semanticByLink[item.link] ?? semanticScore, topic: 'autonomous-delivery' });
+  engine.semanticScorer.getDetailedScore = async () => ({
+    score: semanticScore,
+    matches: [{ topic: 'Autonomous Delivery', id: 'autonomous-delivery', similarity: semanticScore, weight: 1, weightedSimilarity: semanticScore, tier: 1 }],
+    bestMatch: 'Autonomous Delivery'
+  });
+
+  // 1. Kept article
+  const kept = await newsService.explainArticle({ ...article(), url: article().link }, profile);
+  check('relevant article is kept', kept.verdict === 'kept' && kept.droppedBy === null);
+  check('kept article is ranked within the limit', kept.rank === 1 && kept.stages.at(-1).stage === 'limit' && kept.stages.at(-1).passed);
+  check('every filter reports a verdict', ['spam', 'posted', 'duplicate', 'age', 'quality'].every(name => kept.filters[name]));
+  const sum = Object.values(kept.scorers).reduce((total, scorer) => total + scorer.score * scorer.weight, 0);
+  check('weighted total matches the scorer breakdown', Math.abs(sum - kept.weightedTotal) < 1e-9);
+  check('threshold is reported', kept.threshold === engine.minRelevanceScore && kept.score >= kept.threshold);
+  check('thematic keyword matches and semantic topics are included', kept.scorers.thematic.matches.totalMatches > 0 &&
+    kept.scorers.semantic.details.matches[0].id === 'autonomous-delivery');
+
+  // 2. Dropped articles
+  const spam = await newsService.explainArticle(article({ title: 'You won\'t believe what these delivery robots do!!!' }), profile);
+  check('clickbait is dropped by the spam filter', spam.droppedBy === 'spam' && spam.filters.spam.reasons.clickbait);
+
+  const old = await newsService.explainArticle(article({ pubDate: new Date(Date.now() - 10 * 24 * 60 * 60 * 1000).toISOString() }), profile);
+  check('old article is dropped by the age filter', old.droppedBy === 'age' && old.filters.age.hoursAgo > old.filters.age.maxAgeHours);
+
+  semanticScore = 0;
+  const offTopic = await newsService.explainArticle({
+    title: 'Local football club wins the regional cup final after extra time',
+    description: 'The team celebrated with fans in the city centre after a dramatic match that went into extra time on Sunday.',
+    url: 'https://example.com/sports/cup-final',
+    pubDate: new Date().toISOString()
+  }, profile);
+  check('off-topic article is dropped by the threshold', offTopic.droppedBy === 'threshold' && offTopic.score < offTopic.threshold);
+  semanticScore = 0.8;
+
+  // 3. URL lookups
+  newsService.cacheManager.set('processed', newsService.getSharedCacheKey(), [
+    article({ link: 'https://example.com/robots-short', description: 'Short teaser.' }),
+    article({ link: 'https://www.retaildive.com/news/delivery-robots-germany-full', description: `${article().description} The pilot runs in five cities and will be expanded next year, the company said.` })
+  ]);
+
+  const duplicate = await newsService.explainArticle({ url: 'https://example.com/robots-short' }, profile);
+  check('URL is resolved from today\'s fetch', duplicate.resolvedFrom === 'fetch' && duplicate.comparedAgainst === 2);
+  check('shorter duplicate is dropped in favour of the fuller version', duplicate.droppedBy === 'duplicate' &&
+    duplicate.filters.duplicate.matches.length === 1 &&
+    duplicate.filters.duplicate.matches[0].link.endsWith('-full'));
+
+  const posted = await newsService.explainArticle({ url: 'https://retaildive.com/news/ocado-robots/?utm_source=slack' }, profile);
+  check('URL is resolved from the ledger', posted.resolvedFrom === 'ledger' && posted.article.title.startsWith('Ocado'));
+  check('already posted article is dropped by the posted filter', posted.filters.posted.isPosted && posted.droppedBy === 'posted');
+
+  // 4. Rank position
+  const stories = [
+    { title: 'Drone delivery network launches for pharmacy orders in Munich', link: 'https://example.com/drone-pharmacy' },
+    { title: 'Sidewalk robots start delivering parcels in Hamburg suburbs', link: 'https://example.com/parcel-robots' },
+    { title: 'Autonomous vans carry grocery orders through Berlin at night', link: 'https://example.com/autonomous-vans' }
+  ].map(story => article({ ...story, description: `${story.title}. The retailer said the last mile pilot will expand in the coming months.` }));
+  newsService.cacheManager.set('processed', newsService.getSharedCacheKey(), stories);
+  semanticByLink['https://example.com/drone-pharmacy'] = 0.95;
+  semanticByLink['https://example.com/parcel-robots'] = 0.9;
+  semanticByLink['https://example.com/autonomous-vans'] = 0.6;
+
+  const maxArticles = engine.maxArticles;
+  engine.maxArticles = 2;
+  const limited = await newsService.explainArticle({ url: 'https://example.com/autonomous-vans' }, profile);
+  check('article ranked just past maxArticles is dropped by the limit stage', limited.droppedBy === 'limit' &&
+    limited.rank === 3 && limited.maxArticles === 2 && limited.score >= limited.threshold);
+  const ranked = await newsService.explainArticle({ url: 'https://example.com/parcel-robots' }, profile);
+  check('article ranked at maxArticles is kept', ranked.verdict === 'kept' && ranked.rank === 2);
+  engine.maxArticles = maxArticles;
+
+  let rejected = false;
+  try {
+    await newsService.explainArticle({}, profile);
+  } catch (error) {
+    rejected = true;
+  }
+  check('missing url and title is rejected', rejected);
+
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+
+  console.log(failures === 0 ? '\n✅ All explain checks passed' : `\n❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+run().catch(error => {
+  console.error('✗ Test crashed:', error);
+  process.exit(1);
+});
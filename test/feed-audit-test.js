@@ -0,0 +1,130 @@
+/**
+ * Feed Audit Test
+ *
+ * Serves feeds from a local HTTP server and checks that the FeedAuditor:
+ * 1. Classifies ok, redirect, 403, HTML-not-feed, empty, stale and parse errors
+ * 2. Includes disabled sources and X (Nitter) account feeds
+ * 3. Flags feeds that got worse since the previous report as degraded
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'newsbot-audit-'));
+
+const SourceManager = require('../src/sources/SourceManager');
+const { FeedAuditor } = require('../src/audit/FeedAuditor');
+
+let failures = 0;
+function check(description, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${description}`);
+  if (!condition) failures++;
+}
+
+const rss = (dates) => `<?xml version="1.0"?>
+<rss version="2.0"><channel><title>Feed</title><link>https://example.com</link><description>Test</description>
+${dates.map((date, i) => `<item><title>Item ${i}</title><link>https://example.com/${i}</link><pubDate>${date.toUTCString()}</pubDate></item>`).join('\n')}
+</channel></rss>`;
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+let brokenFresh = true;
+
+const server = http.createServer((req, res) => {
+  const xml = (body) => { res.writeHead(200, { 'Content-Type': 'application/rss+xml' }); res.end(body); };
+
+  switch (req.url) {
+    case '/ok':
+    case '/new-home':
+    case '/nitter/retailer/rss':
+      return xml(rss([daysAgo(1), daysAgo(3)]));
+    case '/moved':
+      res.writeHead(301, { Location: '/new-home' });
+      return res.end();
+    case '/forbidden':
+      res.writeHead(403, { 'Content-Type': 'text/html' });
+      return res.end('<html><body>Access denied</body></html>');
+    case '/html':
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      return res.end('<!DOCTYPE html><html><body><h1>News</h1></body></html>');
+    case '/empty':
+      return xml(rss([]));
+    case '/stale':
+      return xml(rss([daysAgo(90)]));
+    case '/broken':
+      return xml(brokenFresh ? rss([daysAgo(1)]) : '<rss><channel><item><title>Unclosed');
+    default:
+      res.writeHead(404);
+      return res.end();
+  }
+});
+
+async function run() {
+  console.log('🧪 Testing feed audit\n');
+
+  await new Promise(resolve => server.listen(0, resolve));
+  const base = `http://localhost:${server.address().port}`;
+
+  const feed = (id, urlPath, extra = {}) => ({ id, name: id, type: 'rss', config: { feedUrl: `${base}${urlPath}` }, ...extra });
+  const configPath = path.join(process.env.DATA_DIR, 'sources.json');
+  fs.writeFileSync(configPath, JSON.stringify({
+    sources: [
+      feed('ok-feed', '/ok'),
+      feed('moved-feed', '/moved'),
+      feed('blocked-feed', '/forbidden', { enabled: false, note: 'Feed exists but returns 403 Forbidden' }),
+      feed('html-feed', '/html'),
+      feed('empty-feed', '/empty'),
+      feed('stale-feed', '/stale'),
+      feed('broken-feed', '/broken'),
+      { id: 'x-feed', name: 'X', type: 'x', config: { accounts: ['retailer'], nitterInstance: `localhost:${server.address().port}/nitter` } },
+      { id: 'newsapi', name: 'NewsAPI', type: 'newsapi', config: { apiKey: 'test' } }
+    ]
+  }));
+
+  const auditor = new FeedAuditor({ sourceManager: new SourceManager(configPath), staleAfterDays: 14 });
+  // Nitter URLs are https; point them at the local server
+  const targets = auditor.getTargets();
+  targets.forEach(target => { target.url = target.url.replace('https://', 'http://'); });
+  auditor.getTargets = (sourceIds) => targets.filter(target => !sourceIds || sourceIds.includes(target.sourceId));
+
+  // 1. Classification
+  const first = await auditor.audit();
+  const status = (id) => first.feeds.find(entry => entry.sourceId === id)?.status;
+
+  check('healthy feed is ok', status('ok-feed') === 'ok');
+  check('moved feed is reported as redirect', status('moved-feed') === 'redirect' && first.feeds.find(entry => entry.sourceId === 'moved-feed').finalUrl === `${base}/new-home`);
+  check('403 is reported as forbidden', status('blocked-feed') === 'forbidden');
+  check('HTML page is reported as not-feed', status('html-feed') === 'not-feed');
+  check('feed without items is reported as empty', status('empty-feed') === 'empty');
+  check('old newest item is reported as stale', status('stale-feed') === 'stale');
+  check('summary counts severities', first.summary.ok === 3 && first.summary.warning === 2 && first.summary.error === 3);
+
+  // 2. Coverage
+  const blocked = first.feeds.find(entry => entry.sourceId === 'blocked-feed');
+  check('disabled sources are audited and keep their note', blocked.enabled === false && blocked.note.includes('403'));
+  check('X account feeds are audited', status('x-feed') === 'ok' && first.feeds.find(entry => entry.sourceId === 'x-feed').label === '@retailer');
+  check('sources without feeds are skipped', !first.feeds.some(entry => entry.sourceId === 'newsapi'));
+  check('first audit reports nothing as degraded', first.degraded.length === 0);
+  check('report is saved', auditor.getLastReport().auditedAt === first.auditedAt);
+
+  // 3. Degradation
+  brokenFresh = false;
+  const second = await auditor.audit();
+  check('broken feed is reported as parse-error', second.feeds.find(entry => entry.sourceId === 'broken-feed').status === 'parse-error');
+  check('only the feed that got worse is degraded', second.degraded.length === 1 && second.degraded[0].sourceId === 'broken-feed' && second.degraded[0].previousStatus === 'ok');
+
+  const partial = await auditor.audit({ sourceIds: ['ok-feed'] });
+  check('partial audit keeps the other feeds in the report', partial.summary.total === second.summary.total && partial.degraded.length === 0);
+
+  server.close();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+
+  console.log(failures === 0 ? '\n✅ All feed audit checks passed' : `\n❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+run().catch(error => {
+  console.error('✗ Test crashed:', error);
+  process.exit(1);
+});
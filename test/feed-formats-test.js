@@ -0,0 +1,168 @@
+/**
+ * Feed Formats Test
+ *
+ * Checks that the generic feed source handles every common feed format:
+ * 1. Format auto-detection (RSS 2.0, Atom, RSS 1.0/RDF, JSON Feed)
+ * 2. Field mapping per format (Atom updated/summary/link rel=alternate, RDF dc:date,
+ *    JSON Feed 1.1 authors/summary/image, untitled JSON Feed items)
+ * 3. RSSSource fetching Atom and JSON feeds from a local HTTP server
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'newsbot-formats-'));
+process.env.CACHE_BACKEND = 'memory';
+
+const { detectFeedFormat, parseFeed } = require('../src/utils/feedParser');
+const RSSSource = require('../src/sources/sources/RSSSource');
+
+let failures = 0;
+function check(description, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${description}`);
+  if (!condition) failures++;
+}
+
+const RSS = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0"><channel><title>Retail Blog</title><link>https://retail.example.com</link><description>News</description>
+  <item>
+    <title>Robots restock shelves</title>
+    <link>https://retail.example.com/robots</link>
+    <pubDate>Mon, 19 Oct 2026 08:00:00 GMT</pubDate>
+    <description><![CDATA[<p>Shelf-scanning <b>robots</b> arrive.</p>]]></description>
+    <enclosure url="https://retail.example.com/robots.jpg" type="image/jpeg" length="1000"/>
+  </item>
+</channel></rss>`;
+
+const ATOM = `<?xml version="1.0" encoding="utf-8"?>
+<!-- Generated by a static site generator -->
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Logistics Blog</title>
+  <link rel="self" href="https://logistics.example.com/atom.xml"/>
+  <updated>2026-10-19T07:00:00Z</updated>
+  <entry>
+    <title type="text">Last mile lockers</title>
+    <link rel="self" href="https://logistics.example.com/entries/1.xml"/>
+    <link rel="alternate" type="text/html" href="https://logistics.example.com/lockers"/>
+    <id>urn:uuid:1</id>
+    <updated>2026-10-18T09:30:00Z</updated>
+    <summary>Parcel lockers cut failed deliveries.</summary>
+    <content type="html">&lt;p&gt;The full article about parcel lockers and last mile costs.&lt;/p&gt;</content>
+    <author><name>Jane Doe</name></author>
+  </entry>
+</feed>`;
+
+const RDF = `<?xml version="1.0"?>
+<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#" xmlns="http://purl.org/rss/1.0/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel rdf:about="https://handel.example.de/"><title>Handel News</title><link>https://handel.example.de/</link><description>News</description></channel>
+  <item rdf:about="https://handel.example.de/kasse">
+    <title>Kassenlose Filiale eröffnet</title>
+    <link>https://handel.example.de/kasse</link>
+    <description>Der Händler testet Checkout-free.</description>
+    <dc:date>2026-10-17T06:15:00+02:00</dc:date>
+    <dc:creator>Redaktion</dc:creator>
+  </item>
+</rdf:RDF>`;
+
+const JSON_FEED = JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: 'Supply Chain Notes',
+  home_page_url: 'https://notes.example.com/',
+  authors: [{ name: 'Feed Author' }],
+  items: [
+    {
+      id: '42',
+      url: 'https://notes.example.com/drones',
+      title: 'Drone delivery pilots expand',
+      summary: 'Three grocers start drone delivery.',
+      content_html: '<p>Long article body.</p>',
+      image: 'https://notes.example.com/drones.png',
+      date_published: '2026-10-19T05:00:00Z',
+      authors: [{ name: 'Max Mustermann' }]
+    },
+    {
+      id: 43,
+      external_url: 'https://news.example.com/robotaxi',
+      content_text: 'Robotaxi fleet now delivers groceries in Hamburg.',
+      date_modified: '2026-10-18T12:00:00Z'
+    }
+  ]
+});
+
+const server = http.createServer((req, res) => {
+  if (req.url === '/atom.xml') {
+    res.writeHead(200, { 'Content-Type': 'application/atom+xml' });
+    return res.end(ATOM);
+  }
+  if (req.url === '/feed.json') {
+    res.writeHead(200, { 'Content-Type': 'application/feed+json' });
+    return res.end(JSON_FEED);
+  }
+  res.writeHead(404);
+  res.end();
+});
+
+async function run() {
+  console.log('🧪 Testing feed formats\n');
+
+  // 1. Detection
+  check('RSS 2.0 is detected', detectFeedFormat(RSS) === 'rss');
+  check('Atom is detected behind a comment', detectFeedFormat(ATOM) === 'atom');
+  check('RDF is detected', detectFeedFormat(RDF) === 'rdf');
+  check('JSON Feed is detected', detectFeedFormat(JSON_FEED) === 'json' && detectFeedFormat(`\uFEFF${JSON_FEED}`) === 'json');
+  check('HTML is not a feed', detectFeedFormat('<!DOCTYPE html><html></html>', 'text/html') === null);
+
+  // 2. Field mapping
+  const rss = (await parseFeed(RSS)).items[0];
+  check('RSS: date, text description and enclosure image', rss.pubDate === 'Mon, 19 Oct 2026 08:00:00 GMT' && rss.description === 'Shelf-scanning robots arrive.' && rss.image === 'https://retail.example.com/robots.jpg');
+
+  const atom = await parseFeed(ATOM);
+  const entry = atom.items[0];
+  check('Atom: link rel=alternate is used', entry.link === 'https://logistics.example.com/lockers');
+  check('Atom: updated is used when published is missing', new Date(entry.pubDate).toISOString() === '2026-10-18T09:30:00.000Z');
+  check('Atom: summary is preferred over content', entry.description === 'Parcel lockers cut failed deliveries.');
+  check('Atom: title and author', entry.title === 'Last mile lockers' && entry.author === 'Jane Doe');
+
+  const rdf = (await parseFeed(RDF)).items[0];
+  check('RDF: dc:date is used', new Date(rdf.pubDate).toISOString() === '2026-10-17T04:15:00.000Z');
+  check('RDF: title, link and creator', rdf.title === 'Kassenlose Filiale eröffnet' && rdf.link === 'https://handel.example.de/kasse' && rdf.author === 'Redaktion');
+
+  const json = await parseFeed(JSON_FEED);
+  const [drones, robotaxi] = json.items;
+  check('JSON Feed: fields are mapped', json.format === 'json' && drones.link === 'https://notes.example.com/drones' && drones.pubDate === '2026-10-19T05:00:00Z' && drones.description === 'Three grocers start drone delivery.' && drones.image === 'https://notes.example.com/drones.png');
+  check('JSON Feed: 1.1 item authors win over feed authors', drones.author === 'Max Mustermann');
+  check('JSON Feed: untitled item uses its text, external_url and date_modified', robotaxi.title.startsWith('Robotaxi fleet') && robotaxi.link === 'https://news.example.com/robotaxi' && robotaxi.pubDate === '2026-10-18T12:00:00Z' && robotaxi.id === '43');
+
+  let rejected = false;
+  try {
+    await parseFeed('{"items": []}');
+  } catch (error) {
+    rejected = error.message.includes('JSON Feed');
+  }
+  check('JSON without a jsonfeed.org version is rejected', rejected);
+
+  // 3. RSSSource
+  await new Promise(resolve => server.listen(0, resolve));
+  const base = `http://localhost:${server.address().port}`;
+
+  const atomSource = new RSSSource({ id: 'logistics-blog', name: 'Logistics Blog', type: 'rss', config: { feedUrl: `${base}/atom.xml` } });
+  const [atomItem] = await atomSource.fetch([]);
+  check('RSSSource reads Atom feeds', atomItem && atomItem.link === 'https://logistics.example.com/lockers' && atomItem.sourceId === 'logistics-blog' && atomItem.source === 'Logistics Blog');
+
+  const jsonSource = new RSSSource({ id: 'notes', name: 'Supply Chain Notes', type: 'rss', config: { feedUrl: `${base}/feed.json` } });
+  const jsonItems = await jsonSource.fetch([]);
+  check('RSSSource reads JSON feeds', jsonItems.length === 2 && jsonItems[0].image === 'https://notes.example.com/drones.png' && jsonItems[1].pubDate === '2026-10-18T12:00:00Z');
+
+  server.close();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+
+  console.log(failures === 0 ? '\n✅ All feed format checks passed' : `\n❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+run().catch(error => {
+  console.error('✗ Test crashed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,102 @@
+/**
+ * Feedback Test
+ *
+ * Verifies the Slack feedback loop without network access:
+ * 1. Request signature verification (valid, tampered, stale)
+ * 2. Feedback buttons round-trip (button value → parsed vote)
+ * 3. FeedbackStore biases for sources, topics and keywords
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'newsbot-feedback-'));
+
+const { computeSlackSignature, isValidSlackSignature } = require('../src/slack/slackSignature');
+const { FeedbackStore } = require('../src/feedback/FeedbackStore');
+const SlackService = require('../src/slackService');
+
+let failures = 0;
+function check(description, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${description}`);
+  if (!condition) failures++;
+}
+
+console.log('🧪 Testing Slack feedback\n');
+
+// 1. Signature verification
+const secret = 'test-signing-secret';
+const body = 'payload=%7B%22type%22%3A%22block_actions%22%7D';
+const now = Math.floor(Date.now() / 1000);
+const headers = {
+  'x-slack-request-timestamp': String(now),
+  'x-slack-signature': computeSlackSignature(secret, now, body)
+};
+
+check('valid signature is accepted', isValidSlackSignature(secret, headers, body));
+check('tampered body is rejected', !isValidSlackSignature(secret, headers, body + 'x'));
+check('wrong secret is rejected', !isValidSlackSignature('other-secret', headers, body));
+
+const stale = now - 10 * 60;
+check('stale timestamp is rejected', !isValidSlackSignature(secret, {
+  'x-slack-request-timestamp': String(stale),
+  'x-slack-signature': computeSlackSignature(secret, stale, body)
+}, body));
+
+// 2. Buttons round-trip
+const slackService = new SlackService('https://hooks.slack.com/services/test', {
+  profileId: 'logistics',
+  feedbackButtons: true
+});
+const item = {
+  title: 'Starship expands sidewalk robot delivery',
+  link: 'https://example.com/starship',
+  description: 'Starship Technologies adds new cities.',
+  source: 'Example News',
+  pubDate: new Date().toISOString(),
+  relevance: {
+    score: 0.7,
+    metadata: { publisher: 'Example News', topic: 'delivery_robots', keywords: ['delivery robots', 'retail'] }
+  }
+};
+
+const blocks = slackService.formatArticleBlocks(item, 0);
+const actions = blocks.find(block => block.type === 'actions');
+check('article has three feedback buttons', actions && actions.elements.length === 3);
+
+const parsed = SlackService.parseFeedbackAction(actions.elements[2]);
+check('button value round-trips', parsed.profileId === 'logistics' &&
+  parsed.vote === 'not_relevant' &&
+  parsed.link === item.link &&
+  parsed.topic === 'delivery_robots' &&
+  parsed.keywords.includes('delivery robots'));
+check('non-feedback actions are ignored', SlackService.parseFeedbackAction({ action_id: 'other', value: '{}' }) === null);
+
+const plainService = new SlackService('https://hooks.slack.com/services/test', { feedbackButtons: false });
+check('buttons can be disabled', !plainService.formatArticleBlocks(item, 0).some(block => block.type === 'actions'));
+
+// 3. Feedback store
+const store = new FeedbackStore();
+check('no feedback means no bias', store.getArticleBias({ source: 'Example News', topic: 'delivery_robots', keywords: [] }) === 0);
+
+store.record({ vote: 'up', link: 'https://example.com/a', source: 'Example News', topic: 'delivery_robots', keywords: ['delivery robots'], user: 'U1' });
+store.record({ vote: 'up', link: 'https://example.com/b', source: 'Example News', topic: 'delivery_robots', keywords: ['delivery robots'], user: 'U2' });
+store.record({ vote: 'not_relevant', link: 'https://example.com/c', source: 'Spammy Blog', topic: 'ecommerce', keywords: ['e-commerce'], user: 'U1' });
+
+const liked = store.getArticleBias({ source: 'Example News', topic: 'delivery_robots', keywords: ['Delivery Robots'] });
+const disliked = store.getArticleBias({ source: 'Spammy Blog', topic: 'ecommerce', keywords: ['e-commerce'] });
+check('upvoted source/topic/keyword is boosted', liked > 0);
+check('"not relevant" is penalized', disliked < 0);
+check('bias stays within -1..1', Math.abs(liked) <= 1 && Math.abs(disliked) <= 1);
+
+store.record({ vote: 'down', link: 'https://example.com/a', source: 'Example News', topic: 'delivery_robots', keywords: ['delivery robots'], user: 'U1' });
+check('a reader changing their vote replaces it', store.getStats().votes === 3 && store.getStats().counts.down === 1);
+
+const reloaded = new FeedbackStore();
+check('votes persist across restarts', reloaded.getStats().votes === 3);
+
+fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+
+console.log(failures === 0 ? '\n✅ All feedback checks passed' : `\n❌ ${failures} check(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
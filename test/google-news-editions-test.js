@@ -0,0 +1,149 @@
+/**
+ * Google News Editions Test
+ *
+ * Checks the multi-edition fan-out against a local Google News RSS fixture server:
+ * 1. Editions are normalized (id, gl, ceid, language)
+ * 2. Each edition requests its own hl/gl/ceid with its own keywords; keywordLanguage
+ *    adds the keywords.csv rows of a language (keywords.byLanguage), so the German
+ *    rows only go to de-DE
+ * 3. Items are tagged with edition, language and market; stories listed in
+ *    several editions are merged
+ * 4. QualityFilter trusts the edition language
+ * 5. Search-only keywords.csv rows (the German search terms) stay out of the scoring
+ *    tiers and variations
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'newsbot-editions-'));
+process.env.DATA_DIR = tmpDir;
+process.env.CACHE_BACKEND = 'memory';
+
+const GoogleNewsSource = require('../src/sources/sources/GoogleNewsSource');
+const QualityFilter = require('../src/relevance/filters/QualityFilter');
+const CSVParser = require('../scripts/lib/csvParser');
+const RelevanceJsonBuilder = require('../scripts/lib/relevanceJsonBuilder');
+const { loadConfigFile } = require('../src/utils/configValidator');
+
+let failures = 0;
+function check(description, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${description}`);
+  if (!condition) failures++;
+}
+
+function rssFeed(items) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0"><channel><title>Google News</title>
+${items.map(item => `<item><title>${item.title}</title><link>${item.link}</link><pubDate>${new Date().toUTCString()}</pubDate><description>${item.title}</description><source url="https://example.com">${item.source}</source></item>`).join('\n')}
+</channel></rss>`;
+}
+
+async function run() {
+  console.log('🧪 Testing Google News editions\n');
+
+  // 1. Edition defaults
+  const defaults = new GoogleNewsSource({ id: 'gn', name: 'Google News', type: 'google-news', config: {} });
+  check('without editions the language/country pair is used', defaults.editions.length === 1 &&
+    defaults.editions[0].id === 'en-US' && defaults.editions[0].ceid === 'US:en' && defaults.editions[0].language === 'en');
+
+  const german = defaults.normalizeEdition({ hl: 'de', gl: 'DE' });
+  check('edition defaults are derived from hl and gl', german.id === 'de-DE' && german.ceid === 'DE:de' && german.language === 'de');
+
+  // 2. Fan-out
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const edition = url.searchParams.get('ceid');
+    requests.push({ q: url.searchParams.get('q'), hl: url.searchParams.get('hl'), gl: url.searchParams.get('gl'), ceid: edition });
+
+    const items = edition === 'DE:de'
+      ? [{ title: 'Lieferroboter übernehmen die letzte Meile in Hamburg', link: `https://www.handelsblatt.com/robots-${encodeURIComponent(url.searchParams.get('q'))}`, source: 'Handelsblatt' }]
+      : [
+        { title: 'Delivery robots expand to new cities', link: 'https://www.retaildive.com/news/delivery-robots/1', source: 'Retail Dive' },
+        { title: `${edition} only: grocers test autonomous vans`, link: `https://example.com/${edition}`, source: 'Example' }
+      ];
+
+    res.writeHead(200, { 'Content-Type': 'application/rss+xml' });
+    res.end(rssFeed(items));
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+
+  const shippedEditions = loadConfigFile('sources').sources.find(entry => entry.id === 'google-news').config.editions;
+  const germanEdition = shippedEditions.find(edition => edition.hl === 'de');
+  const germanKeywords = loadConfigFile('relevance').keywords.byLanguage.de;
+
+  const source = new GoogleNewsSource({
+    id: 'google-news',
+    name: 'Google News',
+    type: 'google-news',
+    config: {
+      baseUrl: `http://localhost:${server.address().port}/rss`,
+      queryBuilder: { enabled: false },
+      editions: [
+        { hl: 'en-US', gl: 'US' },
+        { hl: 'en-GB', gl: 'GB', keywords: ['grocery automation'] },
+        germanEdition
+      ]
+    }
+  });
+
+  const items = await source.fetch(['delivery robots']);
+  const byCeid = ceid => requests.filter(request => request.ceid === ceid);
+
+  check('each edition requests its own hl/gl/ceid', byCeid('US:en').every(r => r.hl === 'en-US' && r.gl === 'US') &&
+    byCeid('GB:en').every(r => r.hl === 'en-GB' && r.gl === 'GB') && byCeid('DE:de').every(r => r.hl === 'de' && r.gl === 'DE'));
+  check('editions without keywords search the digest keywords', byCeid('US:en').map(r => r.q).join() === 'delivery robots');
+  check('edition keywords replace the digest keywords', byCeid('GB:en').map(r => r.q).join() === 'grocery automation');
+  check('the shipped de-DE edition searches the German keywords.csv rows', germanEdition.keywordLanguage === 'de' && !germanEdition.keywords);
+  check('German keywords from keywords.csv only go to de-DE', germanKeywords.includes('Lieferroboter') &&
+    byCeid('DE:de').length === germanKeywords.length && byCeid('DE:de').every(r => germanKeywords.includes(r.q)) &&
+    requests.filter(r => r.ceid !== 'DE:de').every(r => !germanKeywords.includes(r.q)));
+
+  const shared = items.filter(item => item.link === 'https://www.retaildive.com/news/delivery-robots/1');
+  check('stories listed in several editions are merged', shared.length === 1 && shared[0].edition === 'en-US');
+  check('items are tagged with edition, language and market', items.length === 3 + germanKeywords.length &&
+    items.some(item => item.edition === 'en-GB' && item.language === 'en' && item.market === 'GB') &&
+    items.filter(item => item.edition === 'de-DE').every(item => item.language === 'de' && item.market === 'DE'));
+
+  // 3. Language-aware filtering
+  const englishOnly = new QualityFilter({ filtering: { minWordCount: 1, languages: ['en'] } });
+  const germanItem = items.find(item => item.edition === 'de-DE');
+  check('QualityFilter uses the edition language', !englishOnly.isAcceptedLanguage(germanItem) &&
+    englishOnly.isAcceptedLanguage({ ...germanItem, language: undefined }));
+
+  const englishKeywords = loadConfigFile('relevance').keywords.byLanguage.en;
+  const withLanguage = source.getEditionKeywords(source.normalizeEdition({ hl: 'en-GB', keywords: ['grocery automation'], keywordLanguage: 'en' }), []);
+  check('keywordLanguage adds the keywords.csv rows of that language', withLanguage[0] === 'grocery automation' &&
+    englishKeywords.every(keyword => withLanguage.includes(keyword)));
+
+  // 4. Scoring
+  const csvPath = path.join(__dirname, '..', 'config', 'keywords.csv');
+  const { keywords: csvKeywords } = new CSVParser().parse(csvPath);
+  const searchOnly = csvKeywords.filter(k => k.scope === 'search').map(k => k.keyword);
+  check('the German search terms are search-only keywords.csv rows', germanKeywords.length > 0 &&
+    germanKeywords.every(keyword => searchOnly.includes(keyword)));
+
+  const variationsMap = Object.fromEntries(csvKeywords.map(k => [k.keyword, [`${k.keyword}s`]]));
+  const built = new RelevanceJsonBuilder(path.join(__dirname, '..', 'src', 'relevance', 'config', 'relevance.json'))
+    .build(csvKeywords, variationsMap, {});
+  const tiers = ['tier1', 'tier2', 'tier3'];
+  const leaked = config => searchOnly.filter(keyword =>
+    tiers.some(tier => config.keywords[tier].includes(keyword)) || config.keywords.variations[keyword]);
+  check('search-only rows stay out of the generated tiers and variations', leaked(built).length === 0 &&
+    built.keywords.byLanguage.de.join() === searchOnly.join() && built.keywords.tier1.includes('autonomous delivery'));
+  check('search-only rows stay out of the shipped tiers and variations', leaked(loadConfigFile('relevance')).length === 0);
+
+  server.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  console.log(failures === 0 ? '\n✅ All Google News edition checks passed' : `\n❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+run().catch(error => {
+  console.error('✗ Test crashed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,191 @@
+/**
+ * Hacker News and Reddit Test
+ *
+ * Checks the Hacker News (Algolia) and Reddit sources against local fixtures:
+ * 1. Items are normalized with engagement { score, comments, discussionUrl }
+ * 2. Query/listing parameters, filtering of pinned, NSFW and low-scoring posts
+ * 3. Failures are thrown for the circuit breaker
+ * 4. RelevanceScorer.scoreEngagement ranks items by engagement
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'newsbot-hackernews-reddit-'));
+process.env.DATA_DIR = tmpDir;
+process.env.CACHE_BACKEND = 'memory';
+
+const { getSourceRegistry } = require('../src/sources/SourceRegistry');
+const RelevanceScorer = require('../src/sources/scorer');
+
+let failures = 0;
+function check(description, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${description}`);
+  if (!condition) failures++;
+}
+
+const now = Math.floor(Date.now() / 1000);
+
+const HN_FIXTURE = {
+  hits: [
+    {
+      objectID: '41000001',
+      title: 'Show HN: Open-source warehouse robotics simulator',
+      url: 'https://robots.example.com/simulator',
+      points: 412,
+      num_comments: 158,
+      created_at: new Date((now - 3600) * 1000).toISOString(),
+      created_at_i: now - 3600
+    },
+    {
+      objectID: '41000002',
+      title: 'Ask HN: How do you run last-mile delivery software?',
+      url: null,
+      story_text: '<p>We are evaluating <i>route optimization</i> tools.</p>',
+      points: 12,
+      num_comments: 3,
+      created_at_i: now - 7200
+    }
+  ]
+};
+
+const post = (data) => ({ kind: 't3', data: { subreddit: 'logistics', stickied: false, over_18: false, is_self: false, ...data } });
+
+const REDDIT_FIXTURES = {
+  logistics: {
+    kind: 'Listing',
+    data: {
+      children: [
+        post({ title: 'Weekly logistics discussion thread', permalink: '/r/logistics/comments/a1/weekly/', url: 'https://www.reddit.com/r/logistics/comments/a1/weekly/', is_self: true, stickied: true, score: 40, num_comments: 80, created_utc: now - 600 }),
+        post({ title: 'Port congestion eases as warehouse automation spreads', permalink: '/r/logistics/comments/a2/port/', url: 'https://news.example.com/port-congestion', score: 230, num_comments: 41, created_utc: now - 3600,
+          preview: { images: [{ source: { url: 'https://img.example.com/port.jpg' } }] } }),
+        post({ title: 'How do you handle warehouse automation for returns?', permalink: '/r/logistics/comments/a3/returns/', url: 'https://www.reddit.com/r/logistics/comments/a3/returns/', is_self: true, selftext: 'Looking for warehouse automation advice.', score: 18, num_comments: 27, created_utc: now - 7200 }),
+        post({ title: 'Warehouse automation meme', permalink: '/r/logistics/comments/a4/meme/', url: 'https://i.example.com/meme.png', score: 2, num_comments: 0, created_utc: now - 7200 })
+      ]
+    }
+  },
+  retail: {
+    kind: 'Listing',
+    data: {
+      children: [
+        post({ subreddit: 'retail', title: 'Self-checkout study: shoppers prefer staffed lanes', permalink: '/r/retail/comments/b1/checkout/', url: 'https://news.example.com/self-checkout', score: 95, num_comments: 60, created_utc: now - 5400 }),
+        post({ subreddit: 'retail', title: 'Warehouse automation NSFW', permalink: '/r/retail/comments/b2/nsfw/', url: 'https://news.example.com/nsfw', over_18: true, score: 500, num_comments: 5, created_utc: now - 5400 })
+      ]
+    }
+  }
+};
+
+async function run() {
+  console.log('🧪 Testing Hacker News and Reddit sources\n');
+
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(url);
+
+    const listing = url.pathname.match(/^\/r\/([^/]+)\/(\w+)\.json$/);
+    let body = null;
+    if (url.pathname === '/api/v1/search_by_date') {
+      body = url.searchParams.get('query') === 'broken' ? null : HN_FIXTURE;
+    } else if (listing) {
+      body = REDDIT_FIXTURES[listing[1]] || null;
+    }
+
+    res.writeHead(body ? 200 : 503, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body || { error: 'unavailable' }));
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  const baseUrl = `http://localhost:${server.address().port}`;
+  const registry = getSourceRegistry();
+
+  // 1. Hacker News
+  const hackerNews = registry.create({
+    id: 'hacker-news',
+    name: 'Hacker News',
+    type: 'hackernews',
+    config: { apiUrl: `${baseUrl}/api/v1`, queries: ['warehouse robotics', 'last-mile delivery'], minPoints: 10, maxAgeHours: 24 }
+  });
+  const hnItems = await hackerNews.fetch(['ignored keyword']);
+  const hnSearch = requests.find(url => url.pathname === '/api/v1/search_by_date');
+
+  check('configured queries are searched instead of keywords', requests.filter(url => url.pathname === '/api/v1/search_by_date')
+    .map(url => url.searchParams.get('query')).join() === 'warehouse robotics,last-mile delivery');
+  check('stories are filtered by points and age', hnSearch.searchParams.get('tags') === 'story' &&
+    /^created_at_i>\d+,points>=10$/.test(hnSearch.searchParams.get('numericFilters')));
+  check('stories found by several queries are listed once', hnItems.length === 2);
+  check('story engagement is normalized', hnItems[0].engagement.score === 412 && hnItems[0].engagement.comments === 158 &&
+    hnItems[0].engagement.discussionUrl === 'https://news.ycombinator.com/item?id=41000001' && hnItems[0].link === 'https://robots.example.com/simulator');
+  check('Ask HN posts link to the discussion', hnItems[1].link === 'https://news.ycombinator.com/item?id=41000002' &&
+    hnItems[1].description === 'We are evaluating route optimization tools.' && hnItems[1].sourceId === 'hacker-news');
+
+  const brokenHackerNews = registry.create({ id: 'hn-broken', name: 'HN', type: 'hackernews', config: { apiUrl: `${baseUrl}/api/v1`, queries: ['broken'] } });
+  const hnError = await brokenHackerNews.fetch([]).then(() => null, error => error);
+  check('failing search is thrown', hnError !== null);
+
+  // 2. Reddit
+  requests.length = 0;
+  const reddit = registry.create({
+    id: 'reddit',
+    name: 'Reddit',
+    type: 'reddit',
+    config: { baseUrl, subreddits: ['r/logistics', 'retail', 'missing'], sort: 'top', timeRange: 'week', minScore: 5 }
+  });
+  const redditItems = await reddit.fetch([]);
+  const logisticsRequest = requests.find(url => url.pathname === '/r/logistics/top.json');
+
+  check('listing uses sort and time range', logisticsRequest && logisticsRequest.searchParams.get('t') === 'week' && logisticsRequest.searchParams.get('limit') === '25');
+  check('pinned, NSFW and low-scoring posts are skipped', redditItems.map(item => item.title).join('|') ===
+    'Port congestion eases as warehouse automation spreads|How do you handle warehouse automation for returns?|Self-checkout study: shoppers prefer staffed lanes');
+
+  const [linkPost, selfPost, retailPost] = redditItems;
+  check('link posts point to the article', linkPost.link === 'https://news.example.com/port-congestion' &&
+    linkPost.image === 'https://img.example.com/port.jpg' && linkPost.source === 'r/logistics');
+  check('text posts point to the thread', selfPost.link === 'https://www.reddit.com/r/logistics/comments/a3/returns/' &&
+    selfPost.description === 'Looking for warehouse automation advice.');
+  check('post engagement is normalized', linkPost.engagement.score === 230 && linkPost.engagement.comments === 41 &&
+    linkPost.engagement.discussionUrl === 'https://www.reddit.com/r/logistics/comments/a2/port/' && retailPost.engagement.score === 95);
+
+  const filtered = await registry.create({ id: 'reddit-filtered', name: 'Reddit', type: 'reddit', config: { baseUrl, subreddits: ['logistics'] } })
+    .fetch(['warehouse automation']);
+  check('posts are filtered by keywords', filtered.length === 2 && filtered.every(item => /warehouse automation/i.test(`${item.title} ${item.description}`)));
+
+  const redditError = await registry.create({ id: 'reddit-broken', name: 'Reddit', type: 'reddit', config: { baseUrl, subreddits: ['missing'] } })
+    .fetch([]).then(() => null, error => error);
+  check('failing listings are thrown', redditError !== null);
+
+  let configError = null;
+  try {
+    registry.create({ id: 'reddit-empty', name: 'Reddit', type: 'reddit', config: {} });
+  } catch (error) {
+    configError = error;
+  }
+  check('subreddits are required', configError?.message.includes('requires subreddits'));
+
+  // 3. Engagement scoring
+  const scorer = new RelevanceScorer();
+  const engagement = (score, comments) => scorer.scoreEngagement({ engagement: { score, comments } });
+  check('items without engagement data are neutral', scorer.scoreEngagement({ title: 'RSS item' }) === 0.5);
+  check('engagement rises with votes and comments', engagement(0, 0) < engagement(5, 1) && engagement(5, 1) < engagement(95, 60) &&
+    engagement(95, 60) < engagement(412, 158) && engagement(412, 158) === 1);
+  check('posts without votes stay close to neutral', Math.abs(engagement(0, 0) - 0.4) < 1e-9);
+
+  const story = { title: 'Warehouse robots cut picking times', link: 'https://robots.example.com/picking', pubDate: new Date().toISOString() };
+  const typicalHn = scorer.scoreItem({ ...story, sourceId: 'hackernews', engagement: { score: 10, comments: 5 } }, ['warehouse robots']);
+  const rss = scorer.scoreItem({ ...story, sourceId: 'hackernews' }, ['warehouse robots']);
+  check('a typical Hacker News story scores like an RSS item', Math.abs(typicalHn.score - rss.score) < 1e-9 &&
+    typicalHn.scoreBreakdown.engagement === 0.5);
+  check('engagement changes the item score', scorer.scoreItem(linkPost, []).score > scorer.scoreItem({ ...linkPost, engagement: { score: 5, comments: 0 } }, []).score);
+
+  server.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  console.log(failures === 0 ? '\n✅ All Hacker News and Reddit checks passed' : `\n❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+run().catch(error => {
+  console.error('✗ Test crashed:', error);
+  process.exit(1);
+});
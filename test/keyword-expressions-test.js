@@ -0,0 +1,146 @@
+/**
+ * Keyword Expressions Test
+ *
+ * Checks boolean keyword expressions end to end:
+ * 1. Parsing (precedence, implicit AND, NOT/-, phrases) and error messages
+ * 2. keywords.csv expression column ("" escapes, invalid expressions) and the
+ *    compiled keywords.expressions of relevance.json
+ * 3. KeywordMatcher and ThematicScorer match keywords by their expression
+ * 4. GoogleNewsQueryBuilder translates expressions into Google News syntax
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'newsbot-expressions-'));
+process.env.DATA_DIR = tmpDir;
+process.env.CACHE_BACKEND = 'memory';
+
+const { parseKeywordExpression, evaluateKeywordExpression, toGoogleNewsQuery } = require('../src/utils/keywordExpression');
+const CSVParser = require('../scripts/lib/csvParser');
+const RelevanceJsonBuilder = require('../scripts/lib/relevanceJsonBuilder');
+const ThematicScorer = require('../src/relevance/scorers/ThematicScorer');
+const { GoogleNewsQueryBuilder } = require('../src/utils/googleNewsQueryBuilder');
+const { loadConfigFile } = require('../src/utils/configValidator');
+
+let failures = 0;
+function check(description, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${description}`);
+  if (!condition) failures++;
+}
+
+function throwsWith(fn, text) {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return error.message.includes(text);
+  }
+}
+
+const DELIVERY = 'delivery AND (robot OR drone) NOT pizza';
+
+function run() {
+  console.log('🧪 Testing boolean keyword expressions\n');
+
+  // 1. Parsing and evaluation
+  const tree = parseKeywordExpression(DELIVERY);
+  check('AND/OR/NOT are parsed with grouping', JSON.stringify(tree) === JSON.stringify({
+    type: 'and',
+    children: [
+      { type: 'term', value: 'delivery' },
+      { type: 'or', children: [{ type: 'term', value: 'robot' }, { type: 'term', value: 'drone' }] },
+      { type: 'not', child: { type: 'term', value: 'pizza' } }
+    ]
+  }));
+
+  const implicit = parseKeywordExpression('"Last Mile" robot -pizza OR e-grocery');
+  check('adjacent terms are ANDed, OR binds weakest, phrases and hyphenated words are terms',
+    implicit.type === 'or' && implicit.children[0].type === 'and' && implicit.children[0].children[0].value === 'last mile' &&
+    implicit.children[0].children[2].type === 'not' && implicit.children[1].value === 'e-grocery');
+  check('a minus right after a phrase or ")" is NOT', JSON.stringify(parseKeywordExpression('"last mile"-pizza (robot)-vacuum')) === JSON.stringify({
+    type: 'and',
+    children: [
+      { type: 'term', value: 'last mile' },
+      { type: 'not', child: { type: 'term', value: 'pizza' } },
+      { type: 'term', value: 'robot' },
+      { type: 'not', child: { type: 'term', value: 'vacuum' } }
+    ]
+  }));
+
+  check('unbalanced parentheses are rejected', throwsWith(() => parseKeywordExpression('delivery AND (robot OR drone'), 'Expected ")"'));
+  check('dangling operators are rejected', throwsWith(() => parseKeywordExpression('delivery AND'), 'end of expression'));
+  check('unclosed phrases are rejected', throwsWith(() => parseKeywordExpression('"last mile'), 'Unclosed quote'));
+  check('negation-only expressions are rejected', throwsWith(() => parseKeywordExpression('NOT pizza'), 'not negated'));
+
+  const contains = text => term => text.includes(term);
+  check('expression matches a delivery robot story', evaluateKeywordExpression(tree, contains('grocer tests delivery robot fleet')));
+  check('expression drops pizza delivery robots', !evaluateKeywordExpression(tree, contains('pizza delivery robot spotted downtown')));
+  check('expression needs one of the OR terms', !evaluateKeywordExpression(tree, contains('delivery times improve')));
+
+  // 2. CSV column and relevance.json
+  const csvPath = path.join(tmpDir, 'keywords.csv');
+  fs.writeFileSync(csvPath, [
+    'keyword,tier,language,notes,expression',
+    `delivery robots,1,en,Robotic delivery,${DELIVERY}`,
+    'robotics retail,2,en,"Robots, in stores","(robot OR robotics) AND (retail OR store) NOT (vacuum OR ""lawn mower"")"',
+    'retail,3,en,General context',
+    ''
+  ].join('\n'));
+
+  const { keywords, stats } = new CSVParser().parse(csvPath);
+  check('expression column is optional per row', keywords[2].expression === '' && stats.expressions === 2);
+  check('"" inside quoted fields is a literal quote', keywords[1].expression.endsWith('NOT (vacuum OR "lawn mower")') && keywords[1].notes === 'Robots, in stores');
+
+  fs.writeFileSync(csvPath, 'keyword,tier,language,notes,expression\ndelivery robots,1,en,,delivery AND (robot\n');
+  check('invalid expressions fail with keyword and line', throwsWith(() => new CSVParser().parse(csvPath), "Invalid expression for keyword 'delivery robots' at line 2"));
+
+  fs.writeFileSync(csvPath, 'keyword,tier,language,notes,expression,scope\nLieferroboter,1,de,,,search\n');
+  check('search-only rows must not have a tier', throwsWith(() => new CSVParser().parse(csvPath), "Search-only keyword 'Lieferroboter' at line 2 must not have a tier"));
+
+  const relevancePath = path.join(tmpDir, 'relevance.json');
+  fs.writeFileSync(relevancePath, JSON.stringify({ scoring: {}, filtering: {}, keywords: {}, sources: {} }));
+  const built = new RelevanceJsonBuilder(relevancePath).build(keywords, {}, {});
+  check('generate-keywords compiles expressions into relevance.json', built.keywords.expressions['delivery robots'].expression === DELIVERY &&
+    JSON.stringify(built.keywords.expressions['delivery robots'].tree) === JSON.stringify(tree) && !built.keywords.expressions.retail);
+  check('shipped relevance.json has compiled expressions', !!loadConfigFile('relevance').keywords.expressions['delivery robots']?.tree);
+
+  // 3. ThematicScorer (and KeywordMatcher)
+  const scorer = new ThematicScorer({ keywords: { ...built.keywords, matchingOptions: { fuzzyThreshold: 0.8 } } });
+  const breakdown = title => scorer.getMatchBreakdown({ title, description: '', language: 'en' });
+
+  check('robots in a delivery story match via plural variation', breakdown('Supermarket delivery robots hit the streets').tier1.includes('delivery robots'));
+  check('pizza delivery robots do not match', !breakdown('Pizza chain rolls out delivery robots').tier1.includes('delivery robots'));
+  check('vacuum cleaner reviews do not count as robotics retail', breakdown('Best robot vacuum cleaner in store this week').tier2.length === 0);
+  check('robotics in stores still matches', breakdown('Grocery store deploys shelf-scanning robots').tier2.includes('robotics retail'));
+  check('phrase exclusions work', breakdown('Robot lawn mower deals at the hardware store').tier2.length === 0);
+  check('matched expressions add to the score', scorer.score({ title: 'Store trials delivery robots for retail orders', language: 'en' }) >
+    scorer.score({ title: 'Pizza store trials delivery robots for retail orders', language: 'en' }));
+  check('KeywordMatcher reports expression matches', scorer.keywordMatcher.matches('drone delivery expands', 'delivery robots').matchType === 'expression');
+
+  // 4. Google News translation
+  check('expression is translated into Google syntax', toGoogleNewsQuery(tree) === 'delivery (robot OR drone) -pizza');
+  check('NOT over a group is pushed down to the terms',
+    toGoogleNewsQuery(parseKeywordExpression('robot NOT (vacuum OR "lawn mower")')) === 'robot -vacuum -"lawn mower"');
+  check('negated AND becomes an OR of exclusions',
+    toGoogleNewsQuery(parseKeywordExpression('robot NOT (pizza AND delivery)')) === 'robot (-pizza OR -delivery)');
+
+  const builder = new GoogleNewsQueryBuilder({ expressions: built.keywords.expressions, excludeTerms: ['recipe'], dateRange: '1d' });
+  check('keyword with expression is searched by it', builder.buildQuery(['"delivery robots"']) === 'delivery (robot OR drone) -pizza -recipe when:1d');
+  check('expression is parenthesized when ORed with other keywords',
+    builder.buildQuery(['"delivery robots"', 'retail']) === '(delivery (robot OR drone) -pizza) OR retail -recipe when:1d');
+  check('keywords without expression are unchanged', builder.buildQuery(['"last mile delivery"']) === '"last mile delivery" -recipe when:1d');
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  console.log(failures === 0 ? '\n✅ All keyword expression checks passed' : `\n❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+try {
+  run();
+} catch (error) {
+  console.error('✗ Test crashed:', error);
+  process.exit(1);
+}
@@ -0,0 +1,153 @@
+/**
+ * Link Resolver Test
+ *
+ * Checks:
+ * 1. Tracking parameters and AMP variants are removed
+ * 2. Older Google News ids are decoded offline
+ * 3. Newer ids are resolved via the article page + decoding endpoint (local fixture server), and cached
+ *    under a date-free key that survives config reloads
+ * 4. Resolved items dedupe against the publisher's own feed and score with the publisher's authority
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'newsbot-links-'));
+process.env.DATA_DIR = tmpDir;
+process.env.CACHE_BACKEND = 'memory';
+
+const { LinkResolver, canonicalizeUrl, decodeGoogleNewsUrl, isGoogleNewsUrl } = require('../src/utils/linkResolver');
+const NewsAggregator = require('../src/sources/aggregator');
+const AuthorityScorer = require('../src/relevance/scorers/AuthorityScorer');
+
+let failures = 0;
+function check(description, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${description}`);
+  if (!condition) failures++;
+}
+
+/**
+ * Google News id in the older format: protobuf with the URL in field 4 and the AMP URL in field 26
+ */
+function legacyArticleId(url, ampUrl) {
+  const field = (tag, value) => {
+    const bytes = Buffer.from(value);
+    return Buffer.concat([Buffer.from(tag), Buffer.from([bytes.length]), bytes]);
+  };
+  return Buffer.concat([
+    Buffer.from([0x08, 0x13]),
+    field([0x22], url),
+    ...(ampUrl ? [field([0xd2, 0x01], ampUrl)] : [])
+  ]).toString('base64url');
+}
+
+const NEW_ID = Buffer.concat([Buffer.from([0x08, 0x13, 0x22, 0x10]), Buffer.from('AU_yqLN3wFakeId1')]).toString('base64url');
+const BROKEN_ID = Buffer.concat([Buffer.from([0x08, 0x13, 0x22, 0x10]), Buffer.from('AU_yqLN3wBroken2')]).toString('base64url');
+
+async function run() {
+  console.log('🧪 Testing link resolution\n');
+
+  // 1. Canonical URLs
+  check('tracking parameters and fragments are removed', canonicalizeUrl('https://www.retaildive.com/news/robots/?utm_source=rss&utm_medium=feed&id=7&fbclid=abc#comments') ===
+    'https://www.retaildive.com/news/robots/?id=7');
+  check('AMP paths and parameters collapse', canonicalizeUrl('https://www.example.com/news/robots/amp/') === 'https://www.example.com/news/robots/' &&
+    canonicalizeUrl('https://www.example.com/amp/news/robots') === 'https://www.example.com/news/robots' &&
+    canonicalizeUrl('https://www.example.com/news/robots.amp.html') === 'https://www.example.com/news/robots.html' &&
+    canonicalizeUrl('https://www.example.com/news/robots?amp=1&page=2') === 'https://www.example.com/news/robots?page=2');
+  check('AMP hosts and caches collapse', canonicalizeUrl('https://amp.example.com/news/robots') === 'https://example.com/news/robots' &&
+    canonicalizeUrl('https://www-example-com.cdn.ampproject.org/c/s/www.example.com/news/robots?utm_campaign=x') === 'https://www.example.com/news/robots' &&
+    canonicalizeUrl('https://www.google.com/amp/s/www.example.com/news/robots') === 'https://www.example.com/news/robots');
+  check('other links are kept', canonicalizeUrl('not a url') === 'not a url' && canonicalizeUrl('https://example.com/ampere-batteries') === 'https://example.com/ampere-batteries');
+
+  // 2. Offline decoding
+  const legacyLink = `https://news.google.com/rss/articles/${legacyArticleId('https://www.retaildive.com/news/acme-robot-warehouse/712345/', 'https://www.retaildive.com/news/acme-robot-warehouse/712345/amp/')}?oc=5`;
+  check('Google News links are recognized', isGoogleNewsUrl(legacyLink) && !isGoogleNewsUrl('https://news.google.com/topics/abc'));
+  check('older ids are decoded offline', decodeGoogleNewsUrl(legacyLink) === 'https://www.retaildive.com/news/acme-robot-warehouse/712345/');
+  check('newer ids need the online lookup', decodeGoogleNewsUrl(`https://news.google.com/rss/articles/${NEW_ID}`) === null);
+
+  // 3. Online lookup
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, body });
+
+      if (req.method === 'GET' && req.url.startsWith('/rss/articles/')) {
+        const id = req.url.split('/').pop().split('?')[0];
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(id === NEW_ID
+          ? '<html><body><c-wiz><div jscontroller="x" data-n-a-id="1" data-n-a-ts="1760000000" data-n-a-sg="SIGNATURE"></div></c-wiz></body></html>'
+          : '<html><body>Consent page</body></html>');
+        return;
+      }
+
+      if (req.method === 'POST' && req.url === '/_/DotsSplashUi/data/batchexecute') {
+        const inner = JSON.parse(JSON.parse(new URLSearchParams(body).get('f.req'))[0][0][1]);
+        const url = inner[2] === NEW_ID && inner[3] === 1760000000 && inner[4] === 'SIGNATURE'
+          ? 'https://www.supplychaindive.com/news/port-automation/712399/?utm_source=google'
+          : null;
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(`)]}'\n\n${JSON.stringify([['wrb.fr', 'Fbv4je', JSON.stringify(['garturlres', url, 1]), null, null, null, 'generic'], ['di', 42]])}`);
+        return;
+      }
+
+      res.writeHead(404);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  const resolver = new LinkResolver({ googleNewsUrl: `http://localhost:${server.address().port}` });
+
+  const newLink = `https://news.google.com/rss/articles/${NEW_ID}?oc=5`;
+  check('newer ids are resolved with signature and timestamp', await resolver.resolve(newLink) === 'https://www.supplychaindive.com/news/port-automation/712399/' &&
+    requests.length === 2);
+  await resolver.resolve(newLink);
+  check('resolved links are cached', requests.length === 2);
+
+  // Config reloads flush the 'processed' cache
+  resolver.cacheManager.flushType('processed');
+  await resolver.resolve(newLink);
+  check('resolved links survive config reloads under a date-free key', requests.length === 2 &&
+    resolver.cacheManager.has('links', `link:${NEW_ID}`));
+
+  const brokenLink = `https://news.google.com/rss/articles/${BROKEN_ID}`;
+  check('unresolvable links are kept', await resolver.resolve(brokenLink) === brokenLink);
+
+  const offline = new LinkResolver({ enabled: false, googleNewsUrl: `http://localhost:${server.address().port}` });
+  const requestCount = requests.length;
+  check('disabled resolver only decodes offline', await offline.resolve(legacyLink) === 'https://www.retaildive.com/news/acme-robot-warehouse/712345/' &&
+    await offline.resolve(brokenLink) === brokenLink && requests.length === requestCount);
+
+  // 4. Items
+  const googleItems = await resolver.resolveAll([
+    { title: 'Acme opens robot warehouse - Retail Dive', link: legacyLink, source: 'Retail Dive', sourceId: 'google-news' },
+    { title: 'Ports bet on automation - Supply Chain Dive', link: newLink, source: 'Supply Chain Dive', sourceId: 'google-news' }
+  ]);
+  const publisherItems = await resolver.resolveAll([
+    { title: 'Inside Acme\'s first fully automated fulfillment site', link: 'https://www.retaildive.com/news/acme-robot-warehouse/712345/?utm_source=Retail%20Dive&utm_medium=RSS', sourceId: 'retaildive' }
+  ]);
+
+  check('items keep original and canonical URL', googleItems[0].originalUrl === legacyLink &&
+    googleItems[0].canonicalUrl === 'https://www.retaildive.com/news/acme-robot-warehouse/712345/' && googleItems[0].link === googleItems[0].canonicalUrl &&
+    publisherItems[0].originalUrl.includes('utm_source') && publisherItems[0].link === googleItems[0].link);
+
+  const aggregated = new NewsAggregator().aggregate([googleItems, publisherItems]);
+  check('Google News item and publisher item are deduplicated by URL', aggregated.length === 2);
+
+  const authority = new AuthorityScorer({ sources: { authorityMap: { 'news.google.com': 0.6, 'supplychaindive.com': 0.95, unknown: 0.4 } } });
+  check('authority uses the publisher domain', authority.score(googleItems[1]) === 0.95);
+
+  server.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  console.log(failures === 0 ? '\n✅ All link resolution checks passed' : `\n❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+run().catch(error => {
+  console.error('✗ Test crashed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,218 @@
+/**
+ * Mastodon / Bluesky Sources Test
+ *
+ * Checks the social sources against local fixtures:
+ * 1. Mastodon account timelines (lookup + statuses) and hashtag timelines from search terms
+ * 2. Bluesky author feeds and post search
+ * 3. Shared and quoted links become the item, with the linked article's title
+ * 4. Engagement, deduplication and failure handling
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'newsbot-social-'));
+process.env.DATA_DIR = tmpDir;
+process.env.CACHE_BACKEND = 'memory';
+
+const { getSourceRegistry } = require('../src/sources/SourceRegistry');
+
+let failures = 0;
+function check(description, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${description}`);
+  if (!condition) failures++;
+}
+
+const status = (data) => ({
+  id: data.id,
+  created_at: '2026-10-19T07:00:00.000Z',
+  url: `https://mastodon.example/@retailwire/${data.id}`,
+  sensitive: false,
+  spoiler_text: '',
+  account: { acct: 'retailwire' },
+  favourites_count: 0,
+  reblogs_count: 0,
+  replies_count: 0,
+  card: null,
+  ...data
+});
+
+const MASTODON = {
+  '/api/v1/accounts/lookup': { id: '42', acct: 'retailwire' },
+  '/api/v1/accounts/42/statuses': [
+    status({
+      id: '1',
+      content: '<p>Our take on the new grocery robots</p>',
+      card: { url: 'https://news.example.com/grocery-robots', title: 'Grocery chain rolls out shelf-scanning robots', description: 'Robots in 500 stores', image: 'https://img.example.com/robots.jpg' },
+      favourites_count: 30,
+      reblogs_count: 12,
+      replies_count: 4
+    }),
+    status({
+      id: '2',
+      content: '<p>Thread on returns: <a href="https://mastodon.example/tags/retail" class="mention hashtag">#retail</a> ' +
+        '<a href="https://mastodon.example/@nrf" class="u-url mention">@nrf</a> see <a href="https://blog.example.com/returns">blog.example.com/returns</a></p>'
+    }),
+    status({ id: '3', content: '<p>Spoilers</p>', spoiler_text: 'CW: politics' })
+  ],
+  '/api/v1/timelines/tag/lastmiledelivery': [
+    status({
+      id: '4',
+      account: { acct: 'fan@other.example' },
+      reblog: status({ id: '5', content: '<p>Autonomous delivery vans expand to three more cities<br>Details inside</p>', favourites_count: 3, replies_count: 1 })
+    }),
+    status({ id: '1', content: '<p>Duplicate</p>', card: { url: 'https://news.example.com/grocery-robots', title: 'Grocery chain rolls out shelf-scanning robots' } })
+  ]
+};
+
+const bskyPost = (rkey, data) => ({
+  uri: `at://did:plc:abc/app.bsky.feed.post/${rkey}`,
+  author: { handle: 'logistics.bsky.social' },
+  record: { text: '', createdAt: '2026-10-19T06:00:00.000Z' },
+  likeCount: 0,
+  repostCount: 0,
+  quoteCount: 0,
+  replyCount: 0,
+  ...data
+});
+
+const BLUESKY = {
+  'app.bsky.feed.getAuthorFeed': {
+    feed: [
+      {
+        post: bskyPost('a1', {
+          record: { text: 'Worth reading', createdAt: '2026-10-19T06:00:00.000Z' },
+          embed: { $type: 'app.bsky.embed.external#view', external: { uri: 'https://news.example.com/micro-fulfillment', title: 'Micro-fulfillment centers hit profitability', description: 'Analysis', thumb: 'https://img.example.com/mfc.jpg' } },
+          likeCount: 80,
+          repostCount: 15,
+          quoteCount: 5,
+          replyCount: 9
+        })
+      },
+      { post: bskyPost('a2', { record: { text: 'Reposted', createdAt: '2026-10-19T06:00:00.000Z' } }), reason: { $type: 'app.bsky.feed.defs#reasonRepost' } }
+    ]
+  },
+  'app.bsky.feed.searchPosts': {
+    posts: [
+      bskyPost('b1', {
+        record: { text: 'This is the key quote from the study', createdAt: '2026-10-19T05:00:00.000Z' },
+        embed: {
+          $type: 'app.bsky.embed.record#view',
+          record: {
+            uri: 'at://did:plc:xyz/app.bsky.feed.post/q1',
+            value: { text: 'New study on drone delivery' },
+            embeds: [{ $type: 'app.bsky.embed.external#view', external: { uri: 'https://research.example.com/drone-study', title: 'Drone delivery cuts last-mile costs by 40%' } }]
+          }
+        }
+      }),
+      bskyPost('b2', {
+        record: {
+          text: 'Retailers are testing smart carts in Germany, report at example.de/carts',
+          createdAt: '2026-10-19T04:00:00.000Z',
+          facets: [{ features: [{ $type: 'app.bsky.richtext.facet#link', uri: 'https://example.de/carts' }] }]
+        }
+      }),
+      bskyPost('b3', { record: { text: 'Just a thought about last mile delivery without any link', createdAt: '2026-10-19T03:00:00.000Z' } })
+    ]
+  }
+};
+
+async function run() {
+  console.log('🧪 Testing Mastodon and Bluesky sources\n');
+
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(url);
+
+    const body = url.pathname.startsWith('/xrpc/')
+      ? BLUESKY[url.pathname.slice('/xrpc/'.length)]
+      : MASTODON[url.pathname];
+
+    res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body || { error: 'Record not found' }));
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  const baseUrl = `http://localhost:${server.address().port}`;
+  const registry = getSourceRegistry();
+
+  // 1. Mastodon
+  const mastodon = registry.create({
+    id: 'mastodon',
+    name: 'Mastodon',
+    type: 'mastodon',
+    config: { instance: baseUrl, accounts: ['@retailwire'], searchTerms: ['Last Mile Delivery'] }
+  });
+  const mastodonItems = await mastodon.fetch(['ignored beyond max terms', 'x', 'y']);
+  const byLink = (items, link) => items.find(item => item.link === link);
+
+  check('account is looked up and its timeline read without replies', requests.some(url => url.pathname === '/api/v1/accounts/lookup' && url.searchParams.get('acct') === 'retailwire') &&
+    requests.some(url => url.pathname === '/api/v1/accounts/42/statuses' && url.searchParams.get('exclude_replies') === 'true'));
+  check('search terms are read as hashtag timelines', requests.some(url => url.pathname === '/api/v1/timelines/tag/lastmiledelivery'));
+
+  const robots = byLink(mastodonItems, 'https://news.example.com/grocery-robots');
+  check('link card title is preferred over the post text', robots?.title === 'Grocery chain rolls out shelf-scanning robots' &&
+    robots.description === 'Our take on the new grocery robots' && robots.image === 'https://img.example.com/robots.jpg');
+  check('status engagement is normalized', robots?.engagement.score === 42 && robots.engagement.comments === 4 &&
+    robots.engagement.discussionUrl === 'https://mastodon.example/@retailwire/1' && robots.platform === 'mastodon' && robots.source === '@retailwire on Mastodon');
+
+  const returns = byLink(mastodonItems, 'https://blog.example.com/returns');
+  check('first link that is not a mention or hashtag is used without a card', returns?.title === 'Thread on returns: #retail @nrf see blog.example.com/returns');
+
+  const boosted = byLink(mastodonItems, 'https://mastodon.example/@retailwire/5');
+  check('boosts are read as the boosted post', boosted?.title === 'Autonomous delivery vans expand to three more cities Details inside');
+  check('posts with content warnings are skipped and shared links listed once', mastodonItems.length === 3);
+
+  // 2. Bluesky
+  requests.length = 0;
+  const bluesky = registry.create({
+    id: 'bluesky',
+    name: 'Bluesky',
+    type: 'bluesky',
+    config: { apiUrl: baseUrl, accounts: ['logistics.bsky.social'], searchTerms: ['drone delivery'], language: 'en', maxSearchTerms: 1 }
+  });
+  const blueskyItems = await bluesky.fetch(['not searched']);
+  const search = requests.find(url => url.pathname === '/xrpc/app.bsky.feed.searchPosts');
+
+  check('author feed without replies and post search are requested', requests.some(url => url.pathname === '/xrpc/app.bsky.feed.getAuthorFeed' &&
+    url.searchParams.get('actor') === 'logistics.bsky.social' && url.searchParams.get('filter') === 'posts_no_replies') &&
+    search?.searchParams.get('q') === 'drone delivery' && search.searchParams.get('lang') === 'en' && requests.length === 2);
+
+  const mfc = byLink(blueskyItems, 'https://news.example.com/micro-fulfillment');
+  check('external embed becomes the item', mfc?.title === 'Micro-fulfillment centers hit profitability' && mfc.description === 'Worth reading' &&
+    mfc.engagement.score === 100 && mfc.engagement.comments === 9 && mfc.engagement.discussionUrl === 'https://bsky.app/profile/logistics.bsky.social/post/a1');
+  check('reposts in author feeds are skipped', !blueskyItems.some(item => item.description === 'Reposted'));
+
+  const quoted = byLink(blueskyItems, 'https://research.example.com/drone-study');
+  check('quoted posts contribute their shared article', quoted?.title === 'Drone delivery cuts last-mile costs by 40%' &&
+    quoted.description === 'This is the key quote from the study');
+  check('link facets are used without a card', byLink(blueskyItems, 'https://example.de/carts')?.title ===
+    'Retailers are testing smart carts in Germany, report at example.de/carts');
+  check('posts without links link to the post', byLink(blueskyItems, 'https://bsky.app/profile/logistics.bsky.social/post/b3')?.platform === 'bluesky');
+
+  // 3. Failures and validation
+  const brokenError = await registry.create({ id: 'bsky-broken', name: 'Bluesky', type: 'bluesky', config: { apiUrl: `${baseUrl}/missing`, accounts: ['nobody.bsky.social'] } })
+    .fetch([]).then(() => null, error => error);
+  check('failing requests are thrown', brokenError !== null);
+
+  let invalidError = null;
+  try {
+    registry.create({ id: 'mastodon-empty', name: 'Mastodon', type: 'mastodon', config: {} });
+  } catch (error) {
+    invalidError = error;
+  }
+  check('accounts or search terms are required', invalidError?.code === 'INVALID_CONFIG');
+
+  server.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  console.log(failures === 0 ? '\n✅ All Mastodon/Bluesky checks passed' : `\n❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+run().catch(error => {
+  console.error('✗ Test crashed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,98 @@
+/**
+ * Metrics Test
+ *
+ * Checks the Prometheus output of GET /metrics without network access:
+ * 1. Text format (HELP/TYPE lines, label escaping, histogram buckets)
+ * 2. Source fetch latency/result counters and circuit breaker gauges
+ * 3. Cache counters, embedding inference timing, run durations and delivered articles
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'newsbot-metrics-'));
+
+const { MetricsRegistry, getMetricsRegistry } = require('../src/metrics/MetricsRegistry');
+const SourceManager = require('../src/sources/SourceManager');
+const { RunHistory } = require('../src/runs/RunHistory');
+const { getCacheManager } = require('../src/cache/CacheManager');
+const { getModelCache } = require('../src/utils/modelCache');
+
+let failures = 0;
+function check(description, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${description}`);
+  if (!condition) failures++;
+}
+
+async function run() {
+  console.log('🧪 Testing Prometheus metrics\n');
+
+  // 1. Text format
+  const registry = new MetricsRegistry();
+  registry.counter('test_requests_total', 'Requests').inc({ path: '/a"b\\c' }, 2);
+  registry.histogram('test_duration_seconds', 'Duration', [0.1, 1]).observe({}, 0.5);
+  const text = registry.render();
+
+  check('HELP and TYPE lines are rendered', text.includes('# HELP test_requests_total Requests\n# TYPE test_requests_total counter'));
+  check('label values are escaped', text.includes('test_requests_total{path="/a\\"b\\\\c"} 2'));
+  check('histogram buckets are cumulative', text.includes('test_duration_seconds_bucket{le="0.1"} 0') &&
+    text.includes('test_duration_seconds_bucket{le="1"} 1') &&
+    text.includes('test_duration_seconds_bucket{le="+Inf"} 1') &&
+    text.includes('test_duration_seconds_count 1'));
+
+  // 2. Source fetches and circuit breakers
+  const sourceManager = new SourceManager();
+  const okSource = { id: 'metrics-ok', name: 'Metrics OK', type: 'rss', fetch: async () => [{ title: 'a' }, { title: 'b' }] };
+  const badSource = { id: 'metrics-bad', name: 'Metrics Bad', type: 'rss', fetch: async () => { throw new Error('Status code 403'); } };
+
+  await sourceManager.fetchFromSource(okSource, []);
+  await sourceManager.fetchFromSource(badSource, []);
+
+  // 3. Cache, embedding model and runs
+  const cacheManager = getCacheManager();
+  cacheManager.get('processed', 'metrics-test');
+  cacheManager.set('processed', 'metrics-test', [1]);
+  cacheManager.get('processed', 'metrics-test');
+
+  const modelCache = getModelCache();
+  modelCache.getTransformers = async () => ({
+    pipeline: async () => async () => ({ data: new Float32Array([1, 0]) })
+  });
+  const model = await modelCache.getEmbeddingModel('test/model');
+  await model('text', { pooling: 'mean', normalize: true });
+  await model('more text', { pooling: 'mean', normalize: true });
+
+  const history = new RunHistory();
+  const digestRun = history.startRun({ profileId: 'default', job: 'daily' });
+  digestRun.items = [{ title: 'a' }, { title: 'b' }, { title: 'c' }];
+  digestRun.delivery = { sent: true, mode: 'webhook' };
+  history.finishRun(digestRun);
+  history.finishRun(history.startRun({ profileId: 'default', job: 'daily' }), new Error('Slack unreachable'));
+
+  const metrics = getMetricsRegistry().render();
+  const line = (prefix) => metrics.split('\n').find(l => l.startsWith(prefix));
+
+  check('successful fetch is counted', line('newsbot_source_fetches_total{source="metrics-ok",type="rss",status="success"}')?.endsWith(' 1'));
+  check('failed fetch is counted', line('newsbot_source_fetches_total{source="metrics-bad",type="rss",status="error"}')?.endsWith(' 1'));
+  check('fetch latency histogram is recorded', !!line('newsbot_source_fetch_duration_seconds_count{source="metrics-ok",type="rss"} 1'));
+  check('items per source are counted', !!line('newsbot_source_items_total{source="metrics-ok",type="rss"} 2'));
+  check('circuit state gauge per source', !!line('newsbot_circuit_state{source="metrics-ok"} 0') && !!line('newsbot_circuit_state{source="metrics-bad"}'));
+  check('cache hit/miss counters', !!line('newsbot_cache_hits_total 1') && !!line('newsbot_cache_misses_total 1') &&
+    !!line('newsbot_cache_entries{cache="processed"} 1'));
+  check('embedding inferences are timed', !!line('newsbot_embedding_inferences_total{model="test/model"} 2') &&
+    !!line('newsbot_embedding_inference_seconds_total{model="test/model"}'));
+  check('run durations by status', !!line('newsbot_run_duration_seconds_count{profile="default",job="daily"} 2') &&
+    !!line('newsbot_runs_total{profile="default",job="daily",status="failed"} 1'));
+  check('delivered articles are counted', !!line('newsbot_articles_delivered_total{profile="default",job="daily"} 3'));
+
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+
+  console.log(failures === 0 ? '\n✅ All metrics checks passed' : `\n❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+run().catch(error => {
+  console.error('✗ Test crashed:', error);
+  process.exit(1);
+});
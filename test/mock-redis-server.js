@@ -0,0 +1,166 @@
+/**
+ * Mock Redis Server
+ *
+ * Minimal local stand-in for Redis that speaks RESP and implements the commands
+ * used by RedisCacheStore through ioredis (PING, AUTH, SELECT, INFO, GET, SET [PX|EX],
+ * DEL, PTTL, SCAN)
+ * in memory, with key expiry.
+ *
+ * Usage:
+ *   node test/mock-redis-server.js         # listens on port 6399
+ *   CACHE_BACKEND=redis REDIS_URL=redis://localhost:6399 npm start
+ */
+
+const net = require('net');
+
+/**
+ * Start the mock server
+ * @param {Object} options - { port, password } (port 0 = random free port)
+ * @returns {Promise<Object>} { url, data, commands, dropConnections, close }
+ */
+function startMockRedis(options = {}) {
+  const data = new Map(); // key -> { value, expiresAt }
+  const commands = [];
+  const sockets = new Set();
+
+  const encode = (value) => {
+    if (value === null) return '$-1\r\n';
+    if (value instanceof Error) return `-${value.message}\r\n`;
+    if (typeof value === 'number') return `:${value}\r\n`;
+    if (Array.isArray(value)) return `*${value.length}\r\n${value.map(encode).join('')}`;
+    if (value === 'OK' || value === 'PONG') return `+${value}\r\n`;
+    return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  };
+
+  const live = (key) => {
+    const entry = data.get(key);
+    if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+      data.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  const globToRegExp = (pattern) => new RegExp(`^${pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+
+  const execute = (args, session) => {
+    const [name, ...rest] = args;
+    const command = name.toUpperCase();
+    commands.push(command);
+
+    if (options.password && !session.authenticated && !['AUTH', 'PING'].includes(command)) {
+      return new Error('NOAUTH Authentication required.');
+    }
+
+    switch (command) {
+      case 'PING':
+        return 'PONG';
+      case 'AUTH':
+        session.authenticated = rest[rest.length - 1] === options.password;
+        return session.authenticated ? 'OK' : new Error('WRONGPASS invalid username-password pair');
+      case 'SELECT':
+        return 'OK';
+      case 'INFO':
+        // ioredis waits for loading:0 before sending commands
+        return '# Server\r\nredis_version:7.0.0\r\n# Persistence\r\nloading:0\r\n';
+      case 'GET':
+        return live(rest[0])?.value ?? null;
+      case 'SET': {
+        const [key, value, unit, amount] = rest;
+        const ms = unit?.toUpperCase() === 'PX' ? parseInt(amount) : unit?.toUpperCase() === 'EX' ? parseInt(amount) * 1000 : null;
+        data.set(key, { value, expiresAt: ms ? Date.now() + ms : null });
+        return 'OK';
+      }
+      case 'DEL':
+        return rest.filter(key => live(key) && data.delete(key)).length;
+      case 'PTTL': {
+        const entry = live(rest[0]);
+        if (!entry) return -2;
+        return entry.expiresAt ? entry.expiresAt - Date.now() : -1;
+      }
+      case 'SCAN': {
+        const matchIndex = rest.findIndex(arg => arg.toUpperCase() === 'MATCH');
+        const pattern = matchIndex >= 0 ? globToRegExp(rest[matchIndex + 1]) : /.*/;
+        // Everything in one batch
+        return ['0', Array.from(data.keys()).filter(key => live(key) && pattern.test(key))];
+      }
+      default:
+        return new Error(`ERR unknown command '${name}'`);
+    }
+  };
+
+  // Parses complete RESP arrays of bulk strings from the buffer
+  const parseCommands = (session) => {
+    const parsed = [];
+
+    while (session.buffer.length > 0) {
+      let offset = 0;
+      const readLine = () => {
+        const end = session.buffer.indexOf('\r\n', offset);
+        if (end === -1) return null;
+        const line = session.buffer.toString('utf8', offset, end);
+        offset = end + 2;
+        return line;
+      };
+
+      const header = readLine();
+      if (header === null) break;
+      const count = parseInt(header.slice(1));
+      const args = [];
+
+      for (let i = 0; i < count; i++) {
+        const lengthLine = readLine();
+        if (lengthLine === null) break;
+        const length = parseInt(lengthLine.slice(1));
+        if (session.buffer.length < offset + length + 2) break;
+        args.push(session.buffer.toString('utf8', offset, offset + length));
+        offset += length + 2;
+      }
+
+      if (args.length < count) break;
+      session.buffer = session.buffer.subarray(offset);
+      parsed.push(args);
+    }
+
+    return parsed;
+  };
+
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    const session = { buffer: Buffer.alloc(0), authenticated: false };
+
+    socket.on('data', chunk => {
+      session.buffer = Buffer.concat([session.buffer, chunk]);
+      for (const args of parseCommands(session)) {
+        socket.write(encode(execute(args, session)));
+      }
+    });
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+  });
+
+  return new Promise(resolve => {
+    server.listen(options.port || 0, () => {
+      const { port } = server.address();
+      const auth = options.password ? `:${options.password}@` : '';
+      resolve({
+        url: `redis://${auth}localhost:${port}`,
+        data,
+        commands,
+        // Simulates a Redis restart: open connections are dropped, the server keeps listening
+        dropConnections: () => sockets.forEach(socket => socket.destroy()),
+        close: () => new Promise(done => {
+          sockets.forEach(socket => socket.destroy());
+          server.close(done);
+        })
+      });
+    });
+  });
+}
+
+if (require.main === module) {
+  startMockRedis({ port: parseInt(process.env.MOCK_REDIS_PORT) || 6399 })
+    .then(({ url }) => console.log(`✓ Mock Redis listening on ${url}`));
+}
+
+module.exports = { startMockRedis };
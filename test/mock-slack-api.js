@@ -0,0 +1,100 @@
+/**
+ * Mock Slack Web API
+ *
+ * Minimal local stand-in for https://slack.com/api that implements
+ * chat.postMessage, chat.update and chat.delete in memory.
+ *
+ * Usage:
+ *   node test/mock-slack-api.js            # listens on port 3999
+ *   SLACK_DELIVERY_MODE=webapi SLACK_API_URL=http://localhost:3999/api \
+ *   SLACK_BOT_TOKEN=xoxb-test SLACK_CHANNEL_ID=C123 npm test
+ */
+
+const express = require('express');
+
+/**
+ * Start the mock server
+ * @param {Object} options - { port } (0 = random free port)
+ * @returns {Promise<Object>} { url, messages, calls, close }
+ */
+function startMockSlackApi(options = {}) {
+  const app = express();
+  app.use(express.json({ limit: '1mb' }));
+
+  const messages = new Map(); // ts -> message
+  const calls = [];
+  let counter = 0;
+
+  const nextTs = () => {
+    counter++;
+    return `${Math.floor(Date.now() / 1000)}.${String(counter).padStart(6, '0')}`;
+  };
+
+  // Require a bot token on every call
+  app.use('/api', (req, res, next) => {
+    const auth = req.headers.authorization || '';
+    if (!auth.startsWith('Bearer xoxb-')) {
+      return res.json({ ok: false, error: 'invalid_auth' });
+    }
+    calls.push({ method: req.path.slice(1), body: req.body });
+    next();
+  });
+
+  app.post('/api/chat.postMessage', (req, res) => {
+    const { channel, text, blocks, thread_ts } = req.body;
+    if (!channel) {
+      return res.json({ ok: false, error: 'channel_not_found' });
+    }
+    if (thread_ts && !messages.has(thread_ts)) {
+      return res.json({ ok: false, error: 'thread_not_found' });
+    }
+
+    const ts = nextTs();
+    messages.set(ts, { channel, ts, text, blocks, thread_ts: thread_ts || null });
+    console.log(`[mock-slack] postMessage ${ts}${thread_ts ? ` (thread ${thread_ts})` : ''}: ${text}`);
+    res.json({ ok: true, channel, ts, message: { text, blocks } });
+  });
+
+  app.post('/api/chat.update', (req, res) => {
+    const { channel, ts, text, blocks } = req.body;
+    const message = messages.get(ts);
+    if (!message || message.channel !== channel) {
+      return res.json({ ok: false, error: 'message_not_found' });
+    }
+
+    Object.assign(message, { text, blocks, edited: true });
+    console.log(`[mock-slack] update ${ts}: ${text}`);
+    res.json({ ok: true, channel, ts, text });
+  });
+
+  app.post('/api/chat.delete', (req, res) => {
+    const { channel, ts } = req.body;
+    const message = messages.get(ts);
+    if (!message || message.channel !== channel) {
+      return res.json({ ok: false, error: 'message_not_found' });
+    }
+
+    messages.delete(ts);
+    console.log(`[mock-slack] delete ${ts}`);
+    res.json({ ok: true, channel, ts });
+  });
+
+  return new Promise(resolve => {
+    const server = app.listen(options.port || 0, () => {
+      const url = `http://localhost:${server.address().port}/api`;
+      resolve({
+        url,
+        messages,
+        calls,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+if (require.main === module) {
+  startMockSlackApi({ port: parseInt(process.env.MOCK_SLACK_PORT) || 3999 })
+    .then(({ url }) => console.log(`✓ Mock Slack API listening on ${url}`));
+}
+
+module.exports = { startMockSlackApi };
@@ -0,0 +1,165 @@
+/**
+ * NewsAPI Quota Test
+ *
+ * Serves the NewsAPI endpoints from a local HTTP server and checks:
+ * 1. /everything parameters: keywords, from (maxAgeHours), domains/excludeDomains
+ * 2. Pagination up to maxPages
+ * 3. /top-headlines with country/category, age and domain filters applied locally
+ * 4. The quota ledger refuses requests once the daily budget is used, persists usage
+ *    and treats a 429 from NewsAPI as a used budget
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'newsbot-newsapi-'));
+process.env.CACHE_BACKEND = 'memory';
+
+const NewsAPISource = require('../src/sources/sources/NewsAPISource');
+const { QuotaLedger } = require('../src/sources/QuotaLedger');
+const { getCacheManager } = require('../src/cache/CacheManager');
+
+let failures = 0;
+function check(description, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${description}`);
+  if (!condition) failures++;
+}
+
+const TOTAL_RESULTS = 45;
+const hoursAgo = hours => new Date(Date.now() - hours * 3600 * 1000).toISOString();
+
+const article = (index, url = `https://www.retaildive.com/news/story-${index}/`, publishedAt = hoursAgo(2)) => ({
+  source: { id: null, name: 'Retail Dive' },
+  title: `Story ${index}: grocers test delivery robots`,
+  description: 'Autonomous delivery pilots expand across supermarket chains.',
+  url,
+  urlToImage: null,
+  publishedAt,
+  content: null
+});
+
+let rateLimited = false;
+const requests = [];
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  const params = Object.fromEntries(url.searchParams);
+  requests.push({ path: url.pathname, params });
+
+  res.setHeader('Content-Type', 'application/json');
+
+  if (rateLimited) {
+    res.writeHead(429);
+    return res.end(JSON.stringify({ status: 'error', code: 'rateLimited', message: 'You have made too many requests recently.' }));
+  }
+
+  if (url.pathname === '/v2/everything') {
+    const page = Number(params.page);
+    const pageSize = Number(params.pageSize);
+    const count = Math.max(0, Math.min(pageSize, TOTAL_RESULTS - (page - 1) * pageSize));
+    const articles = Array.from({ length: count }, (_, i) => article((page - 1) * pageSize + i + 1));
+    return res.end(JSON.stringify({ status: 'ok', totalResults: TOTAL_RESULTS, articles }));
+  }
+
+  if (url.pathname === '/v2/top-headlines') {
+    return res.end(JSON.stringify({
+      status: 'ok',
+      totalResults: 4,
+      articles: [
+        article(1, 'https://www.retaildive.com/news/headline-1/'),
+        article(2, 'https://tech.example.com/robots'),
+        article(3, 'https://www.retaildive.com/news/old-headline/', hoursAgo(100)),
+        { ...article(4, 'https://removed.example.com/'), title: '[Removed]' }
+      ]
+    }));
+  }
+
+  res.writeHead(404);
+  res.end(JSON.stringify({ status: 'error', message: 'Not found' }));
+});
+
+async function run() {
+  console.log('🧪 Testing NewsAPI quota, pagination and endpoints\n');
+
+  await new Promise(resolve => server.listen(0, resolve));
+  const baseUrl = `http://localhost:${server.address().port}/v2`;
+  const cacheManager = getCacheManager();
+
+  const createSource = (id, config) => new NewsAPISource({
+    id,
+    name: 'NewsAPI',
+    type: 'newsapi',
+    config: { apiKey: 'test-key', baseUrl, ...config }
+  });
+
+  // 1. + 2. /everything with pagination
+  const everything = createSource('newsapi', {
+    maxPages: 3,
+    maxAgeHours: 24,
+    domains: ['retaildive.com', 'grocerydive.com'],
+    excludeDomains: ['spam.example.com']
+  });
+  const items = await everything.fetch(['delivery robots', 'last mile']);
+  const first = requests[0].params;
+  const from = new Date(`${first.from}Z`).getTime();
+
+  check('keywords, language and domain filters are sent', requests[0].path === '/v2/everything' && first.q === 'delivery robots OR last mile' &&
+    first.language === 'en' && first.domains === 'retaildive.com,grocerydive.com' && first.excludeDomains === 'spam.example.com' && first.apiKey === 'test-key');
+  check('from is derived from maxAgeHours', Math.abs(from - (Date.now() - 24 * 3600 * 1000)) < 60 * 1000);
+  check('results are paged until totalResults', requests.length === 3 && requests.map(r => r.params.page).join() === '1,2,3' && items.length === TOTAL_RESULTS);
+
+  const capped = createSource('newsapi-capped', { maxPages: 2 });
+  requests.length = 0;
+  const cappedItems = await capped.fetch(['retail']);
+  check('pagination stops at maxPages', requests.length === 2 && cappedItems.length === 40);
+
+  // 3. /top-headlines
+  const headlines = createSource('newsapi-headlines', {
+    endpoint: 'top-headlines',
+    country: 'us',
+    category: 'business',
+    maxAgeHours: 48,
+    excludeDomains: ['example.com']
+  });
+  requests.length = 0;
+  const headlineItems = await headlines.fetch(['retail']);
+  const headlineParams = requests[0].params;
+  check('top-headlines sends country and category only', requests[0].path === '/v2/top-headlines' && headlineParams.country === 'us' &&
+    headlineParams.category === 'business' && !headlineParams.q && !headlineParams.from && !headlineParams.language);
+  check('top-headlines items are filtered by age, domain and removal', headlineItems.length === 1 && headlineItems[0].link === 'https://www.retaildive.com/news/headline-1/');
+  check('top-headlines needs a country or category', !createSource('newsapi-invalid', { endpoint: 'top-headlines' }).validate());
+
+  // 4. Quota
+  const limited = createSource('newsapi-limited', { maxPages: 3, dailyLimit: 4 });
+  requests.length = 0;
+  const limitedItems = await limited.fetch(['retail']);
+  cacheManager.flushType('newsapi');
+  const secondRun = await limited.fetch(['grocery']);
+  const usage = limited.getQuotaUsage();
+  check('pages beyond the budget are not requested', requests.length === 4 && limitedItems.length === TOTAL_RESULTS && secondRun.length === 20);
+  check('quota usage is reported', usage.used === 4 && usage.limit === 4 && usage.remaining === 0 && usage.exhausted && usage.refused === 1);
+
+  cacheManager.flushType('newsapi');
+  const refused = await limited.fetch(['supermarket']);
+  check('exhausted budget refuses requests', refused.length === 0 && requests.length === 4 && limited.getQuotaUsage().refused === 2);
+
+  const restarted = new QuotaLedger();
+  check('usage survives a restart', restarted.getUsage('newsapi-limited', 4).used === 4 && restarted.getUsage('newsapi', 100).used === 3);
+
+  rateLimited = true;
+  const throttled = createSource('newsapi-throttled', { dailyLimit: 50 });
+  await throttled.fetch(['retail']);
+  check('429 from NewsAPI marks the budget as used', throttled.getQuotaUsage().exhausted && throttled.getQuotaUsage().remaining === 0);
+
+  server.close();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+
+  console.log(failures === 0 ? '\n✅ All NewsAPI checks passed' : `\n❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+run().catch(error => {
+  console.error('✗ Test crashed:', error);
+  process.exit(1);
+});
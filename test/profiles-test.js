@@ -0,0 +1,72 @@
+/**
+ * Profiles Test
+ *
+ * Loads digest profiles from a PROFILES_CONFIG file while the single-channel environment
+ * (SLACK_WEBHOOK_URL, SLACK_CHANNEL_ID) is set, and checks:
+ * 1. Settings fall back to the environment, the delivery target does not
+ * 2. Profiles without their own target and profiles sharing a target are rejected
+ * 3. Slash commands resolve the profile by its own channel only
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'newsbot-profiles-'));
+process.env.SLACK_WEBHOOK_URL = 'https://hooks.slack.com/services/env';
+process.env.SLACK_CHANNEL_ID = 'C0ENV';
+process.env.MAX_NEWS_ITEMS = '7';
+
+const ProfileManager = require('../src/profiles/ProfileManager');
+const SlashCommandHandler = require('../src/slack/SlashCommandHandler');
+
+let failures = 0;
+function check(description, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${description}`);
+  if (!condition) failures++;
+}
+
+const configPath = path.join(process.env.DATA_DIR, 'profiles.json');
+const load = (profiles) => {
+  fs.writeFileSync(configPath, JSON.stringify({ profiles }));
+  return new ProfileManager(configPath);
+};
+const loadError = (profiles) => {
+  try {
+    load(profiles);
+    return '';
+  } catch (error) {
+    return error.message;
+  }
+};
+
+const logistics = { id: 'logistics', webhookUrl: 'https://hooks.slack.com/services/logistics' };
+const storeTech = { id: 'store-tech', deliveryMode: 'webapi', botToken: 'xoxb-test', channel: 'C0STORE' };
+
+// 1. Fallbacks
+const manager = load([logistics, storeTech]);
+const [first, second] = manager.getProfiles();
+check('settings fall back to the environment', first.maxItems === 7 && second.maxItems === 7);
+check('profiles keep their own webhook and channel', first.webhookUrl === logistics.webhookUrl && second.channel === 'C0STORE');
+check('SLACK_WEBHOOK_URL and SLACK_CHANNEL_ID are not inherited', first.channel === undefined && second.webhookUrl === undefined);
+
+// 2. Delivery targets
+check('a profile without its own webhookUrl is rejected', loadError([logistics, { id: 'store-tech' }]).includes('missing webhookUrl'));
+check('a webapi profile without its own channel is rejected',
+  loadError([logistics, { ...storeTech, channel: undefined }]).includes('store-tech'));
+check('profiles sharing a webhookUrl are rejected',
+  loadError([logistics, { id: 'store-tech', webhookUrl: logistics.webhookUrl }]) === 'Profiles logistics and store-tech share the same webhookUrl');
+check('profiles sharing a channel are rejected',
+  loadError([storeTech, { ...storeTech, id: 'grocery' }]) === 'Profiles store-tech and grocery share the same channel');
+check('without PROFILES_CONFIG the environment target is used', new ProfileManager().getDefaultProfile().channel === 'C0ENV');
+
+// 3. Slash commands
+const handler = new SlashCommandHandler({ newsService: {}, profileManager: manager });
+check('a profile channel resolves to its profile', handler.getProfileForChannel('C0STORE').id === 'store-tech');
+check('the environment channel no longer matches the first profile', handler.getProfileForChannel('C0ENV').id === 'logistics' &&
+  manager.getProfiles().every(profile => profile.channel !== 'C0ENV'));
+
+fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+
+console.log(failures === 0 ? '\n✅ All profile checks passed' : `\n❌ ${failures} check(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
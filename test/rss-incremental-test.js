@@ -0,0 +1,192 @@
+/**
+ * RSS Incremental Fetch Test
+ *
+ * Serves a feed with ETag/Last-Modified from a local HTTP server and checks:
+ * 1. Validators and watermark are only stored once the digest is delivered; after a
+ *    failed delivery the next run gets the same items again
+ * 2. Validators are sent back as If-None-Match / If-Modified-Since; a 304 yields no
+ *    items and counts as a success in the circuit breaker
+ * 3. A changed feed only yields items added since the last delivery: unseen GUIDs are new
+ *    whatever their date, the date watermark only applies to items without GUID or link
+ * 4. Feed state survives a restart; ad-hoc searches get the full feed without touching it
+ * 5. Profiles sharing a fetch keep their own watermark: a story delivered to one profile
+ *    is still fetched for another profile that has not delivered it yet
+ * 6. Feed errors reach the circuit breaker
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'newsbot-rss-incremental-'));
+process.env.CACHE_BACKEND = 'memory';
+
+const SourceManager = require('../src/sources/SourceManager');
+const Scheduler = require('../src/scheduler');
+const { FeedStateStore } = require('../src/sources/FeedStateStore');
+const { getCacheManager } = require('../src/cache/CacheManager');
+
+let failures = 0;
+function check(description, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${description}`);
+  if (!condition) failures++;
+}
+
+const hoursAgo = hours => new Date(Date.now() - hours * 3600 * 1000).toUTCString();
+
+let feedItems = [
+  { guid: 'rd-1', title: 'Grocers expand autonomous delivery pilots', pubDate: hoursAgo(5) },
+  { guid: 'rd-2', title: 'Warehouse robots cut picking times in half', pubDate: hoursAgo(3) }
+];
+let version = 1;
+let feedStatus = 200;
+const lastModified = () => new Date(Date.UTC(2026, 9, 19, 6, version)).toUTCString();
+
+const requests = [];
+const server = http.createServer((req, res) => {
+  requests.push({ url: req.url, ifNoneMatch: req.headers['if-none-match'], ifModifiedSince: req.headers['if-modified-since'] });
+
+  if (feedStatus !== 200) {
+    res.writeHead(feedStatus);
+    return res.end();
+  }
+
+  const etag = `"feed-v${version}"`;
+  if (req.headers['if-none-match'] === etag) {
+    res.writeHead(304, { ETag: etag });
+    return res.end();
+  }
+
+  res.writeHead(200, { 'Content-Type': 'application/rss+xml', ETag: etag, 'Last-Modified': lastModified() });
+  res.end(`<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0"><channel><title>Retail Dive</title>
+${feedItems.map(item => `<item><guid>${item.guid}</guid><title>${item.title}</title><link>https://www.retaildive.com/news/${item.guid}/</link><pubDate>${item.pubDate}</pubDate><description>${item.title}</description></item>`).join('\n')}
+</channel></rss>`);
+});
+
+async function run() {
+  console.log('🧪 Testing incremental RSS fetching\n');
+
+  await new Promise(resolve => server.listen(0, resolve));
+  const feedUrl = `http://localhost:${server.address().port}/feed.xml`;
+
+  const configPath = path.join(process.env.DATA_DIR, 'sources.json');
+  fs.writeFileSync(configPath, JSON.stringify({
+    sources: [{ id: 'retaildive', name: 'Retail Dive', type: 'rss', enabled: true, priority: 1, config: { feedUrl } }]
+  }));
+
+  const sourceManager = new SourceManager(configPath);
+  const source = sourceManager.getSource('retaildive');
+  const cacheManager = getCacheManager();
+  const fetchFresh = async (options = {}) => {
+    cacheManager.flushType('rss');
+    return await sourceManager.fetchFromSource(source, [], null, options);
+  };
+
+  // Delivers a run that fetched the feed, the way the daily job does
+  const deliverRun = async (succeeds, profileId = 'default') => {
+    const run = { profileId, fetch: { sources: [{ id: 'retaildive' }] } };
+    const send = async () => {
+      if (!succeeds) throw new Error('Slack API error: channel_not_found');
+      return true;
+    };
+    await Scheduler.prototype.deliver.call(null, run, { deliveryMode: 'webhook' }, send).catch(() => {});
+    return run.delivery;
+  };
+
+  // 1. First fetch: full feed, state only stored after delivery
+  const statePath = path.join(process.env.DATA_DIR, 'feed-state.json');
+  const storedState = () => (fs.existsSync(statePath) ? JSON.parse(fs.readFileSync(statePath, 'utf8')).profiles.default.retaildive : undefined);
+
+  const first = await fetchFresh();
+  check('first fetch returns the whole feed without conditional headers', first.length === 2 && !requests[0].ifNoneMatch && !requests[0].ifModifiedSince);
+
+  const failed = await deliverRun(false);
+  check('nothing is stored when the delivery fails', failed.sent === false && storedState() === undefined);
+
+  const retried = await fetchFresh();
+  check('the next run gets the undelivered items again', retried.length === 2 && !requests[1].ifNoneMatch);
+
+  await deliverRun(true);
+  const stored = storedState();
+  check('validators and watermark are persisted after delivery', stored.etag === '"feed-v1"' && stored.lastModified === lastModified() &&
+    stored.seenIds.includes('rd-1') && stored.seenIds.includes('rd-2') && stored.feedUrl === feedUrl);
+
+  // 2. Unchanged feed
+  const unchanged = await fetchFresh();
+  const conditional = requests[requests.length - 1];
+  check('validators are sent back', conditional.ifNoneMatch === '"feed-v1"' && conditional.ifModifiedSince === lastModified());
+  const stats = sourceManager.circuitBreaker.getStats('retaildive');
+  check('304 yields no items and counts as success', unchanged.length === 0 && stats.successes === 3 && stats.failures === 0);
+
+  // 3. Changed feed: one new story and one late-indexed story dated before the newest seen item
+  version = 2;
+  feedItems = [
+    { guid: 'rd-3', title: 'Supermarket chain tests sidewalk delivery robots', pubDate: hoursAgo(1) },
+    ...feedItems,
+    { guid: 'rd-late', title: 'Grocers add cold storage lockers to pickup points', pubDate: hoursAgo(5) }
+  ];
+  const changed = await fetchFresh();
+  check('changed feed only yields items added since the last delivery', changed.length === 2 &&
+    changed.some(item => item.link.endsWith('/rd-3/')) && changed.some(item => item.link.endsWith('/rd-late/')));
+  await deliverRun(true);
+
+  const batch = new FeedStateStore({ filePath: path.join(process.env.DATA_DIR, 'batch-state.json') });
+  const batchDate = 'Mon, 19 Oct 2026 00:00:00 GMT';
+  batch.stage('batch', feedUrl, { items: [{ id: 'batch-1', pubDate: batchDate }] });
+  batch.commit();
+  const batchNew = batch.filterNew('batch', feedUrl, [{ id: 'batch-1', pubDate: batchDate }, { id: 'batch-2', pubDate: batchDate }]);
+  check('of two items sharing a date only the unseen one is new', batchNew.length === 1 && batchNew[0].id === 'batch-2');
+  check('items without GUID or link are new from the newest seen date on',
+    batch.filterNew('batch', feedUrl, [{ pubDate: batchDate }, { pubDate: 'Sun, 18 Oct 2026 00:00:00 GMT' }]).length === 1);
+
+  // 4. Restart and ad-hoc searches
+  const restarted = new FeedStateStore();
+  check('feed state survives a restart', restarted.getConditionalHeaders('retaildive', feedUrl)['If-None-Match'] === '"feed-v2"' &&
+    restarted.filterNew('retaildive', feedUrl, [{ id: 'rd-3', pubDate: hoursAgo(1) }]).length === 0);
+  check('state recorded for another feed URL is ignored', Object.keys(restarted.getConditionalHeaders('retaildive', `${feedUrl}?v=2`)).length === 0);
+
+  const search = await fetchFresh({ incremental: false });
+  const searchRequest = requests[requests.length - 1];
+  check('searches get the full feed without conditional headers', search.length === 4 && !searchRequest.ifNoneMatch);
+  check('searches leave the watermark alone', (await fetchFresh()).length === 0);
+
+  // 5. Profiles sharing a fetch
+  const profileIds = ['default', 'weekly'];
+  const firstShared = await fetchFresh({ profileIds });
+  check('a profile without state gets the whole feed, without conditional headers',
+    firstShared.length === 4 && !requests[requests.length - 1].ifNoneMatch);
+  await deliverRun(true, 'default');
+  await deliverRun(true, 'weekly');
+
+  version = 3;
+  feedItems = [{ guid: 'rd-4', title: 'Retailer rolls out robot shelf scanners', pubDate: hoursAgo(0.5) }, ...feedItems];
+  const newStory = await fetchFresh({ profileIds });
+  check('validators are sent when all profiles agree', requests[requests.length - 1].ifNoneMatch === '"feed-v2"');
+  check('a new story is fetched once for both profiles', newStory.length === 1 && newStory[0].link.endsWith('/rd-4/'));
+  await deliverRun(true, 'default');
+
+  const refetched = await fetchFresh({ profileIds });
+  check('after the cache expires the profile that has not delivered still gets the story',
+    refetched.length === 1 && refetched[0].link.endsWith('/rd-4/') && !requests[requests.length - 1].ifNoneMatch);
+  await deliverRun(true, 'weekly');
+  check('once every profile delivered the feed is unchanged for both', (await fetchFresh({ profileIds })).length === 0 &&
+    requests[requests.length - 1].ifNoneMatch === '"feed-v3"');
+
+  // 6. Failures
+  feedStatus = 500;
+  await fetchFresh();
+  check('feed errors are recorded by the circuit breaker', sourceManager.circuitBreaker.getStats('retaildive').lastError.includes('500'));
+
+  server.close();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+
+  console.log(failures === 0 ? '\n✅ All incremental RSS checks passed' : `\n❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+run().catch(error => {
+  console.error('✗ Test crashed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,102 @@
+/**
+ * Run History Test
+ *
+ * Runs the daily job end-to-end against stubbed sources and the local mock Slack API
+ * and checks the recorded run: per-source fetch metrics, per-filter drop counts,
+ * delivered items with scores and the Slack delivery result.
+ * The embedding model is replaced by a fixed semantic score (no model download).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'newsbot-runs-'));
+
+const { startMockSlackApi } = require('./mock-slack-api');
+
+let failures = 0;
+function check(description, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${description}`);
+  if (!condition) failures++;
+}
+
+const article = (n, extra = {}) => ({
+  title: `Autonomous delivery robots expand grocery service in city ${n}`,
+  link: `https://www.retaildive.com/news/robots-${n}`,
+  description: 'Retail innovation: autonomous delivery robots bring groceries to customers on the last mile, the retailer said on Monday.',
+  source: 'Retail Dive',
+  sourceId: 'retail-dive',
+  pubDate: new Date().toISOString(),
+  ...extra
+});
+
+async function run() {
+  console.log('🧪 Testing run history\n');
+
+  const mock = await startMockSlackApi({ port: 0 });
+  Object.assign(process.env, {
+    SLACK_DELIVERY_MODE: 'webapi',
+    SLACK_BOT_TOKEN: 'xoxb-test',
+    SLACK_CHANNEL_ID: 'C123',
+    SLACK_API_URL: mock.url,
+    ENABLE_WEEKLY_ROUNDUP: 'false'
+  });
+
+  const Scheduler = require('../src/scheduler');
+  const { RunHistory, getRunHistory } = require('../src/runs/RunHistory');
+
+  const scheduler = new Scheduler();
+  const sourceManager = scheduler.newsService.sourceManager;
+
+  // Stub the network fetch, keeping the report format of SourceManager.fetchAllNews
+  sourceManager.fetchAllNews = async () => {
+    sourceManager.lastFetchReport = {
+      startedAt: new Date().toISOString(),
+      sources: [
+        { id: 'retail-dive', name: 'Retail Dive', type: 'rss', status: 'success', items: 4, durationMs: 12, error: null },
+        { id: 'broken-feed', name: 'Broken Feed', type: 'rss', status: 'error', items: 0, durationMs: 30, error: 'Status code 403' }
+      ],
+      totalFetched: 4
+    };
+    return [
+      article(1),
+      article(2),
+      article(1, { link: 'https://www.retaildive.com/news/robots-1-copy' }),
+      article(3, { title: 'Click here to win a free iPhone now', description: 'Sponsored giveaway, click here to win a free iPhone today only.' })
+    ];
+  };
+  scheduler.newsService.relevanceEngine.semanticScorer.scoreWithTopic = async () => ({ score: 0.8, topic: 'autonomous-delivery' });
+
+  const first = await scheduler.executeDailyJob(undefined, 'manual');
+
+  check('run finished successfully', first.status === 'success' && first.finishedAt && first.durationMs >= 0);
+  check('run records trigger and job', first.trigger === 'manual' && first.job === 'daily');
+  check('per-source fetch counts and errors are recorded', first.fetch.sources.length === 2 &&
+    first.fetch.sources.find(s => s.id === 'broken-feed').error === 'Status code 403');
+
+  const stages = Object.fromEntries(first.filters.stages.map(stage => [stage.stage, stage]));
+  check('all filter stages are recorded', ['spam', 'posted', 'duplicate', 'age', 'quality', 'threshold', 'limit'].every(name => stages[name]));
+  check('drop counts add up', first.filters.stages.reduce((sum, stage) => sum + stage.dropped, 0) === 4 - first.items.length);
+  check('delivered items carry scores', first.items.length > 0 && first.items.every(item => typeof item.score === 'number' && item.breakdown));
+  check('Slack delivery result is recorded', first.delivery.sent === true && first.delivery.mode === 'webapi' && !!first.delivery.ts);
+
+  // Second run of the day is served from the processed cache, metrics are kept
+  const second = await scheduler.executeDailyJob(undefined, 'manual');
+  check('cached run is flagged and keeps stage metrics', second.cached === true && second.filters.stages.length === 7);
+
+  const history = getRunHistory();
+  check('GET /runs summary lists newest first', history.getRuns()[0].id === second.id && history.getRuns()[0].delivered === second.items.length);
+  check('runs persist across restarts', new RunHistory().getRun(first.id)?.filters.stages.length === 7);
+
+  await mock.close();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+
+  console.log(failures === 0 ? '\n✅ All run history checks passed' : `\n❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+run().catch(error => {
+  console.error('✗ Test crashed:', error);
+  process.exit(1);
+});
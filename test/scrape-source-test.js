@@ -0,0 +1,181 @@
+/**
+ * Scrape Source Test
+ *
+ * Serves listing pages and robots.txt from a local HTTP server and checks:
+ * 1. German and English date parsing (numeric, written, relative)
+ * 2. robots.txt rules (own group over *, longest match, wildcards, missing/failing robots.txt)
+ * 3. ScrapeSource item extraction (selectors, @attributes, relative links, dates, teaser, image)
+ * 4. Cache reuse, and failures (robots.txt, changed layout) reaching the circuit breaker
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'newsbot-scrape-'));
+process.env.CACHE_BACKEND = 'memory';
+
+const { parseDate } = require('../src/utils/dateParser');
+const { RobotsTxt, parseRobotsTxt, isPathAllowed } = require('../src/utils/robotsTxt');
+const SourceManager = require('../src/sources/SourceManager');
+const ScrapeSource = require('../src/sources/sources/ScrapeSource');
+
+let failures = 0;
+function check(description, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${description}`);
+  if (!condition) failures++;
+}
+
+const LISTING = `<!DOCTYPE html><html><body>
+<nav><a href="/">Start</a></nav>
+<div class="news-list">
+  <article class="teaser">
+    <h3><a href="/presse/kassenlos">Kassenloses Einkaufen: Händler testen neue Systeme</a></h3>
+    <span class="date">19. Oktober 2026</span>
+    <p>Immer mehr Händler setzen auf Checkout-free-Technologie.</p>
+    <img src="/img/kasse.jpg">
+  </article>
+  <article class="teaser">
+    <h3><a href="https://www.example.org/studie">Studie: Roboter in der Logistik</a></h3>
+    <time datetime="2026-10-17T09:00:00+02:00">vor 2 Tagen</time>
+    <p>Die Studie zeigt Potenziale für die letzte Meile.</p>
+  </article>
+  <article class="teaser">
+    <h3><a href="/presse/kassenlos">Kassenloses Einkaufen: Händler testen neue Systeme</a></h3>
+  </article>
+  <article class="teaser"><p>Ohne Titel</p></article>
+</div>
+</body></html>`;
+
+const requests = [];
+const server = http.createServer((req, res) => {
+  requests.push(req.url);
+
+  if (req.url === '/robots.txt') {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    return res.end('User-agent: *\nDisallow: /intern/\n\nUser-agent: OtherBot\nDisallow: /\n');
+  }
+  if (req.url === '/presse/' || req.url === '/intern/news') {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    return res.end(LISTING);
+  }
+  if (req.url === '/relaunch/') {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    return res.end('<html><body><div class="cards"><div class="card">Neu</div></div></body></html>');
+  }
+  res.writeHead(404);
+  res.end();
+});
+
+async function run() {
+  console.log('🧪 Testing scrape source\n');
+
+  // 1. Dates
+  const now = new Date(2026, 9, 19, 12, 0);
+  const sameDay = (date, year, month, day, hour = 0, minute = 0) => date &&
+    date.getFullYear() === year && date.getMonth() === month && date.getDate() === day &&
+    date.getHours() === hour && date.getMinutes() === minute;
+
+  check('German numeric date with time', sameDay(parseDate('Mo., 19.10.26, 08:30 Uhr'), 2026, 9, 19, 8, 30));
+  check('German written date', sameDay(parseDate('Veröffentlicht am 3. März 2026'), 2026, 2, 3));
+  check('English written dates', sameDay(parseDate('October 19, 2026'), 2026, 9, 19) && sameDay(parseDate('19 Oct 2026 3:30 pm'), 2026, 9, 19, 15, 30));
+  check('slash dates follow the language', sameDay(parseDate('05/10/2026'), 2026, 4, 10) && sameDay(parseDate('05/10/2026', { language: 'de' }), 2026, 9, 5));
+  check('relative dates', parseDate('vor 2 Stunden', { now }).getTime() === now.getTime() - 2 * 3600000 &&
+    parseDate('3 days ago', { now }).getDate() === 16 && sameDay(parseDate('gestern, 14:30', { now }), 2026, 9, 18, 14, 30));
+  check('ISO dates keep their offset', parseDate('2026-10-17T09:00:00+02:00').toISOString() === '2026-10-17T07:00:00.000Z');
+  check('impossible and unknown dates are rejected', parseDate('31.02.2026') === null && parseDate('Pressemitteilung') === null);
+
+  // 2. robots.txt
+  const rules = parseRobotsTxt([
+    'User-agent: *',
+    'Disallow: /',
+    '',
+    'User-agent: Googlebot',
+    'User-agent: NewsBot',
+    'Disallow: /private/',
+    'Allow: /private/press/',
+    'Disallow: /*.pdf$'
+  ].join('\n'), 'NewsBot');
+  check('own user-agent group wins over *', isPathAllowed(rules, '/news/'));
+  check('longest match wins', !isPathAllowed(rules, '/private/report') && isPathAllowed(rules, '/private/press/release'));
+  check('wildcards and $ anchors', !isPathAllowed(rules, '/files/report.pdf') && isPathAllowed(rules, '/files/report.pdf?download=1'));
+
+  await new Promise(resolve => server.listen(0, resolve));
+  const base = `http://localhost:${server.address().port}`;
+
+  const robots = new RobotsTxt();
+  check('robots.txt from the server is applied', await robots.isAllowed(`${base}/presse/`) && !await robots.isAllowed(`${base}/intern/news`));
+  check('unreachable robots.txt disallows', !await robots.isAllowed('http://localhost:1/presse/'));
+
+  // 3. Extraction
+  const scrapeConfig = (id, listUrl, extra = {}) => ({
+    id,
+    name: id,
+    type: 'scrape',
+    config: {
+      listUrl,
+      selectors: { item: 'article.teaser', title: 'h3', date: '.date, time', teaser: 'p', image: 'img' },
+      ...extra
+    }
+  });
+  const configPath = path.join(process.env.DATA_DIR, 'sources.json');
+  fs.writeFileSync(configPath, JSON.stringify({
+    sources: [
+      scrapeConfig('ehi-retail', `${base}/presse/`),
+      scrapeConfig('intern', `${base}/intern/news`),
+      scrapeConfig('relaunched', `${base}/relaunch/`)
+    ]
+  }));
+
+  const sourceManager = new SourceManager(configPath);
+  check('scrape sources are created from sources.json', sourceManager.getSource('ehi-retail')?.constructor.name === 'ScrapeSource');
+
+  let missingSelectors = null;
+  try {
+    new ScrapeSource({ id: 'broken', name: 'Broken', type: 'scrape', config: { listUrl: `${base}/presse/` } });
+  } catch (error) {
+    missingSelectors = error.message;
+  }
+  check('scrape source without selectors is rejected', missingSelectors === 'ScrapeSource broken requires selectors.item and selectors.title in config');
+
+  const items = await sourceManager.fetchFromSource(sourceManager.getSource('ehi-retail'), []);
+  const [first, second] = items;
+  check('one item per article, duplicates and untitled items skipped', items.length === 2);
+  check('relative links and images are resolved', first.link === `${base}/presse/kassenlos` && first.image === `${base}/img/kasse.jpg`);
+  check('German date text is parsed', sameDay(new Date(first.pubDate), 2026, 9, 19));
+  check('<time datetime> is preferred over its text', second.pubDate === '2026-10-17T07:00:00.000Z');
+  check('teaser and source id are set', first.description.startsWith('Immer mehr Händler') && first.sourceId === 'ehi-retail');
+
+  const cards = new ScrapeSource({
+    id: 'cards',
+    name: 'Cards',
+    type: 'scrape',
+    config: { listUrl: `${base}/en/news/`, language: 'en', selectors: { item: 'a.card', title: '@title', date: 'span@data-published' } }
+  }).extractItems('<a class="card" href="../press/1" title="Pallet robots"><span data-published="10/05/2026">Oct</span></a>');
+  check('@attribute selectors and item links', cards.length === 1 && cards[0].title === 'Pallet robots' &&
+    cards[0].link === `${base}/en/press/1` && sameDay(new Date(cards[0].pubDate), 2026, 9, 5));
+
+  // 4. Cache and circuit breaker
+  const listingRequests = requests.filter(url => url === '/presse/').length;
+  await sourceManager.fetchFromSource(sourceManager.getSource('ehi-retail'), []);
+  check('second fetch is served from the cache', requests.filter(url => url === '/presse/').length === listingRequests);
+
+  await sourceManager.fetchFromSource(sourceManager.getSource('intern'), []);
+  check('robots.txt disallow is never requested and counts as failure',
+    !requests.includes('/intern/news') && sourceManager.circuitBreaker.getStats('intern').lastError.includes('robots.txt'));
+
+  await sourceManager.fetchFromSource(sourceManager.getSource('relaunched'), []);
+  check('changed page layout counts as failure', sourceManager.circuitBreaker.getStats('relaunched').lastError.includes('No items matched'));
+
+  server.close();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+
+  console.log(failures === 0 ? '\n✅ All scrape source checks passed' : `\n❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+run().catch(error => {
+  console.error('✗ Test crashed:', error);
+  process.exit(1);
+});
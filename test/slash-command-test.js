@@ -0,0 +1,110 @@
+/**
+ * Slash Command Test
+ *
+ * Verifies /newsbot parsing and replies without fetching real news:
+ * the handler gets a scheduler whose news service returns fixed articles,
+ * and `top` reads the last delivered digest from the run history
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'newsbot-slash-'));
+
+const SlashCommandHandler = require('../src/slack/SlashCommandHandler');
+const SlackService = require('../src/slackService');
+const { getRunHistory } = require('../src/runs/RunHistory');
+const { getArticleLedger } = require('../src/ledger/ArticleLedger');
+
+let failures = 0;
+function check(description, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${description}`);
+  if (!condition) failures++;
+}
+
+const profile = { id: 'default', name: 'Default', cronSchedule: '0 8 * * *', timezone: 'Europe/Berlin', maxItems: 10 };
+const articles = Array.from({ length: 8 }, (_, i) => ({
+  title: `Article ${i + 1}`,
+  link: `https://example.com/${i + 1}`,
+  description: 'Autonomous delivery robots in retail',
+  source: 'Example News',
+  pubDate: new Date().toISOString()
+}));
+
+const searches = [];
+let pipelineRuns = 0;
+const scheduler = {
+  profileManager: {
+    getProfiles: () => [profile],
+    getDefaultProfile: () => profile
+  },
+  newsService: {
+    fetchRetailInnovationNews: async () => {
+      pipelineRuns++;
+      return articles;
+    },
+    searchNews: async (query) => {
+      searches.push(query);
+      return articles.slice(0, 2);
+    },
+    sourceManager: {
+      getEnabledSources: () => [{ id: 'retail-dive', name: 'Retail Dive', type: 'rss' }]
+    }
+  },
+  slackServices: new Map([['default', new SlackService('https://hooks.slack.com/services/test', { feedbackButtons: false })]]),
+  getNextRunTime: () => 'tomorrow'
+};
+
+const handler = new SlashCommandHandler(scheduler);
+
+(async () => {
+  console.log('🧪 Testing /newsbot slash command\n');
+
+  check('search is deferred', handler.isDeferred('search robots'));
+  check('top, status, sources and help answer immediately', !handler.isDeferred('top 3') && !handler.isDeferred('status') &&
+    !handler.isDeferred('sources') && !handler.isDeferred(''));
+
+  const none = await handler.handle('top 3');
+  check('top without a delivered digest says so', none.text.includes('No digest has been delivered yet'));
+
+  // A delivered run, followed by a failed one that must not be shown
+  const runHistory = getRunHistory();
+  const delivered = runHistory.startRun({ profileId: 'default' });
+  delivered.items = articles.map(({ title, link, source, pubDate }) => ({ title, link, source, pubDate, score: 0.8 }));
+  delivered.delivery = { sent: true, mode: 'webhook' };
+  runHistory.finishRun(delivered);
+  getArticleLedger('default').record(articles);
+
+  const failed = runHistory.startRun({ profileId: 'default' });
+  failed.items = [{ ...delivered.items[0], title: 'Undelivered article' }];
+  failed.delivery = { sent: false, mode: 'webhook', error: 'Slack is down' };
+  runHistory.finishRun(failed, new Error('Slack is down'));
+
+  const top = await handler.handle('top 3');
+  const sections = top.blocks.filter(block => block.type === 'section');
+  check('top 3 returns three articles of the delivered digest', sections.length === 3 && sections[0].text.text.includes('Article 1') &&
+    sections[0].text.text.includes('Autonomous delivery robots'));
+  check('top does not re-run the pipeline', pipelineRuns === 0);
+  check('replies are ephemeral', top.response_type === 'ephemeral');
+
+  const capped = await handler.handle('top 50');
+  check('top is capped at 10 (8 available)', capped.blocks.filter(block => block.type === 'section').length === 8);
+
+  const search = await handler.handle('search  last mile  robots');
+  check('search passes the full query', searches[0] === 'last mile robots' && search.blocks[0].text.text.includes('last mile robots'));
+
+  const sources = await handler.handle('sources');
+  check('sources lists enabled sources', sources.blocks[1].text.text.includes('Retail Dive'));
+
+  const status = await handler.handle('status');
+  check('status shows the schedule', status.blocks[1].fields.some(field => field.text.includes('0 8 * * *')));
+
+  const unknown = await handler.handle('dance');
+  check('unknown subcommand shows help', unknown.text.startsWith('Unknown command') && unknown.text.includes('/newsbot search'));
+
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+
+  console.log(failures === 0 ? '\n✅ All slash command checks passed' : `\n❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+})();
@@ -0,0 +1,174 @@
+/**
+ * Source Plugins Test
+ *
+ * Checks the source registry:
+ * 1. Built-in types still resolve
+ * 2. Plugins load from the plugins directory (<type>.js, <type>/index.js) and from npm packages
+ *    named newsbot-source-* or allowlisted; other packages and Node built-ins are refused
+ * 3. Contract and config errors name the offending source id
+ * 4. SourceManager skips broken sources and runs optional health checks
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'newsbot-plugins-'));
+const pluginsDir = path.join(tmpDir, 'plugins');
+process.env.DATA_DIR = tmpDir;
+process.env.CACHE_BACKEND = 'memory';
+process.env.SOURCE_PLUGINS_DIR = pluginsDir;
+
+const { SourceRegistry, SourceValidationError } = require('../src/sources/SourceRegistry');
+const SourceManager = require('../src/sources/SourceManager');
+
+let failures = 0;
+function check(description, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${description}`);
+  if (!condition) failures++;
+}
+
+const BASE_SOURCE = JSON.stringify(path.join(__dirname, '../src/sources/sources/BaseSource'));
+
+function writeFile(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+// Plugin file extending BaseSource, with a health check
+writeFile(path.join(pluginsDir, 'company-blog.js'), `
+const BaseSource = require(${BASE_SOURCE});
+
+class CompanyBlogSource extends BaseSource {
+  validate() {
+    return super.validate() && !!this.config.apiUrl;
+  }
+
+  async fetch() {
+    return [this.normalize({ title: 'Blog post', link: this.config.apiUrl + '/post' })];
+  }
+
+  async healthCheck() {
+    return { healthy: this.config.apiUrl.startsWith('https://'), message: 'API reachable' };
+  }
+}
+
+module.exports = CompanyBlogSource;
+`);
+
+// Plugin directory exporting { Source } without extending BaseSource
+writeFile(path.join(pluginsDir, 'trade-fair', 'index.js'), `
+class TradeFairSource {
+  constructor(config) {
+    this.id = config.id;
+    this.name = config.name;
+    this.type = config.type;
+    this.enabled = config.enabled !== false;
+  }
+  async fetch() { return []; }
+  normalize(item) { return item; }
+  validate() { return true; }
+  async healthCheck() { throw new Error('Calendar API down'); }
+}
+
+module.exports = { Source: TradeFairSource };
+`);
+
+// Plugin that forgot fetch()
+writeFile(path.join(pluginsDir, 'half-done.js'), `
+const BaseSource = require(${BASE_SOURCE});
+module.exports = class HalfDoneSource extends BaseSource {};
+`);
+
+// npm packages: one with the plugin prefix, one allowlisted, one ordinary dependency
+const ACME_PLUGIN = `
+const BaseSource = require(${BASE_SOURCE});
+exports.default = class AcmeSource extends BaseSource {
+  async fetch() { return [this.normalize({ title: 'Acme news', link: 'https://acme.example.com/1' })]; }
+};
+`;
+for (const name of ['@acme/newsbot-source-news', 'acme-feeds', 'left-pad']) {
+  writeFile(path.join(tmpDir, 'node_modules', name, 'package.json'), JSON.stringify({ name, main: 'lib.js' }));
+  writeFile(path.join(tmpDir, 'node_modules', name, 'lib.js'), ACME_PLUGIN);
+}
+
+async function run() {
+  console.log('🧪 Testing source plugins\n');
+
+  const registry = new SourceRegistry({ pluginsDir, packagePaths: [tmpDir], allowedPackages: ['acme-feeds', 'child_process'] });
+
+  // 1. Built-in types
+  check('built-in types resolve', registry.resolve('rss').name === 'RSSSource' && registry.resolve('twitter') === registry.resolve('x'));
+
+  // 2. Plugins
+  const blog = registry.create({ id: 'acme-blog', name: 'Acme Blog', type: 'company-blog', config: { apiUrl: 'https://blog.example.com' } });
+  const items = await blog.fetch([]);
+  check('plugin file is loaded by type', blog.constructor.name === 'CompanyBlogSource' && items[0].sourceId === 'acme-blog');
+
+  const fair = registry.create({ id: 'fairs', name: 'Fairs', type: 'trade-fair' });
+  check('plugin directory exporting { Source } is loaded', fair.constructor.name === 'TradeFairSource');
+
+  const acme = registry.create({ id: 'acme', name: 'Acme', type: '@acme/newsbot-source-news' });
+  check('npm package exporting default is loaded', (await acme.fetch([]))[0].title === 'Acme news');
+  check('allowlisted npm package is loaded', registry.create({ id: 'acme-feeds', name: 'Acme Feeds', type: 'acme-feeds' }).constructor.name === 'AcmeSource');
+  check('loaded types are listed with their origin', registry.getTypes().some(entry => entry.type === 'company-blog' && entry.origin.endsWith('company-blog.js')));
+
+  // 3. Errors
+  const createError = (config) => {
+    try {
+      registry.create(config);
+      return null;
+    } catch (error) {
+      return error;
+    }
+  };
+
+  const unknown = createError({ id: 'mystery', name: 'Mystery', type: 'does-not-exist' });
+  check('unknown type names the source id', unknown instanceof SourceValidationError && unknown.sourceId === 'mystery' && unknown.message.startsWith('Source mystery: Unknown source type: does-not-exist'));
+
+  const invalid = createError({ id: 'acme-blog-2', name: 'Acme Blog', type: 'company-blog', config: {} });
+  check('failed validate() names the source id', invalid?.message === 'Source acme-blog-2: invalid configuration for type company-blog' && invalid.code === 'INVALID_CONFIG');
+
+  const incomplete = createError({ id: 'half', name: 'Half', type: 'half-done' });
+  check('plugin without fetch() is rejected', incomplete?.message.includes('does not implement fetch') && incomplete.sourceId === 'half');
+
+  const builtIn = createError({ id: 'retail-feed', name: 'Retail Feed', type: 'rss', config: {} });
+  check('built-in constructor errors name the source id', builtIn?.message.startsWith('Source retail-feed:'));
+
+  check('entry without id or type is rejected', createError({ name: 'Nameless', type: 'rss' })?.message.includes('missing id') &&
+    createError({ id: 'typeless', name: 'Typeless' })?.message === 'Source typeless: missing type');
+  check('paths are not accepted as types', createError({ id: 'sneaky', name: 'Sneaky', type: '../../etc/passwd' })?.message.includes('Unknown source type'));
+
+  const dependency = createError({ id: 'pad', name: 'Pad', type: 'left-pad' });
+  check('installed packages without the plugin prefix are not loaded', dependency?.message.includes('newsbot-source-*') &&
+    !registry.getTypes().some(entry => entry.type === 'left-pad'));
+  check('Node built-in modules are refused, even when allowlisted', ['fs', 'child_process'].every(type =>
+    createError({ id: 'builtin', name: 'Built-in', type })?.message.includes('Unknown source type')));
+
+  // 4. SourceManager
+  const configPath = path.join(tmpDir, 'sources.json');
+  fs.writeFileSync(configPath, JSON.stringify({
+    sources: [
+      { id: 'acme-blog', name: 'Acme Blog', type: 'company-blog', config: { apiUrl: 'http://blog.example.com' } },
+      { id: 'fairs', name: 'Fairs', type: 'trade-fair' },
+      { id: 'half', name: 'Half', type: 'half-done' }
+    ]
+  }));
+
+  const sourceManager = new SourceManager(configPath);
+  check('SourceManager loads plugin sources and skips broken ones', sourceManager.sources.map(source => source.id).join(',') === 'acme-blog,fairs');
+
+  const checks = await sourceManager.runHealthChecks();
+  check('health checks report results and thrown errors', checks['acme-blog'].healthy === false && checks['acme-blog'].message === 'API reachable' &&
+    checks.fairs.healthy === false && checks.fairs.message === 'Calendar API down');
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  console.log(failures === 0 ? '\n✅ All source plugin checks passed' : `\n❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+run().catch(error => {
+  console.error('✗ Test crashed:', error);
+  process.exit(1);
+});
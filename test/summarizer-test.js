@@ -0,0 +1,96 @@
+/**
+ * Article Summarizer Test
+ *
+ * Serves article pages from a local HTTP server and checks:
+ * 1. Main text extraction (navigation, ads and footers are ignored)
+ * 2. Sentence selection (2-3 sentences, original order)
+ * 3. Fallback to the feed description when the page is unusable
+ *
+ * Embeddings use a bag-of-words stand-in for MiniLM so no model download is needed
+ */
+
+const http = require('http');
+const ArticleSummarizer = require('../src/summarization/ArticleSummarizer');
+
+let failures = 0;
+function check(description, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${description}`);
+  if (!condition) failures++;
+}
+
+const ARTICLE_HTML = `
+<html><head><title>Robots</title><script>var tracking = "This script text must never appear in a summary at all.";</script></head>
+<body>
+  <nav><p>Home | News | Retail | Logistics | Subscribe to our newsletter today</p></nav>
+  <article>
+    <p>Starship Technologies is expanding its autonomous delivery robots to twelve new German cities this spring.</p>
+    <p>The company said the delivery robots will serve grocery customers of REWE and Edeka within a three kilometre radius.</p>
+    <div class="advertisement"><p>Buy the best kitchen knives now with a huge discount for all readers today.</p></div>
+    <p>Weather in Berlin was sunny on Tuesday, with temperatures reaching twenty degrees in the afternoon.</p>
+    <p>Autonomous delivery robots reduce last mile costs for grocery retailers by up to forty percent, Starship claims.</p>
+    <p>The local football club won its match on Saturday after a late goal in the ninetieth minute of play.</p>
+  </article>
+  <footer><p>Copyright 2025 Example Media Group. All rights reserved worldwide forever.</p></footer>
+</body></html>`;
+
+const server = http.createServer((req, res) => {
+  if (req.url === '/article') {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    return res.end(ARTICLE_HTML);
+  }
+  if (req.url === '/short') {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    return res.end('<html><body><p>Please enable JavaScript to continue.</p></body></html>');
+  }
+  if (req.url === '/pdf') {
+    res.writeHead(200, { 'Content-Type': 'application/pdf' });
+    return res.end('%PDF');
+  }
+  res.writeHead(404);
+  res.end();
+});
+
+// Bag-of-words embedding over a small vocabulary
+const VOCABULARY = ['robot', 'deliver', 'autonomous', 'grocery', 'starship', 'last', 'mile', 'weather', 'football', 'rewe', 'city', 'cities'];
+const summarizer = new ArticleSummarizer({ enabled: true, sentences: 3, timeout: 5000 });
+summarizer.embed = async (texts) => texts.map(text => {
+  const lower = text.toLowerCase();
+  return VOCABULARY.map(word => (lower.split(word).length - 1));
+});
+
+server.listen(0, async () => {
+  const base = `http://127.0.0.1:${server.address().port}`;
+  console.log('🧪 Testing ArticleSummarizer\n');
+
+  const text = summarizer.extractMainText(ARTICLE_HTML);
+  check('extracts article paragraphs', text.includes('twelve new German cities'));
+  check('ignores navigation, ads, scripts and footer', !/Subscribe|kitchen knives|tracking|Copyright/.test(text));
+
+  const sentences = summarizer.splitSentences('Dr. Smith said so. This is a long enough first sentence for testing purposes. „Das ist ein deutscher Satz mit genügend Länge für den Test.“ Short.');
+  check('splits English and German sentences', sentences.length === 2);
+
+  const [item] = await summarizer.summarizeAll([{
+    title: 'Starship expands autonomous delivery robots',
+    link: `${base}/article`,
+    description: 'Feed description...'
+  }]);
+  check('summary has 3 sentences', item.summary && summarizer.splitSentences(item.summary).length === 3);
+  check('summary picks on-topic sentences', !/Weather|football/.test(item.summary));
+  check('summary keeps original order', item.summary.indexOf('twelve new') < item.summary.indexOf('forty percent'));
+  check('feed description is kept', item.description === 'Feed description...');
+
+  const fallbacks = await summarizer.summarizeAll([
+    { title: 'JS wall', link: `${base}/short`, description: 'a' },
+    { title: 'PDF', link: `${base}/pdf`, description: 'b' },
+    { title: 'Missing', link: `${base}/missing`, description: 'c' }
+  ]);
+  check('falls back when the page has too little text, is not HTML or fails', fallbacks.every(i => !i.summary));
+
+  const disabled = new ArticleSummarizer({ enabled: false });
+  const untouched = [{ title: 't', link: `${base}/article`, description: 'd' }];
+  check('disabled summarizer returns items unchanged', (await disabled.summarizeAll(untouched)) === untouched);
+
+  server.close();
+  console.log(failures === 0 ? '\n✅ All summarizer checks passed' : `\n❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+});
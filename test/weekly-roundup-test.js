@@ -0,0 +1,104 @@
+/**
+ * Weekly Roundup Test
+ *
+ * Builds a roundup from a ledger with backdated entries. Topic assignment uses a
+ * keyword-based stand-in for SemanticScorer.getDetailedScore so no model download is needed.
+ * Also checks that the roundup is opt-in, refuses ledgers that cannot hold a week and
+ * leaves trends out when the ledger does not hold the week before.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'newsbot-weekly-'));
+
+const { ArticleLedger } = require('../src/ledger/ArticleLedger');
+const WeeklyRoundup = require('../src/roundup/WeeklyRoundup');
+const SlackService = require('../src/slackService');
+const ProfileManager = require('../src/profiles/ProfileManager');
+
+let failures = 0;
+function check(description, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${description}`);
+  if (!condition) failures++;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Same shape as SemanticScorer.getDetailedScore()
+const semanticScorer = {
+  async getDetailedScore(article) {
+    const text = article.title.toLowerCase();
+    const match = (id, topic, similarity) => ({ score: similarity, matches: [{ id, topic, similarity }], bestMatch: topic });
+    if (text.includes('robot')) return match('autonomous-delivery', 'Autonomous Delivery Systems', 0.6);
+    if (text.includes('payment')) return match('payment-innovation', 'Payment Innovation', 0.5);
+    return match('retail-innovation', 'Retail Innovation', 0.1);
+  }
+};
+
+const ledger = new ArticleLedger();
+const add = (title, daysAgo, score) => {
+  ledger.record([{ title, link: `https://example.com/${encodeURIComponent(title)}`, source: 'Example News', relevance: { score } }]);
+  ledger.entries.get(ledger.normalizeLink(`https://example.com/${encodeURIComponent(title)}`)).postedAt =
+    new Date(Date.now() - daysAgo * DAY_MS).toISOString();
+};
+
+// This week: 3 robot stories, 1 payment story, 1 unrelated story
+add('Starship robot expands', 1, 0.6);
+add('Delivery robot pilot in Berlin', 2, 0.8);
+add('Robot fleet grows', 3, 0.5);
+add('Contactless payment rollout', 4, 0.7);
+add('Store opening hours change', 2, 0.4);
+// Previous week: 1 robot story, 2 payment stories
+add('Older robot news', 9, 0.5);
+add('Payment news one', 10, 0.5);
+add('Payment news two', 11, 0.5);
+// Outside both windows
+add('Ancient robot news', 15, 0.9);
+
+(async () => {
+  console.log('🧪 Testing weekly roundup\n');
+
+  const roundup = await new WeeklyRoundup({ semanticScorer, ledger }).build();
+
+  check('counts articles of this and the previous week', roundup.totalArticles === 5 && roundup.previousTotal === 3);
+  check('largest cluster ranks first', roundup.clusters[0].topicId === 'autonomous-delivery' && roundup.clusters[0].count === 3);
+  check('top story is the highest scored article', roundup.clusters[0].topStory.title === 'Delivery robot pilot in Berlin');
+  check('trend compares with the previous week', roundup.clusters[0].trend === 2 && roundup.clusters[1].trend === -1);
+  check('weak topic matches go to "Other", listed last', roundup.clusters[roundup.clusters.length - 1].topicId === 'other');
+
+  const slackService = new SlackService('https://hooks.slack.com/services/test');
+  const message = slackService.formatWeeklyRoundupMessage(roundup);
+  const text = JSON.stringify(message.blocks);
+  check('message has one section per topic', message.blocks.filter(b => b.type === 'section').length === 1 + roundup.clusters.length);
+  check('message shows trends', text.includes('▲ +2 vs last week') && text.includes('▼ -1 vs last week'));
+
+  const empty = await new WeeklyRoundup({ semanticScorer, ledger: new ArticleLedger({ filePath: path.join(process.env.DATA_DIR, 'empty.json') }) }).build();
+  check('empty week produces an empty roundup', empty.totalArticles === 0 && empty.clusters.length === 0);
+  check('empty roundup still formats', JSON.stringify(slackService.formatWeeklyRoundupMessage(empty)).includes('No articles were delivered'));
+
+  const ledgerPath = path.join(process.env.DATA_DIR, 'other.json');
+  const shortLedger = new ArticleLedger({ filePath: ledgerPath, retentionDays: 10 });
+  shortLedger.entries = new Map(ledger.entries);
+  const withoutTrends = await new WeeklyRoundup({ semanticScorer, ledger: shortLedger }).build();
+  check('retention shorter than two weeks leaves trends out', withoutTrends.totalArticles === 5 && withoutTrends.previousTotal === null &&
+    withoutTrends.clusters.every(cluster => cluster.previousCount === null && cluster.trend === null) &&
+    withoutTrends.trendsNote.includes('LEDGER_RETENTION_DAYS (10)'));
+  const noTrendsText = JSON.stringify(slackService.formatWeeklyRoundupMessage(withoutTrends).blocks);
+  check('message notes the missing trends instead of showing them', !noTrendsText.includes('last week') &&
+    !noTrendsText.includes('new this week') && noTrendsText.includes('No week-over-week trends'));
+  check('ledger with two weeks of retention has trends', WeeklyRoundup.checkTrends(ledger) === null && roundup.trendsNote === null);
+  check('ledger with a week of retention is accepted', WeeklyRoundup.checkLedger(ledger) === null);
+  check('disabled ledger is refused', WeeklyRoundup.checkLedger(new ArticleLedger({ filePath: ledgerPath, enabled: false })).includes('ENABLE_LEDGER'));
+  check('retention shorter than a week is refused', WeeklyRoundup.checkLedger(new ArticleLedger({ filePath: ledgerPath, retentionDays: 3 })).includes('LEDGER_RETENTION_DAYS (3)'));
+
+  delete process.env.ENABLE_WEEKLY_ROUNDUP;
+  process.env.SLACK_WEBHOOK_URL = 'https://hooks.slack.com/services/test';
+  check('weekly roundup is off by default', new ProfileManager().getDefaultProfile().weeklyRoundup === false);
+
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+
+  console.log(failures === 0 ? '\n✅ All weekly roundup checks passed' : `\n❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+})();